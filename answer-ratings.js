@@ -0,0 +1,373 @@
+/**
+ * Valoraciones de respuestas para CAG
+ *
+ * Guarda, para cada respuesta generada, el prompt exacto que produjo
+ * promptBuilder.buildCAGPrompt junto con el modelo y la configuración usados,
+ * y las valoraciones de los usuarios (pulgar arriba/abajo con categoría y
+ * comentario opcionales). Cada valoración incluye una copia de ese registro
+ * para poder evaluar plantillas y modelos sin depender de la conversación.
+ *
+ * También exporta pares elegida/rechazada entre respuestas hermanas
+ * (regeneraciones de un mismo mensaje) en JSONL con el formato conversacional
+ * habitual para DPO: { prompt, chosen, rejected, metadata }.
+ */
+
+const storage = require('./storage');
+const conversationTree = require('./conversation-tree');
+
+// Colecciones
+const generations = storage.collection('generation_records');
+const ratings = storage.collection('answer_ratings');
+
+// Valoraciones y categorías de problema admitidas
+const RATINGS = ['up', 'down'];
+const RATING_CATEGORIES = ['wrong', 'incomplete', 'hallucinated', 'formatting'];
+// Longitud máxima de un comentario
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Crea los índices de las colecciones (solo aplican en MongoDB)
+ * @returns {Promise<void>}
+ */
+async function init() {
+    try {
+        await generations.createIndex({ conversationId: 1, messageId: 1 }, { unique: true });
+        await generations.createIndex({ conversationId: 1 });
+        await ratings.createIndex({ conversationId: 1, messageId: 1, userId: 1 }, { unique: true });
+        await ratings.createIndex({ conversationId: 1 });
+        console.log('AnswerRatings: Inicializado correctamente');
+    } catch (error) {
+        console.error('AnswerRatings: Error de inicialización:', error);
+    }
+}
+
+/**
+ * Registra cómo se generó una respuesta
+ * @param {Object} record - Datos de la generación
+ * @param {string} record.conversationId - ID de la conversación
+ * @param {string} record.messageId - ID de la respuesta del bot
+ * @param {string} record.parentId - ID del mensaje del usuario al que responde
+ * @param {Array<Object>} record.prompt - Mensajes enviados al modelo
+ * @param {string} record.model - Modelo usado
+ * @param {string} record.modelReason - Motivo de la elección del modelo
+ * @param {Object} record.options - Opciones de generación enviadas a Ollama
+ * @param {Object} record.userConfig - Configuración enviada por el cliente
+ * @param {Array<Object>} record.templates - Plantillas de prompt usadas { name, hash }
+ * @param {string} record.rawResponse - Texto devuelto por el modelo antes de darle formato
+ * @returns {Promise<void>}
+ */
+async function recordGeneration(record) {
+    if (!record || !record.conversationId || !record.messageId) {
+        return;
+    }
+
+    await generations.updateOne(
+        { conversationId: record.conversationId, messageId: record.messageId },
+        {
+            $set: {
+                parentId: record.parentId || null,
+                prompt: record.prompt || [],
+                model: record.model || null,
+                modelReason: record.modelReason || null,
+                options: record.options || {},
+                userConfig: record.userConfig || {},
+                templates: record.templates || [],
+                rawResponse: record.rawResponse || '',
+                createdAt: new Date().toISOString()
+            }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Obtiene el registro de generación de una respuesta
+ *
+ * Los IDs de mensaje solo son únicos dentro de una conversación.
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} messageId - ID de la respuesta
+ * @returns {Promise<Object|null>} Registro o null si no existe
+ */
+async function getGeneration(conversationId, messageId) {
+    return generations.findOne({ conversationId, messageId });
+}
+
+/**
+ * Guarda (o sustituye) la valoración de un usuario sobre una respuesta
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} message - Respuesta del bot valorada
+ * @param {string} userId - ID del usuario
+ * @param {Object} feedback - Valoración
+ * @param {string} feedback.rating - 'up' o 'down'
+ * @param {string} [feedback.category] - Categoría del problema (ver RATING_CATEGORIES)
+ * @param {string} [feedback.comment] - Comentario libre
+ * @returns {Promise<Object>} Valoración guardada
+ */
+async function rateAnswer(conversationId, message, userId, feedback) {
+    const generation = await getGeneration(conversationId, message.id);
+    const now = new Date().toISOString();
+
+    const rating = {
+        conversationId,
+        messageId: message.id,
+        parentId: message.parentId || null,
+        userId,
+        rating: feedback.rating,
+        category: feedback.category || null,
+        comment: (feedback.comment || '').trim().substring(0, MAX_COMMENT_LENGTH) || null,
+        response: message.content,
+        prompt: generation ? generation.prompt : null,
+        model: (generation && generation.model) || message.model || null,
+        config: generation ? {
+            modelReason: generation.modelReason,
+            options: generation.options,
+            userConfig: generation.userConfig,
+            templates: generation.templates
+        } : null,
+        generatedAt: message.timestamp || null,
+        updatedAt: now
+    };
+
+    await ratings.updateOne(
+        { conversationId, messageId: message.id, userId },
+        { $set: rating, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+    );
+
+    return ratings.findOne({ conversationId, messageId: message.id, userId });
+}
+
+/**
+ * Elimina la valoración de un usuario sobre una respuesta
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} messageId - ID de la respuesta
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<boolean>} True si existía
+ */
+async function removeRating(conversationId, messageId, userId) {
+    const result = await ratings.deleteOne({ conversationId, messageId, userId });
+    return result.deletedCount > 0;
+}
+
+/**
+ * Obtiene las valoraciones de un usuario en una conversación
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} Mapa messageId -> { rating, category, comment }
+ */
+async function getUserRatings(conversationId, userId) {
+    const userRatings = await ratings.find({ conversationId, userId }).toArray();
+
+    return Object.fromEntries(userRatings.map(r => [
+        r.messageId,
+        { rating: r.rating, category: r.category, comment: r.comment }
+    ]));
+}
+
+/**
+ * Elimina las generaciones y valoraciones de una conversación
+ * @param {string} conversationId - ID de la conversación
+ * @returns {Promise<void>}
+ */
+async function removeConversation(conversationId) {
+    await generations.deleteMany({ conversationId });
+    await ratings.deleteMany({ conversationId });
+}
+
+/**
+ * Lista los IDs de las conversaciones con valoraciones (o con generaciones registradas)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.includeGenerations - Incluir conversaciones sin valoraciones
+ * @returns {Promise<Array<string>>} IDs de conversación
+ */
+async function listConversationIds(options = {}) {
+    const ids = new Set((await ratings.find().toArray()).map(r => r.conversationId));
+
+    if (options.includeGenerations) {
+        (await generations.find().toArray()).forEach(g => ids.add(g.conversationId));
+    }
+
+    return [...ids];
+}
+
+/**
+ * Exporta las valoraciones en JSONL (una por línea, con prompt y configuración)
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.conversationIds] - Limitar a estas conversaciones
+ * @param {Function} [options.redact] - Transforma cada registro antes de exportarlo (datos personales)
+ * @returns {Promise<string>} Contenido JSONL
+ */
+async function exportRatings(options = {}) {
+    const filter = options.conversationIds ? { conversationId: { $in: options.conversationIds } } : {};
+    const allRatings = await ratings.find(filter).sort({ createdAt: 1 }).toArray();
+    const redact = options.redact || (record => record);
+
+    return allRatings
+        .map(({ _id, ...rating }) => JSON.stringify(redact(rating)))
+        .map(line => `${line}\n`)
+        .join('');
+}
+
+/**
+ * Puntuación agregada de una respuesta (valoraciones positivas menos negativas)
+ * @param {Array<Object>} messageRatings - Valoraciones de la respuesta
+ * @returns {number} Puntuación
+ * @private
+ */
+function scoreRatings(messageRatings) {
+    return messageRatings.reduce((score, r) => score + (r.rating === 'up' ? 1 : -1), 0);
+}
+
+/**
+ * Reconstruye el prompt de una respuesta sin registro de generación a partir
+ * del historial (del primer mensaje hasta el mensaje del usuario)
+ * @param {Map<string, Object>} messagesById - Mensajes de la conversación por ID
+ * @param {string} parentId - ID del mensaje del usuario
+ * @returns {Array<Object>} Mensajes { role, content }
+ * @private
+ */
+function buildHistoryPrompt(messagesById, parentId) {
+    const prompt = [];
+    const seen = new Set();
+    let current = messagesById.get(parentId);
+
+    // Un parentId repetido indica un ciclo: el historial termina ahí
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        if (current.role === 'user' || current.role === 'bot') {
+            prompt.unshift({
+                role: current.role === 'user' ? 'user' : 'assistant',
+                content: current.content
+            });
+        }
+        current = current.parentId ? messagesById.get(current.parentId) : null;
+    }
+
+    return prompt;
+}
+
+/**
+ * Exporta pares elegida/rechazada entre respuestas hermanas en JSONL (formato DPO)
+ *
+ * Los pares explícitos enfrentan respuestas a un mismo mensaje con valoración
+ * neta positiva y negativa. Con includeRegenerations se añaden pares
+ * implícitos: la respuesta de la rama activa (si no tiene valoración negativa)
+ * frente a las versiones que el usuario descartó al regenerar y no valoró
+ * positivamente.
+ * @param {Array<Object>} conversations - Conversaciones completas
+ * @param {Object} options - Opciones
+ * @param {boolean} options.includeRegenerations - Incluir pares implícitos de regeneraciones
+ * @param {Function} [options.redact] - Transforma cada par antes de exportarlo (datos personales)
+ * @returns {Promise<Object>} { body, pairs }
+ */
+async function exportPreferencePairs(conversations, options = {}) {
+    const lines = [];
+    const redact = options.redact || (record => record);
+
+    for (const conversation of conversations) {
+        const messages = conversationTree.getAllMessages(conversation);
+        const messagesById = new Map(messages.map(m => [m.id, m]));
+        const activeIds = new Set(conversationTree.getActiveMessageIds(conversation));
+
+        const conversationRatings = await ratings.find({ conversationId: conversation.id }).toArray();
+        const conversationGenerations = await generations.find({ conversationId: conversation.id }).toArray();
+        const generationsById = new Map(conversationGenerations.map(g => [g.messageId, g]));
+
+        // Respuestas del bot agrupadas por el mensaje del usuario al que responden
+        const repliesByParent = new Map();
+        messages
+            .filter(m => m.role === 'bot' && m.parentId)
+            .forEach(m => {
+                const siblings = repliesByParent.get(m.parentId) || [];
+                siblings.push(m);
+                repliesByParent.set(m.parentId, siblings);
+            });
+
+        for (const [parentId, replies] of repliesByParent) {
+            if (replies.length < 2) continue;
+
+            const scored = replies.map(reply => {
+                const replyRatings = conversationRatings.filter(r => r.messageId === reply.id);
+                return {
+                    reply,
+                    ratings: replyRatings,
+                    score: scoreRatings(replyRatings),
+                    active: activeIds.has(reply.id)
+                };
+            });
+
+            const pairs = [];
+            const paired = new Set();
+
+            scored.filter(c => c.score > 0).forEach(chosen => {
+                scored.filter(r => r.score < 0).forEach(rejected => {
+                    pairs.push({ chosen, rejected, source: 'rating' });
+                    paired.add(rejected.reply.id);
+                });
+            });
+
+            if (options.includeRegenerations) {
+                const chosen = scored.find(c => c.active && c.score >= 0);
+                if (chosen) {
+                    scored
+                        .filter(r => r !== chosen && r.score <= 0 && !paired.has(r.reply.id))
+                        .filter(r => new Date(r.reply.timestamp) < new Date(chosen.reply.timestamp))
+                        .forEach(rejected => pairs.push({ chosen, rejected, source: 'regeneration' }));
+                }
+            }
+
+            pairs.forEach(({ chosen, rejected, source }) => {
+                const chosenGeneration = generationsById.get(chosen.reply.id);
+                const rejectedGeneration = generationsById.get(rejected.reply.id);
+
+                lines.push(JSON.stringify(redact({
+                    prompt: chosenGeneration
+                        ? chosenGeneration.prompt
+                        : buildHistoryPrompt(messagesById, parentId),
+                    chosen: [{
+                        role: 'assistant',
+                        content: (chosenGeneration && chosenGeneration.rawResponse) || chosen.reply.content
+                    }],
+                    rejected: [{
+                        role: 'assistant',
+                        content: (rejectedGeneration && rejectedGeneration.rawResponse) || rejected.reply.content
+                    }],
+                    metadata: {
+                        conversationId: conversation.id,
+                        parentId,
+                        chosenId: chosen.reply.id,
+                        rejectedId: rejected.reply.id,
+                        source,
+                        promptSource: chosenGeneration ? 'generation' : 'history',
+                        chosenModel: (chosenGeneration && chosenGeneration.model) || chosen.reply.model || null,
+                        rejectedModel: (rejectedGeneration && rejectedGeneration.model) || rejected.reply.model || null,
+                        templates: chosenGeneration ? chosenGeneration.templates : [],
+                        rejectedCategories: [...new Set(rejected.ratings.map(r => r.category).filter(Boolean))],
+                        rejectedComments: rejected.ratings.map(r => r.comment).filter(Boolean)
+                    }
+                })));
+            });
+        }
+    }
+
+    return {
+        body: lines.map(line => `${line}\n`).join(''),
+        pairs: lines.length
+    };
+}
+
+module.exports = {
+    RATINGS,
+    RATING_CATEGORIES,
+    MAX_COMMENT_LENGTH,
+    init,
+    recordGeneration,
+    getGeneration,
+    rateAnswer,
+    removeRating,
+    getUserRatings,
+    removeConversation,
+    listConversationIds,
+    exportRatings,
+    exportPreferencePairs
+};
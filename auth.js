@@ -0,0 +1,168 @@
+/**
+ * Autenticación para CAG
+ *
+ * Sesiones con cookie HttpOnly firmada:
+ * - POST /api/auth/login (o register) emite la cookie con issueSession
+ * - El middleware authenticate la verifica en cada petición a la API y deja el
+ *   usuario en req.user; sin sesión válida responde 401
+ *
+ * El token incluye el ID del usuario, la versión de sesión y la fecha de
+ * emisión, firmados con HMAC. Cambiar la contraseña incrementa la versión de
+ * sesión, lo que invalida todas las sesiones abiertas de ese usuario.
+ */
+
+const crypto = require('crypto');
+const userStore = require('./user-store');
+const { readCookie } = require('./csrf-protection');
+
+// Configuración
+const SESSION_COOKIE_NAME = 'cag_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 días
+
+// Rutas de la API accesibles sin sesión (relativas a /api)
+const PUBLIC_PATHS = ['/csrf-token', '/auth/status', '/auth/login', '/auth/register'];
+
+// Sin SESSION_SECRET las sesiones dejan de ser válidas al reiniciar el servidor
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Firma los datos de una sesión
+ * @param {string} payload - Parte del token a firmar
+ * @returns {string} Firma HMAC en base64url
+ * @private
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Genera el token de sesión de un usuario
+ * @param {Object} user - Usuario almacenado
+ * @returns {string} Token con formato <userId>.<versión>.<emisión>.<firma>
+ * @private
+ */
+function generateSessionToken(user) {
+    const payload = `${user.id}.${user.sessionVersion || 1}.${Date.now().toString(36)}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verifica un token de sesión y devuelve su usuario
+ * @param {string} token - Token de la cookie
+ * @returns {Promise<Object|null>} Usuario almacenado o null si la sesión no es válida
+ * @private
+ */
+async function resolveSession(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 4) {
+        return null;
+    }
+
+    const [userId, version, issued, signature] = parts;
+    const expected = sign(`${userId}.${version}.${issued}`);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    const issuedAt = parseInt(issued, 36);
+    if (!Number.isFinite(issuedAt) || Date.now() - issuedAt >= SESSION_TTL) {
+        return null;
+    }
+
+    const user = await userStore.getUser(userId);
+    if (!user || String(user.sessionVersion || 1) !== version) {
+        return null;
+    }
+
+    return user;
+}
+
+/**
+ * Inicia la sesión de un usuario guardando la cookie en la respuesta
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} user - Usuario almacenado
+ */
+function issueSession(res, user) {
+    res.cookie(SESSION_COOKIE_NAME, generateSessionToken(user), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL,
+        path: '/'
+    });
+}
+
+/**
+ * Cierra la sesión eliminando la cookie
+ * @param {Object} res - Respuesta de Express
+ */
+function clearSession(res) {
+    res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+}
+
+/**
+ * Obtiene el usuario de la sesión de una petición, si la hay
+ * @param {Object} req - Petición de Express
+ * @returns {Promise<Object|null>} Usuario (datos públicos) o null
+ */
+async function getSessionUser(req) {
+    const token = readCookie(req, SESSION_COOKIE_NAME);
+    if (!token) {
+        return null;
+    }
+    return userStore.toPublicUser(await resolveSession(token));
+}
+
+/**
+ * Middleware que exige una sesión válida en la API
+ *
+ * Deja el usuario en req.user. Las rutas de PUBLIC_PATHS no requieren sesión,
+ * aunque también reciben req.user si existe. Responde 401 con código
+ * AUTH_REQUIRED cuando falta la sesión o no es válida.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Function} next - Siguiente middleware
+ */
+async function authenticate(req, res, next) {
+    try {
+        req.user = await getSessionUser(req);
+
+        if (req.user || PUBLIC_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        res.status(401).json({
+            error: 'Inicia sesión para continuar',
+            code: 'AUTH_REQUIRED'
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Crea un middleware que exige un rol concreto
+ * @param {string} role - Rol requerido (p. ej. 'admin')
+ * @returns {Function} Middleware de Express
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || req.user.role !== role) {
+            return res.status(403).json({
+                error: 'No tienes permisos para esta operación',
+                code: 'FORBIDDEN'
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    issueSession,
+    clearSession,
+    getSessionUser,
+    authenticate,
+    requireRole
+};
@@ -52,7 +52,14 @@ const ERROR_MESSAGES = {
     RESET_MEMORY: 'No se pudo reiniciar la memoria',
     CONNECTION: 'Error de conexión al servidor',
     SEARCH: 'No se pudo realizar la búsqueda',
-    INVALID_FILE_TYPE: 'Tipo de archivo no válido'
+    INVALID_FILE_TYPE: 'Tipo de archivo no válido',
+    EDIT_MESSAGE: 'No se pudo editar el mensaje',
+    SWITCH_BRANCH: 'No se pudo cambiar de rama',
+    LOAD_GRAPH: 'No se pudo cargar el grafo de conocimiento',
+    SEND_FEEDBACK: 'No se pudo registrar la valoración',
+    RATE_MESSAGE: 'No se pudo guardar la valoración de la respuesta',
+    UPDATE_MEMORY: 'No se pudo actualizar la memoria',
+    SEARCH_MEMORY: 'No se pudo buscar en la memoria'
 };
 
 /**
@@ -67,7 +74,9 @@ const SUCCESS_MESSAGES = {
     MEMORY_RESET: 'La memoria ha sido reiniciada correctamente',
     SETTINGS_SAVED: 'Los cambios han sido aplicados',
     SETTINGS_RESET: 'Se han restaurado los valores predeterminados',
-    TEXT_COPIED: 'Texto copiado al portapapeles'
+    TEXT_COPIED: 'Texto copiado al portapapeles',
+    FEEDBACK_SAVED: 'Gracias, tu valoración se tendrá en cuenta',
+    MEMORY_UPDATED: 'Los cambios en la memoria se han guardado'
 };
 
 /**
@@ -83,9 +92,47 @@ const ALLOWED_FILE_TYPES = [
     'text/csv',
     'application/json',
     'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'image/png',
+    'image/jpeg',
+    'image/tiff',
+    'text/html',
+    'application/xhtml+xml',
+    'application/epub+zip',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/rtf',
+    'text/rtf'
 ];
 
+/**
+ * Etapas de los trabajos de procesamiento de documentos
+ * @constant
+ */
+const JOB_STAGE_LABELS = {
+    queued: 'En cola',
+    started: 'Iniciando',
+    storing: 'Guardando archivo',
+    extracting: 'Extrayendo texto',
+    ocr: 'Reconociendo texto (OCR)',
+    versioning: 'Comparando con versiones anteriores',
+    summarizing: 'Generando resumen',
+    concepts: 'Extrayendo conceptos clave',
+    entities: 'Detectando entidades',
+    indexing: 'Indexando fragmentos',
+    saving: 'Guardando resultados',
+    retrying: 'Reintentando',
+    failed: 'Error al procesar',
+    cancelled: 'Cancelado'
+};
+
+/**
+ * Intervalo de consulta del progreso de los trabajos (en ms)
+ * @constant
+ */
+const JOB_POLL_INTERVAL = 1000;
+
 /**
  * Tiempo máximo de espera para peticiones fetch (en ms)
  * @constant
@@ -116,20 +163,79 @@ const MESSAGE_VIRTUALIZATION_THRESHOLD = 50;
  */
 const DEBOUNCE_TIMEOUT = 300;
 
+/**
+ * Tamaño del lienzo del grafo de conocimiento (unidades del viewBox)
+ * @constant
+ */
+const GRAPH_VIEW_SIZE = { width: 320, height: 320 };
+
+/**
+ * Iteraciones del algoritmo de distribución del grafo
+ * @constant
+ */
+const GRAPH_LAYOUT_ITERATIONS = 300;
+
+/**
+ * Nombres de las relaciones genéricas del grafo
+ * @constant
+ */
+const GRAPH_RELATION_LABELS = {
+    'co-occurrence': 'aparece junto a'
+};
+
+/**
+ * Categorías de problema al valorar negativamente una respuesta
+ * @constant
+ */
+const RATING_CATEGORY_LABELS = {
+    wrong: 'Incorrecta',
+    incomplete: 'Incompleta',
+    hallucinated: 'Inventada',
+    formatting: 'Formato'
+};
+
+/**
+ * Tipos de entidad que se pueden elegir al corregir una entidad detectada
+ * @constant
+ */
+const ENTITY_TYPE_LABELS = {
+    person: 'Persona',
+    organization: 'Organización',
+    location: 'Lugar',
+    concept: 'Concepto',
+    technology: 'Tecnología',
+    date: 'Fecha',
+    money: 'Importe',
+    number: 'Número',
+    other: 'Otro'
+};
+
 // ===== VARIABLES GLOBALES =====
 let currentConversationId = null;
+let currentConversationModel = null;
+let currentConversationRole = null;
+// Ramas alternativas de los mensajes mostrados ({ messageId: { index, count, siblings } })
+let currentBranches = {};
+// Valoraciones del usuario sobre las respuestas de la conversación ({ messageId: { rating, category, comment } })
+let currentRatings = {};
 let currentSettings = { ...DEFAULT_SETTINGS };
 let isPendingResponse = false;
 let documentUploadPending = false;
+// Trabajos de procesamiento de documentos en seguimiento (jobId → trabajo)
+const documentJobs = new Map();
 let reconnectAttempts = 0;
 let isReconnecting = false;
 let messageObserver = null;
 let lastNetworkStatus = true;
 let csrfToken = '';
+let currentUser = null;
+let authModalPromise = null;
 
 // Caché para virtualización
 let allMessages = [];
 let virtualizedMessageIds = new Set();
+// Vista actual del grafo de conocimiento ({ kind, ... }) para recargarla
+let currentGraphView = null;
 
 // ===== INICIALIZACIÓN =====
 /**
@@ -137,12 +243,18 @@ let virtualizedMessageIds = new Set();
  * @async
  */
 document.addEventListener('DOMContentLoaded', async () => {
-    // Obtener CSRF token
-    fetchCSRFToken();
+    // Obtener CSRF token (necesario antes de cualquier petición que modifique datos)
+    await fetchCSRFToken();
+    
+    // Exigir sesión antes de cargar datos del usuario
+    await ensureAuthenticated();
     
     // Cargar configuración
     loadSettings();
     
+    // Cargar modelos disponibles en Ollama
+    loadAvailableModels();
+    
     // Inicializar eventos para elementos UI
     initUIEvents();
     
@@ -161,6 +273,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Inicializar pestañas
     initTabs();
     
+    // Inicializar el explorador del grafo de conocimiento
+    initKnowledgeGraph();
+    
     // Inicializar detección de tema oscuro
     detectDarkMode();
     
@@ -197,9 +312,12 @@ function initUIEvents() {
     sendBtn.addEventListener('click', sendMessage);
     sendBtn.setAttribute('aria-label', 'Enviar mensaje');
     
+    // Cerrar sesión
+    document.getElementById('logout-btn').addEventListener('click', logout);
+    
     // Botón de configuración
     const settingsBtn = document.getElementById('settings-btn');
-    settingsBtn.addEventListener('click', () => toggleModal('settings-modal', true));
+    settingsBtn.addEventListener('click', openSettingsModal);
     settingsBtn.setAttribute('aria-label', 'Abrir configuración');
     
     document.querySelectorAll('.close-modal-btn').forEach(btn => {
@@ -231,6 +349,13 @@ function initUIEvents() {
     const documentUploadInput = document.getElementById('document-upload-input');
     documentUploadInput.addEventListener('change', handleDocumentUpload);
     
+    // Importar conversación
+    const importConversationInput = document.getElementById('import-conversation-input');
+    document.getElementById('import-conversation-btn').addEventListener('click', () => {
+        importConversationInput.click();
+    });
+    importConversationInput.addEventListener('change', handleConversationImport);
+    
     // Botones de configuración
     const saveSettingsBtn = document.getElementById('save-settings-btn');
     saveSettingsBtn.addEventListener('click', saveSettings);
@@ -263,7 +388,7 @@ function initUIEvents() {
     
     // Botón de exportar conversación
     const exportBtn = document.getElementById('export-btn');
-    exportBtn.addEventListener('click', exportConversation);
+    exportBtn.addEventListener('click', showExportModal);
     exportBtn.setAttribute('aria-label', 'Exportar conversación');
     
     // Botón de reiniciar memoria
@@ -271,6 +396,12 @@ function initUIEvents() {
     clearMemoryBtn.addEventListener('click', confirmResetMemory);
     clearMemoryBtn.setAttribute('aria-label', 'Reiniciar memoria');
     
+    // Búsqueda en la memoria de la conversación y en la memoria global
+    const memorySearchInput = document.getElementById('search-memory');
+    memorySearchInput.addEventListener('input', debounce(() => {
+        searchMemoryItems(memorySearchInput.value.trim());
+    }, DEBOUNCE_TIMEOUT));
+    
     // Botón de búsqueda en documentos
     const documentSearchBtn = document.getElementById('document-search-btn');
     documentSearchBtn.addEventListener('click', () => {
@@ -318,6 +449,13 @@ function initUIEvents() {
         shareConversationBtn.addEventListener('click', shareConversation);
         shareConversationBtn.setAttribute('aria-label', 'Compartir conversación');
     }
+    
+    // Botón de colaboradores
+    const collaboratorsBtn = document.getElementById('collaborators-btn');
+    if (collaboratorsBtn) {
+        collaboratorsBtn.addEventListener('click', showCollaboratorsModal);
+        collaboratorsBtn.setAttribute('aria-label', 'Colaboradores de la conversación');
+    }
 }
 
 /**
@@ -729,6 +867,153 @@ async function fetchCSRFToken() {
     }
 }
 
+// ===== AUTENTICACIÓN =====
+
+/**
+ * Comprueba la sesión y, si no hay, muestra el formulario de acceso
+ * @async
+ */
+async function ensureAuthenticated() {
+    try {
+        const response = await fetchWithTimeout('/api/auth/status');
+        const data = await response.json();
+        
+        if (data.authenticated) {
+            currentUser = data.user;
+            updateCurrentUserBadge();
+            return;
+        }
+        
+        await showAuthModal(data.registrationOpen);
+    } catch (error) {
+        console.error('Error al comprobar la sesión:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.CONNECTION);
+    }
+}
+
+/**
+ * Muestra el modal de inicio de sesión / registro
+ * @param {boolean} registrationOpen - Si se permite crear cuentas nuevas
+ * @returns {Promise<Object>} - Se resuelve con el usuario cuando inicia sesión
+ */
+function showAuthModal(registrationOpen) {
+    if (authModalPromise) return authModalPromise;
+    
+    const modal = document.getElementById('auth-modal');
+    const form = document.getElementById('auth-form');
+    const title = document.getElementById('auth-title');
+    const toggleBtn = document.getElementById('auth-toggle-mode-btn');
+    const submitBtn = document.getElementById('auth-submit-btn');
+    const displayNameItem = document.getElementById('auth-display-name-item');
+    const passwordInput = document.getElementById('auth-password');
+    const errorElement = document.getElementById('auth-error');
+    let mode = 'login';
+    
+    const setMode = (newMode) => {
+        mode = newMode;
+        const isRegister = mode === 'register';
+        title.textContent = isRegister ? 'Crear cuenta' : 'Iniciar sesión';
+        submitBtn.textContent = isRegister ? 'Registrarse' : 'Entrar';
+        toggleBtn.textContent = isRegister ? 'Ya tengo cuenta' : 'Crear cuenta';
+        displayNameItem.hidden = !isRegister;
+        passwordInput.autocomplete = isRegister ? 'new-password' : 'current-password';
+        errorElement.hidden = true;
+    };
+    
+    toggleBtn.hidden = !registrationOpen;
+    toggleBtn.onclick = () => setMode(mode === 'login' ? 'register' : 'login');
+    setMode('login');
+    
+    modal.classList.add('active');
+    modal.setAttribute('aria-hidden', 'false');
+    document.getElementById('auth-username').focus();
+    
+    authModalPromise = new Promise(resolve => {
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            submitBtn.disabled = true;
+            errorElement.hidden = true;
+            
+            try {
+                const response = await fetchWithRetry(`/api/auth/${mode}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': csrfToken
+                    },
+                    body: JSON.stringify({
+                        username: document.getElementById('auth-username').value.trim(),
+                        password: passwordInput.value,
+                        displayName: document.getElementById('auth-display-name').value.trim() || undefined
+                    })
+                });
+                
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(data.error || 'No se pudo iniciar sesión');
+                }
+                
+                currentUser = data.user;
+                updateCurrentUserBadge();
+                passwordInput.value = '';
+                modal.classList.remove('active');
+                modal.setAttribute('aria-hidden', 'true');
+                authModalPromise = null;
+                resolve(data.user);
+            } catch (error) {
+                errorElement.textContent = error.message;
+                errorElement.hidden = false;
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+    });
+    
+    return authModalPromise;
+}
+
+/**
+ * Vuelve a pedir credenciales cuando la sesión caduca y recarga la aplicación
+ */
+function handleSessionExpired() {
+    if (authModalPromise) return;
+    
+    currentUser = null;
+    showToast(TOAST_TYPES.WARNING, 'Sesión caducada', 'Vuelve a iniciar sesión para continuar');
+    showAuthModal(false).then(() => window.location.reload());
+}
+
+/**
+ * Muestra el usuario con sesión iniciada en la barra lateral
+ */
+function updateCurrentUserBadge() {
+    const badge = document.getElementById('current-user');
+    if (!badge) return;
+    
+    badge.textContent = currentUser ? currentUser.displayName || currentUser.username : '';
+    badge.title = currentUser ? `@${currentUser.username}` : '';
+}
+
+/**
+ * Cierra la sesión actual
+ * @async
+ */
+async function logout() {
+    try {
+        await fetchWithRetry('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            }
+        });
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+    } finally {
+        window.location.reload();
+    }
+}
+
 // ===== GESTIÓN DE CONVERSACIONES =====
 
 /**
@@ -799,9 +1084,14 @@ function displayConversations(conversations) {
         const date = new Date(conversation.lastActive || conversation.created_at);
         const formattedDate = formatDate(date);
         
+        // Las conversaciones de otros usuarios se marcan con el rol propio
+        const sharedBadge = conversation.role && conversation.role !== 'owner'
+            ? `<span class="conversation-role-badge" title="Compartida contigo">${conversation.role === 'editor' ? 'Editor' : 'Lector'}</span>`
+            : '';
+        
         li.innerHTML = `
             <div class="conversation-item-title">${escapeHTML(conversation.title || 'Sin título')}</div>
-            <div class="conversation-item-date">${formattedDate}</div>
+            <div class="conversation-item-date">${formattedDate}${sharedBadge}</div>
         `;
         
         li.addEventListener('click', () => loadConversation(conversation.id));
@@ -847,6 +1137,9 @@ async function loadConversation(conversationId) {
         
         // Actualizar conversación actual
         currentConversationId = conversationId;
+        currentConversationModel = conversation.model || null;
+        currentConversationRole = conversation.role || 'owner';
+        currentRatings = conversation.ratings || {};
         
         // Actualizar título
         document.getElementById('conversation-title').textContent = conversation.title || 'Sin título';
@@ -863,25 +1156,8 @@ async function loadConversation(conversationId) {
             }
         });
         
-        // Limpiar caché de virtualización
-        allMessages = conversation.messages || [];
-        virtualizedMessageIds.clear();
-        
-        // Asignar IDs a los mensajes si no los tienen
-        allMessages.forEach((message, index) => {
-            if (!message.id) {
-                message.id = `msg-${Date.now()}-${index}`;
-            }
-        });
-        
-        // Mostrar mensajes
-        if (allMessages.length > MESSAGE_VIRTUALIZATION_THRESHOLD) {
-            // Usar virtualización para muchos mensajes
-            displayVirtualizedMessages(allMessages);
-        } else {
-            // Mostrar todos los mensajes
-            displayMessages(allMessages);
-        }
+        // Mostrar la rama activa de la conversación
+        showActiveBranch(conversation.messages, conversation.branches);
         
         // Cargar documentos de la conversación
         loadConversationDocuments(conversationId);
@@ -889,16 +1165,46 @@ async function loadConversation(conversationId) {
         // Cargar información de contexto
         loadContextInfo(conversationId);
         
-        // Habilitar controles
-        document.getElementById('message-input').disabled = false;
-        document.getElementById('send-btn').disabled = false;
-        document.getElementById('upload-document-btn').disabled = false;
+        // Habilitar controles según el rol (los lectores solo pueden consultar)
+        const canEdit = currentConversationRole !== 'viewer';
+        document.getElementById('message-input').disabled = !canEdit;
+        document.getElementById('send-btn').disabled = !canEdit;
+        document.getElementById('upload-document-btn').disabled = !canEdit;
+        document.getElementById('delete-conversation-btn').disabled = currentConversationRole !== 'owner';
     } catch (error) {
         console.error('Error:', error);
         showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.LOAD_CONVERSATION);
     }
 }
 
+/**
+ * Sustituye los mensajes mostrados por la rama activa de la conversación
+ * @param {Array} messages - Mensajes de la rama activa
+ * @param {Object} branches - Ramas alternativas por ID de mensaje
+ */
+function showActiveBranch(messages, branches) {
+    // Limpiar caché de virtualización
+    allMessages = messages || [];
+    currentBranches = branches || {};
+    virtualizedMessageIds.clear();
+    
+    // Asignar IDs a los mensajes si no los tienen
+    allMessages.forEach((message, index) => {
+        if (!message.id) {
+            message.id = `msg-${Date.now()}-${index}`;
+        }
+    });
+    
+    // Mostrar mensajes
+    if (allMessages.length > MESSAGE_VIRTUALIZATION_THRESHOLD) {
+        // Usar virtualización para muchos mensajes
+        displayVirtualizedMessages(allMessages);
+    } else {
+        // Mostrar todos los mensajes
+        displayMessages(allMessages);
+    }
+}
+
 /**
  * Muestra mensajes virtualizados (para conversaciones largas)
  * @param {Array} messages - Lista de mensajes a virtualizar
@@ -1018,17 +1324,66 @@ function displayChatMessage(message) {
     // Procesar contenido con markdown para mensajes del bot
     let processedContent = message.content;
     if (message.role === 'bot') {
-        processedContent = marked.parse(processedContent);
+        processedContent = renderCitationLinks(marked.parse(processedContent), message.citations);
     } else {
         processedContent = escapeHTML(processedContent).replace(/\n/g, '<br>');
     }
     
+    // En conversaciones compartidas, indicar quién escribió los mensajes de otros usuarios
+    const showAuthor = message.role === 'user' && message.author &&
+        (!currentUser || message.author.id !== currentUser.id);
+    const authorLabel = showAuthor
+        ? `<span class="message-author">${escapeHTML(message.author.name || 'Colaborador')}</span>`
+        : '';
+    
+    // Navegación entre versiones del mensaje (respuestas regeneradas o mensajes editados)
+    const canEdit = currentConversationRole !== 'viewer';
+    const branch = currentBranches[message.id];
+    const branchNav = branch ? `
+        <div class="branch-nav" role="group" aria-label="Versiones del mensaje">
+            <button class="message-button branch-prev-btn" title="Versión anterior" aria-label="Versión anterior" ${!canEdit || branch.index === 0 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left" aria-hidden="true"></i>
+            </button>
+            <span class="branch-position">${branch.index + 1}/${branch.count}</span>
+            <button class="message-button branch-next-btn" title="Versión siguiente" aria-label="Versión siguiente" ${!canEdit || branch.index === branch.count - 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-right" aria-hidden="true"></i>
+            </button>
+        </div>
+    ` : '';
+    
+    const editButton = canEdit && message.role === 'user' ? `
+        <button class="message-button edit-message-btn" title="Editar y reenviar" aria-label="Editar mensaje">
+            <i class="fas fa-pen" aria-hidden="true"></i>
+        </button>
+    ` : '';
+    
+    const regenerateButton = canEdit && message.role === 'bot' ? `
+        <button class="message-button regenerate-btn" title="Regenerar respuesta" aria-label="Regenerar respuesta">
+            <i class="fas fa-redo" aria-hidden="true"></i>
+        </button>
+    ` : '';
+    
+    const rating = currentRatings[message.id];
+    const ratingButtons = message.role === 'bot' && message.id ? `
+        <button class="message-button rate-up-btn ${rating && rating.rating === 'up' ? 'rated' : ''}" title="Buena respuesta" aria-label="Buena respuesta" aria-pressed="${Boolean(rating && rating.rating === 'up')}">
+            <i class="fas fa-thumbs-up" aria-hidden="true"></i>
+        </button>
+        <button class="message-button rate-down-btn ${rating && rating.rating === 'down' ? 'rated' : ''}" title="Mala respuesta" aria-label="Mala respuesta" aria-pressed="${Boolean(rating && rating.rating === 'down')}">
+            <i class="fas fa-thumbs-down" aria-hidden="true"></i>
+        </button>
+    ` : '';
+    
     messageDiv.innerHTML = `
         <div class="message-bubble">
             <div class="message-content">${processedContent}</div>
             <div class="message-meta">
+                ${authorLabel}
                 <span class="message-time">${formattedTime}</span>
+                ${branchNav}
                 <div class="message-buttons">
+                    ${editButton}
+                    ${regenerateButton}
+                    ${ratingButtons}
                     <button class="message-button copy-btn" title="Copiar al portapapeles" aria-label="Copiar texto">
                         <i class="fas fa-copy" aria-hidden="true"></i>
                     </button>
@@ -1037,6 +1392,51 @@ function displayChatMessage(message) {
         </div>
     `;
     
+    if (branch) {
+        messageDiv.querySelector('.branch-prev-btn').addEventListener('click', () => {
+            switchBranch(branch.siblings[branch.index - 1]);
+        });
+        messageDiv.querySelector('.branch-next-btn').addEventListener('click', () => {
+            switchBranch(branch.siblings[branch.index + 1]);
+        });
+    }
+    
+    if (editButton) {
+        messageDiv.querySelector('.edit-message-btn').addEventListener('click', () => {
+            editUserMessage(message, messageDiv);
+        });
+    }
+    
+    if (regenerateButton) {
+        messageDiv.querySelector('.regenerate-btn').addEventListener('click', regenerateResponse);
+    }
+    
+    if (ratingButtons) {
+        messageDiv.querySelector('.rate-up-btn').addEventListener('click', () => {
+            const current = currentRatings[message.id];
+            rateMessage(message.id, messageDiv, current && current.rating === 'up' ? null : { rating: 'up' });
+        });
+        messageDiv.querySelector('.rate-down-btn').addEventListener('click', () => {
+            const current = currentRatings[message.id];
+            if (current && current.rating === 'down') {
+                rateMessage(message.id, messageDiv, null);
+            } else {
+                showRatingForm(message.id, messageDiv);
+            }
+        });
+    }
+    
+    // Enlaces de citas a fragmentos de documentos o memoria
+    messageDiv.querySelectorAll('.citation-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const citation = (message.citations || []).find(c => c.id === link.dataset.citationId);
+            if (citation) {
+                openCitation(citation);
+            }
+        });
+    });
+    
     // Botón de copiar
     messageDiv.querySelector('.copy-btn').addEventListener('click', () => {
         navigator.clipboard.writeText(message.content).then(() => {
@@ -1056,6 +1456,149 @@ function displayChatMessage(message) {
     }
 }
 
+/**
+ * Muestra el formulario de valoración negativa (categoría y comentario opcionales)
+ * @param {string} messageId - ID de la respuesta
+ * @param {HTMLElement} messageDiv - Elemento del mensaje
+ */
+function showRatingForm(messageId, messageDiv) {
+    if (messageDiv.querySelector('.rating-form')) {
+        messageDiv.querySelector('.rating-form select').focus();
+        return;
+    }
+    
+    const categoryOptions = Object.entries(RATING_CATEGORY_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    
+    const form = document.createElement('form');
+    form.className = 'rating-form';
+    form.innerHTML = `
+        <select aria-label="Tipo de problema">
+            <option value="">Sin categoría</option>
+            ${categoryOptions}
+        </select>
+        <textarea rows="2" maxlength="2000" placeholder="¿Qué ha fallado? (opcional)" aria-label="Comentario sobre la respuesta"></textarea>
+        <div class="rating-form-actions">
+            <button type="button" class="secondary-btn rating-cancel-btn">Cancelar</button>
+            <button type="submit" class="primary-btn">Enviar</button>
+        </div>
+    `;
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await rateMessage(messageId, messageDiv, {
+            rating: 'down',
+            category: form.querySelector('select').value || undefined,
+            comment: form.querySelector('textarea').value.trim() || undefined
+        });
+    });
+    form.querySelector('.rating-cancel-btn').addEventListener('click', () => form.remove());
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            form.remove();
+        }
+    });
+    
+    messageDiv.querySelector('.message-bubble').appendChild(form);
+    form.querySelector('select').focus();
+}
+
+/**
+ * Guarda o retira la valoración de una respuesta
+ * @async
+ * @param {string} messageId - ID de la respuesta
+ * @param {HTMLElement} messageDiv - Elemento del mensaje
+ * @param {Object|null} rating - { rating, category, comment } o null para retirarla
+ */
+async function rateMessage(messageId, messageDiv, rating) {
+    if (!currentConversationId) return;
+    
+    try {
+        const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/messages/${messageId}/rating`, {
+            method: rating ? 'PUT' : 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: rating ? JSON.stringify(rating) : undefined
+        });
+        
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.RATE_MESSAGE);
+        }
+        
+        if (rating) {
+            currentRatings[messageId] = (await response.json()).rating;
+        } else {
+            delete currentRatings[messageId];
+        }
+        
+        // Reflejar el estado en los botones
+        const current = currentRatings[messageId];
+        ['up', 'down'].forEach(value => {
+            const button = messageDiv.querySelector(`.rate-${value}-btn`);
+            const active = Boolean(current && current.rating === value);
+            button.classList.toggle('rated', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        
+        const form = messageDiv.querySelector('.rating-form');
+        if (form) {
+            form.remove();
+        }
+        
+        if (rating) {
+            showToast(TOAST_TYPES.SUCCESS, 'Valoración registrada', SUCCESS_MESSAGES.FEEDBACK_SAVED);
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.RATE_MESSAGE);
+    }
+}
+
+/**
+ * Sustituye los marcadores de cita ([doc:N], [mem:N]) por enlaces numerados
+ * @param {string} html - Contenido del mensaje ya convertido a HTML
+ * @param {Array} citations - Citas estructuradas guardadas con el mensaje
+ * @returns {string} HTML con los enlaces de cita
+ */
+function renderCitationLinks(html, citations) {
+    if (!citations || citations.length === 0) {
+        return html;
+    }
+    
+    return html.replace(/\[((?:doc|mem):\d+)\]/g, (marker, citationId) => {
+        const index = citations.findIndex(c => c.id === citationId);
+        if (index === -1) {
+            return marker;
+        }
+        
+        const citation = citations[index];
+        const title = citation.type === 'document'
+            ? `${citation.docName}${citation.page ? `, página ${citation.page}` : ''}`
+            : 'Conversación anterior';
+        
+        return `<a href="#" class="citation-link citation-${citation.type}" data-citation-id="${citationId}" title="${escapeHTML(title).replace(/"/g, '&quot;')}">[${index + 1}]</a>`;
+    });
+}
+
+/**
+ * Abre la fuente de una cita
+ * @param {Object} citation - Cita a abrir
+ */
+function openCitation(citation) {
+    if (citation.type === 'document') {
+        showDocumentPreview(citation.docId, {
+            start: citation.start,
+            end: citation.end
+        });
+    } else {
+        showToast(TOAST_TYPES.INFO, 'Conversación anterior', citation.excerpt || 'Sin extracto disponible');
+    }
+}
+
 /**
  * Crea una nueva conversación
  * @async
@@ -1144,99 +1687,22 @@ async function sendMessage() {
             document.getElementById('conversation-title').textContent = messageData.title;
         }
         
-        // Crear ID único para el mensaje
-        const userMessageId = `msg-${Date.now()}-user`;
+        // Avisar si el servidor detectó datos personales
+        showPiiWarning(messageData.piiWarning);
         
-        // Añadir mensaje a la caché de mensajes
+        // Añadir mensaje a la caché de mensajes (con el ID y el contenido guardados por el servidor)
         const userMessage = {
-            id: userMessageId,
+            id: messageData.message?.id || `msg-${Date.now()}-user`,
             role: 'user',
-            content: messageText,
-            timestamp: new Date().toISOString()
+            content: messageData.message?.content ?? messageText,
+            timestamp: messageData.message?.timestamp || new Date().toISOString()
         };
         allMessages.push(userMessage);
         
         // Mostrar mensaje del usuario
         displayChatMessage(userMessage);
         
-        // Mostrar indicador de escritura
-        const messageContainer = document.getElementById('message-container');
-        const typingIndicator = document.createElement('div');
-        typingIndicator.className = 'message bot typing';
-        typingIndicator.setAttribute('role', 'status');
-        typingIndicator.setAttribute('aria-label', 'El asistente está escribiendo');
-        typingIndicator.innerHTML = `
-            <div class="message-bubble">
-                <div class="typing-indicator">
-                    <span></span>
-                    <span></span>
-                    <span></span>
-                </div>
-            </div>
-        `;
-        messageContainer.appendChild(typingIndicator);
-        
-        // Scroll al final
-        if (currentSettings.autoScroll) {
-            scrollToBottom();
-        }
-        
-        // Generar respuesta
-        const generateResponse = await fetchWithRetry('/api/generate', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': csrfToken
-            },
-            body: JSON.stringify({
-                conversation_id: currentConversationId,
-                config: {
-                    temperature: parseFloat(currentSettings.temperature),
-                    max_tokens: parseInt(currentSettings.max_tokens),
-                    system_prompt: currentSettings.system_prompt,
-                    memory_enabled: currentSettings.memoryEnabled,
-                    global_memory: currentSettings.globalMemoryEnabled,
-                    model: currentSettings.model
-                }
-            })
-        });
-        
-        // Eliminar indicador de escritura
-        if (typingIndicator) {
-            typingIndicator.remove();
-        }
-        
-        if (!generateResponse.ok) {
-            throw new Error(`Error al generar respuesta: ${generateResponse.status} ${generateResponse.statusText}`);
-        }
-        
-        const responseData = await generateResponse.json();
-        
-        // Crear ID único para la respuesta
-        const botMessageId = `msg-${Date.now()}-bot`;
-        
-        // Añadir respuesta a la caché de mensajes
-        const botMessage = {
-            id: botMessageId,
-            role: 'bot',
-            content: responseData.content,
-            timestamp: responseData.timestamp
-        };
-        allMessages.push(botMessage);
-        
-        // Mostrar respuesta
-        displayChatMessage(botMessage);
-        
-        // Actualizar título si cambió
-        if (responseData.title) {
-            document.getElementById('conversation-title').textContent = responseData.title;
-            
-            // Actualizar lista de conversaciones
-            await loadConversations();
-        }
-        
-        // Actualizar información de contexto
-        loadContextInfo(currentConversationId);
+        await generateBotResponse();
     } catch (error) {
         console.error('Error:', error);
         showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SEND_MESSAGE);
@@ -1252,15 +1718,364 @@ async function sendMessage() {
 }
 
 /**
- * Maneja el input del campo de mensaje (debounce aplicado)
- * @param {Event} e - Evento de input
+ * Genera y muestra la respuesta del asistente al último mensaje de la rama activa
+ * @async
+ * @param {Object} options - Opciones
+ * @param {boolean} options.regenerate - Sustituir la última respuesta por una nueva versión
  */
-function handleMessageInput(e) {
-    const messageText = e.target.value.trim();
-    const sendBtn = document.getElementById('send-btn');
+async function generateBotResponse(options = {}) {
+    // Mostrar indicador de escritura
+    const messageContainer = document.getElementById('message-container');
+    const typingIndicator = document.createElement('div');
+    typingIndicator.className = 'message bot typing';
+    typingIndicator.setAttribute('role', 'status');
+    typingIndicator.setAttribute('aria-label', 'El asistente está escribiendo');
+    typingIndicator.innerHTML = `
+        <div class="message-bubble">
+            <div class="typing-indicator">
+                <span></span>
+                <span></span>
+                <span></span>
+            </div>
+        </div>
+    `;
+    messageContainer.appendChild(typingIndicator);
     
-    if (messageText) {
-        sendBtn.disabled = false;
+    // Scroll al final
+    if (currentSettings.autoScroll) {
+        scrollToBottom();
+    }
+    
+    // Generar respuesta en streaming
+    const botMessageId = `msg-${Date.now()}-bot`;
+    let streamingDiv = null;
+    let renderPending = false;
+    let partialContent = '';
+    let streamFinished = false;
+    
+    const renderPartial = () => {
+        renderPending = false;
+        if (streamFinished) return;
+        
+        // Sustituir el indicador de escritura por el mensaje en construcción
+        if (!streamingDiv) {
+            typingIndicator.remove();
+            displayChatMessage({
+                id: botMessageId,
+                role: 'bot',
+                content: '',
+                timestamp: new Date().toISOString()
+            });
+            streamingDiv = document.getElementById(`message-${botMessageId}`);
+            streamingDiv.classList.add('streaming');
+        }
+        
+        streamingDiv.querySelector('.message-content').innerHTML = marked.parse(partialContent);
+        
+        if (currentSettings.autoScroll) {
+            scrollToBottom();
+        }
+    };
+    
+    let responseData;
+    try {
+        responseData = await streamGeneratedResponse({
+            conversation_id: currentConversationId,
+            regenerate: Boolean(options.regenerate),
+            config: {
+                temperature: parseFloat(currentSettings.temperature),
+                max_tokens: parseInt(currentSettings.max_tokens),
+                system_prompt: currentSettings.system_prompt,
+                memory_enabled: currentSettings.memoryEnabled,
+                global_memory: currentSettings.globalMemoryEnabled,
+                model: currentSettings.model
+            }
+        }, (token) => {
+            partialContent += token;
+            
+            // Agrupar renders por frame para no re-parsear markdown en cada token
+            if (!renderPending) {
+                renderPending = true;
+                requestAnimationFrame(renderPartial);
+            }
+        });
+    } finally {
+        // Eliminar indicador de escritura y mensaje parcial
+        streamFinished = true;
+        typingIndicator.remove();
+        if (streamingDiv) {
+            streamingDiv.remove();
+        }
+    }
+    
+    // Las ramas se actualizan antes de mostrar la respuesta para incluir su navegación
+    currentBranches = responseData.branches || currentBranches;
+    
+    // Añadir respuesta a la caché de mensajes
+    const botMessage = {
+        id: responseData.id || botMessageId,
+        parentId: responseData.parentId,
+        role: 'bot',
+        content: responseData.content,
+        timestamp: responseData.timestamp,
+        model: responseData.model,
+        citations: responseData.citations
+    };
+    allMessages.push(botMessage);
+    
+    // Mostrar respuesta definitiva (con resaltado de código)
+    displayChatMessage(botMessage);
+    
+    // Actualizar título si cambió
+    if (responseData.title) {
+        document.getElementById('conversation-title').textContent = responseData.title;
+        
+        // Actualizar lista de conversaciones
+        await loadConversations();
+    }
+    
+    // Actualizar información de contexto
+    loadContextInfo(currentConversationId);
+}
+
+/**
+ * Bloquea o desbloquea el campo de mensaje mientras se genera una respuesta
+ * @param {boolean} busy - Si hay una respuesta en curso
+ */
+function setComposerBusy(busy) {
+    const messageInput = document.getElementById('message-input');
+    const sendBtn = document.getElementById('send-btn');
+    messageInput.disabled = busy;
+    sendBtn.disabled = busy;
+    isPendingResponse = busy;
+    
+    if (!busy) {
+        messageInput.focus();
+    }
+}
+
+/**
+ * Genera una nueva versión de la última respuesta; la anterior queda como rama alternativa
+ * @async
+ */
+async function regenerateResponse() {
+    const lastMessage = allMessages[allMessages.length - 1];
+    if (isPendingResponse || !currentConversationId || !lastMessage || lastMessage.role !== 'bot') {
+        return;
+    }
+    
+    setComposerBusy(true);
+    try {
+        allMessages.pop();
+        document.getElementById(`message-${lastMessage.id}`)?.remove();
+        
+        await generateBotResponse({ regenerate: true });
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SEND_MESSAGE);
+        
+        // Volver a mostrar la respuesta anterior
+        await switchBranch(lastMessage.id);
+    } finally {
+        setComposerBusy(false);
+    }
+}
+
+/**
+ * Edita un mensaje del usuario en línea y lo reenvía como una rama nueva
+ * @param {Object} message - Mensaje a editar
+ * @param {HTMLElement} messageDiv - Elemento del mensaje
+ */
+function editUserMessage(message, messageDiv) {
+    if (isPendingResponse || messageDiv.querySelector('.message-edit-form')) {
+        return;
+    }
+    
+    const contentElement = messageDiv.querySelector('.message-content');
+    const originalHTML = contentElement.innerHTML;
+    
+    contentElement.innerHTML = `
+        <div class="message-edit-form">
+            <textarea class="message-edit-input" aria-label="Editar mensaje">${escapeHTML(message.content)}</textarea>
+            <div class="message-edit-actions">
+                <button class="secondary-btn message-edit-cancel">Cancelar</button>
+                <button class="primary-btn message-edit-save">Guardar y enviar</button>
+            </div>
+        </div>
+    `;
+    
+    const textarea = contentElement.querySelector('.message-edit-input');
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    
+    const cancel = () => {
+        contentElement.innerHTML = originalHTML;
+    };
+    
+    const save = async () => {
+        const newContent = textarea.value.trim();
+        if (!newContent || newContent === message.content) {
+            cancel();
+            return;
+        }
+        
+        setComposerBusy(true);
+        try {
+            const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/messages/${message.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken
+                },
+                body: JSON.stringify({ content: newContent })
+            });
+            
+            if (!response.ok) {
+                throw new Error(ERROR_MESSAGES.EDIT_MESSAGE);
+            }
+            
+            const data = await response.json();
+            showActiveBranch(data.messages, data.branches);
+            showPiiWarning(data.piiWarning);
+            
+            await generateBotResponse();
+        } catch (error) {
+            console.error('Error:', error);
+            showToast(TOAST_TYPES.ERROR, 'Error', error.message || ERROR_MESSAGES.EDIT_MESSAGE);
+        } finally {
+            setComposerBusy(false);
+        }
+    };
+    
+    contentElement.querySelector('.message-edit-cancel').addEventListener('click', cancel);
+    contentElement.querySelector('.message-edit-save').addEventListener('click', save);
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            cancel();
+        }
+    });
+}
+
+/**
+ * Cambia la rama activa de la conversación a la que contiene el mensaje indicado
+ * @async
+ * @param {string} messageId - ID del mensaje de la rama a mostrar
+ */
+async function switchBranch(messageId) {
+    if (!currentConversationId || !messageId) {
+        return;
+    }
+    
+    try {
+        const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/branch`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: JSON.stringify({ messageId })
+        });
+        
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.SWITCH_BRANCH);
+        }
+        
+        const data = await response.json();
+        showActiveBranch(data.messages, data.branches);
+        loadContextInfo(currentConversationId);
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SWITCH_BRANCH);
+    }
+}
+
+/**
+ * Solicita una respuesta en streaming y procesa los eventos SSE del servidor
+ * @async
+ * @param {Object} payload - Cuerpo de la petición a /api/generate
+ * @param {Function} onToken - Callback invocado con cada fragmento de texto
+ * @returns {Promise<Object>} Mensaje final persistido por el servidor
+ */
+async function streamGeneratedResponse(payload, onToken) {
+    const requestStream = () => fetch('/api/generate', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream',
+            'X-CSRF-Token': csrfToken
+        },
+        body: JSON.stringify({ ...payload, stream: true })
+    });
+    
+    let response = await requestStream();
+    
+    // Renovar el token CSRF si ha caducado y reintentar una vez
+    if (await isCSRFRejection(response)) {
+        await fetchCSRFToken();
+        response = await requestStream();
+    }
+    
+    if (!response.ok || !response.body) {
+        throw new Error(`Error al generar respuesta: ${response.status} ${response.statusText}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Los eventos SSE se separan por una línea en blanco
+        let separatorIndex;
+        while ((separatorIndex = buffer.indexOf('\n\n')) >= 0) {
+            const rawEvent = buffer.slice(0, separatorIndex);
+            buffer = buffer.slice(separatorIndex + 2);
+            
+            let eventName = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            });
+            
+            if (!data) continue;
+            const parsed = JSON.parse(data);
+            
+            if (eventName === 'token') {
+                onToken(parsed.content);
+            } else if (eventName === 'done') {
+                reader.cancel();
+                return parsed;
+            } else if (eventName === 'error') {
+                throw new Error(parsed.error || ERROR_MESSAGES.SEND_MESSAGE);
+            }
+        }
+    }
+    
+    throw new Error('La respuesta se interrumpió antes de completarse');
+}
+
+/**
+ * Maneja el input del campo de mensaje (debounce aplicado)
+ * @param {Event} e - Evento de input
+ */
+function handleMessageInput(e) {
+    const messageText = e.target.value.trim();
+    const sendBtn = document.getElementById('send-btn');
+    
+    if (messageText) {
+        sendBtn.disabled = false;
     } else {
         sendBtn.disabled = true;
     }
@@ -1446,19 +2261,135 @@ async function deleteConversation() {
 
 /**
  * Exporta la conversación actual
- * @param {string} format - Formato de exportación (default: 'json')
+ * @param {string} format - Formato de exportación (json, markdown, html, print, jsonl)
+ * @param {Array<string>} include - Anexos a incluir (documents, citations, memory)
  */
-function exportConversation(format = 'json') {
+function exportConversation(format = 'json', include = []) {
     if (!currentConversationId) return;
     
-    // Si se está exportando a otro formato que no sea JSON
-    if (format !== 'json') {
-        window.open(`/api/conversations/${currentConversationId}/export?format=${format}`, '_blank');
-        return;
+    const params = new URLSearchParams({ format });
+    if (include.length > 0) {
+        params.set('include', include.join(','));
     }
     
-    // Exportación por defecto (JSON)
-    window.open(`/api/conversations/${currentConversationId}/export`, '_blank');
+    window.open(`/api/conversations/${currentConversationId}/export?${params}`, '_blank');
+}
+
+/**
+ * Muestra el modal de exportación con las opciones de formato y anexos
+ */
+function showExportModal() {
+    if (!currentConversationId) return;
+    
+    const existing = document.getElementById('export-modal');
+    if (existing) existing.remove();
+    
+    const exportModal = document.createElement('div');
+    exportModal.className = 'modal share-modal';
+    exportModal.id = 'export-modal';
+    exportModal.setAttribute('role', 'dialog');
+    exportModal.setAttribute('aria-labelledby', 'export-title');
+    
+    exportModal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="export-title">Exportar conversación</h3>
+                <button class="close-modal-btn" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="modal-body">
+                <label class="expiry-label">
+                    Formato:
+                    <select id="export-format-select">
+                        <option value="markdown">Markdown (.md)</option>
+                        <option value="html">Página HTML</option>
+                        <option value="print">Vista de impresión / PDF</option>
+                        <option value="jsonl">JSONL para fine-tuning</option>
+                        <option value="json">JSON completo</option>
+                    </select>
+                </label>
+                <div class="export-options">
+                    <label><input type="checkbox" name="export-include" value="citations" checked> Citas y fuentes</label>
+                    <label><input type="checkbox" name="export-include" value="documents"> Resúmenes de documentos</label>
+                    <label><input type="checkbox" name="export-include" value="memory"> Instantánea de la memoria</label>
+                </div>
+                <div class="modal-footer">
+                    <button id="confirm-export-btn" class="primary-btn">
+                        <i class="fas fa-file-export"></i> Exportar
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(exportModal);
+    setTimeout(() => exportModal.classList.add('active'), 10);
+    
+    const closeExportModal = () => {
+        exportModal.classList.remove('active');
+        setTimeout(() => exportModal.remove(), 300);
+    };
+    
+    document.getElementById('confirm-export-btn').addEventListener('click', () => {
+        const format = document.getElementById('export-format-select').value;
+        const include = Array.from(exportModal.querySelectorAll('input[name="export-include"]:checked'))
+            .map(input => input.value);
+        
+        exportConversation(format, include);
+        closeExportModal();
+    });
+    
+    exportModal.querySelector('.close-modal-btn').addEventListener('click', closeExportModal);
+}
+
+/**
+ * Importa una conversación desde un archivo (exportación propia, backup,
+ * ChatGPT, Claude o JSONL de mensajes)
+ * @async
+ * @param {Event} e - Evento change del input de archivo
+ */
+async function handleConversationImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const importToast = showToast(TOAST_TYPES.INFO, 'Importando', 'Reconstruyendo el contexto de la conversación...', 0);
+    
+    try {
+        const formData = new FormData();
+        formData.append('file', file);
+        
+        const response = await fetchWithRetry('/api/conversations/import', {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Error al importar conversación');
+        }
+        
+        await loadConversations();
+        
+        if (data.imported.length > 0) {
+            loadConversation(data.imported[0].id);
+        }
+        
+        showToast(TOAST_TYPES.SUCCESS, 'Conversación importada',
+            data.imported.length === 1
+                ? `"${data.imported[0].title}" importada correctamente`
+                : `${data.imported.length} conversaciones importadas`);
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+    } finally {
+        if (importToast && importToast.parentNode) {
+            importToast.remove();
+        }
+        e.target.value = ''; // Resetear input file
+    }
 }
 
 /**
@@ -1482,7 +2413,7 @@ async function shareConversation() {
         }
         
         const data = await response.json();
-        const shareUrl = `${window.location.origin}/shared/${data.shareId}`;
+        const shareUrl = `${window.location.origin}${data.url || `/s/${data.shareId}`}`;
         
         // Mostrar modal con enlace compartido
         const shareModal = document.createElement('div');
@@ -1515,6 +2446,9 @@ async function shareConversation() {
                                 <option value="0">Nunca</option>
                             </select>
                         </label>
+                        <button id="revoke-share-btn" class="secondary-btn" aria-label="Dejar de compartir">
+                            <i class="fas fa-link-slash"></i> Dejar de compartir
+                        </button>
                     </div>
                 </div>
             </div>
@@ -1563,16 +2497,219 @@ async function shareConversation() {
             }
         });
         
-        shareModal.querySelector('.close-modal-btn').addEventListener('click', () => {
+        const closeShareModal = () => {
             shareModal.classList.remove('active');
             setTimeout(() => shareModal.remove(), 300);
+        };
+        
+        document.getElementById('revoke-share-btn').addEventListener('click', async () => {
+            try {
+                const revokeResponse = await fetchWithRetry(`/api/conversations/${currentConversationId}/share`, {
+                    method: 'DELETE',
+                    headers: {
+                        'X-CSRF-Token': csrfToken
+                    }
+                });
+                
+                if (!revokeResponse.ok) {
+                    throw new Error('Error al revocar enlace');
+                }
+                
+                closeShareModal();
+                showToast(TOAST_TYPES.SUCCESS, 'Enlace revocado', 'La conversación ya no es accesible desde el enlace');
+            } catch (error) {
+                console.error('Error:', error);
+                showToast(TOAST_TYPES.ERROR, 'Error', 'No se pudo revocar el enlace');
+            }
         });
+        
+        shareModal.querySelector('.close-modal-btn').addEventListener('click', closeShareModal);
     } catch (error) {
         console.error('Error:', error);
         showToast(TOAST_TYPES.ERROR, 'Error', 'No se pudo compartir la conversación');
     }
 }
 
+/**
+ * Muestra el modal de colaboradores de la conversación actual
+ *
+ * Todos los miembros ven la lista; solo el propietario puede invitar, cambiar
+ * roles y quitar colaboradores. Un colaborador puede abandonar la conversación.
+ * @async
+ */
+async function showCollaboratorsModal() {
+    if (!currentConversationId) return;
+    
+    const conversationId = currentConversationId;
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal share-modal';
+    modal.id = 'collaborators-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'collaborators-title');
+    
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="collaborators-title">Colaboradores</h3>
+                <button class="close-modal-btn" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="modal-body">
+                <ul class="collaborator-list" aria-live="polite"></ul>
+                <form class="collaborator-invite" hidden>
+                    <input type="text" id="collaborator-username" placeholder="Nombre de usuario" 
+                           aria-label="Nombre de usuario" autocomplete="off" required />
+                    <select id="collaborator-role" aria-label="Rol">
+                        <option value="viewer">Lector</option>
+                        <option value="editor">Editor</option>
+                    </select>
+                    <button type="submit" class="primary-btn">
+                        <i class="fas fa-user-plus" aria-hidden="true"></i> Invitar
+                    </button>
+                </form>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    setTimeout(() => modal.classList.add('active'), 10);
+    
+    const closeModal = () => {
+        modal.classList.remove('active');
+        setTimeout(() => modal.remove(), 300);
+    };
+    modal.querySelector('.close-modal-btn').addEventListener('click', closeModal);
+    
+    const list = modal.querySelector('.collaborator-list');
+    const inviteForm = modal.querySelector('.collaborator-invite');
+    const roleNames = { owner: 'Propietario', editor: 'Editor', viewer: 'Lector' };
+    
+    const request = async (path, options = {}) => {
+        const response = await fetchWithRetry(`/api/conversations/${conversationId}/collaborators${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || 'Error al gestionar colaboradores');
+        }
+        return data;
+    };
+    
+    const render = (data, role) => {
+        const isOwner = role === 'owner';
+        inviteForm.hidden = !isOwner;
+        
+        const entries = [
+            { ...data.owner, role: 'owner' },
+            ...data.collaborators
+        ];
+        
+        list.innerHTML = entries.map(entry => {
+            const isSelf = currentUser && entry.userId === currentUser.id;
+            const name = `${escapeHTML(entry.displayName || entry.username || '')}${isSelf ? ' (tú)' : ''}`;
+            
+            let roleControl = `<span class="collaborator-role">${roleNames[entry.role]}</span>`;
+            if (isOwner && entry.role !== 'owner') {
+                roleControl = `
+                    <select class="collaborator-role-select" data-user-id="${escapeHTML(entry.userId)}" aria-label="Rol de ${name}">
+                        <option value="viewer" ${entry.role === 'viewer' ? 'selected' : ''}>Lector</option>
+                        <option value="editor" ${entry.role === 'editor' ? 'selected' : ''}>Editor</option>
+                    </select>
+                `;
+            }
+            
+            const canRemove = entry.role !== 'owner' && (isOwner || isSelf);
+            const removeButton = canRemove ? `
+                <button class="message-button collaborator-remove-btn" data-user-id="${escapeHTML(entry.userId)}"
+                        title="${isSelf ? 'Abandonar conversación' : 'Quitar colaborador'}" aria-label="${isSelf ? 'Abandonar conversación' : 'Quitar colaborador'}">
+                    <i class="fas ${isSelf ? 'fa-right-from-bracket' : 'fa-user-minus'}" aria-hidden="true"></i>
+                </button>
+            ` : '';
+            
+            return `
+                <li class="collaborator-item">
+                    <span class="collaborator-name">${name}</span>
+                    ${roleControl}
+                    ${removeButton}
+                </li>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.collaborator-role-select').forEach(select => {
+            select.addEventListener('change', async () => {
+                try {
+                    render(await request(`/${encodeURIComponent(select.dataset.userId)}`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ role: select.value })
+                    }), role);
+                    showToast(TOAST_TYPES.SUCCESS, 'Rol actualizado', 'Se ha cambiado el rol del colaborador');
+                } catch (error) {
+                    console.error('Error:', error);
+                    showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+                }
+            });
+        });
+        
+        list.querySelectorAll('.collaborator-remove-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                const userId = button.dataset.userId;
+                const leaving = currentUser && userId === currentUser.id;
+                
+                try {
+                    await request(`/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+                    
+                    if (leaving) {
+                        closeModal();
+                        currentConversationId = null;
+                        showToast(TOAST_TYPES.SUCCESS, 'Conversación abandonada', 'Ya no tienes acceso a esta conversación');
+                        await loadConversations();
+                        return;
+                    }
+                    
+                    render(await request(''), role);
+                    showToast(TOAST_TYPES.SUCCESS, 'Colaborador eliminado', 'El usuario ya no tiene acceso a la conversación');
+                } catch (error) {
+                    console.error('Error:', error);
+                    showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+                }
+            });
+        });
+    };
+    
+    inviteForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const usernameInput = document.getElementById('collaborator-username');
+        
+        try {
+            const data = await request('', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: usernameInput.value.trim(),
+                    role: document.getElementById('collaborator-role').value
+                })
+            });
+            render(data, 'owner');
+            usernameInput.value = '';
+            showToast(TOAST_TYPES.SUCCESS, 'Colaborador añadido', 'El usuario ya puede acceder a la conversación');
+        } catch (error) {
+            console.error('Error:', error);
+            showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+        }
+    });
+    
+    try {
+        const data = await request('');
+        render(data, data.role);
+    } catch (error) {
+        console.error('Error:', error);
+        list.innerHTML = `<li class="collaborator-item">${escapeHTML(error.message)}</li>`;
+    }
+}
+
 // ===== GESTIÓN DE DOCUMENTOS =====
 
 /**
@@ -1624,15 +2761,9 @@ async function handleDocumentUpload(e) {
             throw new Error(ERROR_MESSAGES.UPLOAD_DOCUMENT);
         }
         
+        // El servidor procesa el documento en segundo plano: seguir el progreso del trabajo
         const data = await response.json();
-        
-        // Actualizar lista de documentos
-        loadConversationDocuments(currentConversationId);
-        
-        // Actualizar mensajes para mostrar notificación de documento subido
-        loadConversation(currentConversationId);
-        
-        showToast(TOAST_TYPES.SUCCESS, 'Documento subido', `${file.name} ${SUCCESS_MESSAGES.DOCUMENT_UPLOADED}`);
+        trackDocumentJob(data.job);
     } catch (error) {
         console.error('Error:', error);
         showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.UPLOAD_DOCUMENT);
@@ -1653,7 +2784,14 @@ function validateFileType(file) {
     const fileExtension = fileName.substring(fileName.lastIndexOf('.') + 1);
     
     // Lista de extensiones permitidas
-    const allowedExtensions = ['pdf', 'docx', 'doc', 'txt', 'md', 'csv', 'json', 'xls', 'xlsx'];
+    const allowedExtensions = [
+        'pdf', 'docx', 'doc', 'txt', 'md', 'csv', 'json', 'xls', 'xlsx', 'png', 'jpg', 'jpeg', 'tif', 'tiff',
+        'html', 'htm', 'xhtml', 'epub', 'pptx', 'odt', 'ods', 'rtf',
+        // Código fuente
+        'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'java', 'kt', 'kts', 'scala', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp',
+        'cs', 'go', 'rs', 'rb', 'php', 'swift', 'sh', 'bash', 'ps1', 'sql', 'r', 'lua', 'pl', 'css', 'scss',
+        'xml', 'yaml', 'yml', 'toml'
+    ];
     
     // Validar por MIME type
     if (ALLOWED_FILE_TYPES.includes(file.type)) {
@@ -1679,6 +2817,13 @@ async function loadConversationDocuments(conversationId) {
         
         const documents = await response.json();
         displayDocuments(documents);
+        
+        // Retomar el seguimiento de los documentos que aún se están procesando
+        const jobsResponse = await fetchWithRetry(`/api/conversations/${conversationId}/jobs?active=true`);
+        if (jobsResponse.ok) {
+            (await jobsResponse.json()).forEach(job => trackDocumentJob(job));
+        }
+        renderDocumentJobs();
     } catch (error) {
         console.error('Error:', error);
         const documentList = document.getElementById('document-list');
@@ -1686,6 +2831,173 @@ async function loadConversationDocuments(conversationId) {
     }
 }
 
+/**
+ * Empieza a seguir un trabajo de procesamiento de documento
+ * @param {Object} job - Trabajo devuelto por el servidor
+ */
+function trackDocumentJob(job) {
+    const alreadyTracked = documentJobs.has(job.id);
+    documentJobs.set(job.id, job);
+    renderDocumentJobs();
+    
+    if (!alreadyTracked) {
+        setTimeout(() => pollDocumentJob(job.id), JOB_POLL_INTERVAL);
+    }
+}
+
+/**
+ * Consulta el estado de un trabajo hasta que termina
+ * @async
+ * @param {string} jobId - ID del trabajo
+ */
+async function pollDocumentJob(jobId) {
+    if (!documentJobs.has(jobId)) return;
+    
+    try {
+        const response = await fetchWithRetry(`/api/jobs/${jobId}`);
+        if (!response.ok) {
+            throw new Error(`Error al consultar el trabajo: ${response.status}`);
+        }
+        
+        const job = await response.json();
+        documentJobs.set(jobId, job);
+        const fileName = job.payload?.fileName || 'El documento';
+        
+        if (job.status === 'completed') {
+            documentJobs.delete(jobId);
+            showToast(TOAST_TYPES.SUCCESS, 'Documento procesado', `${fileName} ${SUCCESS_MESSAGES.DOCUMENT_UPLOADED}`);
+            showPiiWarning(job.result?.piiWarning, fileName);
+            
+            // Mostrar el documento y el mensaje de sistema de la subida
+            if (job.conversationId === currentConversationId) {
+                loadConversationDocuments(currentConversationId);
+                refreshConversationMessages();
+            }
+            return;
+        }
+        
+        if (job.status === 'cancelled') {
+            documentJobs.delete(jobId);
+            renderDocumentJobs();
+            return;
+        }
+        
+        renderDocumentJobs();
+        
+        if (job.status === 'failed') {
+            showToast(TOAST_TYPES.ERROR, 'Error', `${fileName}: ${job.error || ERROR_MESSAGES.UPLOAD_DOCUMENT}`);
+            return;
+        }
+    } catch (error) {
+        console.error('Error:', error);
+    }
+    
+    setTimeout(() => pollDocumentJob(jobId), JOB_POLL_INTERVAL);
+}
+
+/**
+ * Vuelve a cargar los mensajes de la conversación actual
+ * @async
+ */
+async function refreshConversationMessages() {
+    try {
+        const response = await fetchWithRetry(`/api/conversations/${currentConversationId}`);
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.LOAD_CONVERSATION);
+        }
+        
+        const conversation = await response.json();
+        showActiveBranch(conversation.messages, conversation.branches);
+    } catch (error) {
+        console.error('Error:', error);
+    }
+}
+
+/**
+ * Muestra en la lista de documentos los que se están procesando, con su progreso
+ */
+function renderDocumentJobs() {
+    const documentList = document.getElementById('document-list');
+    documentList.querySelectorAll('.document-job').forEach(item => item.remove());
+    
+    const jobs = [...documentJobs.values()].filter(job => job.conversationId === currentConversationId);
+    if (jobs.length === 0) return;
+    
+    documentList.querySelector('.empty-message')?.remove();
+    const canEdit = currentConversationRole !== 'viewer';
+    
+    jobs.forEach(job => {
+        const li = document.createElement('li');
+        li.className = `document-item document-job ${job.status}`;
+        li.setAttribute('role', 'listitem');
+        
+        const stage = JOB_STAGE_LABELS[job.stage] || JOB_STAGE_LABELS[job.status] || job.stage;
+        const actionButton = !canEdit ? '' : job.status === 'failed'
+            ? `<button class="document-actions-btn job-retry-btn" title="Reintentar" aria-label="Reintentar procesamiento"><i class="fas fa-redo" aria-hidden="true"></i></button>`
+            : `<button class="document-actions-btn job-cancel-btn" title="Cancelar" aria-label="Cancelar procesamiento"><i class="fas fa-times" aria-hidden="true"></i></button>`;
+        
+        li.innerHTML = `
+            <div class="document-icon">
+                <i class="fas ${job.status === 'failed' ? 'fa-exclamation-triangle' : 'fa-spinner fa-spin'}" aria-hidden="true"></i>
+            </div>
+            <div class="document-item-info">
+                <div class="document-name">${escapeHTML(job.payload?.fileName || 'Documento')}</div>
+                <div class="document-date">${escapeHTML(stage)}${job.status === 'failed' && job.error ? `: ${escapeHTML(job.error)}` : ''}</div>
+                <div class="job-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${job.progress || 0}">
+                    <div class="job-progress-bar" style="width: ${job.progress || 0}%"></div>
+                </div>
+            </div>
+            ${actionButton}
+        `;
+        
+        li.querySelector('.job-cancel-btn')?.addEventListener('click', () => updateDocumentJob(job.id, 'cancel'));
+        li.querySelector('.job-retry-btn')?.addEventListener('click', () => updateDocumentJob(job.id, 'retry'));
+        
+        documentList.prepend(li);
+    });
+}
+
+/**
+ * Cancela o reintenta un trabajo de procesamiento de documento
+ * @async
+ * @param {string} jobId - ID del trabajo
+ * @param {string} action - 'cancel' o 'retry'
+ */
+async function updateDocumentJob(jobId, action) {
+    try {
+        const response = await fetchWithRetry(`/api/jobs/${jobId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'No se pudo actualizar el trabajo');
+        }
+        
+        const job = await response.json();
+        
+        if (job.status === 'cancelled') {
+            documentJobs.delete(jobId);
+            renderDocumentJobs();
+            showToast(TOAST_TYPES.INFO, 'Procesamiento cancelado', job.payload?.fileName || '');
+        } else if (action === 'retry') {
+            // La consulta del trabajo se detuvo al fallar: empezar de nuevo
+            documentJobs.delete(jobId);
+            trackDocumentJob(job);
+        } else {
+            // Cancelación pendiente: la consulta en curso detectará el final del trabajo
+            documentJobs.set(jobId, job);
+            renderDocumentJobs();
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+    }
+}
+
 /**
  * Muestra la lista de documentos en la interfaz
  * @param {Array} documents - Lista de documentos a mostrar
@@ -1694,6 +3006,9 @@ function displayDocuments(documents) {
     const documentList = document.getElementById('document-list');
     documentList.innerHTML = '';
     
+    // Mostrar solo la versión vigente de cada documento (las anteriores se ven en la vista previa)
+    documents = (documents || []).filter(doc => !doc.supersededBy);
+    
     if (!documents || documents.length === 0) {
         documentList.innerHTML = '<li class="empty-message" role="status">No hay documentos subidos aún.</li>';
         return;
@@ -1720,6 +3035,12 @@ function displayDocuments(documents) {
         else if (doc.format === 'csv') icon = 'fa-file-csv';
         else if (doc.format === 'excel') icon = 'fa-file-excel';
         else if (doc.format === 'json') icon = 'fa-file-code';
+        else if (doc.format === 'image') icon = 'fa-file-image';
+        else if (doc.format === 'html' || doc.format === 'code') icon = 'fa-file-code';
+        else if (doc.format === 'epub') icon = 'fa-book';
+        else if (doc.format === 'pptx') icon = 'fa-file-powerpoint';
+        else if (doc.format === 'odt' || doc.format === 'rtf') icon = 'fa-file-word';
+        else if (doc.format === 'ods') icon = 'fa-file-excel';
         
         const date = new Date(doc.uploadDate);
         const formattedDate = formatDate(date);
@@ -1729,7 +3050,10 @@ function displayDocuments(documents) {
                 <i class="fas ${icon}" aria-hidden="true"></i>
             </div>
             <div class="document-item-info">
-                <div class="document-name">${escapeHTML(doc.originalName)}</div>
+                <div class="document-name">
+                    ${escapeHTML(doc.originalName)}
+                    ${doc.version > 1 ? `<span class="document-version-badge" title="Versión ${doc.version}">v${doc.version}</span>` : ''}
+                </div>
                 <div class="document-date">${formattedDate}</div>
             </div>
             <button class="document-actions-btn" aria-label="Opciones de documento">
@@ -1840,8 +3164,9 @@ function displayDocuments(documents) {
  * Muestra la vista previa de un documento
  * @async
  * @param {string} docId - ID del documento
+ * @param {Object} [highlight] - Pasaje a resaltar ({ start, end } sobre el texto extraído)
  */
-async function showDocumentPreview(docId) {
+async function showDocumentPreview(docId, highlight = null) {
     if (!currentConversationId) return;
     
     try {
@@ -1875,6 +3200,10 @@ async function showDocumentPreview(docId) {
             <div><strong>Formato:</strong> ${documentData.format.toUpperCase()}</div>
             <div><strong>Tamaño:</strong> ${formatFileSize(documentData.size)}</div>
             <div><strong>Fecha de subida:</strong> ${formatDate(uploadDate, true)}</div>
+            ${documentData.ocr ? `<div><strong>OCR:</strong> ${documentData.ocr.pages.length} página(s), confianza ${documentData.ocr.confidence}%</div>` : ''}
+            ${documentData.title ? `<div><strong>Título:</strong> ${escapeHTML(documentData.title)}</div>` : ''}
+            ${documentData.code ? `<div><strong>Lenguaje:</strong> ${escapeHTML(documentData.code.language)}, ${documentData.code.lineCount} líneas</div>` : ''}
+            ${documentData.version > 1 || documentData.supersededBy ? `<div><strong>Versión:</strong> ${documentData.version || 1}${documentData.supersededBy ? ' (sustituida por una versión más reciente)' : ''}</div>` : ''}
         `;
         
         // Mostrar contenido
@@ -1887,10 +3216,38 @@ async function showDocumentPreview(docId) {
         }
         
         // Formatear según tipo de documento
-        if (documentData.format === 'markdown') {
+        const hasHighlight = highlight &&
+            Number.isInteger(highlight.start) &&
+            Number.isInteger(highlight.end) &&
+            highlight.end <= displayText.length;
+        
+        if (hasHighlight) {
+            // Mostrar texto plano con el pasaje citado resaltado
+            contentDiv.innerHTML = `${
+                escapeHTML(displayText.substring(0, highlight.start))
+            }<mark class="citation-highlight">${
+                escapeHTML(displayText.substring(highlight.start, highlight.end))
+            }</mark>${
+                escapeHTML(displayText.substring(highlight.end))
+            }`;
+            
+            contentDiv.querySelector('.citation-highlight').scrollIntoView({ block: 'center' });
+        } else if (documentData.format === 'markdown') {
             contentDiv.innerHTML = marked.parse(displayText);
-        } else if (['csv', 'excel', 'json'].includes(documentData.format) && documentData.preview) {
+        } else if (['csv', 'excel', 'ods', 'json'].includes(documentData.format) && documentData.preview) {
             contentDiv.innerHTML = documentData.preview;
+        } else if (documentData.format === 'code' && documentData.code) {
+            // Código fuente con resaltado de sintaxis
+            const codeBlock = document.createElement('code');
+            codeBlock.textContent = displayText;
+            if (hljs.getLanguage(documentData.code.language)) {
+                codeBlock.className = `language-${documentData.code.language}`;
+            }
+            const pre = document.createElement('pre');
+            pre.appendChild(codeBlock);
+            contentDiv.innerHTML = '';
+            contentDiv.appendChild(pre);
+            hljs.highlightElement(codeBlock);
         } else {
             contentDiv.innerText = displayText;
         }
@@ -1934,6 +3291,9 @@ async function showDocumentPreview(docId) {
             entitiesDiv.innerHTML = '<p class="empty-message">No se detectaron entidades</p>';
         }
         
+        // Mostrar historial de versiones y cambios respecto a la anterior
+        await showDocumentVersions(docId, documentData);
+        
         // Configurar botones
         const deleteBtn = document.getElementById('document-delete-btn');
         deleteBtn.onclick = () => {
@@ -1942,15 +3302,94 @@ async function showDocumentPreview(docId) {
             confirmDeleteDocument(docId, documentData.originalName);
         };
         
-        const searchBtn = document.getElementById('document-search-btn');
-        searchBtn.onclick = () => {
-            // Cerrar modal actual y abrir modal de búsqueda
-            toggleModal('document-preview-modal', false);
-            showDocumentSearch(docId);
-        };
+        const searchBtn = document.getElementById('document-search-btn');
+        searchBtn.onclick = () => {
+            // Cerrar modal actual y abrir modal de búsqueda
+            toggleModal('document-preview-modal', false);
+            showDocumentSearch(docId);
+        };
+    } catch (error) {
+        console.error('Error:', error);
+        document.getElementById('document-content').innerHTML = 'Error al cargar el documento';
+    }
+}
+
+/**
+ * Muestra las versiones de un documento y sus cambios respecto a la versión anterior
+ * @async
+ * @param {string} docId - ID del documento mostrado
+ * @param {Object} documentData - Metadatos del documento
+ */
+async function showDocumentVersions(docId, documentData) {
+    const versionsSection = document.getElementById('document-versions-section');
+    const versionsList = document.getElementById('document-versions');
+    const changesDiv = document.getElementById('document-changes');
+    
+    versionsList.innerHTML = '';
+    changesDiv.innerHTML = '';
+    
+    // Documento sin otras versiones
+    if (!documentData.previousVersionId && !documentData.supersededBy) {
+        versionsSection.hidden = true;
+        return;
+    }
+    
+    versionsSection.hidden = false;
+    
+    try {
+        const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/documents/${docId}/versions`);
+        if (!response.ok) {
+            throw new Error('Error al cargar versiones');
+        }
+        
+        const versions = await response.json();
+        versions.slice().reverse().forEach(version => {
+            const item = document.createElement('li');
+            item.className = `document-version-item${version.id === docId ? ' current' : ''}`;
+            
+            const changes = version.changes
+                ? ` · +${version.changes.added} / -${version.changes.removed} líneas`
+                : '';
+            item.innerHTML = `
+                <button class="document-version-link" ${version.id === docId ? 'aria-current="true"' : ''}>
+                    v${version.version} · ${escapeHTML(version.originalName)}
+                </button>
+                <span class="document-date">${formatDate(new Date(version.uploadDate))}${changes}</span>
+            `;
+            item.querySelector('button').addEventListener('click', () => {
+                if (version.id !== docId) {
+                    showDocumentPreview(version.id);
+                }
+            });
+            versionsList.appendChild(item);
+        });
+        
+        if (!documentData.previousVersionId) {
+            return;
+        }
+        
+        const diffResponse = await fetchWithRetry(`/api/conversations/${currentConversationId}/documents/${docId}/diff`);
+        if (!diffResponse.ok) {
+            throw new Error('Error al cargar cambios');
+        }
+        
+        const diff = await diffResponse.json();
+        const changedHunks = diff.hunks.filter(hunk => hunk.type !== 'equal');
+        
+        if (changedHunks.length === 0) {
+            changesDiv.innerHTML = `<p class="empty-message">Sin cambios en el texto respecto a la versión ${diff.from.version}</p>`;
+            return;
+        }
+        
+        changesDiv.innerHTML = `
+            <p>Cambios respecto a la versión ${diff.from.version}: ${diff.stats.added} líneas añadidas, ${diff.stats.removed} eliminadas</p>
+            <pre class="document-diff">${changedHunks.map(hunk => hunk.lines
+                .map(line => `<span class="diff-${hunk.type}">${hunk.type === 'added' ? '+' : '-'} ${escapeHTML(line)}</span>`)
+                .join('\n')).join('\n')}</pre>
+        `;
     } catch (error) {
         console.error('Error:', error);
-        document.getElementById('document-content').innerHTML = 'Error al cargar el documento';
+        changesDiv.innerHTML = '<p class="empty-message">No se pudieron cargar las versiones</p>';
     }
 }
 
@@ -2171,6 +3610,12 @@ function displaySearchResults(results, searchTerm) {
         else if (result.format === 'csv') icon = 'fa-file-csv';
         else if (result.format === 'excel') icon = 'fa-file-excel';
         else if (result.format === 'json') icon = 'fa-file-code';
+        else if (result.format === 'image') icon = 'fa-file-image';
+        else if (result.format === 'html' || result.format === 'code') icon = 'fa-file-code';
+        else if (result.format === 'epub') icon = 'fa-book';
+        else if (result.format === 'pptx') icon = 'fa-file-powerpoint';
+        else if (result.format === 'odt' || result.format === 'rtf') icon = 'fa-file-word';
+        else if (result.format === 'ods') icon = 'fa-file-excel';
         
         // Formatear y resaltar fragmentos
         const snippets = result.contexts.map(context => {
@@ -2258,15 +3703,41 @@ function displayGlobalSearchResults(results, searchTerm) {
     const resultsContainer = document.getElementById('global-search-results');
     resultsContainer.innerHTML = '';
     
-    if (!results.conversations || results.conversations.length === 0) {
+    const hasEntities = results.entities && results.entities.length > 0;
+    
+    if ((!results.conversations || results.conversations.length === 0) && !hasEntities) {
         resultsContainer.innerHTML = '<div class="empty-message" role="status">No se encontraron resultados</div>';
         return;
     }
     
+    const highlightTerm = text => escapeHTML(text).replace(
+        new RegExp(escapeRegExp(escapeHTML(searchTerm)), 'gi'),
+        match => `<mark class="result-highlight">${match}</mark>`
+    );
+    
     // Mostrar resumen
     const totalResults = results.conversations.reduce((sum, conv) => sum + conv.matches.length, 0);
     resultsContainer.innerHTML = `<div class="search-summary" role="status">Se encontraron ${totalResults} resultados en ${results.conversations.length} conversaciones</div>`;
     
+    // Entidades de la memoria global que coinciden
+    if (hasEntities) {
+        const entitiesDiv = document.createElement('div');
+        entitiesDiv.className = 'search-entities';
+        entitiesDiv.innerHTML = `
+            <div class="search-entities-title">
+                <i class="fas fa-brain" aria-hidden="true"></i> Memoria global
+            </div>
+            ${results.entities.map(entity => `
+                <div class="search-entity">
+                    <span class="search-entity-name">${highlightTerm(entity.name)}</span>
+                    <span class="search-entity-type">${escapeHTML(entity.type)}</span>
+                    ${entity.description ? `<div class="search-entity-description">${highlightTerm(entity.description)}</div>` : ''}
+                </div>
+            `).join('')}
+        `;
+        resultsContainer.appendChild(entitiesDiv);
+    }
+    
     // Agrupar por conversación
     results.conversations.forEach(conversation => {
         const conversationDiv = document.createElement('div');
@@ -2302,20 +3773,37 @@ function displayGlobalSearchResults(results, searchTerm) {
             matchDiv.className = 'search-match';
             
             // Resaltar término de búsqueda
-            const highlightedText = escapeHTML(match.content).replace(
-                new RegExp(escapeRegExp(searchTerm), 'gi'),
-                match => `<mark class="result-highlight">${match}</mark>`
-            );
+            const highlightedText = highlightTerm(match.content);
             
             // Fecha del mensaje
             const messageDate = new Date(match.timestamp);
             const timeStr = messageDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
             
+            // Origen de la coincidencia
+            let sender;
+            if (match.type === 'document') {
+                sender = `<i class="fas fa-file-alt" aria-hidden="true"></i> ${escapeHTML(match.docName)}`;
+            } else if (match.type === 'title') {
+                sender = 'Título';
+            } else {
+                sender = match.role === 'user' ? 'Tú' : 'Asistente';
+            }
+            
             matchDiv.innerHTML = `
-                <div class="search-match-sender">${match.role === 'user' ? 'Tú' : 'Asistente'} - ${timeStr}</div>
+                <div class="search-match-sender">${sender} - ${timeStr}</div>
                 <div class="search-match-content">${highlightedText}</div>
             `;
             
+            // Las coincidencias en documentos abren su vista previa
+            if (match.type === 'document') {
+                matchDiv.classList.add('clickable');
+                matchDiv.addEventListener('click', async () => {
+                    toggleModal('global-search-modal', false);
+                    await loadConversation(conversation.id);
+                    showDocumentPreview(match.docId);
+                });
+            }
+            
             matchesContainer.appendChild(matchDiv);
         });
         
@@ -2338,6 +3826,11 @@ async function loadContextInfo(conversationId) {
         
         // Cargar memoria
         await loadMemoryData(conversationId);
+        
+        // Recargar el grafo si está visible y limitado a la conversación
+        if (document.getElementById('graph-conversation-only').checked) {
+            refreshKnowledgeGraph();
+        }
     } catch (error) {
         console.error('Error al cargar información de contexto:', error);
     }
@@ -2374,12 +3867,31 @@ function displayContextData(contextData) {
     
     if (contextData.entities && contextData.entities.length > 0) {
         entityList.innerHTML = '';
+        const canEdit = currentConversationRole !== 'viewer';
+        
         contextData.entities.forEach(entity => {
             const entityDiv = document.createElement('div');
             entityDiv.className = 'entity-item';
             entityDiv.setAttribute('role', 'listitem');
-            entityDiv.textContent = entity.name;
             entityDiv.title = entity.type + (entity.description ? ': ' + entity.description : '');
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'entity-name';
+            nameSpan.textContent = entity.name;
+            entityDiv.appendChild(nameSpan);
+            
+            if (canEdit) {
+                const actions = document.createElement('span');
+                actions.className = 'feedback-actions';
+                actions.append(
+                    createFeedbackButton('👍', `${entity.name} es útil`, () => sendEntityFeedback(entity, 'up')),
+                    createFeedbackButton('👎', `${entity.name} no es útil`, () => sendEntityFeedback(entity, 'down')),
+                    createFeedbackButton('✗', `${entity.name} no es una entidad`, () => sendEntityFeedback(entity, 'wrong')),
+                    createFeedbackButton('✎', `Corregir ${entity.name}`, () => editEntityCorrection(entity, entityDiv))
+                );
+                entityDiv.appendChild(actions);
+            }
+            
             entityList.appendChild(entityDiv);
         });
     } else {
@@ -2417,6 +3929,8 @@ async function loadMemoryData(conversationId) {
             const memoryData = await response.json();
             displayMemoryData(memoryData);
         }
+        
+        await loadGlobalMemoryData();
     } catch (error) {
         console.error('Error al cargar datos de memoria:', error);
         document.getElementById('short-term-memory').innerHTML = '<p class="empty-message" role="status">Error al cargar memoria</p>';
@@ -2462,72 +3976,669 @@ function displayMemoryData(memoryData) {
                 </div>
             `;
             
+            addMemoryItemActions(memoryItem, item, 'shortTerm');
             shortTermDiv.appendChild(memoryItem);
         });
         
-        // Indicar si hay más items
-        if (memoryData.shortTerm.length > 5) {
-            const moreInfo = document.createElement('div');
-            moreInfo.className = 'memory-more';
-            moreInfo.textContent = `Y ${memoryData.shortTerm.length - 5} items más`;
-            shortTermDiv.appendChild(moreInfo);
+        // Indicar si hay más items
+        if (memoryData.shortTerm.length > 5) {
+            const moreInfo = document.createElement('div');
+            moreInfo.className = 'memory-more';
+            moreInfo.textContent = `Y ${memoryData.shortTerm.length - 5} items más`;
+            shortTermDiv.appendChild(moreInfo);
+        }
+    } else {
+        shortTermDiv.innerHTML = '<p class="empty-message" role="status">No hay datos en memoria a corto plazo</p>';
+    }
+    
+    // Memoria a largo plazo
+    const longTermDiv = document.getElementById('long-term-memory');
+    longTermDiv.setAttribute('role', 'list');
+    
+    if (memoryData.longTerm && memoryData.longTerm.length > 0) {
+        longTermDiv.innerHTML = '';
+        
+        // Mostrar solo los 5 items más relevantes (los fijados primero)
+        const relevantItems = [...memoryData.longTerm]
+            .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+                (b.relevance || 0) - (a.relevance || 0))
+            .slice(0, 5);
+        
+        relevantItems.forEach(item => {
+            const memoryItem = document.createElement('div');
+            memoryItem.className = 'memory-item';
+            memoryItem.setAttribute('role', 'listitem');
+            
+            // Extracto del mensaje o entidad
+            let content = 'Item de memoria';
+            if (item.userMessage) {
+                content = item.userMessage.length > 60 
+                    ? item.userMessage.substring(0, 60) + '...' 
+                    : item.userMessage;
+            } else if (item.entities && item.entities.length > 0) {
+                content = 'Entidades: ' + item.entities.map(e => e.name).join(', ');
+            }
+            
+            // Información de relevancia
+            const relevanceInfo = item.relevance 
+                ? `Relevancia: ${(item.relevance * 100).toFixed(0)}%` 
+                : '';
+            
+            memoryItem.innerHTML = `
+                <div class="memory-content">${escapeHTML(content)}</div>
+                <div class="memory-meta">
+                    ${relevanceInfo}
+                    ${item.timestamp ? ' • ' + formatDate(new Date(item.timestamp)) : ''}
+                </div>
+            `;
+            
+            addMemoryItemActions(memoryItem, item, 'longTerm');
+            longTermDiv.appendChild(memoryItem);
+        });
+        
+        // Indicar si hay más items
+        if (memoryData.longTerm.length > 5) {
+            const moreInfo = document.createElement('div');
+            moreInfo.className = 'memory-more';
+            moreInfo.textContent = `Y ${memoryData.longTerm.length - 5} items más`;
+            longTermDiv.appendChild(moreInfo);
+        }
+    } else {
+        longTermDiv.innerHTML = '<p class="empty-message" role="status">No hay datos en memoria a largo plazo</p>';
+    }
+}
+
+/**
+ * Crea un botón de valoración
+ * @param {string} label - Texto del botón
+ * @param {string} title - Descripción accesible
+ * @param {Function} onClick - Acción al pulsar
+ * @returns {HTMLButtonElement} Botón
+ */
+function createFeedbackButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'feedback-btn';
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Añade los botones de valoración a un ítem de memoria
+ * @param {HTMLElement} memoryItem - Elemento del ítem
+ * @param {Object} item - Ítem de memoria
+ */
+function addMemoryFeedbackActions(memoryItem, item) {
+    if (item.incorrect) {
+        memoryItem.classList.add('incorrect');
+        memoryItem.querySelector('.memory-meta').append(' • Marcado como incorrecto');
+    }
+    
+    if (!item.id || currentConversationRole === 'viewer') {
+        return;
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'feedback-actions';
+    
+    if (item.incorrect) {
+        actions.append(
+            createFeedbackButton('↺', 'Volver a usar este recuerdo', () => sendMemoryFeedback(item.id, 'restore'))
+        );
+    } else {
+        actions.append(
+            createFeedbackButton('👍', 'Recuerdo útil', () => sendMemoryFeedback(item.id, 'up')),
+            createFeedbackButton('👎', 'Recuerdo poco útil', () => sendMemoryFeedback(item.id, 'down')),
+            createFeedbackButton('✗', 'Recuerdo incorrecto', () => sendMemoryFeedback(item.id, 'wrong'))
+        );
+    }
+    
+    memoryItem.appendChild(actions);
+}
+
+/**
+ * Muestra un formulario en línea para corregir el nombre o el tipo de una entidad
+ * @param {Object} entity - Entidad detectada
+ * @param {HTMLElement} entityDiv - Elemento de la entidad
+ */
+function editEntityCorrection(entity, entityDiv) {
+    const form = document.createElement('form');
+    form.className = 'entity-correction-form';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = entity.name;
+    nameInput.setAttribute('aria-label', 'Nombre correcto');
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.setAttribute('aria-label', 'Tipo correcto');
+    const types = { ...ENTITY_TYPE_LABELS };
+    if (!types[entity.type]) {
+        types[entity.type] = entity.type;
+    }
+    Object.entries(types).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = value === entity.type;
+        typeSelect.appendChild(option);
+    });
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'feedback-btn';
+    saveBtn.textContent = '✓';
+    saveBtn.title = 'Guardar corrección';
+    saveBtn.setAttribute('aria-label', 'Guardar corrección');
+    
+    const cancelBtn = createFeedbackButton('×', 'Cancelar', () => form.replaceWith(entityDiv));
+    
+    form.append(nameInput, typeSelect, saveBtn, cancelBtn);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const correctName = nameInput.value.trim();
+        const correctType = typeSelect.value;
+        
+        if (!correctName || (correctName === entity.name && correctType === entity.type)) {
+            form.replaceWith(entityDiv);
+            return;
+        }
+        
+        sendEntityFeedback(entity, 'correct', {
+            correctName: correctName !== entity.name ? correctName : undefined,
+            correctType: correctType !== entity.type ? correctType : undefined
+        });
+    });
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            form.replaceWith(entityDiv);
+        }
+    });
+    
+    entityDiv.replaceWith(form);
+    nameInput.focus();
+    nameInput.select();
+}
+
+/**
+ * Envía una valoración o corrección de una entidad detectada
+ * 
+ * Se aplica a las entidades de la conversación actual; si el usuario es
+ * administrador, también a las detecciones futuras y a la memoria global.
+ * @async
+ * @param {Object} entity - Entidad detectada
+ * @param {string} action - 'up', 'down', 'wrong' o 'correct'
+ * @param {Object} correction - { correctName, correctType } para 'correct'
+ */
+async function sendEntityFeedback(entity, action, correction = {}) {
+    if (!currentConversationId) return;
+    
+    const body = JSON.stringify({
+        name: entity.name,
+        type: entity.type,
+        action,
+        conversationId: currentConversationId,
+        ...correction
+    });
+    const requestOptions = {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        body
+    };
+    
+    try {
+        const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/entities/feedback`, requestOptions);
+        
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.SEND_FEEDBACK);
+        }
+        
+        if (currentUser && currentUser.role === 'admin') {
+            const globalResponse = await fetchWithRetry('/api/memory/global/entities/feedback', requestOptions);
+            
+            if (!globalResponse.ok) {
+                throw new Error(ERROR_MESSAGES.SEND_FEEDBACK);
+            }
+        }
+        
+        showToast(TOAST_TYPES.SUCCESS, 'Valoración registrada', SUCCESS_MESSAGES.FEEDBACK_SAVED);
+        await loadContextData(currentConversationId);
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SEND_FEEDBACK);
+    }
+}
+
+/**
+ * Envía una valoración de un ítem de memoria
+ * @async
+ * @param {string} itemId - ID del ítem de memoria
+ * @param {string} action - 'up', 'down', 'wrong' o 'restore'
+ */
+async function sendMemoryFeedback(itemId, action) {
+    if (!currentConversationId) return;
+    
+    try {
+        const response = await fetchWithRetry(
+            `/api/conversations/${currentConversationId}/memory/${encodeURIComponent(itemId)}/feedback`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken
+                },
+                body: JSON.stringify({ action })
+            }
+        );
+        
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.SEND_FEEDBACK);
+        }
+        
+        showToast(TOAST_TYPES.SUCCESS, 'Valoración registrada', SUCCESS_MESSAGES.FEEDBACK_SAVED);
+        await loadMemoryData(currentConversationId);
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SEND_FEEDBACK);
+    }
+}
+
+/**
+ * Añade las acciones de gestión (fijar, editar, olvidar y promover) a un ítem de memoria
+ * @param {HTMLElement} memoryItem - Elemento del ítem
+ * @param {Object} item - Ítem de memoria
+ * @param {string|null} tier - 'shortTerm', 'longTerm' o null si se desconoce
+ */
+function addMemoryItemActions(memoryItem, item, tier) {
+    if (item.pinned) {
+        memoryItem.classList.add('pinned');
+        memoryItem.querySelector('.memory-meta').append(' • Fijado');
+    }
+    
+    addMemoryFeedbackActions(memoryItem, item);
+    
+    // Los lectores no reciben barra de acciones
+    const actions = memoryItem.querySelector('.feedback-actions');
+    if (!actions) return;
+    
+    const itemUrl = `/api/conversations/${currentConversationId}/memory/${encodeURIComponent(item.id)}`;
+    
+    actions.append(
+        createFeedbackButton(
+            item.pinned ? '📍' : '📌',
+            item.pinned ? 'Dejar de fijar este recuerdo' : 'Fijar este recuerdo (no se olvida con el tiempo)',
+            () => requestMemoryChange(`${itemUrl}/pin`, 'POST', { pinned: !item.pinned })
+        ),
+        createFeedbackButton('✎', 'Editar recuerdo', () => editMemoryItem(item, memoryItem)),
+        createFeedbackButton('🗑', 'Olvidar recuerdo', () => requestMemoryChange(itemUrl, 'DELETE'))
+    );
+    
+    if (tier === 'shortTerm') {
+        actions.append(createFeedbackButton('⇧', 'Pasar a memoria a largo plazo', () => requestMemoryChange(
+            `/api/conversations/${currentConversationId}/memory/promote`,
+            'POST',
+            { itemIds: [item.id] }
+        )));
+    }
+}
+
+/**
+ * Muestra un formulario en línea para editar lo que recuerda un ítem de memoria
+ * @param {Object} item - Ítem de memoria
+ * @param {HTMLElement} memoryItem - Elemento del ítem
+ */
+function editMemoryItem(item, memoryItem) {
+    const form = document.createElement('form');
+    form.className = 'memory-edit-form';
+    
+    const userInput = document.createElement('textarea');
+    userInput.rows = 2;
+    userInput.value = item.userMessage || '';
+    userInput.setAttribute('aria-label', 'Mensaje recordado');
+    
+    const botInput = document.createElement('textarea');
+    botInput.rows = 3;
+    botInput.value = item.botResponse || '';
+    botInput.setAttribute('aria-label', 'Respuesta recordada');
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'feedback-btn';
+    saveBtn.textContent = '✓';
+    saveBtn.title = 'Guardar recuerdo';
+    saveBtn.setAttribute('aria-label', 'Guardar recuerdo');
+    
+    const cancelBtn = createFeedbackButton('×', 'Cancelar', () => form.replaceWith(memoryItem));
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'feedback-actions';
+    buttons.append(saveBtn, cancelBtn);
+    
+    form.append(userInput, botInput, buttons);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const changes = {};
+        
+        if (userInput.value.trim() !== (item.userMessage || '')) {
+            changes.userMessage = userInput.value.trim();
+        }
+        if (botInput.value.trim() !== (item.botResponse || '')) {
+            changes.botResponse = botInput.value.trim();
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            form.replaceWith(memoryItem);
+            return;
+        }
+        
+        requestMemoryChange(
+            `/api/conversations/${currentConversationId}/memory/${encodeURIComponent(item.id)}`,
+            'PUT',
+            changes
+        );
+    });
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            form.replaceWith(memoryItem);
+        }
+    });
+    
+    memoryItem.replaceWith(form);
+    userInput.focus();
+}
+
+/**
+ * Envía un cambio sobre la memoria y recarga la pestaña de memoria
+ * @async
+ * @param {string} url - Ruta de la API
+ * @param {string} method - Método HTTP
+ * @param {Object} [body] - Cuerpo JSON
+ * @returns {Promise<boolean>} True si se aplicó el cambio
+ */
+async function requestMemoryChange(url, method, body) {
+    if (!currentConversationId) return false;
+    
+    try {
+        const response = await fetchWithRetry(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || ERROR_MESSAGES.UPDATE_MEMORY);
+        }
+        
+        showToast(TOAST_TYPES.SUCCESS, 'Memoria actualizada', SUCCESS_MESSAGES.MEMORY_UPDATED);
+        await loadMemoryData(currentConversationId);
+        
+        // Mantener actualizados los resultados de una búsqueda abierta
+        const query = document.getElementById('search-memory').value.trim();
+        if (query) {
+            await searchMemoryItems(query);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', error.message || ERROR_MESSAGES.UPDATE_MEMORY);
+        return false;
+    }
+}
+
+/**
+ * Carga y muestra las entidades y temas de la memoria global
+ * @async
+ */
+async function loadGlobalMemoryData() {
+    const globalDiv = document.getElementById('global-memory-list');
+    
+    try {
+        const response = await fetchWithRetry('/api/memory/global');
+        
+        if (!response.ok) {
+            throw new Error(`Error al cargar la memoria global: ${response.status}`);
+        }
+        
+        const globalData = await response.json();
+        const byPinned = (a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned));
+        
+        // Las listas ya vienen ordenadas por relevancia; se muestran primero las fijadas
+        const entities = [...(globalData.entities || [])].sort(byPinned).slice(0, 8);
+        const topics = [...(globalData.topics || [])].sort(byPinned).slice(0, 5);
+        
+        displayGlobalMemoryItems(globalDiv, entities, topics, 'No hay datos en memoria global');
+    } catch (error) {
+        console.error('Error al cargar memoria global:', error);
+        globalDiv.innerHTML = '<p class="empty-message" role="status">Error al cargar memoria global</p>';
+    }
+}
+
+/**
+ * Muestra entidades y temas de la memoria global en una lista
+ * @param {HTMLElement} container - Contenedor de la lista
+ * @param {Array<Object>} entities - Entidades globales
+ * @param {Array<Object>} topics - Temas globales
+ * @param {string} emptyMessage - Texto si no hay elementos
+ */
+function displayGlobalMemoryItems(container, entities, topics, emptyMessage) {
+    container.setAttribute('role', 'list');
+    container.innerHTML = '';
+    
+    if (entities.length === 0 && topics.length === 0) {
+        container.innerHTML = `<p class="empty-message" role="status">${escapeHTML(emptyMessage)}</p>`;
+        return;
+    }
+    
+    const addItem = (kind, globalItem) => {
+        const memoryItem = document.createElement('div');
+        memoryItem.className = 'memory-item global';
+        memoryItem.setAttribute('role', 'listitem');
+        
+        const label = kind === 'entities'
+            ? `${globalItem.name} (${ENTITY_TYPE_LABELS[globalItem.type] || globalItem.type})`
+            : `Tema: ${globalItem.name}`;
+        const description = globalItem.description ? ` — ${globalItem.description}` : '';
+        
+        memoryItem.innerHTML = `
+            <div class="memory-content">${escapeHTML(label + description)}</div>
+            <div class="memory-meta">
+                Confianza: ${((globalItem.confidence || 0) * 100).toFixed(0)}%
+                • ${globalItem.occurrences || 1} apariciones
+            </div>
+        `;
+        
+        addGlobalMemoryItemActions(memoryItem, kind, globalItem);
+        container.appendChild(memoryItem);
+    };
+    
+    entities.forEach(entity => addItem('entities', entity));
+    topics.forEach(topic => addItem('topics', topic));
+}
+
+/**
+ * Añade las acciones de gestión a una entidad o tema de la memoria global
+ * 
+ * La memoria global es compartida: solo los administradores pueden modificarla.
+ * @param {HTMLElement} memoryItem - Elemento del ítem
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {Object} globalItem - Entidad o tema
+ */
+function addGlobalMemoryItemActions(memoryItem, kind, globalItem) {
+    if (globalItem.pinned) {
+        memoryItem.classList.add('pinned');
+        memoryItem.querySelector('.memory-meta').append(' • Fijado');
+    }
+    
+    if (!currentUser || currentUser.role !== 'admin') {
+        return;
+    }
+    
+    const target = { name: globalItem.name, type: kind === 'entities' ? globalItem.type : undefined };
+    const query = new URLSearchParams({ name: target.name, ...(target.type ? { type: target.type } : {}) });
+    
+    const actions = document.createElement('div');
+    actions.className = 'feedback-actions';
+    actions.append(
+        createFeedbackButton(
+            globalItem.pinned ? '📍' : '📌',
+            globalItem.pinned ? 'Dejar de fijar' : 'Fijar (no pierde confianza con el tiempo)',
+            () => requestMemoryChange(`/api/memory/global/${kind}/pin`, 'POST', { ...target, pinned: !globalItem.pinned })
+        ),
+        createFeedbackButton('✎', 'Editar', () => editGlobalMemoryItem(kind, globalItem, memoryItem)),
+        createFeedbackButton('🗑', 'Olvidar', () => requestMemoryChange(`/api/memory/global/${kind}?${query}`, 'DELETE'))
+    );
+    
+    memoryItem.appendChild(actions);
+}
+
+/**
+ * Muestra un formulario en línea para editar una entidad o tema de la memoria global
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {Object} globalItem - Entidad o tema
+ * @param {HTMLElement} memoryItem - Elemento del ítem
+ */
+function editGlobalMemoryItem(kind, globalItem, memoryItem) {
+    const form = document.createElement('form');
+    form.className = 'memory-edit-form';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = globalItem.name;
+    nameInput.setAttribute('aria-label', 'Nombre');
+    form.appendChild(nameInput);
+    
+    let descriptionInput = null;
+    if (kind === 'entities') {
+        descriptionInput = document.createElement('textarea');
+        descriptionInput.rows = 2;
+        descriptionInput.value = globalItem.description || '';
+        descriptionInput.placeholder = 'Descripción';
+        descriptionInput.setAttribute('aria-label', 'Descripción');
+        form.appendChild(descriptionInput);
+    }
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'feedback-btn';
+    saveBtn.textContent = '✓';
+    saveBtn.title = 'Guardar cambios';
+    saveBtn.setAttribute('aria-label', 'Guardar cambios');
+    
+    const cancelBtn = createFeedbackButton('×', 'Cancelar', () => form.replaceWith(memoryItem));
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'feedback-actions';
+    buttons.append(saveBtn, cancelBtn);
+    form.appendChild(buttons);
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const changes = {};
+        const newName = nameInput.value.trim();
+        
+        if (newName && newName !== globalItem.name) {
+            changes.newName = newName;
         }
-    } else {
-        shortTermDiv.innerHTML = '<p class="empty-message" role="status">No hay datos en memoria a corto plazo</p>';
-    }
+        if (descriptionInput && descriptionInput.value.trim() !== (globalItem.description || '')) {
+            changes.description = descriptionInput.value.trim();
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            form.replaceWith(memoryItem);
+            return;
+        }
+        
+        requestMemoryChange(`/api/memory/global/${kind}`, 'PUT', {
+            name: globalItem.name,
+            type: kind === 'entities' ? globalItem.type : undefined,
+            ...changes
+        });
+    });
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            form.replaceWith(memoryItem);
+        }
+    });
     
-    // Memoria a largo plazo
-    const longTermDiv = document.getElementById('long-term-memory');
-    longTermDiv.setAttribute('role', 'list');
+    memoryItem.replaceWith(form);
+    nameInput.focus();
+    nameInput.select();
+}
+
+/**
+ * Busca en la memoria de la conversación actual y en la memoria global
+ * @async
+ * @param {string} query - Término de búsqueda (vacío para ocultar los resultados)
+ */
+async function searchMemoryItems(query) {
+    const section = document.getElementById('memory-search-section');
+    const resultsDiv = document.getElementById('memory-search-results');
     
-    if (memoryData.longTerm && memoryData.longTerm.length > 0) {
-        longTermDiv.innerHTML = '';
+    if (!query || query.length < 3) {
+        section.hidden = true;
+        resultsDiv.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const encoded = encodeURIComponent(query);
+        const [conversationResponse, globalResponse] = await Promise.all([
+            currentConversationId
+                ? fetchWithRetry(`/api/conversations/${currentConversationId}/memory/search?q=${encoded}`)
+                : null,
+            fetchWithRetry(`/api/memory/global/search?q=${encoded}`)
+        ]);
+        
+        if ((conversationResponse && !conversationResponse.ok) || !globalResponse.ok) {
+            throw new Error(ERROR_MESSAGES.SEARCH_MEMORY);
+        }
         
-        // Mostrar solo los 5 items más relevantes
-        const relevantItems = [...memoryData.longTerm]
-            .sort((a, b) => (b.relevance || 0) - (a.relevance || 0))
-            .slice(0, 5);
+        const conversationData = conversationResponse ? await conversationResponse.json() : { results: [] };
+        const globalData = await globalResponse.json();
         
-        relevantItems.forEach(item => {
+        section.hidden = false;
+        displayGlobalMemoryItems(resultsDiv, globalData.entities, globalData.topics, 'Sin coincidencias en la memoria');
+        
+        // Los recuerdos de la conversación van antes que las entidades y temas globales
+        if (conversationData.results.length > 0) {
+            resultsDiv.querySelector('.empty-message')?.remove();
+        }
+        [...conversationData.results].reverse().forEach(item => {
             const memoryItem = document.createElement('div');
             memoryItem.className = 'memory-item';
             memoryItem.setAttribute('role', 'listitem');
             
-            // Extracto del mensaje o entidad
-            let content = 'Item de memoria';
-            if (item.userMessage) {
-                content = item.userMessage.length > 60 
-                    ? item.userMessage.substring(0, 60) + '...' 
-                    : item.userMessage;
-            } else if (item.entities && item.entities.length > 0) {
-                content = 'Entidades: ' + item.entities.map(e => e.name).join(', ');
-            }
-            
-            // Información de relevancia
-            const relevanceInfo = item.relevance 
-                ? `Relevancia: ${(item.relevance * 100).toFixed(0)}%` 
-                : '';
-            
+            const content = item.userMessage || item.botResponse || 'Item de memoria';
             memoryItem.innerHTML = `
                 <div class="memory-content">${escapeHTML(content)}</div>
                 <div class="memory-meta">
-                    ${relevanceInfo}
+                    Coincidencia: ${(item.searchScore * 100).toFixed(0)}%
                     ${item.timestamp ? ' • ' + formatDate(new Date(item.timestamp)) : ''}
                 </div>
             `;
             
-            longTermDiv.appendChild(memoryItem);
+            addMemoryItemActions(memoryItem, item, null);
+            resultsDiv.prepend(memoryItem);
         });
-        
-        // Indicar si hay más items
-        if (memoryData.longTerm.length > 5) {
-            const moreInfo = document.createElement('div');
-            moreInfo.className = 'memory-more';
-            moreInfo.textContent = `Y ${memoryData.longTerm.length - 5} items más`;
-            longTermDiv.appendChild(moreInfo);
-        }
-    } else {
-        longTermDiv.innerHTML = '<p class="empty-message" role="status">No hay datos en memoria a largo plazo</p>';
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.SEARCH_MEMORY);
     }
 }
 
@@ -2613,6 +4724,387 @@ async function resetMemory() {
     }
 }
 
+// ===== GRAFO DE CONOCIMIENTO =====
+
+/**
+ * Inicializa los controles del explorador del grafo de conocimiento
+ */
+function initKnowledgeGraph() {
+    const entityInput = document.getElementById('graph-entity-input');
+    entityInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && entityInput.value.trim()) {
+            loadKnowledgeGraph({ kind: 'neighbors', name: entityInput.value.trim() });
+        }
+    });
+    
+    document.getElementById('graph-type-filter').addEventListener('change', (e) => {
+        loadKnowledgeGraph({ kind: 'subgraph', types: e.target.value });
+    });
+    
+    document.getElementById('graph-conversation-only').addEventListener('change', () => {
+        refreshKnowledgeGraph(true);
+    });
+    
+    const pathFrom = document.getElementById('graph-path-from');
+    const pathTo = document.getElementById('graph-path-to');
+    const searchPath = () => {
+        if (pathFrom.value.trim() && pathTo.value.trim()) {
+            loadKnowledgeGraph({ kind: 'paths', from: pathFrom.value.trim(), to: pathTo.value.trim() });
+        }
+    };
+    document.getElementById('graph-path-btn').addEventListener('click', searchPath);
+    [pathFrom, pathTo].forEach(input => input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') searchPath();
+    }));
+    
+    // Cargar el grafo la primera vez que se abre la pestaña
+    document.querySelector('.sidebar-tabs .tab-btn[data-tab="graph"]').addEventListener('click', () => {
+        refreshKnowledgeGraph();
+    });
+}
+
+/**
+ * Recarga la vista actual del grafo (o la general si aún no hay ninguna)
+ * @param {boolean} force - Recargar aunque la pestaña no esté visible
+ */
+function refreshKnowledgeGraph(force = false) {
+    const panel = document.getElementById('graph-tab');
+    if (!force && !panel.classList.contains('active')) {
+        return;
+    }
+    
+    loadKnowledgeGraph(currentGraphView || {
+        kind: 'subgraph',
+        types: document.getElementById('graph-type-filter').value
+    });
+}
+
+/**
+ * Construye la URL de una consulta al grafo con el ámbito elegido
+ * @param {string} path - Ruta de la API
+ * @param {Object} params - Parámetros de la consulta (se omiten los vacíos)
+ * @returns {string} URL
+ */
+function buildGraphURL(path, params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value) query.set(key, value);
+    });
+    
+    if (document.getElementById('graph-conversation-only').checked && currentConversationId) {
+        query.set('conversationId', currentConversationId);
+    }
+    
+    const queryString = query.toString();
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Carga y muestra una vista del grafo de conocimiento
+ * @async
+ * @param {Object} view - { kind: 'subgraph', types } | { kind: 'neighbors', name } | { kind: 'paths', from, to }
+ */
+async function loadKnowledgeGraph(view) {
+    currentGraphView = view;
+    
+    let url;
+    if (view.kind === 'neighbors') {
+        url = buildGraphURL(`/api/graph/entities/${encodeURIComponent(view.name)}/neighbors`);
+    } else if (view.kind === 'paths') {
+        url = buildGraphURL('/api/graph/paths', { from: view.from, to: view.to });
+    } else {
+        url = buildGraphURL('/api/graph/subgraph', { types: view.types });
+    }
+    
+    try {
+        const response = await fetchWithRetry(url);
+        
+        if (response.status === 404) {
+            renderKnowledgeGraph({ nodes: [], edges: [] }, view);
+            document.getElementById('graph-details').innerHTML =
+                '<p class="empty-message" role="status">Entidad no encontrada en el grafo</p>';
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.LOAD_GRAPH);
+        }
+        
+        renderKnowledgeGraph(await response.json(), view);
+    } catch (error) {
+        console.error('Error al cargar el grafo de conocimiento:', error);
+        showToast(TOAST_TYPES.ERROR, 'Error', ERROR_MESSAGES.LOAD_GRAPH);
+    }
+}
+
+/**
+ * Calcula la posición de los nodos con un algoritmo de fuerzas (Fruchterman-Reingold)
+ * @param {Array<Object>} nodes - Nodos
+ * @param {Array<Object>} edges - Aristas
+ * @param {string|null} pinnedId - Nodo fijado en el centro
+ * @returns {Map<string, Object>} ID de nodo → { x, y }
+ */
+function layoutKnowledgeGraph(nodes, edges, pinnedId) {
+    const { width, height } = GRAPH_VIEW_SIZE;
+    const margin = 20;
+    const positions = new Map();
+    
+    // Posición inicial en círculo
+    nodes.forEach((node, index) => {
+        const angle = (2 * Math.PI * index) / nodes.length;
+        positions.set(node.id, node.id === pinnedId
+            ? { x: width / 2, y: height / 2 }
+            : { x: width / 2 + Math.cos(angle) * width / 3, y: height / 2 + Math.sin(angle) * height / 3 });
+    });
+    
+    const k = Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.7;
+    
+    for (let iteration = 0; iteration < GRAPH_LAYOUT_ITERATIONS; iteration++) {
+        const temperature = (width / 10) * (1 - iteration / GRAPH_LAYOUT_ITERATIONS);
+        const displacement = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+        
+        // Repulsión entre todos los pares
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = positions.get(nodes[i].id);
+                const b = positions.get(nodes[j].id);
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y || 0.01;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const force = (k * k) / distance;
+                displacement.get(nodes[i].id).x += (dx / distance) * force;
+                displacement.get(nodes[i].id).y += (dy / distance) * force;
+                displacement.get(nodes[j].id).x -= (dx / distance) * force;
+                displacement.get(nodes[j].id).y -= (dy / distance) * force;
+            }
+        }
+        
+        // Atracción a lo largo de las aristas
+        edges.forEach(edge => {
+            const a = positions.get(edge.source);
+            const b = positions.get(edge.target);
+            if (!a || !b) return;
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+            const force = (distance * distance) / k;
+            displacement.get(edge.source).x -= (dx / distance) * force;
+            displacement.get(edge.source).y -= (dy / distance) * force;
+            displacement.get(edge.target).x += (dx / distance) * force;
+            displacement.get(edge.target).y += (dy / distance) * force;
+        });
+        
+        // Desplazar limitado por la temperatura y dentro del lienzo
+        nodes.forEach(node => {
+            if (node.id === pinnedId) return;
+            const position = positions.get(node.id);
+            const { x, y } = displacement.get(node.id);
+            const length = Math.max(Math.sqrt(x * x + y * y), 0.01);
+            position.x = Math.min(width - margin, Math.max(margin, position.x + (x / length) * Math.min(length, temperature)));
+            position.y = Math.min(height - margin, Math.max(margin, position.y + (y / length) * Math.min(length, temperature)));
+        });
+    }
+    
+    return positions;
+}
+
+/**
+ * Devuelve el nombre legible de una relación
+ * @param {string} relationType - Tipo de relación
+ * @returns {string} Nombre legible
+ */
+function formatRelationType(relationType) {
+    return GRAPH_RELATION_LABELS[relationType] || relationType.replace(/_/g, ' ');
+}
+
+/**
+ * Dibuja el grafo en el lienzo SVG
+ * 
+ * Cada nodo se puede arrastrar; al pulsarlo se exploran sus vecinos.
+ * @param {Object} graph - { nodes, edges } y, según la vista, center o paths
+ * @param {Object} view - Vista mostrada
+ */
+function renderKnowledgeGraph(graph, view) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.getElementById('graph-canvas');
+    const emptyState = document.getElementById('graph-empty');
+    const nodes = graph.nodes || [];
+    const edges = (graph.edges || []).filter(edge => edge);
+    
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${GRAPH_VIEW_SIZE.width} ${GRAPH_VIEW_SIZE.height}`);
+    emptyState.hidden = nodes.length > 0;
+    
+    const centerId = graph.center ? graph.center.id : null;
+    const positions = layoutKnowledgeGraph(nodes, edges, centerId);
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const maxWeight = Math.max(1, ...nodes.map(node => node.weight));
+    
+    // Elementos del camino encontrado
+    const highlighted = new Set();
+    (graph.paths || []).forEach(path => {
+        path.nodes.forEach(id => highlighted.add(id));
+        path.edges.forEach(id => highlighted.add(id));
+    });
+    
+    // Punta de flecha para las relaciones con dirección
+    const defs = document.createElementNS(svgNS, 'defs');
+    defs.innerHTML = '<marker id="graph-arrow" viewBox="0 0 10 10" refX="18" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" class="graph-arrow"></path></marker>';
+    svg.appendChild(defs);
+    
+    const edgeElements = edges.map(edge => {
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('class', [
+            'graph-edge',
+            edge.directed ? '' : 'graph-edge-undirected',
+            highlighted.has(edge.id) ? 'highlighted' : ''
+        ].filter(Boolean).join(' '));
+        line.setAttribute('stroke-width', 1 + Math.min(edge.weight, 5) * 0.4);
+        if (edge.directed) {
+            line.setAttribute('marker-end', 'url(#graph-arrow)');
+        }
+        
+        const title = document.createElementNS(svgNS, 'title');
+        const source = nodesById.get(edge.source);
+        const target = nodesById.get(edge.target);
+        title.textContent = `${source ? source.name : edge.source} ${formatRelationType(edge.relationType)} ${target ? target.name : edge.target} (${edge.weight})`;
+        line.appendChild(title);
+        
+        svg.appendChild(line);
+        return { edge, line };
+    });
+    
+    const updateEdges = () => {
+        edgeElements.forEach(({ edge, line }) => {
+            const a = positions.get(edge.source);
+            const b = positions.get(edge.target);
+            if (!a || !b) return;
+            line.setAttribute('x1', a.x);
+            line.setAttribute('y1', a.y);
+            line.setAttribute('x2', b.x);
+            line.setAttribute('y2', b.y);
+        });
+    };
+    
+    nodes.forEach(node => {
+        const position = positions.get(node.id);
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', [
+            'graph-node',
+            `graph-node-${node.type}`,
+            node.id === centerId || highlighted.has(node.id) ? 'highlighted' : ''
+        ].filter(Boolean).join(' '));
+        group.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+        group.setAttribute('tabindex', '0');
+        group.setAttribute('role', 'button');
+        group.setAttribute('aria-label', `${node.name} (${node.type})`);
+        
+        const circle = document.createElementNS(svgNS, 'circle');
+        circle.setAttribute('r', 5 + (node.weight / maxWeight) * 7);
+        group.appendChild(circle);
+        
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('dy', -10);
+        label.textContent = node.name.length > 18 ? node.name.substring(0, 17) + '…' : node.name;
+        group.appendChild(label);
+        
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = `${node.name} (${node.type}) · ${node.weight}`;
+        group.appendChild(title);
+        
+        // Arrastrar para recolocar; pulsar sin mover para explorar
+        let dragStart = null;
+        group.addEventListener('pointerdown', (e) => {
+            dragStart = { x: e.clientX, y: e.clientY, moved: false };
+            group.setPointerCapture(e.pointerId);
+        });
+        group.addEventListener('pointermove', (e) => {
+            if (!dragStart) return;
+            if (Math.abs(e.clientX - dragStart.x) + Math.abs(e.clientY - dragStart.y) > 3) {
+                dragStart.moved = true;
+            }
+            const point = svg.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+            position.x = x;
+            position.y = y;
+            group.setAttribute('transform', `translate(${x}, ${y})`);
+            updateEdges();
+        });
+        group.addEventListener('pointerup', () => {
+            const moved = dragStart && dragStart.moved;
+            dragStart = null;
+            if (!moved) {
+                loadKnowledgeGraph({ kind: 'neighbors', name: node.id });
+            }
+        });
+        group.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                loadKnowledgeGraph({ kind: 'neighbors', name: node.id });
+            }
+        });
+        
+        svg.appendChild(group);
+    });
+    
+    updateEdges();
+    displayGraphDetails(graph, view, nodesById);
+}
+
+/**
+ * Muestra bajo el grafo las relaciones de la entidad central o los caminos encontrados
+ * @param {Object} graph - Grafo devuelto por la API
+ * @param {Object} view - Vista mostrada
+ * @param {Map<string, Object>} nodesById - Nodos indexados por ID
+ */
+function displayGraphDetails(graph, view, nodesById) {
+    const details = document.getElementById('graph-details');
+    const nodeName = id => escapeHTML(nodesById.has(id) ? nodesById.get(id).name : id);
+    const entityLink = id => `<button class="graph-entity-link" data-node-id="${escapeHTML(id)}">${nodeName(id)}</button>`;
+    
+    if (view.kind === 'paths') {
+        if (!graph.paths || graph.paths.length === 0) {
+            details.innerHTML = '<p class="empty-message" role="status">No se encontró ningún camino entre las entidades</p>';
+        } else {
+            details.innerHTML = `
+                <h4>Caminos encontrados</h4>
+                <ul class="graph-relation-list">
+                    ${graph.paths.map(path => `<li>${path.nodes.map(entityLink).join(' → ')}</li>`).join('')}
+                </ul>
+            `;
+        }
+    } else if (graph.center) {
+        const center = graph.center;
+        const relations = graph.edges
+            .filter(edge => edge.source === center.id || edge.target === center.id)
+            .map(edge => {
+                const outgoing = edge.source === center.id;
+                const other = outgoing ? edge.target : edge.source;
+                const relation = escapeHTML(formatRelationType(edge.relationType));
+                return `<li>${outgoing || !edge.directed ? `${relation} ${entityLink(other)}` : `${entityLink(other)} ${relation} ${escapeHTML(center.name)}`}</li>`;
+            });
+        
+        details.innerHTML = `
+            <h4>${escapeHTML(center.name)} <span class="graph-entity-type">${escapeHTML(center.type)}</span></h4>
+            <p class="graph-entity-meta">Mencionada ${center.weight} veces en ${center.conversations} conversaciones${center.documents ? ` y ${center.documents} documentos` : ''}</p>
+            ${relations.length > 0
+                ? `<ul class="graph-relation-list">${relations.join('')}</ul>`
+                : '<p class="empty-message" role="status">Sin relaciones conocidas</p>'}
+        `;
+    } else {
+        details.innerHTML = graph.nodes && graph.nodes.length > 0
+            ? `<p class="graph-entity-meta">${graph.nodes.length} entidades y ${graph.edges.length} relaciones. Pulse una entidad para explorar sus vecinos.</p>`
+            : '';
+    }
+    
+    details.querySelectorAll('.graph-entity-link').forEach(link => {
+        link.addEventListener('click', () => {
+            loadKnowledgeGraph({ kind: 'neighbors', name: link.dataset.nodeId });
+        });
+    });
+}
+
 // ===== CONFIGURACIÓN =====
 
 /**
@@ -2653,6 +5145,59 @@ function loadSettings() {
     }
 }
 
+/**
+ * Abre el modal de configuración con el modelo de la conversación actual
+ */
+function openSettingsModal() {
+    const conversationModelSelect = document.getElementById('conversation-model-selection');
+    conversationModelSelect.value = currentConversationModel || '';
+    conversationModelSelect.disabled = !currentConversationId;
+    
+    toggleModal('settings-modal', true);
+}
+
+/**
+ * Carga los modelos instalados en Ollama en los selectores de modelo
+ * @async
+ */
+async function loadAvailableModels() {
+    try {
+        const response = await fetchWithRetry('/api/models');
+        
+        if (!response.ok) {
+            throw new Error('Error al cargar modelos');
+        }
+        
+        const data = await response.json();
+        if (!data.models || data.models.length === 0) {
+            return;
+        }
+        
+        const modelSelect = document.getElementById('model-selection');
+        const conversationModelSelect = document.getElementById('conversation-model-selection');
+        
+        const optionsHTML = data.models.map(model => {
+            const details = [model.parameterSize, model.quantization].filter(Boolean).join(', ');
+            const label = details ? `${model.name} (${details})` : model.name;
+            return `<option value="${escapeHTML(model.name)}">${escapeHTML(label)}</option>`;
+        }).join('');
+        
+        modelSelect.innerHTML = optionsHTML;
+        conversationModelSelect.innerHTML = `<option value="">Automático</option>${optionsHTML}`;
+        
+        // Conservar el modelo configurado aunque ya no esté instalado
+        if (!data.models.some(model => model.name === currentSettings.model)) {
+            modelSelect.insertAdjacentHTML('afterbegin',
+                `<option value="${escapeHTML(currentSettings.model)}">${escapeHTML(currentSettings.model)} (no instalado)</option>`);
+        }
+        
+        modelSelect.value = currentSettings.model;
+        conversationModelSelect.value = currentConversationModel || '';
+    } catch (error) {
+        console.error('Error al cargar modelos disponibles:', error);
+    }
+}
+
 /**
  * Guarda la configuración actual
  * @async
@@ -2671,6 +5216,31 @@ async function saveSettings() {
     // Guardar en localStorage
     localStorage.setItem('cagSettings', JSON.stringify(currentSettings));
     
+    // Guardar el modelo fijado para la conversación actual
+    const conversationModel = document.getElementById('conversation-model-selection').value || null;
+    if (currentConversationId && conversationModel !== currentConversationModel) {
+        try {
+            const response = await fetchWithRetry(`/api/conversations/${currentConversationId}/model`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken
+                },
+                body: JSON.stringify({ model: conversationModel })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'No se pudo cambiar el modelo de la conversación');
+            }
+            
+            currentConversationModel = conversationModel;
+        } catch (error) {
+            console.error('Error al guardar modelo de la conversación:', error);
+            showToast(TOAST_TYPES.ERROR, 'Error', error.message);
+        }
+    }
+    
     // Guardar config en el servidor
     try {
         await fetchWithRetry('/api/config', {
@@ -2899,6 +5469,48 @@ function toggleModal(modalId, show) {
     }
 }
 
+/**
+ * Etiquetas de los tipos de datos personales detectados por el servidor
+ * @constant
+ */
+const PII_LABELS = {
+    email: 'correo electrónico',
+    phone: 'teléfono',
+    iban: 'IBAN',
+    credit_card: 'tarjeta de crédito',
+    rut: 'RUT',
+    dni: 'DNI/NIE',
+    address: 'dirección',
+    api_key: 'clave de API'
+};
+
+/**
+ * Avisa de los datos personales detectados en un mensaje o documento
+ * @param {Array<Object>} pii - Resumen [{ type, action, count }] devuelto por el servidor
+ * @param {string} [subject] - Qué contenía los datos
+ */
+function showPiiWarning(pii, subject = 'El mensaje') {
+    if (!Array.isArray(pii) || pii.length === 0) return;
+    
+    const hidden = pii.filter(item => item.action === 'mask' || item.action === 'hash');
+    const blocked = pii.filter(item => item.action === 'block');
+    const kept = pii.filter(item => item.action === 'warn');
+    const describe = items => items.map(item => PII_LABELS[item.type] || item.type).join(', ');
+    
+    const parts = [];
+    if (hidden.length > 0) {
+        parts.push(`se ocultó: ${describe(hidden)}`);
+    }
+    if (blocked.length > 0) {
+        parts.push(`no se compartirá en la memoria global: ${describe(blocked)}`);
+    }
+    if (kept.length > 0) {
+        parts.push(`se conserva tal cual: ${describe(kept)}`);
+    }
+    
+    showToast(TOAST_TYPES.WARNING, 'Datos personales detectados', `${subject} contiene datos personales; ${parts.join('; ')}.`, 8000);
+}
+
 /**
  * Muestra notificación toast
  * @param {string} type - Tipo de notificación
@@ -3076,10 +5688,30 @@ async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT) {
  */
 async function fetchWithRetry(url, options = {}, maxRetries = MAX_RETRY_ATTEMPTS) {
     let retries = 0;
+    let csrfRefreshed = false;
     
     while (retries < maxRetries) {
         try {
-            return await fetchWithTimeout(url, options);
+            const response = await fetchWithTimeout(url, options);
+            
+            // Renovar el token CSRF si ha caducado y reintentar una vez
+            if (!csrfRefreshed && options.headers && options.headers['X-CSRF-Token'] !== undefined &&
+                await isCSRFRejection(response)) {
+                csrfRefreshed = true;
+                await fetchCSRFToken();
+                options = {
+                    ...options,
+                    headers: { ...options.headers, 'X-CSRF-Token': csrfToken }
+                };
+                continue;
+            }
+            
+            // Sesión caducada: pedir de nuevo las credenciales
+            if (response.status === 401 && !url.startsWith('/api/auth/')) {
+                handleSessionExpired();
+            }
+            
+            return response;
         } catch (error) {
             retries++;
             
@@ -3096,6 +5728,25 @@ async function fetchWithRetry(url, options = {}, maxRetries = MAX_RETRY_ATTEMPTS
     }
 }
 
+/**
+ * Determina si una respuesta es un rechazo por token CSRF ausente o inválido
+ * @async
+ * @param {Response} response - Respuesta a analizar
+ * @returns {Promise<boolean>} - true si el servidor rechazó el token CSRF
+ */
+async function isCSRFRejection(response) {
+    if (response.status !== 403) {
+        return false;
+    }
+    
+    try {
+        const data = await response.clone().json();
+        return typeof data.code === 'string' && data.code.startsWith('CSRF_');
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Determina si un error permite reintentos
  * @param {Error} error - Error a analizar
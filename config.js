@@ -8,11 +8,11 @@
  */
 
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const winston = require('winston');
 const Ajv = require('ajv');
+const storage = require('./storage');
 
 // Configuración del logger
 const logger = winston.createLogger({
@@ -31,9 +31,12 @@ const logger = winston.createLogger({
 // Determinar el entorno actual
 const ENV = process.env.NODE_ENV || 'development';
 
-// Rutas a los archivos de configuración
-const CONFIG_DIR = path.join(__dirname, 'data');
-const CONFIG_PATH = path.join(CONFIG_DIR, `config.${ENV}.json`);
+// Archivos de configuración (data/config/ con el backend file)
+const configFiles = storage.bucket('config');
+const CONFIG_FILE = `config.${ENV}.json`;
+// Ubicación anterior del archivo de configuración, importada una vez al iniciar
+const LEGACY_CONFIG_PATH = path.join(__dirname, 'data', CONFIG_FILE);
+const WRITE_OPTIONS = { mode: 0o640 }; // Permisos restrictivos
 const ENCRYPTION_KEY = process.env.CONFIG_ENCRYPTION_KEY || 'defaultEncryptionKey12345678901234567890';
 
 // Sistema de caché en memoria con tiempo de expiración
@@ -72,7 +75,31 @@ const configSchema = {
     },
     model: { 
       type: 'string',
-      pattern: '^[a-zA-Z0-9:]+$'
+      pattern: '^[a-zA-Z0-9._:/-]+$'
+    },
+    model_routing: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        small_model: { type: 'string' },
+        large_model: { type: 'string' },
+        simple_intents: { type: 'array', items: { type: 'string' } },
+        max_simple_length: { type: 'integer', minimum: 1 }
+      }
+    },
+    pii_settings: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        warn_user: { type: 'boolean' },
+        policies: {
+          type: 'object',
+          additionalProperties: {
+            type: 'string',
+            enum: ['mask', 'hash', 'block', 'warn', 'off']
+          }
+        }
+      }
     },
     memory_settings: {
       type: 'object',
@@ -107,6 +134,27 @@ const DEFAULT_CONFIGS = {
       max_conversation_history: 20,
       cross_conversation_memory: true
     },
+    model_routing: {
+      enabled: false,
+      small_model: 'gemma3:4b',
+      large_model: 'gemma3:27b',
+      simple_intents: ['saludar', 'agradecer', 'despedirse', 'confirmar', 'negar', 'conversar'],
+      max_simple_length: 200
+    },
+    pii_settings: {
+      enabled: true,
+      warn_user: true,
+      policies: {
+        email: 'block',
+        phone: 'block',
+        iban: 'mask',
+        credit_card: 'mask',
+        rut: 'hash',
+        dni: 'hash',
+        address: 'block',
+        api_key: 'mask'
+      }
+    },
     debug: true
   },
   production: {
@@ -119,6 +167,27 @@ const DEFAULT_CONFIGS = {
       max_conversation_history: 10,
       cross_conversation_memory: false
     },
+    model_routing: {
+      enabled: false,
+      small_model: 'gemma3:4b',
+      large_model: 'gemma3:27b',
+      simple_intents: ['saludar', 'agradecer', 'despedirse', 'confirmar', 'negar', 'conversar'],
+      max_simple_length: 200
+    },
+    pii_settings: {
+      enabled: true,
+      warn_user: true,
+      policies: {
+        email: 'block',
+        phone: 'block',
+        iban: 'mask',
+        credit_card: 'mask',
+        rut: 'hash',
+        dni: 'hash',
+        address: 'block',
+        api_key: 'mask'
+      }
+    },
     debug: false
   },
   test: {
@@ -131,6 +200,27 @@ const DEFAULT_CONFIGS = {
       max_conversation_history: 5,
       cross_conversation_memory: false
     },
+    model_routing: {
+      enabled: false,
+      small_model: 'gemma3:4b',
+      large_model: 'gemma3:7b',
+      simple_intents: ['saludar', 'agradecer', 'despedirse', 'confirmar', 'negar', 'conversar'],
+      max_simple_length: 200
+    },
+    pii_settings: {
+      enabled: true,
+      warn_user: true,
+      policies: {
+        email: 'block',
+        phone: 'block',
+        iban: 'mask',
+        credit_card: 'mask',
+        rut: 'hash',
+        dni: 'hash',
+        address: 'block',
+        api_key: 'mask'
+      }
+    },
     debug: true
   }
 };
@@ -198,21 +288,23 @@ function decryptSensitiveData(data, sensitiveKeys = ['system_prompt']) {
  */
 async function init() {
   try {
-    // Crear directorio de datos si no existe
+    await importLegacyConfig();
+    
+    // Verificar si existe el archivo de configuración
+    let existingConfig = null;
     try {
-      await fs.access(CONFIG_DIR);
+      existingConfig = await configFiles.readJSON(CONFIG_FILE);
     } catch (error) {
-      logger.info('Config: Creando directorio de datos');
-      await fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o750 }); // Permisos restrictivos
+      // Error al leer archivo, recrear con valores por defecto
+      logger.error('Config: Error al verificar la configuración existente:', error);
+      logger.info('Config: Restaurando configuración por defecto');
+      await configFiles.writeJSON(CONFIG_FILE, encryptSensitiveData(DEFAULT_CONFIG), WRITE_OPTIONS);
     }
     
-    // Verificar si existe el archivo de configuración
-    try {
-      await fs.access(CONFIG_PATH);
+    if (existingConfig) {
       logger.info(`Config: Archivo de configuración para ${ENV} encontrado`);
       
       // Verificar que la config existente tenga todos los campos necesarios
-      const existingConfig = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
       const decryptedConfig = decryptSensitiveData(existingConfig);
       
       // Asegurar que hay nuevos parámetros predeterminados
@@ -233,41 +325,48 @@ async function init() {
         }
         
         const encryptedConfig = encryptSensitiveData(updatedConfig);
-        await fs.writeFile(
-          CONFIG_PATH, 
-          JSON.stringify(encryptedConfig, null, 2), 
-          { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-        );
+        await configFiles.writeJSON(CONFIG_FILE, encryptedConfig, WRITE_OPTIONS);
         logger.info('Config: Archivo de configuración actualizado con nuevos parámetros');
       }
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Archivo no existe, crear uno nuevo
-        logger.info(`Config: Creando archivo de configuración para ${ENV} con valores por defecto`);
-        const encryptedConfig = encryptSensitiveData(DEFAULT_CONFIG);
-        await fs.writeFile(
-          CONFIG_PATH, 
-          JSON.stringify(encryptedConfig, null, 2), 
-          { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-        );
-      } else {
-        // Error al leer archivo, recrear con valores por defecto
-        logger.error('Config: Error al verificar la configuración existente:', error);
-        logger.info('Config: Restaurando configuración por defecto');
-        const encryptedConfig = encryptSensitiveData(DEFAULT_CONFIG);
-        await fs.writeFile(
-          CONFIG_PATH, 
-          JSON.stringify(encryptedConfig, null, 2), 
-          { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-        );
-      }
+    } else if (!(await configFiles.exists(CONFIG_FILE))) {
+      // Archivo no existe, crear uno nuevo
+      logger.info(`Config: Creando archivo de configuración para ${ENV} con valores por defecto`);
+      await configFiles.writeJSON(CONFIG_FILE, encryptSensitiveData(DEFAULT_CONFIG), WRITE_OPTIONS);
     }
+    
+    // Precargar la caché para getSync
+    await get(false);
   } catch (error) {
     logger.error('Config: Error crítico en inicialización:', error);
     throw new Error(`No se pudo inicializar la configuración: ${error.message}`);
   }
 }
 
+/**
+ * Importa la configuración guardada en data/ por versiones anteriores
+ *
+ * Solo se hace una vez: si el almacenamiento ya tiene configuración para el
+ * entorno, el archivo anterior se ignora.
+ * @async
+ * @returns {Promise<void>}
+ * @private
+ */
+async function importLegacyConfig() {
+  try {
+    if (await configFiles.exists(CONFIG_FILE)) {
+      return;
+    }
+    
+    const legacyData = await fs.readFile(LEGACY_CONFIG_PATH, 'utf8');
+    await configFiles.writeJSON(CONFIG_FILE, JSON.parse(legacyData), WRITE_OPTIONS);
+    logger.info(`Config: Configuración de ${ENV} importada de ${LEGACY_CONFIG_PATH}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Config: No se pudo importar la configuración anterior:', error);
+    }
+  }
+}
+
 /**
  * Obtiene la configuración actual
  * @async
@@ -283,10 +382,10 @@ async function get(useCache = true) {
       return configCache.data;
     }
     
-    // Verificar si existe el archivo
-    try {
-      await fs.access(CONFIG_PATH);
-    } catch (error) {
+    // Leer configuración almacenada
+    const encryptedConfig = await configFiles.readJSON(CONFIG_FILE);
+    
+    if (!encryptedConfig) {
       logger.warn(`Config: Archivo de configuración para ${ENV} no encontrado, usando valores por defecto`);
       
       // Actualizar caché
@@ -299,9 +398,6 @@ async function get(useCache = true) {
       return configCache.data;
     }
     
-    // Leer y parsear configuración
-    const data = await fs.readFile(CONFIG_PATH, 'utf8');
-    const encryptedConfig = JSON.parse(data);
     const config = decryptSensitiveData(encryptedConfig);
     
     // Validar configuración
@@ -402,11 +498,7 @@ async function update(newConfig, cacheTTL = null) {
     const encryptedConfig = encryptSensitiveData(combinedConfig);
     
     // Guardar configuración
-    await fs.writeFile(
-      CONFIG_PATH, 
-      JSON.stringify(encryptedConfig, null, 2), 
-      { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-    );
+    await configFiles.writeJSON(CONFIG_FILE, encryptedConfig, WRITE_OPTIONS);
     
     logger.info('Config: Configuración actualizada correctamente');
     
@@ -436,11 +528,7 @@ async function reset() {
     const encryptedConfig = encryptSensitiveData(DEFAULT_CONFIG);
     
     // Guardar configuración por defecto
-    await fs.writeFile(
-      CONFIG_PATH, 
-      JSON.stringify(encryptedConfig, null, 2), 
-      { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-    );
+    await configFiles.writeJSON(CONFIG_FILE, encryptedConfig, WRITE_OPTIONS);
     
     logger.info(`Config: Configuración para ${ENV} restablecida a valores por defecto`);
     
@@ -529,26 +617,20 @@ async function getUserConfig(userId) {
   }
   
   try {
-    const userConfigPath = path.join(CONFIG_DIR, `user_${userId}.json`);
+    const userConfig = await configFiles.readJSON(`user_${userId}.json`);
     
-    try {
-      await fs.access(userConfigPath);
-      const userData = await fs.readFile(userConfigPath, 'utf8');
-      const userConfig = JSON.parse(userData);
-      const decryptedConfig = decryptSensitiveData(userConfig);
-      
-      // Obtener configuración global
-      const globalConfig = await get();
-      
-      // Combinar configuraciones con prioridad para la configuración de usuario
-      return { ...globalConfig, ...decryptedConfig };
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // No existe configuración para este usuario, usar la global
-        return await get();
-      }
-      throw error;
+    if (!userConfig) {
+      // No existe configuración para este usuario, usar la global
+      return await get();
     }
+    
+    const decryptedConfig = decryptSensitiveData(userConfig);
+    
+    // Obtener configuración global
+    const globalConfig = await get();
+    
+    // Combinar configuraciones con prioridad para la configuración de usuario
+    return { ...globalConfig, ...decryptedConfig };
   } catch (error) {
     logger.error(`Config: Error al obtener configuración de usuario ${userId}:`, error);
     return await get(); // En caso de error, devolver configuración global
@@ -568,21 +650,11 @@ async function updateUserConfig(userId, newConfig) {
   }
   
   try {
-    const userConfigPath = path.join(CONFIG_DIR, `user_${userId}.json`);
-    let currentUserConfig = {};
+    const userConfigFile = `user_${userId}.json`;
     
-    // Intentar obtener configuración actual del usuario
-    try {
-      await fs.access(userConfigPath);
-      const userData = await fs.readFile(userConfigPath, 'utf8');
-      const encryptedUserConfig = JSON.parse(userData);
-      currentUserConfig = decryptSensitiveData(encryptedUserConfig);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-      // Si no existe el archivo, se usará un objeto vacío
-    }
+    // Obtener configuración actual del usuario (objeto vacío si no existe)
+    const encryptedUserConfig = await configFiles.readJSON(userConfigFile);
+    const currentUserConfig = encryptedUserConfig ? decryptSensitiveData(encryptedUserConfig) : {};
     
     // Combinar configuraciones
     const combinedConfig = { ...currentUserConfig, ...newConfig };
@@ -599,11 +671,7 @@ async function updateUserConfig(userId, newConfig) {
     
     // Encriptar y guardar
     const encryptedConfig = encryptSensitiveData(combinedConfig);
-    await fs.writeFile(
-      userConfigPath, 
-      JSON.stringify(encryptedConfig, null, 2), 
-      { encoding: 'utf8', mode: 0o640 } // Permisos restrictivos
-    );
+    await configFiles.writeJSON(userConfigFile, encryptedConfig, WRITE_OPTIONS);
     
     logger.info(`Config: Configuración de usuario ${userId} actualizada correctamente`);
     return fullConfig;
@@ -625,20 +693,11 @@ async function deleteUserConfig(userId) {
   }
   
   try {
-    const userConfigPath = path.join(CONFIG_DIR, `user_${userId}.json`);
-    
-    try {
-      await fs.access(userConfigPath);
-      await fs.unlink(userConfigPath);
+    // Si el archivo no existe, se considera un éxito
+    if (await configFiles.remove(`user_${userId}.json`)) {
       logger.info(`Config: Configuración de usuario ${userId} eliminada correctamente`);
-      return true;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // El archivo no existe, considerar como éxito
-        return true;
-      }
-      throw error;
     }
+    return true;
   } catch (error) {
     logger.error(`Config: Error al eliminar configuración de usuario ${userId}:`, error);
     throw new Error(`No se pudo eliminar la configuración de usuario: ${error.message}`);
@@ -647,39 +706,15 @@ async function deleteUserConfig(userId) {
 
 /**
  * Versión sincrónica de obtener configuración para uso en inicialización
+ *
+ * El almacenamiento es asíncrono, así que devuelve la última configuración
+ * cargada (init la precarga) aunque la caché haya expirado, o los valores por
+ * defecto si aún no se ha cargado.
  * @deprecated Usar la versión asíncrona cuando sea posible
  * @returns {Object} La configuración actual
  */
 function getSync() {
-  try {
-    // Verificar caché válida
-    const now = Date.now();
-    if (configCache.data && (now - configCache.timestamp < configCache.ttl)) {
-      return configCache.data;
-    }
-    
-    // Verificar si existe el archivo
-    if (!fsSync.existsSync(CONFIG_PATH)) {
-      return { ...DEFAULT_CONFIG };
-    }
-    
-    // Leer y parsear configuración
-    const data = fsSync.readFileSync(CONFIG_PATH, 'utf8');
-    const encryptedConfig = JSON.parse(data);
-    const config = decryptSensitiveData(encryptedConfig);
-    
-    // Actualizar caché
-    configCache = {
-      data: config,
-      timestamp: now,
-      ttl: configCache.ttl
-    };
-    
-    return config;
-  } catch (error) {
-    console.error('Config: Error al obtener configuración de forma sincrónica:', error);
-    return { ...DEFAULT_CONFIG };
-  }
+  return configCache.data || { ...DEFAULT_CONFIG };
 }
 
 module.exports = {
@@ -22,8 +22,6 @@
  *   - nlp-loader.js (initNLPModels)
  */
 
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 const entityExtractor = require('./entity-extractor');
 const memoryStore = require('./memory-store');
@@ -31,12 +29,12 @@ const db = require('./db');
 const documentProcessor = require('./document-processor');
 const LRUCache = require('lru-cache'); // Nuevo: Agregar caché LRU para mejor rendimiento
 const nlp = require('compromise-es'); // Nuevo: Librería NLP más potente
-const { TfIdfVectorizer } = require('natural'); // Nuevo: Para análisis semántico mejorado
+const semanticService = require('./semantic-service'); // Embeddings compartidos con el resto de módulos
+const storage = require('./storage');
 
-// Directorio para almacenamiento de datos
-const DATA_DIR = path.join(__dirname, 'data');
-const CONTEXTS_DIR = path.join(DATA_DIR, 'contexts');
-const CONTEXTS_CACHE_DIR = path.join(CONTEXTS_DIR, 'cache');
+// Bucket de contextos (data/contexts con el backend file); la caché de análisis va en cache/
+const contextFiles = storage.bucket('contexts');
+const CACHE_PREFIX = 'cache/';
 
 // Configuración
 const MAX_CONTEXT_MESSAGES = 10;       // Número máximo de mensajes a considerar para contexto
@@ -58,9 +56,6 @@ const analysisCache = new LRUCache({
     updateAgeOnGet: true
 });
 
-// Inicializar vectorizador para análisis semántico
-const vectorizer = new TfIdfVectorizer();
-
 // Contador de hits y misses de caché para rendimiento
 let cacheStats = { hits: 0, misses: 0, entries: 0 };
 
@@ -69,19 +64,6 @@ let cacheStats = { hits: 0, misses: 0, entries: 0 };
  */
 async function init() {
     try {
-        // Crear directorios necesarios
-        const dirs = [
-            CONTEXTS_DIR,
-            CONTEXTS_CACHE_DIR
-        ];
-        
-        for (const dir of dirs) {
-            if (!fs.existsSync(dir)) {
-                await fs.promises.mkdir(dir, { recursive: true });
-                console.log(`ContextAnalyzer: Directorio creado - ${dir}`);
-            }
-        }
-        
         // Inicializar modelos NLP para idiomas soportados
         await initNLPModels();
         
@@ -183,36 +165,32 @@ async function cleanupCache() {
             { age: 1000 * 60 * 60 * 24, factor: 0.9 }       // Un día: mantener 90%
         ];
         
-        // Limpiar archivos de caché en disco con decaimiento temporal
-        if (fs.existsSync(CONTEXTS_CACHE_DIR)) {
-            const files = await fs.promises.readdir(CONTEXTS_CACHE_DIR);
+        // Limpiar archivos de caché almacenados con decaimiento temporal
+        const files = await contextFiles.list(CACHE_PREFIX);
+        
+        for (const file of files) {
+            const fileAge = now - new Date(file.updatedAt).getTime();
             
-            for (const file of files) {
-                const filePath = path.join(CONTEXTS_CACHE_DIR, file);
-                const stats = await fs.promises.stat(filePath);
-                const fileAge = now - stats.mtimeMs;
-                
-                // Verificar contra umbrales de decaimiento
-                let shouldDelete = false;
-                
-                // Si es más viejo que la entrada más antigua, eliminar
-                if (fileAge > decayThresholds[0].age) {
-                    shouldDelete = true;
-                } else {
-                    // Aplicar factores de probabilidad basados en decaimiento
-                    for (const threshold of decayThresholds) {
-                        if (fileAge > threshold.age) {
-                            // Usar factor como probabilidad de eliminar
-                            shouldDelete = Math.random() > threshold.factor;
-                            break;
-                        }
+            // Verificar contra umbrales de decaimiento
+            let shouldDelete = false;
+            
+            // Si es más viejo que la entrada más antigua, eliminar
+            if (fileAge > decayThresholds[0].age) {
+                shouldDelete = true;
+            } else {
+                // Aplicar factores de probabilidad basados en decaimiento
+                for (const threshold of decayThresholds) {
+                    if (fileAge > threshold.age) {
+                        // Usar factor como probabilidad de eliminar
+                        shouldDelete = Math.random() > threshold.factor;
+                        break;
                     }
                 }
-                
-                if (shouldDelete) {
-                    await fs.promises.unlink(filePath);
-                    removedCount++;
-                }
+            }
+            
+            if (shouldDelete) {
+                await contextFiles.remove(file.name);
+                removedCount++;
             }
         }
         
@@ -248,9 +226,12 @@ function generateCacheKey(message) {
  * @param {string} conversationId - ID de la conversación
  * @param {string} userId - ID del usuario (opcional)
  * @param {string} message - Mensaje a analizar
+ * @param {Object} options - Opciones
+ * @param {Object} [options.conversation] - Conversación ya cargada; su rama activa sustituye a la
+ *   guardada (al regenerar, la rama nueva no se guarda hasta que hay respuesta)
  * @returns {Promise<Object>} Mapa de contexto generado
  */
-async function analyzeMessage(conversationId, userId, message) {
+async function analyzeMessage(conversationId, userId, message, options = {}) {
     try {
         // Validar entrada
         if (!message || message.trim() === '') {
@@ -274,7 +255,7 @@ async function analyzeMessage(conversationId, userId, message) {
         };
         
         // Obtener historial de conversación con reintentos
-        let conversation = await withRetry(() => db.getConversation(conversationId));
+        let conversation = options.conversation || await withRetry(() => db.getConversation(conversationId));
         
         if (!conversation) {
             console.warn(`ContextAnalyzer: Conversación ${conversationId} no encontrada`);
@@ -321,9 +302,21 @@ async function analyzeMessage(conversationId, userId, message) {
             await analyzeMessageRelationships(contextMap);
         }
         
+        // Aplicar correcciones de usuarios (también a entidades de un análisis en caché)
+        if (contextMap.entities) {
+            contextMap.entities = await entityExtractor.applyFeedback(contextMap.entities);
+        }
+        
         // Cargar memoria si existe
         try {
             const memory = await withRetry(() => memoryStore.getMemory(conversationId, userId));
+            if (memory && options.conversation) {
+                // Excluir los recuerdos de mensajes que no están en la rama indicada
+                const activeIds = new Set(options.conversation.messages.map(msg => msg.id));
+                const inBranch = item => !item.messageId || activeIds.has(item.messageId);
+                memory.shortTerm = (memory.shortTerm || []).filter(inBranch);
+                memory.longTerm = (memory.longTerm || []).filter(inBranch);
+            }
             if (memory) {
                 contextMap.memory = memory;
             }
@@ -356,24 +349,25 @@ async function analyzeMessage(conversationId, userId, message) {
 /**
  * Vectoriza texto para comparaciones semánticas
  * @param {string} text - Texto a vectorizar
- * @returns {Array} Vector de características
+ * @returns {Promise<Array|null>} Embedding del texto
  * @private
  */
-function vectorizeText(text) {
+async function vectorizeText(text) {
     try {
         if (!text || typeof text !== 'string') {
             return null;
         }
         
         // Procesar texto
-        const processedText = text.toLowerCase()
-            .replace(/[^\wáéíóúüñ\s]/g, ' ')
+        const processedText = text
             .replace(/\s+/g, ' ')
             .trim();
-            
-        // Tokenizar y vectorizar
-        const tokens = processedText.split(' ').filter(t => t.length > 2);
-        return vectorizer.vectorize(tokens);
+        
+        if (!processedText) {
+            return null;
+        }
+        
+        return await semanticService.generateEmbedding(processedText);
     } catch (error) {
         console.error('ContextAnalyzer: Error al vectorizar texto:', error);
         return null;
@@ -389,29 +383,7 @@ function vectorizeText(text) {
  */
 function cosineSimilarity(vec1, vec2) {
     try {
-        if (!vec1 || !vec2 || !vec1.length || !vec2.length) {
-            return 0;
-        }
-        
-        // Producto punto
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-        
-        for (let i = 0; i < vec1.length; i++) {
-            dotProduct += vec1[i] * (vec2[i] || 0);
-            normA += vec1[i] * vec1[i];
-        }
-        
-        for (let i = 0; i < vec2.length; i++) {
-            normB += vec2[i] * vec2[i];
-        }
-        
-        if (normA === 0 || normB === 0) {
-            return 0;
-        }
-        
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+        return semanticService.cosineSimilarity(vec1, vec2);
     } catch (error) {
         console.error('ContextAnalyzer: Error al calcular similitud coseno:', error);
         return 0;
@@ -432,15 +404,14 @@ async function getCachedAnalysis(cacheKey) {
             return cachedEntry;
         }
         
-        // Después verificar caché en disco
-        const cachePath = path.join(CONTEXTS_CACHE_DIR, `${cacheKey}.json`);
-        if (fs.existsSync(cachePath)) {
+        // Después verificar caché almacenada
+        const cacheName = `${CACHE_PREFIX}${cacheKey}.json`;
+        const [cacheFile] = await contextFiles.list(cacheName);
+        if (cacheFile && cacheFile.name === cacheName) {
             try {
-                const stats = await fs.promises.stat(cachePath);
-                
                 // Verificar expiración
-                if (Date.now() - stats.mtimeMs < CACHE_EXPIRY) {
-                    const cacheData = JSON.parse(await fs.promises.readFile(cachePath, 'utf8'));
+                if (Date.now() - new Date(cacheFile.updatedAt).getTime() < CACHE_EXPIRY) {
+                    const cacheData = await contextFiles.readJSON(cacheName);
                     
                     // Actualizar caché en memoria también
                     analysisCache.set(cacheKey, cacheData);
@@ -448,10 +419,10 @@ async function getCachedAnalysis(cacheKey) {
                     return cacheData;
                 } else {
                     // Eliminar archivo expirado
-                    await fs.promises.unlink(cachePath);
+                    await contextFiles.remove(cacheName);
                 }
             } catch (err) {
-                console.error('ContextAnalyzer: Error al leer caché de disco:', err);
+                console.error('ContextAnalyzer: Error al leer caché almacenada:', err);
             }
         }
         
@@ -476,16 +447,11 @@ async function saveCachedAnalysis(cacheKey, data) {
         // Actualizar estadísticas
         cacheStats.entries = analysisCache.size;
         
-        // Guardar en caché en disco
+        // Guardar en caché almacenada
         try {
-            if (!fs.existsSync(CONTEXTS_CACHE_DIR)) {
-                await fs.promises.mkdir(CONTEXTS_CACHE_DIR, { recursive: true });
-            }
-            
-            const cachePath = path.join(CONTEXTS_CACHE_DIR, `${cacheKey}.json`);
-            await fs.promises.writeFile(cachePath, JSON.stringify(data), 'utf8');
+            await contextFiles.write(`${CACHE_PREFIX}${cacheKey}.json`, JSON.stringify(data));
         } catch (diskErr) {
-            console.error('ContextAnalyzer: Error al guardar caché en disco:', diskErr);
+            console.error('ContextAnalyzer: Error al guardar caché almacenada:', diskErr);
         }
     } catch (error) {
         console.error('ContextAnalyzer: Error al guardar caché:', error);
@@ -636,7 +602,7 @@ async function enrichWithDocumentContext(conversationId, message, contextMap) {
         }));
         
         // Vectorizar mensaje para comparación semántica
-        const messageVector = vectorizeText(message);
+        const messageVector = await vectorizeText(message);
         
         if (messageVector) {
             // Buscar documentos relevantes usando vectores semánticos
@@ -647,7 +613,7 @@ async function enrichWithDocumentContext(conversationId, message, contextMap) {
                 
                 // Si hay contenido textual, calcular similitud semántica con vectores
                 if (doc.textContent) {
-                    const docVector = vectorizeText(doc.textContent.substring(0, 5000)); // Limitar para rendimiento
+                    const docVector = await vectorizeText(doc.textContent.substring(0, 5000)); // Limitar para rendimiento
                     if (docVector) {
                         const similarity = cosineSimilarity(messageVector, docVector);
                         relevanceScore += similarity * 0.6; // Peso alto para similitud semántica
@@ -804,12 +770,12 @@ async function analyzeMessageRelationships(contextMap) {
         }
         
         // 5. Análisis semántico de similitud con mensajes previos usando vectores de embeddings
-        const currentVector = vectorizeText(currentMessage);
+        const currentVector = await vectorizeText(currentMessage);
         
         if (currentVector) {
-            messagesToAnalyze.forEach((msg, index) => {
+            for (const [index, msg] of messagesToAnalyze.entries()) {
                 if (msg.role === 'bot') {
-                    const msgVector = vectorizeText(msg.content);
+                    const msgVector = await vectorizeText(msg.content);
                     
                     if (msgVector) {
                         // Calcular similitud coseno
@@ -825,7 +791,7 @@ async function analyzeMessageRelationships(contextMap) {
                         }
                     }
                 }
-            });
+            }
         }
         
         // 6. Consolidar y ordenar referencias
@@ -860,9 +826,11 @@ async function analyzeMessageRelationships(contextMap) {
  * @param {Object} contextMap - Mapa de contexto actual
  * @param {string} userMessage - Mensaje del usuario
  * @param {string} botResponse - Respuesta del bot
+ * @param {Object} options - Opciones adicionales
+ * @param {string} options.messageId - ID del mensaje del bot (rama a la que pertenece el recuerdo)
  * @returns {Promise<Object>} Contexto actualizado
  */
-async function updateAfterResponse(conversationId, userId, contextMap, userMessage, botResponse) {
+async function updateAfterResponse(conversationId, userId, contextMap, userMessage, botResponse, options = {}) {
     try {
         if (!contextMap || !conversationId) {
             return {};
@@ -918,6 +886,11 @@ async function updateAfterResponse(conversationId, userId, contextMap, userMessa
             isFollowUp: contextMap.isFollowUp || false
         };
         
+        // Asociar el recuerdo al mensaje para poder seguir la rama activa
+        if (options.messageId) {
+            memoryItem.messageId = options.messageId;
+        }
+        
         // Si hay documentos relevantes, incluirlos en memoria
         if (contextMap.relevantDocuments && contextMap.relevantDocuments.length > 0) {
             memoryItem.relevantDocuments = contextMap.relevantDocuments.map(doc => ({
@@ -1993,8 +1966,22 @@ async function saveContextMap(conversationId, contextMap) {
             return;
         }
        
-        const contextFile = path.join(CONTEXTS_DIR, `${conversationId}.json`);
-        await fs.promises.writeFile(contextFile, JSON.stringify(contextMap, null, 2), 'utf8');
+        const contextName = `${conversationId}.json`;
+        
+        // Conservar los permisos registrados por el gestor de contexto
+        if (contextMap._ownerId === undefined) {
+            try {
+                const previous = await contextFiles.readJSON(contextName);
+                if (previous && previous._ownerId !== undefined) {
+                    contextMap._ownerId = previous._ownerId;
+                    contextMap._authorizedUsers = previous._authorizedUsers || [];
+                }
+            } catch (readError) {
+                console.warn(`ContextAnalyzer: No se pudieron leer los permisos previos de ${conversationId}:`, readError.message);
+            }
+        }
+        
+        await contextFiles.writeJSON(contextName, contextMap);
     } catch (error) {
         console.error(`ContextAnalyzer: Error al guardar contexto para ${conversationId}:`, error);
     }
@@ -2007,11 +1994,8 @@ async function saveContextMap(conversationId, contextMap) {
 async function getContextAnalyzerStats() {
     try {
         // Contar archivos de contexto de manera asíncrona
-        let contextCount = 0;
-        if (fs.existsSync(CONTEXTS_DIR)) {
-            const files = await fs.promises.readdir(CONTEXTS_DIR);
-            contextCount = files.filter(f => f.endsWith('.json')).length;
-        }
+        const files = await contextFiles.list();
+        const contextCount = files.filter(f => f.name.endsWith('.json') && !f.name.startsWith(CACHE_PREFIX)).length;
         
         return {
             cache: {
@@ -6,9 +6,6 @@
  * componentes del sistema.
  */
 
-const fs = require('fs').promises;
-const fsSync = require('fs');
-const path = require('path');
 const LRUCache = require('lru-cache');
 const Joi = require('joi');
 const pRetry = require('p-retry');
@@ -18,12 +15,12 @@ const entityExtractor = require('./entity-extractor');
 const memoryStore = require('./memory-store');
 const documentProcessor = require('./document-processor');
 const globalMemory = require('./global-memory');
+const storage = require('./storage');
 const logger = require('./logger'); // Asumiendo que existe un módulo de logger estructurado
 
-// Directorio para almacenamiento de datos
-const DATA_DIR = path.join(__dirname, 'data');
-const CONTEXTS_DIR = path.join(DATA_DIR, 'contexts');
-const HISTORY_DIR = path.join(DATA_DIR, 'context-history');
+// Buckets para almacenamiento de datos (data/contexts y data/context-history con el backend file)
+const contextFiles = storage.bucket('contexts');
+const historyFiles = storage.bucket('context-history');
 
 // Configuración de caché LRU para contextos activos
 const CONTEXT_CACHE_TTL = 10 * 60 * 1000; // 10 minutos
@@ -57,17 +54,6 @@ const contextMapSchema = Joi.object({
  */
 async function init() {
   try {
-    // Crear directorios si no existen
-    if (!fsSync.existsSync(CONTEXTS_DIR)) {
-      await fs.mkdir(CONTEXTS_DIR, { recursive: true });
-      logger.info('ContextManager: Directorio de contextos creado');
-    }
-    
-    if (!fsSync.existsSync(HISTORY_DIR)) {
-      await fs.mkdir(HISTORY_DIR, { recursive: true });
-      logger.info('ContextManager: Directorio de historial creado');
-    }
-    
     logger.info('ContextManager: Inicializado correctamente');
     
     // Programar limpieza periódica de bloqueos
@@ -170,7 +156,6 @@ function cleanupLocks() {
 async function saveContextHistory(conversationId, contextMap) {
   try {
     const versionId = uuidv4();
-    const historyPath = path.join(HISTORY_DIR, `${conversationId}_${versionId}.json`);
     
     // Clonar el contextMap y añadir metadatos de versión
     const versionedContext = {
@@ -179,7 +164,7 @@ async function saveContextHistory(conversationId, contextMap) {
       _versionTimestamp: new Date().toISOString()
     };
     
-    await fs.writeFile(historyPath, JSON.stringify(versionedContext, null, 2), 'utf8');
+    await historyFiles.writeJSON(`${conversationId}_${versionId}.json`, versionedContext);
     return versionId;
   } catch (error) {
     logger.error('ContextManager: Error al guardar historial de contexto:', { 
@@ -328,16 +313,15 @@ async function getContextMap(conversationId, userId = null, options = {}) {
       return cachedContext;
     }
     
-    // Si no está en caché, cargar desde disco con reintentos
-    const contextPath = path.join(CONTEXTS_DIR, `${conversationId}.json`);
-    const fragmentBasePath = path.join(CONTEXTS_DIR, `${conversationId}_fragment_`);
+    // Si no está en caché, cargar del almacenamiento con reintentos
+    const contextName = `${conversationId}.json`;
     
     // Comprobar si existe el archivo principal
-    if (fsSync.existsSync(contextPath)) {
+    if (await contextFiles.exists(contextName)) {
       try {
         // Usar pRetry para reintentar en caso de fallos
         const contextMap = await pRetry(async () => {
-          const contextData = await fs.readFile(contextPath, 'utf8');
+          const contextData = (await contextFiles.read(contextName)).toString('utf8');
           
           let parsedData;
           try {
@@ -359,11 +343,10 @@ async function getContextMap(conversationId, userId = null, options = {}) {
             fragments.push({ type: 'base', data: parsedData });
             
             // Leer los archivos de fragmentos disponibles
-            const fragmentFiles = fsSync.readdirSync(CONTEXTS_DIR)
-              .filter(file => file.startsWith(`${conversationId}_fragment_`));
+            const fragmentFiles = await contextFiles.list(`${conversationId}_fragment_`);
             
-            for (const fragmentFile of fragmentFiles) {
-              const fragmentData = await fs.readFile(path.join(CONTEXTS_DIR, fragmentFile), 'utf8');
+            for (const { name: fragmentFile } of fragmentFiles) {
+              const fragmentData = (await contextFiles.read(fragmentFile)).toString('utf8');
               try {
                 const fragment = JSON.parse(fragmentData);
                 fragments.push(fragment);
@@ -413,7 +396,7 @@ async function getContextMap(conversationId, userId = null, options = {}) {
         
         // Guardar en caché
         activeContexts.set(cacheKey, contextMap);
-        logger.debug('ContextManager: Contexto cargado de disco', { conversationId, userId });
+        logger.debug('ContextManager: Contexto cargado del almacenamiento', { conversationId, userId });
         
         return contextMap;
       } catch (readError) {
@@ -508,35 +491,19 @@ async function updateContextMap(conversationId, userId, contextMap, options = {}
         const baseFragment = { ...fragments[0].data, _isFragmented: true };
         
         // Guardar base
-        await fs.writeFile(
-          path.join(CONTEXTS_DIR, `${conversationId}.json`),
-          JSON.stringify(baseFragment, null, 2),
-          'utf8'
-        );
+        await contextFiles.writeJSON(`${conversationId}.json`, baseFragment);
         
         // Guardar fragmentos adicionales
         for (let i = 1; i < fragments.length; i++) {
-          await fs.writeFile(
-            path.join(CONTEXTS_DIR, `${conversationId}_fragment_${i}.json`),
-            JSON.stringify(fragments[i], null, 2),
-            'utf8'
-          );
+          await contextFiles.writeJSON(`${conversationId}_fragment_${i}.json`, fragments[i]);
         }
       } else {
         // Si al final no se fragmentó (puede ocurrir en casos límite)
-        await fs.writeFile(
-          path.join(CONTEXTS_DIR, `${conversationId}.json`),
-          JSON.stringify(contextMap, null, 2),
-          'utf8'
-        );
+        await contextFiles.writeJSON(`${conversationId}.json`, contextMap);
       }
     } else {
       // Guardar normalmente si no es necesario fragmentar
-      await fs.writeFile(
-        path.join(CONTEXTS_DIR, `${conversationId}.json`),
-        JSON.stringify(contextMap, null, 2),
-        'utf8'
-      );
+      await contextFiles.writeJSON(`${conversationId}.json`, contextMap);
     }
     
     // Actualizar caché
@@ -574,11 +541,8 @@ async function checkUserPermission(userId, conversationId, operation) {
     // Implementación básica - puede extenderse para consultar un servicio de autorización
     
     // Cargar el contexto para verificar propietario
-    const contextPath = path.join(CONTEXTS_DIR, `${conversationId}.json`);
-    if (fsSync.existsSync(contextPath)) {
-      const contextData = await fs.readFile(contextPath, 'utf8');
-      const contextMap = JSON.parse(contextData);
-      
+    const contextMap = await contextFiles.readJSON(`${conversationId}.json`);
+    if (contextMap) {
       // Si el contexto tiene un creador/propietario
       if (contextMap._ownerId && contextMap._ownerId !== userId) {
         // Verificar si el usuario está en la lista de usuarios autorizados
@@ -609,6 +573,60 @@ async function checkUserPermission(userId, conversationId, operation) {
   }
 }
 
+/**
+ * Registra el propietario y los usuarios con permiso de escritura de un contexto
+ *
+ * Los campos _ownerId y _authorizedUsers son los que consulta
+ * checkUserPermission. Si el contexto aún no existe se crea solo con ellos.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} access - Datos de acceso
+ * @param {string} access.ownerId - ID del propietario
+ * @param {Array<string>} access.authorizedUsers - IDs de usuarios con permiso de escritura
+ * @returns {Promise<boolean>} True si se guardó correctamente
+ */
+async function setContextAccess(conversationId, { ownerId, authorizedUsers = [] }) {
+  let lockId = null;
+  
+  try {
+    if (!conversationId) {
+      return false;
+    }
+    
+    lockId = await acquireLock(conversationId);
+    
+    const contextName = `${conversationId}.json`;
+    const contextMap = await contextFiles.readJSON(contextName) ||
+      { lastUpdated: new Date().toISOString() };
+    
+    contextMap._ownerId = ownerId || null;
+    contextMap._authorizedUsers = [...new Set(authorizedUsers)];
+    
+    await contextFiles.writeJSON(contextName, contextMap);
+    
+    // Invalidar las copias en caché (cada usuario tiene la suya)
+    for (const key of [...activeContexts.keys()]) {
+      if (key.startsWith(`${conversationId}:`)) {
+        activeContexts.delete(key);
+      }
+    }
+    
+    logger.debug('ContextManager: Permisos de contexto actualizados', {
+      conversationId,
+      authorizedUsers: contextMap._authorizedUsers.length
+    });
+    return true;
+  } catch (error) {
+    logger.error(`ContextManager: Error al actualizar permisos de contexto para ${conversationId}:`, {
+      error: error.message
+    });
+    return false;
+  } finally {
+    if (lockId) {
+      releaseLock(conversationId, lockId);
+    }
+  }
+}
+
 /**
  * Enriquece un contexto con información adicional
  * @param {string} conversationId - ID de la conversación
@@ -856,20 +874,11 @@ async function deleteContext(conversationId, userId = null) {
     // Adquirir bloqueo
     lockId = await acquireLock(conversationId);
     
-    const contextPath = path.join(CONTEXTS_DIR, `${conversationId}.json`);
-    
     // Eliminar fragmentos si existen
-    const fragmentFiles = fsSync.readdirSync(CONTEXTS_DIR)
-      .filter(file => file.startsWith(`${conversationId}_fragment_`));
-    
-    for (const fragmentFile of fragmentFiles) {
-      await fs.unlink(path.join(CONTEXTS_DIR, fragmentFile));
-    }
+    await contextFiles.clear(`${conversationId}_fragment_`);
     
     // Eliminar archivo principal si existe
-    if (fsSync.existsSync(contextPath)) {
-      await fs.unlink(contextPath);
-    }
+    await contextFiles.remove(`${conversationId}.json`);
     
     // Eliminar de caché
     for (const key of [...activeContexts.keys()]) {
@@ -899,47 +908,34 @@ async function deleteContext(conversationId, userId = null) {
  */
 async function getContextStats() {
   try {
-    if (!fsSync.existsSync(CONTEXTS_DIR)) {
-      return {
-        totalContexts: 0,
-        activeContextsCount: 0,
-        averageSize: 0,
-        fragmentedContexts: 0,
-        historyVersions: 0
-      };
-    }
-    
-    const files = fsSync.readdirSync(CONTEXTS_DIR)
-      .filter(file => file.endsWith('.json') && !file.includes('_fragment_'));
+    // Solo los archivos principales (sin fragmentos ni subcarpetas como la caché)
+    const files = (await contextFiles.list())
+      .filter(file => file.name.endsWith('.json') && !file.name.includes('_fragment_') && !file.name.includes('/'));
     
     let totalSize = 0;
     let fragmentedCount = 0;
     
     for (const file of files) {
       try {
-        const filePath = path.join(CONTEXTS_DIR, file);
-        const stats = fsSync.statSync(filePath);
-        totalSize += stats.size;
+        totalSize += file.size;
         
         // Comprobar si está fragmentado
-        const contextData = await fs.readFile(filePath, 'utf8');
-        const contextMap = JSON.parse(contextData);
-        if (contextMap._isFragmented) {
+        const contextMap = await contextFiles.readJSON(file.name);
+        if (contextMap && contextMap._isFragmented) {
           fragmentedCount++;
         }
       } catch (err) {
         // Ignorar archivos con error
         logger.warn('ContextManager: Error al procesar archivo para estadísticas', {
-          file,
+          file: file.name,
           error: err.message
         });
       }
     }
     
     // Contar versiones de historial
-    const historyFiles = fsSync.existsSync(HISTORY_DIR) ? 
-      fsSync.readdirSync(HISTORY_DIR).filter(file => file.endsWith('.json')) :
-      [];
+    const historyVersions = (await historyFiles.list())
+      .filter(file => file.name.endsWith('.json'));
     
     const averageSize = files.length > 0 ? Math.round(totalSize / files.length) : 0;
     
@@ -948,7 +944,7 @@ async function getContextStats() {
       activeContextsCount: activeContexts.size,
       averageSize,
       fragmentedContexts: fragmentedCount,
-      historyVersions: historyFiles.length
+      historyVersions: historyVersions.length
     };
   } catch (error) {
     logger.error('ContextManager: Error al obtener estadísticas de contexto:', {
@@ -978,9 +974,9 @@ async function getContextVersion(conversationId, versionId) {
       return null;
     }
     
-    const historyPath = path.join(HISTORY_DIR, `${conversationId}_${versionId}.json`);
+    const contextMap = await historyFiles.readJSON(`${conversationId}_${versionId}.json`);
     
-    if (!fsSync.existsSync(historyPath)) {
+    if (!contextMap) {
       logger.warn('ContextManager: Versión de contexto no encontrada', {
         conversationId,
         versionId
@@ -988,8 +984,7 @@ async function getContextVersion(conversationId, versionId) {
       return null;
     }
     
-    const contextData = await fs.readFile(historyPath, 'utf8');
-    return JSON.parse(contextData);
+    return contextMap;
   } catch (error) {
     logger.error('ContextManager: Error al recuperar versión de contexto', {
       conversationId,
@@ -1011,34 +1006,26 @@ async function getContextVersions(conversationId) {
       return [];
     }
     
-    if (!fsSync.existsSync(HISTORY_DIR)) {
-      return [];
-    }
-    
-    const versionFiles = fsSync.readdirSync(HISTORY_DIR)
-      .filter(file => file.startsWith(`${conversationId}_`) && file.endsWith('.json'));
+    const versionFiles = (await historyFiles.list(`${conversationId}_`))
+      .filter(file => file.name.endsWith('.json'));
     
     const versions = [];
     
     for (const file of versionFiles) {
       try {
-        const filePath = path.join(HISTORY_DIR, file);
-        const stats = fsSync.statSync(filePath);
-        
         // Extraer versionId del nombre del archivo
-        const versionId = file.replace(`${conversationId}_`, '').replace('.json', '');
+        const versionId = file.name.replace(`${conversationId}_`, '').replace('.json', '');
         
-        const contextData = await fs.readFile(filePath, 'utf8');
-        const contextMap = JSON.parse(contextData);
+        const contextMap = await historyFiles.readJSON(file.name);
         
         versions.push({
           versionId,
-          timestamp: contextMap._versionTimestamp || stats.mtime.toISOString(),
-          size: stats.size
+          timestamp: contextMap._versionTimestamp || new Date(file.updatedAt).toISOString(),
+          size: file.size
         });
       } catch (err) {
         logger.warn('ContextManager: Error al procesar versión', {
-          file,
+          file: file.name,
           error: err.message
         });
       }
@@ -1153,6 +1140,7 @@ module.exports = {
   processResponse,
   searchContext,
   deleteContext,
+  setContextAccess,
   getContextStats,
   // Nuevas funciones
   getContextVersion,
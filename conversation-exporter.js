@@ -0,0 +1,463 @@
+/**
+ * Exportador de Conversaciones para CAG
+ *
+ * Este módulo convierte una conversación a distintos formatos de exportación:
+ * - json: la conversación completa (formato original, sin datos de acceso)
+ * - markdown: documento legible para wikis, con citas como notas al pie
+ * - html: página autocontenida con estilos incrustados
+ * - print: vista HTML optimizada para imprimir o guardar como PDF
+ * - jsonl: ejemplo de fine-tuning de chat (system/user/assistant)
+ *
+ * Opcionalmente se añaden resúmenes de documentos, citas y una instantánea
+ * de la memoria de la conversación.
+ */
+
+const crypto = require('crypto');
+
+// Formatos soportados y sus cabeceras
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    print: { contentType: 'text/html; charset=utf-8', extension: 'html', inline: true },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Alias aceptados en el parámetro ?format=
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    pdf: 'print'
+};
+
+// Marcadores de cita guardados en las respuestas ([doc:1], [mem:2])
+const CITATION_MARKER_REGEX = /\[((?:doc|mem):\d+)\]/g;
+
+// Máximo de ítems de memoria incluidos en la instantánea
+const MAX_MEMORY_ITEMS = 20;
+
+/**
+ * Normaliza el nombre de un formato de exportación
+ * @param {string} format - Formato solicitado
+ * @returns {string|null} Formato soportado o null si no existe
+ */
+function resolveFormat(format) {
+    const normalized = (format || 'json').toLowerCase();
+    const resolved = FORMAT_ALIASES[normalized] || normalized;
+    return EXPORT_FORMATS[resolved] ? resolved : null;
+}
+
+/**
+ * Exporta una conversación en el formato indicado
+ * @param {Object} conversation - Conversación a exportar
+ * @param {string} format - Formato (ver EXPORT_FORMATS)
+ * @param {Object} options - Opciones de exportación
+ * @param {boolean} [options.includeCitations] - Incluir las fuentes citadas
+ * @param {Array} [options.documents] - Documentos a resumir (si se solicitaron)
+ * @param {Object} [options.memory] - Memoria de la conversación (si se solicitó)
+ * @param {string} [options.systemPrompt] - Prompt de sistema para JSONL
+ * @returns {Object} { body, contentType, filename, inline, nonce }
+ */
+function exportConversation(conversation, format, options = {}) {
+    const resolved = resolveFormat(format);
+    if (!resolved) {
+        throw new Error(`Formato de exportación no soportado: ${format}`);
+    }
+
+    const { contentType, extension, inline = false } = EXPORT_FORMATS[resolved];
+    const filename = `conversation-${conversation.id}.${extension}`;
+
+    switch (resolved) {
+        case 'markdown':
+            return { body: toMarkdown(conversation, options), contentType, filename, inline };
+        case 'html':
+            return { body: toHTML(conversation, options), contentType, filename, inline };
+        case 'print': {
+            // El script de impresión se autoriza con un nonce en la CSP de la respuesta
+            const nonce = crypto.randomBytes(16).toString('base64');
+            return { body: toHTML(conversation, { ...options, print: true, nonce }), contentType, filename, inline, nonce };
+        }
+        case 'jsonl':
+            return { body: toJSONL(conversation, options), contentType, filename, inline };
+        default:
+            return { body: JSON.stringify(toJSON(conversation, options), null, 2), contentType, filename, inline };
+    }
+}
+
+/**
+ * Exporta la conversación como JSON, con los anexos solicitados
+ * @param {Object} conversation - Conversación
+ * @param {Object} options - Opciones de exportación
+ * @returns {Object} Objeto serializable
+ * @private
+ */
+function toJSON(conversation, options) {
+    // El enlace compartido (token), los colaboradores y el propietario no salen de la instancia
+    const { _id, share, collaborators, ownerId, ...data } = conversation;
+
+    if (!options.includeCitations) {
+        data.messages = (data.messages || []).map(({ citations, ...msg }) => ({
+            ...msg,
+            content: stripCitationMarkers(msg.content)
+        }));
+    }
+
+    if (options.documents) {
+        data.documents = options.documents.map(summarizeDocument);
+    }
+
+    if (options.memory) {
+        data.memory = snapshotMemory(options.memory);
+    }
+
+    return data;
+}
+
+/**
+ * Exporta la conversación como Markdown
+ * @param {Object} conversation - Conversación
+ * @param {Object} options - Opciones de exportación
+ * @returns {string} Documento Markdown
+ * @private
+ */
+function toMarkdown(conversation, options) {
+    const lines = [
+        `# ${conversation.title || 'Conversación'}`,
+        '',
+        `*Creada: ${formatDate(conversation.created_at)} · Última actividad: ${formatDate(conversation.lastActive)}*`,
+        ''
+    ];
+
+    if (options.documents && options.documents.length > 0) {
+        lines.push('## Documentos', '');
+        options.documents.map(summarizeDocument).forEach(doc => {
+            lines.push(`### ${doc.name}`, '');
+            if (doc.summary) lines.push(doc.summary, '');
+            if (doc.keyConcepts.length > 0) lines.push(`**Conceptos clave:** ${doc.keyConcepts.join(', ')}`, '');
+        });
+    }
+
+    lines.push('## Conversación', '');
+
+    (conversation.messages || []).forEach((msg, messageIndex) => {
+        if (msg.role === 'system') {
+            lines.push(`> ${msg.content}`, '');
+            return;
+        }
+
+        const author = msg.role === 'user' ? 'Usuario' : 'Asistente';
+        lines.push(`### ${author} · ${formatDate(msg.timestamp)}`, '');
+
+        if (options.includeCitations && msg.citations && msg.citations.length > 0) {
+            // Notas al pie únicas por mensaje: [^m3-1]
+            const content = msg.content.replace(CITATION_MARKER_REGEX, (marker, id) => {
+                const index = msg.citations.findIndex(c => c.id === id);
+                return index === -1 ? '' : `[^m${messageIndex}-${index + 1}]`;
+            });
+            lines.push(content, '');
+            msg.citations.forEach((citation, index) => {
+                lines.push(`[^m${messageIndex}-${index + 1}]: ${describeCitation(citation)}`);
+            });
+            lines.push('');
+        } else {
+            lines.push(stripCitationMarkers(msg.content), '');
+        }
+    });
+
+    if (options.memory) {
+        const memory = snapshotMemory(options.memory);
+        lines.push('## Memoria de la conversación', '');
+        [...memory.shortTerm, ...memory.longTerm].forEach(item => {
+            lines.push(`- **${item.userMessage}**${item.entities.length > 0 ? ` (${item.entities.join(', ')})` : ''}`);
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Exporta la conversación como página HTML autocontenida
+ * @param {Object} conversation - Conversación
+ * @param {Object} options - Opciones de exportación (print y nonce para la vista de impresión)
+ * @returns {string} Página HTML
+ * @private
+ */
+function toHTML(conversation, options) {
+    const title = escapeHTML(conversation.title || 'Conversación');
+    const sections = [];
+
+    if (options.documents && options.documents.length > 0) {
+        sections.push(`
+    <section class="documents">
+        <h2>Documentos</h2>
+        ${options.documents.map(summarizeDocument).map(doc => `
+        <article class="document">
+            <h3>${escapeHTML(doc.name)}</h3>
+            ${doc.summary ? `<p>${escapeHTML(doc.summary)}</p>` : ''}
+            ${doc.keyConcepts.length > 0 ? `<p class="meta"><strong>Conceptos clave:</strong> ${escapeHTML(doc.keyConcepts.join(', '))}</p>` : ''}
+        </article>`).join('')}
+    </section>`);
+    }
+
+    const messagesHTML = (conversation.messages || []).map(msg => {
+        if (msg.role === 'system') {
+            return `<div class="system">${escapeHTML(msg.content)}</div>`;
+        }
+
+        const author = msg.role === 'user' ? 'Usuario' : 'Asistente';
+        const citations = options.includeCitations && msg.citations ? msg.citations : [];
+        let content = renderBasicMarkdown(msg.content);
+
+        content = content.replace(CITATION_MARKER_REGEX, (marker, id) => {
+            const index = citations.findIndex(c => c.id === id);
+            return index === -1 ? '' : `<sup class="citation">[${index + 1}]</sup>`;
+        });
+
+        const sourcesHTML = citations.length > 0 ? `
+            <ol class="sources">
+                ${citations.map(citation => `<li>${escapeHTML(describeCitation(citation))}</li>`).join('')}
+            </ol>` : '';
+
+        return `
+        <article class="message ${msg.role === 'user' ? 'user' : 'bot'}">
+            <header>${author} · ${escapeHTML(formatDate(msg.timestamp))}</header>
+            <div class="content">${content}</div>${sourcesHTML}
+        </article>`;
+    }).join('');
+
+    sections.push(`
+    <section class="messages">
+        <h2>Conversación</h2>
+        ${messagesHTML}
+    </section>`);
+
+    if (options.memory) {
+        const memory = snapshotMemory(options.memory);
+        sections.push(`
+    <section class="memory">
+        <h2>Memoria de la conversación</h2>
+        <ul>
+            ${[...memory.shortTerm, ...memory.longTerm].map(item => `<li>${escapeHTML(item.userMessage)}${item.entities.length > 0 ? ` <span class="meta">(${escapeHTML(item.entities.join(', '))})</span>` : ''}</li>`).join('')}
+        </ul>
+    </section>`);
+    }
+
+    const printControls = options.print ? `
+    <div class="print-controls">
+        <button type="button" id="print-btn">Imprimir / Guardar como PDF</button>
+    </div>
+    <script nonce="${options.nonce}">
+        document.getElementById('print-btn').addEventListener('click', () => window.print());
+        window.addEventListener('load', () => window.print());
+    </script>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${EXPORT_STYLES}</style>
+</head>
+<body>
+    <main>
+    <h1>${title}</h1>
+    <p class="meta">Creada: ${escapeHTML(formatDate(conversation.created_at))} · Última actividad: ${escapeHTML(formatDate(conversation.lastActive))}</p>
+    ${sections.join('\n')}
+    </main>${printControls}
+</body>
+</html>`;
+}
+
+/**
+ * Exporta la conversación como un ejemplo de fine-tuning en JSONL
+ *
+ * Genera una línea { messages: [...] } con roles system/user/assistant. Los
+ * mensajes de sistema de la aplicación (p. ej. avisos de subida) se omiten y
+ * los marcadores de cita se eliminan salvo que se pidan las citas.
+ * @param {Object} conversation - Conversación
+ * @param {Object} options - Opciones de exportación
+ * @returns {string} Contenido JSONL
+ * @private
+ */
+function toJSONL(conversation, options) {
+    const messages = [];
+
+    if (options.systemPrompt) {
+        messages.push({ role: 'system', content: options.systemPrompt });
+    }
+
+    (conversation.messages || []).forEach(msg => {
+        if (msg.role !== 'user' && msg.role !== 'bot' && msg.role !== 'assistant') {
+            return;
+        }
+
+        const role = msg.role === 'user' ? 'user' : 'assistant';
+        const content = options.includeCitations ? msg.content : stripCitationMarkers(msg.content);
+
+        // Fusionar turnos consecutivos del mismo rol
+        const previous = messages[messages.length - 1];
+        if (previous && previous.role === role) {
+            previous.content += `\n\n${content}`;
+        } else {
+            messages.push({ role, content });
+        }
+    });
+
+    // Un ejemplo de entrenamiento debe terminar con una respuesta del asistente
+    while (messages.length > 0 && messages[messages.length - 1].role !== 'assistant') {
+        messages.pop();
+    }
+
+    return messages.some(msg => msg.role === 'user') ? `${JSON.stringify({ messages })}\n` : '';
+}
+
+/**
+ * Resume un documento para la exportación
+ * @param {Object} doc - Metadatos del documento
+ * @returns {Object} { name, format, uploadDate, summary, keyConcepts }
+ * @private
+ */
+function summarizeDocument(doc) {
+    return {
+        name: doc.originalName || doc.name,
+        format: doc.format || null,
+        uploadDate: doc.uploadDate || null,
+        summary: doc.summary || null,
+        keyConcepts: (doc.keyConcepts || []).slice(0, 10).map(concept => concept.word || concept)
+    };
+}
+
+/**
+ * Reduce la memoria de una conversación a una instantánea exportable
+ * @param {Object} memory - Memoria según memoryStore.getMemory
+ * @returns {Object} { shortTerm, longTerm }
+ * @private
+ */
+function snapshotMemory(memory) {
+    const toItem = item => ({
+        userMessage: item.userMessage || '',
+        timestamp: item.timestamp || null,
+        relevance: item.relevance || null,
+        entities: (item.entities || []).map(entity => entity.name || entity).slice(0, 5)
+    });
+
+    return {
+        shortTerm: (memory.shortTerm || []).slice(0, MAX_MEMORY_ITEMS).map(toItem),
+        longTerm: (memory.longTerm || []).slice(0, MAX_MEMORY_ITEMS).map(toItem)
+    };
+}
+
+/**
+ * Describe una cita en una línea de texto
+ * @param {Object} citation - Cita guardada en el mensaje
+ * @returns {string} Descripción de la fuente
+ * @private
+ */
+function describeCitation(citation) {
+    if (citation.type === 'document') {
+        const location = citation.page ? `, página ${citation.page}` : '';
+        return `${citation.docName}${location}: "${citation.excerpt}"`;
+    }
+    return `Conversación anterior: "${citation.excerpt}"`;
+}
+
+/**
+ * Elimina los marcadores de cita de un texto
+ * @param {string} text - Texto con marcadores
+ * @returns {string} Texto sin marcadores
+ * @private
+ */
+function stripCitationMarkers(text) {
+    return (text || '').replace(/[ \t]*\[(?:doc|mem):\d+\]/g, '');
+}
+
+/**
+ * Convierte un subconjunto de Markdown a HTML (bloques de código, código en
+ * línea, negrita, cursiva y párrafos); el resto se muestra como texto
+ * @param {string} text - Texto Markdown
+ * @returns {string} HTML escapado
+ * @private
+ */
+function renderBasicMarkdown(text) {
+    const parts = (text || '').split(/```(\w*)\n?([\s\S]*?)```/g);
+    let html = '';
+
+    // split con grupos: [texto, lenguaje, código, texto, ...]
+    for (let i = 0; i < parts.length; i += 3) {
+        html += escapeHTML(parts[i])
+            .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+            .split(/\n{2,}/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${paragraph.trim().replace(/\n/g, '<br>')}</p>`)
+            .join('');
+
+        if (i + 2 < parts.length) {
+            html += `<pre><code>${escapeHTML(parts[i + 2])}</code></pre>`;
+        }
+    }
+
+    return html;
+}
+
+/**
+ * Escapa texto para insertarlo en HTML
+ * @param {string} text - Texto original
+ * @returns {string} Texto escapado
+ * @private
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formatea una fecha ISO para mostrarla
+ * @param {string} date - Fecha ISO
+ * @returns {string} Fecha legible
+ * @private
+ */
+function formatDate(date) {
+    return date ? new Date(date).toLocaleString('es-ES') : '-';
+}
+
+// Estilos incrustados en las exportaciones HTML (sin recursos externos)
+const EXPORT_STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #212529; line-height: 1.6; margin: 0; }
+    main { max-width: 860px; margin: 0 auto; padding: 32px 16px; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid #dee2e6; padding-bottom: 4px; margin-top: 32px; }
+    .meta { color: #6c757d; font-size: 0.9rem; }
+    .message { border-radius: 8px; padding: 12px 16px; margin: 12px 0; page-break-inside: avoid; }
+    .message.user { background: #e8f0fb; }
+    .message.bot { background: #f8f9fa; border: 1px solid #dee2e6; }
+    .message header { font-size: 0.85rem; color: #6c757d; margin-bottom: 4px; }
+    .system { color: #6c757d; font-style: italic; font-size: 0.9rem; margin: 8px 0; }
+    .citation { color: #3a7bd5; }
+    .sources { font-size: 0.85rem; color: #495057; border-top: 1px dashed #dee2e6; padding-top: 8px; }
+    pre { background: #f1f3f5; padding: 10px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+    code { font-family: "SFMono-Regular", Consolas, monospace; font-size: 0.9em; }
+    .document { page-break-inside: avoid; }
+    .print-controls { position: fixed; top: 16px; right: 16px; }
+    .print-controls button { padding: 8px 16px; border: none; border-radius: 6px; background: #3a7bd5; color: #fff; cursor: pointer; }
+    @page { margin: 2cm; }
+    @media print {
+        .print-controls { display: none; }
+        main { padding: 0; max-width: none; }
+        .message.user { background: none; border-left: 3px solid #3a7bd5; }
+        .message.bot { background: none; }
+        a { color: inherit; }
+    }
+`;
+
+module.exports = {
+    EXPORT_FORMATS,
+    resolveFormat,
+    exportConversation
+};
@@ -0,0 +1,458 @@
+/**
+ * Importador de Conversaciones para CAG
+ *
+ * Este módulo convierte conversaciones exportadas a la estructura interna y
+ * las guarda en la base de datos. Formatos reconocidos:
+ * - cag: exportación JSON propia o archivo de db.createBackup (array)
+ * - chatgpt: conversations.json de ChatGPT (árbol "mapping")
+ * - claude: exportación de Claude (chat_messages con sender human/assistant)
+ * - chat: formato de mensajes { messages: [{ role, content }] }, en JSON o JSONL
+ *
+ * Tras guardar cada conversación se reproducen sus turnos con el analizador de
+ * contexto para reconstruir la memoria y el mapa de contexto.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const zlib = require('zlib');
+const db = require('./db');
+const contextAnalyzer = require('./context-analyzer');
+const conversationTree = require('./conversation-tree');
+const piiDetector = require('./pii-detector');
+
+// Límites de importación
+const MAX_IMPORT_CONVERSATIONS = 50;
+const MAX_IMPORT_MESSAGES = 5000;
+
+// Equivalencias de roles de otras aplicaciones con los roles internos
+const ROLE_MAP = {
+    user: 'user',
+    human: 'user',
+    bot: 'bot',
+    assistant: 'bot',
+    model: 'bot',
+    system: 'system'
+};
+
+/**
+ * Crea un error de importación (datos del cliente no válidos)
+ * @param {string} message - Mensaje de error
+ * @param {string} code - Código de error para la respuesta de la API
+ * @returns {Error} Error con code y status 400
+ * @private
+ */
+function importError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Lee el contenido de un archivo de importación (JSON, JSONL o .gz)
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {*} Datos parseados
+ */
+function parseImportFile(buffer) {
+    let data = buffer;
+
+    // Archivos comprimidos con gzip (p. ej. backups .json.gz)
+    if (data.length > 2 && data[0] === 0x1f && data[1] === 0x8b) {
+        try {
+            data = zlib.gunzipSync(data);
+        } catch (error) {
+            throw importError('El archivo comprimido está dañado', 'INVALID_IMPORT_FILE');
+        }
+    }
+
+    const text = data.toString('utf8').replace(/^\uFEFF/, '').trim();
+
+    try {
+        return JSON.parse(text);
+    } catch (jsonError) {
+        // JSONL: un objeto por línea
+        try {
+            return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+        } catch (jsonlError) {
+            throw importError('El archivo no contiene JSON ni JSONL válido', 'INVALID_IMPORT_FILE');
+        }
+    }
+}
+
+/**
+ * Convierte los datos importados en conversaciones internas
+ * @param {*} data - Datos parseados
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.conversationId] - Importar solo esta conversación del archivo
+ * @returns {Object} { format, conversations }
+ */
+function normalizeImport(data, options = {}) {
+    const items = Array.isArray(data) ? data : [data];
+    const format = detectFormat(items[0]);
+
+    if (!format) {
+        throw importError('Formato de importación no reconocido', 'UNSUPPORTED_IMPORT_FORMAT');
+    }
+
+    // Cada elemento del array (o línea JSONL) es una conversación independiente
+    const converters = { cag: fromCAG, chatgpt: fromChatGPT, claude: fromClaude, chat: fromChatMessages };
+    let conversations = items
+        .filter(item => detectFormat(item))
+        .map(item => converters[detectFormat(item)](item));
+
+    if (options.conversationId) {
+        conversations = conversations.filter(conv => conv.id === options.conversationId);
+        if (conversations.length === 0) {
+            throw importError(`La conversación ${options.conversationId} no está en el archivo`, 'CONVERSATION_NOT_IN_IMPORT');
+        }
+    }
+
+    conversations = conversations.filter(conv => conv.messages.length > 0);
+
+    if (conversations.length === 0) {
+        throw importError('El archivo no contiene mensajes para importar', 'EMPTY_IMPORT');
+    }
+
+    if (conversations.length > MAX_IMPORT_CONVERSATIONS) {
+        throw importError(
+            `El archivo contiene ${conversations.length} conversaciones (máximo ${MAX_IMPORT_CONVERSATIONS}). Indica conversationId para importar una sola`,
+            'TOO_MANY_CONVERSATIONS'
+        );
+    }
+
+    return { format, conversations };
+}
+
+/**
+ * Detecta el formato de una conversación exportada
+ * @param {Object} item - Conversación exportada
+ * @returns {string|null} cag, chatgpt, claude, chat o null
+ * @private
+ */
+function detectFormat(item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+    if (item.mapping && typeof item.mapping === 'object') {
+        return 'chatgpt';
+    }
+    if (Array.isArray(item.chat_messages)) {
+        return 'claude';
+    }
+    if (item.id && item.created_at && 'messages' in item) {
+        return 'cag';
+    }
+    if (Array.isArray(item.messages)) {
+        return 'chat';
+    }
+    return null;
+}
+
+/**
+ * Convierte una exportación propia (o entrada de backup)
+ * @param {Object} item - Conversación exportada por CAG
+ * @returns {Object} Conversación interna
+ * @private
+ */
+function fromCAG(item) {
+    // Mensajes cifrados u otros formatos que no son una lista de mensajes
+    if (!Array.isArray(item.messages)) {
+        throw importError(`La conversación ${item.id} no contiene una lista de mensajes legible`, 'INVALID_CONVERSATION');
+    }
+
+    // Solo se conserva la rama activa: ids, padres, autores, colaboradores,
+    // propietario y enlace público no se importan
+    const conversation = buildConversation({
+        id: item.id,
+        title: item.title,
+        created_at: item.created_at,
+        messages: item.messages
+    });
+
+    if (typeof item.model === 'string') {
+        conversation.model = item.model;
+    }
+
+    return conversation;
+}
+
+/**
+ * Convierte una conversación de ChatGPT siguiendo la rama activa del árbol
+ * @param {Object} item - Conversación de conversations.json
+ * @returns {Object} Conversación interna
+ * @private
+ */
+function fromChatGPT(item) {
+    const nodes = item.mapping;
+    const branch = [];
+
+    // Recorrer desde el nodo actual hacia la raíz
+    let nodeId = item.current_node || Object.keys(nodes).find(id => !nodes[id].children?.length);
+    while (nodeId && nodes[nodeId] && branch.length < MAX_IMPORT_MESSAGES) {
+        branch.unshift(nodes[nodeId]);
+        nodeId = nodes[nodeId].parent;
+    }
+
+    const messages = branch
+        .map(node => node.message)
+        .filter(msg => msg && msg.author && msg.content)
+        .map(msg => ({
+            role: msg.author.role,
+            content: Array.isArray(msg.content.parts)
+                ? msg.content.parts.filter(part => typeof part === 'string').join('\n')
+                : msg.content.text || '',
+            timestamp: fromUnixTime(msg.create_time)
+        }));
+
+    return buildConversation({
+        id: item.conversation_id || item.id,
+        title: item.title,
+        created_at: fromUnixTime(item.create_time),
+        messages
+    });
+}
+
+/**
+ * Convierte una conversación exportada de Claude
+ * @param {Object} item - Conversación con chat_messages
+ * @returns {Object} Conversación interna
+ * @private
+ */
+function fromClaude(item) {
+    const messages = item.chat_messages.map(msg => ({
+        role: msg.sender,
+        content: msg.text || (Array.isArray(msg.content)
+            ? msg.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+            : ''),
+        timestamp: msg.created_at
+    }));
+
+    return buildConversation({
+        id: item.uuid,
+        title: item.name,
+        created_at: item.created_at,
+        messages
+    });
+}
+
+/**
+ * Convierte una lista genérica de mensajes { role, content }
+ * @param {Object} item - Objeto con messages
+ * @returns {Object} Conversación interna
+ * @private
+ */
+function fromChatMessages(item) {
+    return buildConversation({
+        id: item.id,
+        title: item.title,
+        created_at: item.created_at,
+        messages: item.messages.map(msg => ({
+            role: msg.role,
+            content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content),
+            timestamp: msg.timestamp
+        }))
+    });
+}
+
+/**
+ * Construye una conversación interna a partir de datos externos
+ * @param {Object} data - { id, title, created_at, messages }
+ * @returns {Object} Conversación interna
+ * @private
+ */
+function buildConversation({ id, title, created_at, messages }) {
+    const createdAt = toISODate(created_at) ||
+        toISODate(messages.find(msg => msg.timestamp)?.timestamp) ||
+        new Date().toISOString();
+    const normalized = normalizeMessages(messages, createdAt);
+
+    return {
+        id: id ? String(id) : uuidv4(),
+        title: title || 'Conversación importada',
+        created_at: createdAt,
+        lastActive: normalized[normalized.length - 1]?.timestamp || createdAt,
+        messages: normalized,
+        model: null,
+        titleGeneratedAt: title ? normalized.length : 0
+    };
+}
+
+/**
+ * Normaliza roles, contenidos y fechas de una lista de mensajes
+ *
+ * Los mensajes con roles desconocidos (herramientas, funciones) o vacíos se
+ * descartan. Las fechas ausentes se toman del mensaje anterior. Del original
+ * solo se copian role, content y timestamp.
+ * @param {Array} messages - Mensajes a normalizar
+ * @param {string} [fallbackTimestamp] - Fecha para los mensajes iniciales sin fecha
+ * @returns {Array} Mensajes internos
+ * @private
+ */
+function normalizeMessages(messages, fallbackTimestamp) {
+    const normalized = [];
+
+    for (const msg of (messages || []).slice(0, MAX_IMPORT_MESSAGES)) {
+        if (!msg || typeof msg !== 'object') {
+            continue;
+        }
+
+        const role = ROLE_MAP[String(msg.role || '').toLowerCase()];
+        const content = typeof msg.content === 'string' ? msg.content : '';
+
+        if (!role || !content.trim()) {
+            continue;
+        }
+
+        // Solo campos conocidos: ensureMessageIds asigna ids y padres nuevos
+        normalized.push({
+            role,
+            content,
+            timestamp: toISODate(msg.timestamp) || null
+        });
+    }
+
+    let lastTimestamp = fallbackTimestamp || normalized.find(msg => msg.timestamp)?.timestamp || new Date().toISOString();
+    normalized.forEach(msg => {
+        if (msg.timestamp) {
+            lastTimestamp = msg.timestamp;
+        } else {
+            msg.timestamp = lastTimestamp;
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Guarda una conversación importada y reconstruye su contexto
+ *
+ * Si el ID ya existe se asigna uno nuevo, de modo que una importación nunca
+ * sobrescribe una conversación existente.
+ * @param {Object} conversation - Conversación normalizada
+ * @param {Object} options - Opciones
+ * @param {string} options.ownerId - Usuario propietario de la conversación importada (obligatorio:
+ *   sin propietario no aparecería en ningún listado ni sería accesible)
+ * @param {boolean} [options.replay=true] - Reproducir los turnos con el analizador de contexto
+ * @returns {Promise<Object>} { id, originalId, title, messages, replayedTurns }
+ */
+async function importConversation(conversation, options = {}) {
+    const { ownerId = null, replay = true } = options;
+    const originalId = conversation.id;
+
+    if (!ownerId) {
+        throw new Error('Se requiere el propietario de la conversación importada');
+    }
+
+    // La conversación importada pertenece solo a quien la importa
+    conversation.ownerId = ownerId;
+    delete conversation.collaborators;
+
+    // Ocultar los datos personales según las políticas, igual que en los mensajes nuevos
+    const piiSettings = await piiDetector.getSettings();
+    conversation.messages.forEach(message => {
+        const redaction = piiDetector.redactText(message.content, piiSettings);
+        const pii = piiDetector.summarizeFindings(redaction.findings);
+
+        message.content = redaction.text;
+        if (pii.length > 0) {
+            message.pii = pii;
+        }
+    });
+
+    if (await db.getConversation(conversation.id)) {
+        conversation.id = uuidv4();
+    }
+
+    // Ids y padres nuevos para todos los mensajes (una sola rama lineal)
+    conversationTree.ensureMessageIds(conversation);
+
+    const validation = db.validateConversation(conversation);
+    if (!validation.valid) {
+        throw importError(`Conversación inválida: ${validation.errors.join(', ')}`, 'INVALID_CONVERSATION');
+    }
+
+    await db.saveConversation(conversation);
+    console.log(`ConversationImporter: Conversación ${conversation.id} importada (${conversation.messages.length} mensajes)`);
+
+    const replayedTurns = replay ? await replayConversation(conversation, ownerId) : 0;
+
+    return {
+        id: conversation.id,
+        originalId: originalId !== conversation.id ? originalId : null,
+        title: conversation.title,
+        messages: conversation.messages.length,
+        replayedTurns
+    };
+}
+
+/**
+ * Reproduce los turnos usuario/bot con el analizador de contexto
+ *
+ * Cada mensaje del usuario se analiza y se registra junto a la respuesta que
+ * le sigue, igual que durante una conversación en vivo.
+ * @param {Object} conversation - Conversación guardada
+ * @param {string|null} userId - ID del usuario que importa
+ * @returns {Promise<number>} Número de turnos reproducidos
+ * @private
+ */
+async function replayConversation(conversation, userId) {
+    const messages = conversation.messages;
+    let replayedTurns = 0;
+
+    for (let i = 0; i < messages.length; i++) {
+        if (messages[i].role !== 'user') {
+            continue;
+        }
+
+        const response = messages.slice(i + 1).find(msg => msg.role !== 'system');
+        if (!response || response.role !== 'bot') {
+            continue;
+        }
+
+        try {
+            const contextMap = await contextAnalyzer.analyzeMessage(conversation.id, userId, messages[i].content);
+            await contextAnalyzer.updateAfterResponse(
+                conversation.id,
+                userId,
+                contextMap,
+                messages[i].content,
+                response.content
+            );
+            replayedTurns++;
+        } catch (error) {
+            console.error(`ConversationImporter: Error al reproducir el turno ${i} de ${conversation.id}:`, error);
+        }
+    }
+
+    return replayedTurns;
+}
+
+/**
+ * Convierte una fecha Unix (segundos) a ISO
+ * @param {number} seconds - Segundos desde epoch
+ * @returns {string|null} Fecha ISO o null
+ * @private
+ */
+function fromUnixTime(seconds) {
+    return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Normaliza una fecha a ISO 8601
+ * @param {string|number} value - Fecha original
+ * @returns {string|null} Fecha ISO o null si no es válida
+ * @private
+ */
+function toISODate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+    MAX_IMPORT_CONVERSATIONS,
+    parseImportFile,
+    normalizeImport,
+    importConversation
+};
@@ -0,0 +1,189 @@
+/**
+ * Árbol de mensajes de una conversación para CAG
+ *
+ * Cada mensaje tiene un id y el id de su mensaje padre (parentId). Regenerar
+ * una respuesta o editar un mensaje del usuario crea un hermano del mensaje
+ * original, de modo que una conversación puede tener varias ramas.
+ *
+ * La rama activa se guarda en conversation.messages (del primer mensaje al
+ * último), así que el resto del sistema sigue trabajando con una lista lineal.
+ * Los mensajes del resto de ramas se guardan en conversation.inactiveMessages.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Asigna id y parentId a los mensajes que aún no los tienen (conversaciones
+ * anteriores a las ramas o importadas)
+ * @param {Object} conversation - Conversación a completar
+ * @returns {boolean} True si se modificó algún mensaje
+ */
+function ensureMessageIds(conversation) {
+    let changed = false;
+
+    if (!Array.isArray(conversation.messages)) {
+        conversation.messages = [];
+    }
+
+    conversation.messages.forEach((message, index) => {
+        if (!message.id) {
+            message.id = uuidv4();
+            changed = true;
+        }
+        if (message.parentId === undefined) {
+            message.parentId = index > 0 ? conversation.messages[index - 1].id : null;
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * Añade un mensaje al final de la rama activa
+ * @param {Object} conversation - Conversación
+ * @param {Object} message - Mensaje a añadir
+ * @returns {Object} Mensaje añadido, con id y parentId
+ */
+function appendMessage(conversation, message) {
+    ensureMessageIds(conversation);
+
+    const lastMessage = conversation.messages[conversation.messages.length - 1];
+    message.id = message.id || uuidv4();
+    message.parentId = lastMessage ? lastMessage.id : null;
+
+    conversation.messages.push(message);
+    return message;
+}
+
+/**
+ * Devuelve todos los mensajes de la conversación (rama activa y ramas inactivas)
+ * @param {Object} conversation - Conversación
+ * @returns {Array<Object>} Mensajes
+ */
+function getAllMessages(conversation) {
+    return [...(conversation.messages || []), ...(conversation.inactiveMessages || [])];
+}
+
+/**
+ * Busca un mensaje en cualquier rama
+ * @param {Object} conversation - Conversación
+ * @param {string} messageId - ID del mensaje
+ * @returns {Object|null} Mensaje encontrado
+ */
+function findMessage(conversation, messageId) {
+    return getAllMessages(conversation).find(message => message.id === messageId) || null;
+}
+
+/**
+ * Devuelve los hijos de un mensaje ordenados por fecha
+ * @param {Array<Object>} messages - Todos los mensajes
+ * @param {string|null} parentId - ID del padre (null para la raíz)
+ * @returns {Array<Object>} Hijos
+ * @private
+ */
+function getChildren(messages, parentId) {
+    return messages
+        .filter(message => (message.parentId || null) === parentId)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Activa la rama que pasa por un mensaje
+ *
+ * La rama va desde la raíz hasta el mensaje indicado y, si descend es true,
+ * continúa por el hijo más reciente de cada nivel hasta llegar a una hoja.
+ * Con messageId null y descend false la rama activa queda vacía.
+ * @param {Object} conversation - Conversación
+ * @param {string|null} messageId - ID del mensaje
+ * @param {Object} options - Opciones
+ * @param {boolean} options.descend - Continuar hasta la respuesta más reciente (por defecto true)
+ * @returns {boolean} True si se encontró el mensaje
+ */
+function activateBranch(conversation, messageId, options = {}) {
+    const { descend = true } = options;
+
+    ensureMessageIds(conversation);
+    const allMessages = getAllMessages(conversation);
+    const byId = new Map(allMessages.map(message => [message.id, message]));
+
+    if (messageId && !byId.has(messageId)) {
+        return false;
+    }
+
+    // Subir desde el mensaje hasta la raíz (un parentId repetido indica un
+    // ciclo en datos importados o corruptos: el recorrido se detiene ahí)
+    const path = [];
+    const seen = new Set();
+    let current = messageId ? byId.get(messageId) : null;
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current);
+        current = current.parentId ? byId.get(current.parentId) : null;
+    }
+
+    // Bajar por el hijo más reciente hasta una hoja, sin volver a mensajes ya recorridos
+    if (descend) {
+        const unseenChildren = parentId => getChildren(allMessages, parentId)
+            .filter(message => !seen.has(message.id));
+        let children = unseenChildren(messageId || null);
+        while (children.length > 0) {
+            const latest = children[children.length - 1];
+            seen.add(latest.id);
+            path.push(latest);
+            children = unseenChildren(latest.id);
+        }
+    }
+
+    const activeIds = new Set(path.map(message => message.id));
+    conversation.messages = path;
+    conversation.inactiveMessages = allMessages
+        .filter(message => !activeIds.has(message.id))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return true;
+}
+
+/**
+ * Describe las ramas alternativas de los mensajes de la rama activa
+ * @param {Object} conversation - Conversación
+ * @returns {Object} Mapa messageId → { index, count, siblings } para los mensajes con hermanos
+ */
+function describeBranches(conversation) {
+    const allMessages = getAllMessages(conversation);
+    const branches = {};
+
+    (conversation.messages || []).forEach(message => {
+        if (!message.id) return;
+
+        const siblings = getChildren(allMessages, message.parentId || null);
+        if (siblings.length > 1) {
+            branches[message.id] = {
+                index: siblings.findIndex(sibling => sibling.id === message.id),
+                count: siblings.length,
+                siblings: siblings.map(sibling => sibling.id)
+            };
+        }
+    });
+
+    return branches;
+}
+
+/**
+ * Devuelve los IDs de los mensajes de la rama activa
+ * @param {Object} conversation - Conversación
+ * @returns {Array<string>} IDs
+ */
+function getActiveMessageIds(conversation) {
+    return (conversation.messages || []).map(message => message.id).filter(Boolean);
+}
+
+module.exports = {
+    ensureMessageIds,
+    appendMessage,
+    getAllMessages,
+    findMessage,
+    activateBranch,
+    describeBranches,
+    getActiveMessageIds
+};
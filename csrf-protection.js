@@ -0,0 +1,167 @@
+/**
+ * Protección CSRF para CAG
+ *
+ * Implementa el patrón "double-submit cookie" con tokens firmados:
+ * - GET /api/csrf-token genera un token, lo guarda en una cookie HttpOnly y lo
+ *   devuelve en el cuerpo para que el cliente lo envíe en la cabecera X-CSRF-Token
+ * - Toda petición que modifica estado (POST, PUT, PATCH, DELETE) debe enviar la
+ *   cabecera con el mismo valor que la cookie
+ *
+ * El token incluye su fecha de emisión y una firma HMAC, de modo que no puede
+ * fabricarse sin el secreto del servidor y caduca pasado CSRF_TOKEN_TTL.
+ */
+
+const crypto = require('crypto');
+
+// Configuración
+const CSRF_COOKIE_NAME = 'cag_csrf';
+const CSRF_HEADER_NAME = 'x-csrf-token';
+const CSRF_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 horas
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Sin CSRF_SECRET los tokens dejan de ser válidos al reiniciar el servidor
+const CSRF_SECRET = process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Firma los datos de un token
+ * @param {string} payload - Parte del token a firmar
+ * @returns {string} Firma HMAC en base64url
+ * @private
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', CSRF_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Genera un token CSRF nuevo
+ * @returns {string} Token con formato <aleatorio>.<emisión>.<firma>
+ */
+function generateToken() {
+    const payload = `${crypto.randomBytes(18).toString('base64url')}.${Date.now().toString(36)}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Comprueba la firma y la vigencia de un token
+ * @param {string} token - Token a verificar
+ * @returns {boolean} True si el token es auténtico y no ha caducado
+ * @private
+ */
+function isTokenValid(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return false;
+    }
+
+    const payload = `${parts[0]}.${parts[1]}`;
+    if (!safeEqual(parts[2], sign(payload))) {
+        return false;
+    }
+
+    const issuedAt = parseInt(parts[1], 36);
+    return Number.isFinite(issuedAt) && Date.now() - issuedAt < CSRF_TOKEN_TTL;
+}
+
+/**
+ * Compara dos cadenas en tiempo constante
+ * @param {string} a - Primera cadena
+ * @param {string} b - Segunda cadena
+ * @returns {boolean} True si son iguales
+ * @private
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Lee una cookie de la cabecera Cookie de la petición
+ * @param {Object} req - Petición de Express
+ * @param {string} name - Nombre de la cookie
+ * @returns {string|null} Valor de la cookie o null (también si está mal codificada)
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) {
+        return null;
+    }
+
+    for (const part of header.split(';')) {
+        const separatorIndex = part.indexOf('=');
+        if (separatorIndex > 0 && part.slice(0, separatorIndex).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(separatorIndex + 1).trim());
+            } catch (error) {
+                // Una cookie mal codificada se trata como ausente
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Emite un token CSRF y lo guarda en la cookie de la respuesta
+ *
+ * Si la petición ya trae una cookie válida se reutiliza, para que varias
+ * pestañas abiertas compartan el mismo token.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @returns {string} Token emitido
+ */
+function issueToken(req, res) {
+    const existing = readCookie(req, CSRF_COOKIE_NAME);
+    const token = existing && isTokenValid(existing) ? existing : generateToken();
+
+    res.cookie(CSRF_COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: CSRF_TOKEN_TTL,
+        path: '/'
+    });
+
+    return token;
+}
+
+/**
+ * Middleware que rechaza peticiones que modifican estado sin un token válido
+ *
+ * Responde 403 con código CSRF_TOKEN_MISSING si falta la cabecera o la cookie,
+ * y CSRF_TOKEN_INVALID si no coinciden, la firma no es válida o ha caducado.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Function} next - Siguiente middleware
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const headerToken = req.get(CSRF_HEADER_NAME);
+    const cookieToken = readCookie(req, CSRF_COOKIE_NAME);
+
+    if (!headerToken || !cookieToken) {
+        return res.status(403).json({
+            error: 'Falta el token CSRF. Solicita uno en /api/csrf-token y envíalo en la cabecera X-CSRF-Token',
+            code: 'CSRF_TOKEN_MISSING'
+        });
+    }
+
+    if (!safeEqual(headerToken, cookieToken) || !isTokenValid(headerToken)) {
+        return res.status(403).json({
+            error: 'Token CSRF inválido o caducado',
+            code: 'CSRF_TOKEN_INVALID'
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    readCookie,
+    issueToken,
+    csrfProtection
+};
@@ -1,54 +1,111 @@
 /**
  * Módulo de base de datos para la aplicación CAG
- * Implementa almacenamiento basado en MongoDB para las conversaciones
+ * Guarda las conversaciones a través del módulo de almacenamiento, con el
+ * backend configurado (archivos locales, memoria o MongoDB)
  * Mantiene compatibilidad con la API original basada en archivos
  */
 
-const { MongoClient } = require('mongodb');
-const fs = require('fs').promises;
-const path = require('path');
 const zlib = require('zlib');
 const util = require('util');
 const crypto = require('crypto');
+const storage = require('./storage');
 
 // Promisificar funciones de zlib
 const gzip = util.promisify(zlib.gzip);
 const gunzip = util.promisify(zlib.gunzip);
 
-// Configuración de MongoDB (usar variables de entorno para producción)
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
-const DB_NAME = process.env.DB_NAME || 'cag';
 const COLLECTION_NAME = 'conversations';
 
-// Directorio para almacenar los respaldos
-const DATA_DIR = path.join(__dirname, 'data');
-const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+// Bucket para almacenar los respaldos (data/backups con el backend file)
+const backups = storage.bucket('backups');
+const PRUNE_SCHEDULE_FILE = 'prune-schedule.json';
 
-// Cliente MongoDB y referencias de colección
-let client = null;
-let db = null;
-let conversations = null;
+// Buckets que se pueden incluir en un backup además de las conversaciones
+const BACKUP_SECTIONS = ['documents', 'memory', 'global_memory'];
+
+// Nombre válido de un backup completo
+const BACKUP_NAME_PATTERN = /^backup_[\w-]+\.json(\.gz)?$/;
+
+// Versión del formato de backup con archivos adjuntos
+const BACKUP_FORMAT_VERSION = 2;
+
+// Prefijo de los backups automáticos (los únicos que se rotan) y cuántos se conservan
+const AUTO_BACKUP_PREFIX = 'backup_auto_';
+const MAX_AUTO_BACKUPS = 7;
+
+// Conversaciones leídas por lote al crear un backup
+const BACKUP_PAGE_SIZE = 500;
+
+// Intervalo máximo de la limpieza programada: setTimeout no admite más de 2^31-1 ms (~596 h)
+const MAX_PRUNE_INTERVAL_HOURS = 596;
+
+// Enlaces públicos para compartir conversaciones
+const DEFAULT_SHARE_EXPIRY_DAYS = 7;
+const SHARE_TOKEN_BYTES = 24;
+
+// Roles que se pueden asignar a los colaboradores (el propietario es ownerId)
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+// Colección de conversaciones y programación de limpieza
+const conversations = storage.collection(COLLECTION_NAME);
+let pruneTimer = null;
+let nextPruneAt = null;
+let pruneSchedule = { enabled: false, daysOld: 90, intervalHours: 24, lastRun: null, lastDeleted: null };
+// Limpieza de los datos asociados (documentos, memoria...) a cada conversación eliminada por la limpieza
+let pruneCleanupHandler = null;
 
 // Esquema de validación para conversaciones
 const conversationSchema = {
   required: ['id', 'created_at'],
   properties: {
     id: { type: 'string' },
+    ownerId: { type: 'string' },
+    collaborators: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['userId', 'role'],
+        properties: {
+          userId: { type: 'string' },
+          role: { type: 'string', enum: COLLABORATOR_ROLES },
+          addedAt: { type: 'string', format: 'date-time' },
+          addedBy: { type: 'string' }
+        }
+      }
+    },
     title: { type: 'string' },
     created_at: { type: 'string', format: 'date-time' },
     lastUpdated: { type: 'string', format: 'date-time' },
     lastActive: { type: 'string', format: 'date-time' },
+    share: {
+      type: 'object',
+      properties: {
+        token: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+        expiresAt: { type: ['string', 'null'], format: 'date-time' },
+        revoked: { type: 'boolean' }
+      }
+    },
     messages: {
       type: 'array',
       items: {
         type: 'object',
         required: ['role', 'content'],
         properties: {
-          role: { type: 'string', enum: ['user', 'assistant', 'system'] },
+          role: { type: 'string', enum: ['user', 'bot', 'assistant', 'system'] },
           content: { type: 'string' },
-          timestamp: { type: 'string', format: 'date-time' }
+          timestamp: { type: 'string', format: 'date-time' },
+          author: { type: 'object' },
+          citations: { type: 'array' },
+          id: { type: 'string' },
+          parentId: { type: ['string', 'null'] }
         }
       }
+    },
+    // Mensajes de ramas no activas (respuestas regeneradas y mensajes editados)
+    inactiveMessages: {
+      type: 'array',
+      items: { type: 'object' }
     }
   }
 };
@@ -120,21 +177,23 @@ function validateConversation(conversation) {
     }
   });
   
-  // Verificar estructura de mensajes
-  if (conversation.messages) {
-    if (!Array.isArray(conversation.messages)) {
-      errors.push('El campo messages debe ser un array');
+  // Verificar estructura de mensajes (rama activa y ramas inactivas)
+  ['messages', 'inactiveMessages'].forEach(field => {
+    if (!conversation[field]) return;
+    
+    if (!Array.isArray(conversation[field])) {
+      errors.push(`El campo ${field} debe ser un array`);
     } else {
-      conversation.messages.forEach((msg, index) => {
-        if (!msg.role || !['user', 'assistant', 'system'].includes(msg.role)) {
-          errors.push(`Mensaje ${index}: role inválido o faltante`);
+      conversation[field].forEach((msg, index) => {
+        if (!msg.role || !conversationSchema.properties.messages.items.properties.role.enum.includes(msg.role)) {
+          errors.push(`Mensaje ${index} de ${field}: role inválido o faltante`);
         }
         if (!msg.content && msg.content !== '') {
-          errors.push(`Mensaje ${index}: content inválido o faltante`);
+          errors.push(`Mensaje ${index} de ${field}: content inválido o faltante`);
         }
       });
     }
-  }
+  });
   
   return {
     valid: errors.length === 0,
@@ -148,32 +207,27 @@ function validateConversation(conversation) {
  */
 async function init() {
   try {
-    // Crear directorio de backups si no existe
-    await fs.mkdir(BACKUP_DIR, { recursive: true });
-    
-    // Conectar a MongoDB
-    client = new MongoClient(MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true
-    });
-    
-    await client.connect();
-    console.log('DB: Conexión a MongoDB establecida');
-    
-    db = client.db(DB_NAME);
-    conversations = db.collection(COLLECTION_NAME);
+    // Conectar el backend de almacenamiento configurado
+    await storage.connect();
+    console.log(`DB: Almacenamiento ${storage.getBackendName()} listo`);
     
-    // Crear índices para mejor rendimiento
+    // Crear índices para mejor rendimiento (solo aplican en MongoDB)
     await conversations.createIndex({ id: 1 }, { unique: true });
     await conversations.createIndex({ lastActive: -1 });
+    await conversations.createIndex({ ownerId: 1, lastActive: -1 });
+    await conversations.createIndex({ "collaborators.userId": 1 });
     await conversations.createIndex({ created_at: -1 });
     await conversations.createIndex({ title: "text", "messages.content": "text" });
+    await conversations.createIndex({ "share.token": 1 }, { unique: true, sparse: true });
     
     console.log('DB: Índices creados correctamente');
     
     // Crear backup automático diario (si hay datos)
     await createBackupIfNeeded();
     
+    // Reanudar la limpieza programada de conversaciones antiguas
+    await _loadPruneSchedule();
+    
     return true;
   } catch (error) {
     console.error('DB: Error al inicializar la base de datos:', error);
@@ -206,7 +260,11 @@ async function saveConversation(conversation) {
       conversation.messages = encryptData(conversation.messages);
     }
     
-    // Guardar en MongoDB con upsert
+    if (process.env.ENCRYPTION_KEY && conversation.inactiveMessages) {
+      conversation.inactiveMessages = encryptData(conversation.inactiveMessages);
+    }
+    
+    // Guardar con upsert
     await conversations.updateOne(
       { id: conversation.id },
       { $set: conversation },
@@ -218,6 +276,10 @@ async function saveConversation(conversation) {
       conversation.messages = decryptData(conversation.messages);
     }
     
+    if (conversation.inactiveMessages && conversation.inactiveMessages.encrypted) {
+      conversation.inactiveMessages = decryptData(conversation.inactiveMessages);
+    }
+    
     return conversation;
   } catch (error) {
     console.error(`DB: Error al guardar conversación ${conversation?.id}:`, error);
@@ -243,6 +305,10 @@ async function getConversation(id) {
       conversation.messages = decryptData(conversation.messages);
     }
     
+    if (conversation.inactiveMessages && conversation.inactiveMessages.encrypted) {
+      conversation.inactiveMessages = decryptData(conversation.inactiveMessages);
+    }
+    
     return conversation;
   } catch (error) {
     console.error(`DB: Error al obtener conversación ${id}:`, error);
@@ -254,6 +320,7 @@ async function getConversation(id) {
  * Obtiene todas las conversaciones
  * @param {Object} options - Opciones de filtrado y ordenamiento
  * @param {Object} options.filter - Filtros a aplicar
+ * @param {string} options.filter.memberId - Solo conversaciones propias o compartidas con este usuario
  * @param {string} options.filter.title - Filtrar por título
  * @param {Object} options.filter.dateRange - Rango de fechas
  * @param {string} options.sortBy - Campo para ordenar
@@ -264,10 +331,14 @@ async function getConversation(id) {
  */
 async function getAllConversations(options = {}) {
   try {
-    // Construir el filtro para MongoDB
+    // Construir el filtro de la consulta
     const filter = {};
     
     if (options.filter) {
+      if (options.filter.memberId) {
+        Object.assign(filter, _memberFilter(options.filter.memberId));
+      }
+      
       if (options.filter.title) {
         filter.title = { $regex: options.filter.title, $options: 'i' };
       }
@@ -330,6 +401,33 @@ async function getAllConversations(options = {}) {
   }
 }
 
+/**
+ * Obtiene estadísticas generales de las conversaciones
+ * @param {Object} options - Opciones
+ * @param {Date} [options.activeSince] - Fecha desde la que una conversación cuenta como activa (7 días por defecto)
+ * @returns {Promise<Object>} { total, active, messages }
+ */
+async function getConversationStats(options = {}) {
+  try {
+    const activeSince = options.activeSince || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    
+    const total = await conversations.countDocuments({});
+    const active = await conversations.countDocuments({ lastActive: { $gt: activeSince.toISOString() } });
+    
+    // Contar mensajes sin cargar el resto de campos
+    const docs = await conversations.find({}, { projection: { messages: 1 } }).toArray();
+    const messages = docs.reduce((count, conv) => {
+      const convMessages = conv.messages && conv.messages.encrypted ? decryptData(conv.messages) : conv.messages;
+      return count + (Array.isArray(convMessages) ? convMessages.length : 0);
+    }, 0);
+    
+    return { total, active, messages };
+  } catch (error) {
+    console.error('DB: Error al obtener estadísticas de conversaciones:', error);
+    return { total: 0, active: 0, messages: 0 };
+  }
+}
+
 /**
  * Elimina una conversación
  * @param {string} id - ID de la conversación
@@ -343,14 +441,13 @@ async function deleteConversation(id, options = { createBackup: true }) {
     if (options.createBackup) {
       const conversation = await getConversation(id);
       if (conversation) {
-        const backupPath = path.join(BACKUP_DIR, `${id}_${Date.now()}.json.gz`);
         const data = JSON.stringify(conversation);
         const compressed = await gzip(data);
-        await fs.writeFile(backupPath, compressed);
+        await backups.write(`${id}_${Date.now()}.json.gz`, compressed);
       }
     }
     
-    // Eliminar de MongoDB
+    // Eliminar del almacenamiento
     const result = await conversations.deleteOne({ id });
     return result.deletedCount > 0;
   } catch (error) {
@@ -359,10 +456,246 @@ async function deleteConversation(id, options = { createBackup: true }) {
   }
 }
 
+/**
+ * Filtro de consulta para las conversaciones de las que un usuario es miembro
+ * @param {string} userId - ID del usuario
+ * @returns {Object} Filtro: propietario o colaborador
+ * @private
+ */
+function _memberFilter(userId) {
+  return {
+    $or: [
+      { ownerId: userId },
+      { 'collaborators.userId': userId }
+    ]
+  };
+}
+
+/**
+ * Añade un colaborador a una conversación o cambia su rol
+ * @param {string} id - ID de la conversación
+ * @param {Object} collaborator - Colaborador
+ * @param {string} collaborator.userId - ID del usuario invitado
+ * @param {string} collaborator.role - Rol ('editor' o 'viewer')
+ * @param {string} collaborator.addedBy - ID del usuario que invita
+ * @returns {Promise<Array|null>} Colaboradores actualizados o null si la conversación no existe
+ */
+async function setCollaborator(id, { userId, role, addedBy }) {
+  try {
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw new Error(`Rol de colaborador inválido: ${role}`);
+    }
+    
+    const conversation = await conversations.findOne({ id }, { projection: { collaborators: 1 } });
+    if (!conversation) {
+      return null;
+    }
+    
+    const collaborators = conversation.collaborators || [];
+    const existing = collaborators.find(c => c.userId === userId);
+    
+    if (existing) {
+      existing.role = role;
+    } else {
+      collaborators.push({ userId, role, addedAt: new Date().toISOString(), addedBy });
+    }
+    
+    await conversations.updateOne({ id }, { $set: { collaborators } });
+    return collaborators;
+  } catch (error) {
+    console.error(`DB: Error al guardar colaborador de la conversación ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina un colaborador de una conversación
+ * @param {string} id - ID de la conversación
+ * @param {string} userId - ID del colaborador
+ * @returns {Promise<boolean>} True si el usuario era colaborador
+ */
+async function removeCollaborator(id, userId) {
+  try {
+    const result = await conversations.updateOne(
+      { id },
+      { $pull: { collaborators: { userId } } }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error(`DB: Error al eliminar colaborador de la conversación ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Asigna un propietario a las conversaciones que no lo tienen
+ * 
+ * Se usa al registrar el primer usuario, para que las conversaciones creadas
+ * antes de existir las cuentas no queden inaccesibles.
+ * @param {string} ownerId - ID del nuevo propietario
+ * @returns {Promise<number>} Número de conversaciones asignadas
+ */
+async function claimUnownedConversations(ownerId) {
+  try {
+    const result = await conversations.updateMany(
+      { ownerId: { $exists: false } },
+      { $set: { ownerId } }
+    );
+    
+    console.log(`DB: ${result.modifiedCount} conversaciones asignadas a ${ownerId}`);
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('DB: Error al asignar conversaciones sin propietario:', error);
+    return 0;
+  }
+}
+
+/**
+ * Calcula la fecha de expiración de un enlace compartido
+ * @param {number} expiryDays - Días de validez (0 = sin expiración)
+ * @returns {string|null} Fecha ISO de expiración o null
+ * @private
+ */
+function _shareExpiryDate(expiryDays) {
+  const days = Number(expiryDays);
+  if (!Number.isFinite(days) || days <= 0) {
+    return null;
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Determina el estado de un enlace compartido
+ * @param {Object} share - Datos del enlace guardados en la conversación
+ * @returns {string} 'active', 'revoked' o 'expired'
+ * @private
+ */
+function _shareStatus(share) {
+  if (share.revoked) {
+    return 'revoked';
+  }
+  if (share.expiresAt && new Date(share.expiresAt) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Crea el enlace público de una conversación
+ * Si ya existe uno activo se devuelve el mismo, para no invalidar enlaces ya repartidos
+ * @param {string} id - ID de la conversación
+ * @param {Object} options - Opciones adicionales
+ * @param {number} options.expiryDays - Días de validez (0 = sin expiración)
+ * @param {boolean} options.regenerate - Forzar un token nuevo
+ * @returns {Promise<Object|null>} Datos del enlace o null si la conversación no existe
+ */
+async function createShare(id, options = {}) {
+  try {
+    const conversation = await conversations.findOne({ id }, { projection: { share: 1 } });
+    if (!conversation) {
+      return null;
+    }
+    
+    if (conversation.share && !options.regenerate && _shareStatus(conversation.share) === 'active') {
+      return conversation.share;
+    }
+    
+    const share = {
+      token: crypto.randomBytes(SHARE_TOKEN_BYTES).toString('base64url'),
+      createdAt: new Date().toISOString(),
+      expiresAt: _shareExpiryDate(options.expiryDays ?? DEFAULT_SHARE_EXPIRY_DAYS),
+      revoked: false
+    };
+    
+    await conversations.updateOne({ id }, { $set: { share } });
+    return share;
+  } catch (error) {
+    console.error(`DB: Error al compartir conversación ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Actualiza la expiración del enlace público de una conversación
+ * @param {string} id - ID de la conversación
+ * @param {number} expiryDays - Días de validez desde ahora (0 = sin expiración)
+ * @returns {Promise<Object|null>} Enlace actualizado o null si no hay uno activo
+ */
+async function updateShareExpiry(id, expiryDays) {
+  try {
+    const conversation = await conversations.findOne({ id }, { projection: { share: 1 } });
+    if (!conversation || !conversation.share || conversation.share.revoked) {
+      return null;
+    }
+    
+    const share = {
+      ...conversation.share,
+      expiresAt: _shareExpiryDate(expiryDays)
+    };
+    
+    await conversations.updateOne({ id }, { $set: { share } });
+    return share;
+  } catch (error) {
+    console.error(`DB: Error al actualizar enlace de conversación ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Revoca el enlace público de una conversación
+ * @param {string} id - ID de la conversación
+ * @returns {Promise<boolean>} True si había un enlace y se revocó
+ */
+async function revokeShare(id) {
+  try {
+    const result = await conversations.updateOne(
+      { id, share: { $exists: true } },
+      { $set: { 'share.revoked': true, 'share.revokedAt': new Date().toISOString() } }
+    );
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error(`DB: Error al revocar enlace de conversación ${id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Obtiene una conversación a partir de su token público
+ * @param {string} token - Token del enlace compartido
+ * @returns {Promise<Object>} { status, conversation } donde status es
+ *   'active', 'revoked', 'expired' o 'not_found'
+ */
+async function getSharedConversation(token) {
+  try {
+    if (!token) {
+      return { status: 'not_found', conversation: null };
+    }
+    
+    const conversation = await conversations.findOne({ 'share.token': token });
+    if (!conversation) {
+      return { status: 'not_found', conversation: null };
+    }
+    
+    const status = _shareStatus(conversation.share);
+    if (status !== 'active') {
+      return { status, conversation: null };
+    }
+    
+    if (conversation.messages && conversation.messages.encrypted) {
+      conversation.messages = decryptData(conversation.messages);
+    }
+    
+    return { status, conversation };
+  } catch (error) {
+    console.error('DB: Error al obtener conversación compartida:', error);
+    return { status: 'not_found', conversation: null };
+  }
+}
+
 /**
  * Busca conversaciones por contenido
  * @param {string} searchTerm - Término de búsqueda
- * @param {Object} options - Opciones adicionales (paginación, etc.)
+ * @param {Object} options - Opciones adicionales (paginación, memberId, etc.)
  * @returns {Promise<Array>} Conversaciones que coinciden con la búsqueda
  */
 async function searchConversations(searchTerm, options = {}) {
@@ -375,19 +708,35 @@ async function searchConversations(searchTerm, options = {}) {
     const limit = options.limit || 10;
     const skip = (page - 1) * limit;
     
-    // Utilizar el índice de texto para búsqueda
-    const results = await conversations
-      .find(
-        { $text: { $search: searchTerm } },
-        { score: { $meta: "textScore" } }
-      )
-      .sort({ score: { $meta: "textScore" } })
+    // Utilizar el índice de texto si el backend lo tiene; si no, buscar por patrón
+    const conditions = [];
+    if (storage.getCapabilities().textSearch) {
+      conditions.push({ $text: { $search: searchTerm } });
+    } else {
+      const pattern = searchTerm.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions.push({
+        $or: [
+          { title: { $regex: pattern, $options: 'i' } },
+          { 'messages.content': { $regex: pattern, $options: 'i' } }
+        ]
+      });
+    }
+    if (options.memberId) {
+      conditions.push(_memberFilter(options.memberId));
+    }
+    const filter = { $and: conditions };
+    
+    const cursor = storage.getCapabilities().textSearch
+      ? conversations.find(filter, { score: { $meta: "textScore" } }).sort({ score: { $meta: "textScore" } })
+      : conversations.find(filter).sort({ lastActive: -1 });
+    
+    const results = await cursor
       .skip(skip)
       .limit(limit)
       .toArray();
     
     // Contar resultados totales para paginación
-    const total = await conversations.countDocuments({ $text: { $search: searchTerm } });
+    const total = await conversations.countDocuments(filter);
     
     // Procesar resultados y encontrar snippets
     const processedResults = await Promise.all(results.map(async (conv) => {
@@ -437,54 +786,193 @@ function _findSnippet(messages, term) {
   for (const msg of messages) {
     if (msg.content && msg.content.toLowerCase().includes(term)) {
       const index = msg.content.toLowerCase().indexOf(term);
-      const start = Math.max(0, index - 30);
-      const end = Math.min(msg.content.length, index + term.length + 30);
-      
-      let snippet = msg.content.substring(start, end);
-      if (start > 0) snippet = '...' + snippet;
-      if (end < msg.content.length) snippet = snippet + '...';
-      
-      return snippet;
+      return _snippetAround(msg.content, index, term.length, 30);
     }
   }
   
   return '';
 }
 
+/**
+ * Extrae un fragmento de texto alrededor de una posición
+ * @param {string} content - Texto completo
+ * @param {number} index - Posición de la coincidencia
+ * @param {number} length - Longitud de la coincidencia
+ * @param {number} radius - Caracteres de contexto a cada lado
+ * @returns {string} Fragmento con puntos suspensivos si se recorta
+ * @private
+ */
+function _snippetAround(content, index, length, radius) {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(content.length, index + length + radius);
+  
+  let snippet = content.substring(start, end);
+  if (start > 0) snippet = '...' + snippet;
+  if (end < content.length) snippet = snippet + '...';
+  
+  return snippet;
+}
+
+/**
+ * Busca un término en los títulos y mensajes de todas las conversaciones
+ * 
+ * A diferencia de searchConversations (índice de texto, palabras completas),
+ * busca subcadenas sin distinguir mayúsculas y devuelve todas las coincidencias
+ * de cada conversación. Con mensajes encriptados el filtro se hace tras desencriptar.
+ * @param {string} searchTerm - Término de búsqueda
+ * @param {Object} options - Opciones adicionales
+ * @param {number} options.maxConversations - Máximo de conversaciones a examinar
+ * @param {number} options.maxMatchesPerConversation - Máximo de coincidencias por conversación
+ * @param {string} options.memberId - Limitar la búsqueda a las conversaciones propias o compartidas con un usuario
+ * @returns {Promise<Array>} Conversaciones { id, title, created_at, lastActive, titleMatch, matches }
+ */
+async function searchMessages(searchTerm, options = {}) {
+  try {
+    const term = (searchTerm || '').trim().toLowerCase();
+    if (!term) {
+      return [];
+    }
+    
+    const maxConversations = options.maxConversations || 500;
+    const maxMatches = options.maxMatchesPerConversation || 20;
+    
+    // Sin encriptación el almacenamiento puede filtrar directamente
+    const pattern = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const conditions = process.env.ENCRYPTION_KEY ? [] : [{
+      $or: [
+        { title: { $regex: pattern, $options: 'i' } },
+        { 'messages.content': { $regex: pattern, $options: 'i' } }
+      ]
+    }];
+    
+    if (options.memberId) {
+      conditions.push(_memberFilter(options.memberId));
+    }
+    
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    
+    const candidates = await conversations
+      .find(filter, { projection: { id: 1, title: 1, created_at: 1, lastActive: 1, messages: 1 } })
+      .sort({ lastActive: -1 })
+      .limit(maxConversations)
+      .toArray();
+    
+    const results = [];
+    
+    for (const conv of candidates) {
+      let messages = conv.messages;
+      if (messages && messages.encrypted) {
+        messages = decryptData(messages);
+      }
+      
+      const titleMatch = Boolean(conv.title && conv.title.toLowerCase().includes(term));
+      const matches = [];
+      
+      (Array.isArray(messages) ? messages : []).forEach((msg, messageIndex) => {
+        if (matches.length >= maxMatches || !msg.content) {
+          return;
+        }
+        
+        const lowerContent = msg.content.toLowerCase();
+        const index = lowerContent.indexOf(term);
+        if (index === -1) {
+          return;
+        }
+        
+        matches.push({
+          messageIndex,
+          role: msg.role,
+          timestamp: msg.timestamp,
+          content: _snippetAround(msg.content, index, term.length, 60),
+          occurrences: lowerContent.split(term).length - 1
+        });
+      });
+      
+      if (titleMatch || matches.length > 0) {
+        results.push({
+          id: conv.id,
+          title: conv.title,
+          created_at: conv.created_at,
+          lastActive: conv.lastActive,
+          titleMatch,
+          matches
+        });
+      }
+    }
+    
+    return results;
+  } catch (error) {
+    console.error('DB: Error al buscar en mensajes:', error);
+    return [];
+  }
+}
+
 /**
  * Crea una copia de seguridad de todos los datos
+ *
+ * Sin secciones adicionales el backup es un array de conversaciones. Con
+ * options.include se guarda un objeto con las conversaciones y los archivos de
+ * esas secciones (en base64) para restaurarlos junto a ellas.
  * @param {Object} options - Opciones de backup
  * @param {boolean} options.compress - Si se debe comprimir el backup
- * @returns {Promise<string>} Ruta del archivo de backup
+ * @param {Array<string>} options.include - Secciones adicionales ('documents', 'memory', 'global_memory')
+ * @param {boolean} options.automatic - Backup automático (se rota y conserva solo los últimos)
+ * @returns {Promise<string>} Nombre del backup en el bucket de backups
  */
 async function createBackup(options = { compress: true }) {
   try {
+    const include = (options.include || []).filter(section => BACKUP_SECTIONS.includes(section));
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const fileExt = options.compress ? '.json.gz' : '.json';
-    const backupFile = path.join(BACKUP_DIR, `backup_${timestamp}${fileExt}`);
+    const backupName = `${options.automatic ? AUTO_BACKUP_PREFIX : 'backup_'}${timestamp}${fileExt}`;
     
-    // Obtener todas las conversaciones
-    const result = await getAllConversations({ limit: 10000 });
-    const conversations = result.data;
+    // Obtener todas las conversaciones por lotes (un error de lectura aborta el backup)
+    const allConversations = [];
+    for (let skip = 0; ; skip += BACKUP_PAGE_SIZE) {
+      const page = await conversations
+        .find({})
+        .sort({ id: 1 })
+        .skip(skip)
+        .limit(BACKUP_PAGE_SIZE)
+        .toArray();
+      
+      allConversations.push(...page.map(({ _id, ...conv }) => conv));
+      if (page.length < BACKUP_PAGE_SIZE) break;
+    }
     
     // Desencriptar mensajes para el backup
-    for (const conv of conversations) {
+    for (const conv of allConversations) {
       if (conv.messages && conv.messages.encrypted) {
         conv.messages = decryptData(conv.messages);
       }
+      if (conv.inactiveMessages && conv.inactiveMessages.encrypted) {
+        conv.inactiveMessages = decryptData(conv.inactiveMessages);
+      }
     }
     
-    const data = JSON.stringify(conversations, null, 2);
+    let payload = allConversations;
     
-    if (options.compress) {
-      const compressed = await gzip(data);
-      await fs.writeFile(backupFile, compressed);
-    } else {
-      await fs.writeFile(backupFile, data, 'utf8');
+    if (include.length > 0) {
+      const files = [];
+      for (const section of include) {
+        files.push(...await _collectBackupFiles(section));
+      }
+      
+      payload = {
+        version: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        include,
+        conversations: allConversations,
+        files
+      };
     }
     
-    console.log(`DB: Backup creado en ${backupFile}`);
-    return backupFile;
+    const data = JSON.stringify(payload, null, 2);
+    
+    await backups.write(backupName, options.compress ? await gzip(data) : data);
+    
+    console.log(`DB: Backup creado: ${backupName}`);
+    return backupName;
   } catch (error) {
     console.error('DB: Error al crear backup:', error);
     throw error;
@@ -493,35 +981,42 @@ async function createBackup(options = { compress: true }) {
 
 /**
  * Restaura datos desde una copia de seguridad
- * @param {string} backupPath - Ruta al archivo de backup
+ *
+ * Las conversaciones se insertan o actualizan por ID; los archivos de las
+ * secciones incluidas en el backup se sobrescriben. Las conversaciones de
+ * backups anteriores a los permisos no tienen ownerId: conservan el propietario
+ * que ya tuvieran o pasan a options.ownerId (el administrador que restaura),
+ * para que no queden fuera de todos los listados.
+ * @param {string} backupName - Nombre del backup
+ * @param {Object} options - Opciones
+ * @param {string} [options.ownerId] - Propietario de las conversaciones restauradas sin propietario
  * @returns {Promise<number>} Número de conversaciones restauradas
  */
-async function restoreFromBackup(backupPath) {
+async function restoreFromBackup(backupName, options = {}) {
   try {
-    // Verificar que el archivo existe
-    await fs.access(backupPath);
-    
-    // Leer archivo y descomprimir si es necesario
-    let data = await fs.readFile(backupPath);
-    
-    if (backupPath.endsWith('.gz')) {
-      data = await gunzip(data);
-    }
-    
-    const backupData = JSON.parse(data.toString('utf8'));
+    const { conversations: backupData, files } = await _readBackup(backupName);
     
     // Contar conversaciones restauradas
     let restoredCount = 0;
     
     // Usar operaciones en lote para mejor rendimiento
     const bulkOps = [];
+    const restoredIds = [];
     
     for (const conversation of backupData) {
       if (conversation && conversation.id) {
+        // Un ownerId vacío no debe borrar el propietario actual
+        if (!conversation.ownerId) {
+          delete conversation.ownerId;
+        }
+        
         // Encriptar mensajes si es necesario
         if (process.env.ENCRYPTION_KEY && conversation.messages) {
           conversation.messages = encryptData(conversation.messages);
         }
+        if (process.env.ENCRYPTION_KEY && conversation.inactiveMessages) {
+          conversation.inactiveMessages = encryptData(conversation.inactiveMessages);
+        }
         
         bulkOps.push({
           updateOne: {
@@ -531,6 +1026,7 @@ async function restoreFromBackup(backupPath) {
           }
         });
         
+        restoredIds.push(conversation.id);
         restoredCount++;
       }
     }
@@ -539,14 +1035,176 @@ async function restoreFromBackup(backupPath) {
       await conversations.bulkWrite(bulkOps);
     }
     
-    console.log(`DB: ${restoredCount} conversaciones restauradas desde ${backupPath}`);
+    if (options.ownerId && restoredIds.length > 0) {
+      const claimed = await conversations.updateMany(
+        { id: { $in: restoredIds }, ownerId: { $exists: false } },
+        { $set: { ownerId: options.ownerId } }
+      );
+      
+      if (claimed.modifiedCount > 0) {
+        console.log(`DB: ${claimed.modifiedCount} conversaciones restauradas sin propietario asignadas a ${options.ownerId}`);
+      }
+    }
+    
+    let restoredFiles = 0;
+    for (const file of files) {
+      if (await _restoreBackupFile(file)) {
+        restoredFiles++;
+      }
+    }
+    
+    console.log(`DB: ${restoredCount} conversaciones y ${restoredFiles} archivos restaurados desde ${backupName}`);
     return restoredCount;
   } catch (error) {
-    console.error(`DB: Error al restaurar desde backup ${backupPath}:`, error);
+    console.error(`DB: Error al restaurar desde backup ${backupName}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Analiza un backup sin aplicarlo
+ * @param {string} backupName - Nombre del backup
+ * @returns {Promise<Object>} { createdAt, conversations, existing, created, files } donde
+ *   existing son las conversaciones que se actualizarían y created las que se insertarían
+ */
+async function previewBackup(backupName) {
+  try {
+    const backup = await _readBackup(backupName);
+    const ids = backup.conversations.filter(c => c && c.id).map(c => c.id);
+    const existing = ids.length > 0
+      ? await conversations.countDocuments({ id: { $in: ids } })
+      : 0;
+    
+    const files = {};
+    for (const file of backup.files) {
+      files[file.section] = (files[file.section] || 0) + 1;
+    }
+    
+    return {
+      createdAt: backup.createdAt,
+      conversations: ids.length,
+      existing,
+      created: ids.length - existing,
+      files
+    };
+  } catch (error) {
+    console.error(`DB: Error al analizar backup ${backupName}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Lista los backups completos disponibles (más recientes primero)
+ * @returns {Promise<Array>} [{ name, size, createdAt, compressed }]
+ */
+async function listBackups() {
+  try {
+    const files = (await backups.list()).filter(file => BACKUP_NAME_PATTERN.test(file.name));
+    
+    return files
+      .map(file => ({
+        name: file.name,
+        size: file.size,
+        createdAt: new Date(file.updatedAt).toISOString(),
+        compressed: file.name.endsWith('.gz')
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    console.error('DB: Error al listar backups:', error);
     throw error;
   }
 }
 
+/**
+ * Lee el contenido de un backup tal como está guardado (para descargarlo)
+ * @param {string} name - Nombre del backup (p. ej. backup_2024-01-01T00-00-00-000Z.json.gz)
+ * @returns {Promise<Buffer|null>} Contenido o null si el nombre no es válido o no existe
+ */
+async function readBackup(name) {
+  if (!name || !BACKUP_NAME_PATTERN.test(name)) {
+    return null;
+  }
+  return backups.read(name);
+}
+
+/**
+ * Lee y descomprime un backup en cualquiera de sus formatos
+ * @param {string} backupName - Nombre del backup
+ * @returns {Promise<Object>} { createdAt, conversations, files }
+ * @private
+ */
+async function _readBackup(backupName) {
+  let data = await readBackup(backupName);
+  if (!data) {
+    throw new Error(`Backup no encontrado: ${backupName}`);
+  }
+  
+  if (backupName.endsWith('.gz')) {
+    data = await gunzip(data);
+  }
+  
+  const backupData = JSON.parse(data.toString('utf8'));
+  
+  // Formato original: array de conversaciones
+  if (Array.isArray(backupData)) {
+    const [file] = await backups.list(backupName);
+    return {
+      createdAt: file ? new Date(file.updatedAt).toISOString() : null,
+      conversations: backupData,
+      files: []
+    };
+  }
+  
+  return {
+    createdAt: backupData.createdAt || null,
+    conversations: Array.isArray(backupData.conversations) ? backupData.conversations : [],
+    files: Array.isArray(backupData.files) ? backupData.files : []
+  };
+}
+
+/**
+ * Obtiene los archivos de una sección para el backup
+ * @param {string} section - Nombre del bucket (ver BACKUP_SECTIONS)
+ * @returns {Promise<Array>} [{ section, path, data }] con la ruta relativa y el contenido en base64
+ * @private
+ */
+async function _collectBackupFiles(section) {
+  const sectionBucket = storage.bucket(section);
+  const files = [];
+  
+  for (const file of await sectionBucket.list()) {
+    files.push({
+      section,
+      path: file.name,
+      data: (await sectionBucket.read(file.name)).toString('base64')
+    });
+  }
+  
+  return files;
+}
+
+/**
+ * Guarda un archivo incluido en un backup en su sección
+ * @param {Object} file - { section, path, data }
+ * @returns {Promise<boolean>} False si el archivo se ignoró por no ser válido
+ * @private
+ */
+async function _restoreBackupFile(file) {
+  if (!BACKUP_SECTIONS.includes(file.section) || typeof file.path !== 'string' || typeof file.data !== 'string') {
+    console.warn(`DB: Archivo de backup ignorado (${file.section}/${file.path})`);
+    return false;
+  }
+  
+  try {
+    await storage.bucket(file.section).write(file.path, Buffer.from(file.data, 'base64'));
+    return true;
+  } catch (error) {
+    // El almacenamiento rechaza rutas con ".." o absolutas
+    console.warn(`DB: Ruta de backup no permitida: ${file.path}`);
+    return false;
+  }
+}
+
 /**
  * Crea un backup si no se ha creado recientemente
  * @private
@@ -561,19 +1219,16 @@ async function createBackupIfNeeded() {
     }
     
     // Verificar si ya existe un backup reciente (último día)
-    const backupFiles = await fs.readdir(BACKUP_DIR);
-    const filteredFiles = backupFiles
-      .filter(file => file.startsWith('backup_'))
-      .sort();
-    
-    if (filteredFiles.length > 0) {
-      const lastBackup = filteredFiles[filteredFiles.length - 1];
-      const backupPath = path.join(BACKUP_DIR, lastBackup);
-      const backupStats = await fs.stat(backupPath);
+    const backupFiles = (await backups.list())
+      .filter(file => file.name.startsWith('backup_'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    if (backupFiles.length > 0) {
+      const lastBackup = backupFiles[backupFiles.length - 1];
       
       // Si el último backup es de hace menos de 24 horas, no crear otro
       const now = new Date();
-      const backupDate = new Date(backupStats.mtime);
+      const backupDate = new Date(lastBackup.updatedAt);
       const hoursSinceLastBackup = (now - backupDate) / (1000 * 60 * 60);
       
       if (hoursSinceLastBackup < 24) {
@@ -582,25 +1237,37 @@ async function createBackupIfNeeded() {
     }
     
     // Crear nuevo backup
-    await createBackup();
-    
-    // Eliminar backups antiguos (mantener solo los últimos 7)
-    const maxBackups = 7;
-    const backupFiles2 = await fs.readdir(BACKUP_DIR);
-    const filteredFiles2 = backupFiles2
-      .filter(file => file.startsWith('backup_'))
-      .sort();
-    
-    if (filteredFiles2.length > maxBackups) {
-      for (let i = 0; i < filteredFiles2.length - maxBackups; i++) {
-        await fs.unlink(path.join(BACKUP_DIR, filteredFiles2[i]));
-      }
-    }
+    await createBackup({ compress: true, automatic: true });
+    await _rotateAutomaticBackups();
   } catch (error) {
     console.error('DB: Error al gestionar backups automáticos:', error);
   }
 }
 
+/**
+ * Elimina los backups automáticos más antiguos (los creados a mano se conservan)
+ * @private
+ */
+async function _rotateAutomaticBackups() {
+  const autoBackups = (await backups.list())
+    .map(file => file.name)
+    .filter(name => name.startsWith(AUTO_BACKUP_PREFIX))
+    .sort();
+  
+  for (const name of autoBackups.slice(0, Math.max(0, autoBackups.length - MAX_AUTO_BACKUPS))) {
+    await backups.remove(name);
+  }
+}
+
+/**
+ * Registra la función que elimina los datos asociados a una conversación
+ * (documentos, memoria, grafo, valoraciones) cuando la limpieza la borra
+ * @param {Function} handler - async (conversationId) => void
+ */
+function setPruneCleanupHandler(handler) {
+  pruneCleanupHandler = handler;
+}
+
 /**
  * Elimina conversaciones antiguas para liberar espacio
  * @param {number} daysOld - Días de antigüedad para considerar eliminación
@@ -610,7 +1277,8 @@ async function createBackupIfNeeded() {
 async function pruneOldConversations(daysOld = 90, createBackupFirst = true) {
   try {
     if (createBackupFirst) {
-      await createBackup();
+      await createBackup({ compress: true, automatic: true });
+      await _rotateAutomaticBackups();
     }
     
     const cutoffDate = new Date();
@@ -618,7 +1286,7 @@ async function pruneOldConversations(daysOld = 90, createBackupFirst = true) {
     const cutoffISOString = cutoffDate.toISOString();
     
     // Búsqueda más eficiente usando índices
-    const result = await conversations.deleteMany({
+    const filter = {
       $or: [
         { lastActive: { $lt: cutoffISOString } },
         { 
@@ -626,7 +1294,20 @@ async function pruneOldConversations(daysOld = 90, createBackupFirst = true) {
           created_at: { $lt: cutoffISOString } 
         }
       ]
-    });
+    };
+    const prunedIds = (await conversations.find(filter).toArray()).map(conv => conv.id);
+    const result = await conversations.deleteMany(filter);
+    
+    // Eliminar lo asociado a cada conversación igual que un borrado manual
+    if (pruneCleanupHandler) {
+      for (const id of prunedIds) {
+        try {
+          await pruneCleanupHandler(id);
+        } catch (cleanupError) {
+          console.error(`DB: Error al limpiar los datos de la conversación ${id}:`, cleanupError);
+        }
+      }
+    }
     
     const count = result.deletedCount;
     console.log(`DB: Se eliminaron ${count} conversaciones antiguas`);
@@ -637,15 +1318,113 @@ async function pruneOldConversations(daysOld = 90, createBackupFirst = true) {
   }
 }
 
+/**
+ * Obtiene la programación de limpieza de conversaciones antiguas
+ * @returns {Object} { enabled, daysOld, intervalHours, lastRun, lastDeleted, nextRun }
+ */
+function getPruneSchedule() {
+  return {
+    ...pruneSchedule,
+    nextRun: pruneSchedule.enabled && nextPruneAt ? new Date(nextPruneAt).toISOString() : null
+  };
+}
+
+/**
+ * Programa (o desactiva) la limpieza periódica de conversaciones antiguas
+ *
+ * Cada ejecución crea un backup antes de eliminar. La programación se guarda
+ * en disco y se reanuda al iniciar.
+ * @param {Object} schedule - Programación
+ * @param {boolean} schedule.enabled - Si la limpieza está activa
+ * @param {number} schedule.daysOld - Días de inactividad para eliminar una conversación
+ * @param {number} schedule.intervalHours - Horas entre ejecuciones (como máximo MAX_PRUNE_INTERVAL_HOURS)
+ * @returns {Promise<Object>} Programación actualizada
+ */
+async function setPruneSchedule({ enabled, daysOld, intervalHours }) {
+  try {
+    pruneSchedule = {
+      ...pruneSchedule,
+      enabled: Boolean(enabled),
+      daysOld: daysOld || pruneSchedule.daysOld,
+      intervalHours: Math.min(intervalHours || pruneSchedule.intervalHours, MAX_PRUNE_INTERVAL_HOURS)
+    };
+    
+    await _savePruneSchedule();
+    _startPruneTimer();
+    
+    console.log(`DB: Limpieza programada ${pruneSchedule.enabled ? `cada ${pruneSchedule.intervalHours}h (>${pruneSchedule.daysOld} días)` : 'desactivada'}`);
+    return getPruneSchedule();
+  } catch (error) {
+    console.error('DB: Error al programar la limpieza:', error);
+    throw error;
+  }
+}
+
+/**
+ * Carga la programación de limpieza guardada y arranca el temporizador
+ * @private
+ */
+async function _loadPruneSchedule() {
+  try {
+    pruneSchedule = { ...pruneSchedule, ...(await backups.readJSON(PRUNE_SCHEDULE_FILE)) };
+  } catch (error) {
+    console.error('DB: Error al leer la programación de limpieza:', error);
+  }
+  _startPruneTimer();
+}
+
+/**
+ * Guarda la programación de limpieza
+ * @private
+ */
+async function _savePruneSchedule() {
+  await backups.writeJSON(PRUNE_SCHEDULE_FILE, pruneSchedule);
+}
+
+/**
+ * Reinicia el temporizador de limpieza según la programación actual
+ * @private
+ */
+function _startPruneTimer() {
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+  }
+  nextPruneAt = null;
+  
+  if (!pruneSchedule.enabled) {
+    return;
+  }
+  
+  // Una programación guardada con un intervalo mayor desbordaría el temporizador
+  const intervalMs = Math.min(pruneSchedule.intervalHours, MAX_PRUNE_INTERVAL_HOURS) * 60 * 60 * 1000;
+  nextPruneAt = Date.now() + intervalMs;
+  
+  pruneTimer = setInterval(async () => {
+    nextPruneAt = Date.now() + intervalMs;
+    pruneSchedule.lastDeleted = await pruneOldConversations(pruneSchedule.daysOld, true);
+    pruneSchedule.lastRun = new Date().toISOString();
+    await _savePruneSchedule().catch(error => {
+      console.error('DB: Error al guardar la programación de limpieza:', error);
+    });
+  }, intervalMs);
+  
+  // No mantener vivo el proceso solo por la limpieza
+  pruneTimer.unref();
+}
+
 /**
  * Cierra la conexión a la base de datos
  * @returns {Promise<void>}
  */
 async function close() {
-  if (client) {
-    await client.close();
-    console.log('DB: Conexión a MongoDB cerrada');
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
   }
+  
+  await storage.close();
+  console.log('DB: Almacenamiento cerrado');
 }
 
 // Sistema de métricas para monitoreo
@@ -677,15 +1456,34 @@ const metrics = {
 
 // Exportar la API pública del módulo
 module.exports = {
+  COLLABORATOR_ROLES,
   init,
+  validateConversation,
   saveConversation,
   getConversation,
   getAllConversations,
+  getConversationStats,
   deleteConversation,
+  setCollaborator,
+  removeCollaborator,
+  claimUnownedConversations,
   searchConversations,
+  searchMessages,
+  createShare,
+  updateShareExpiry,
+  revokeShare,
+  getSharedConversation,
+  BACKUP_SECTIONS,
   createBackup,
   restoreFromBackup,
+  previewBackup,
+  listBackups,
+  readBackup,
   pruneOldConversations,
+  setPruneCleanupHandler,
+  getPruneSchedule,
+  setPruneSchedule,
+  MAX_PRUNE_INTERVAL_HOURS,
   close,
   getMetrics: metrics.getMetrics.bind(metrics),
   resetMetrics: metrics.resetMetrics.bind(metrics)
@@ -5,12 +5,17 @@
  * subidos por el usuario, como PDFs, documentos de texto, hojas de cálculo, etc.
  */
 
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const semanticService = require('./semantic-service');
+const ocrService = require('./ocr-service');
+const formatExtractors = require('./format-extractors');
+const textDiff = require('./text-diff');
+const piiDetector = require('./pii-detector');
+const storage = require('./storage');
 
-// Directorio para almacenamiento de documentos
-const DOCS_DIR = path.join(__dirname, 'data', 'documents');
+// Bucket de documentos (data/documents con el backend file), con un prefijo por conversación
+const documentFiles = storage.bucket('documents');
 
 // Variables para módulos opcionales
 let pdfParse, mammoth, csvParse, xlsx;
@@ -23,18 +28,28 @@ const MAX_KEY_CONCEPTS = 15;
 const MAX_FILE_SIZE = 10 * 1024 * 1024;
 // Máximo de caracteres para procesamiento de texto
 const MAX_PROCESS_LENGTH = 500000;
+// Tamaño objetivo de cada fragmento indexado (caracteres)
+const CHUNK_SIZE = 1200;
+// Solapamiento entre fragmentos consecutivos (caracteres)
+const CHUNK_OVERLAP = 200;
+// Fragmentos recuperados por defecto para cada consulta
+const DEFAULT_TOP_K = 5;
+// Puntuación mínima para considerar un fragmento relevante
+const MIN_CHUNK_SCORE = 0.15;
+// Separador de páginas insertado al extraer texto de PDF
+const PAGE_BREAK = '\f';
+// Caracteres mínimos para considerar que una página de PDF tiene capa de texto
+const MIN_PAGE_TEXT_LENGTH = 20;
+// Similitud de contenido a partir de la cual un archivo con otro nombre es una nueva versión
+const VERSION_SIMILARITY_THRESHOLD = 0.6;
+// Longitud máxima del extracto de cambios guardado en los metadatos (y enviado al modelo)
+const MAX_CHANGES_EXCERPT = 3000;
 
 /**
  * Verifica e inicializa las dependencias
  */
 function init() {
     try {
-        // Crear directorio de documentos si no existe
-        if (!fs.existsSync(DOCS_DIR)) {
-            fs.mkdirSync(DOCS_DIR, { recursive: true });
-            console.log('DocumentProcessor: Directorio de documentos creado');
-        }
-        
         // Verificar dependencias opcionales
         try {
             pdfParse = require('pdf-parse');
@@ -79,7 +94,10 @@ function checkDependencies() {
         pdfExtraction: !!pdfParse,
         docxExtraction: !!mammoth,
         csvParsing: !!csvParse,
-        excelExtraction: !!xlsx
+        excelExtraction: !!xlsx,
+        imageOcr: ocrService.isAvailable(),
+        pdfOcr: ocrService.canRenderPDF(),
+        ...formatExtractors.checkDependencies()
     };
 }
 
@@ -88,22 +106,24 @@ function checkDependencies() {
  * @param {Buffer} fileBuffer - Buffer del archivo
  * @param {string} fileName - Nombre original del archivo
  * @param {string} conversationId - ID de la conversación asociada
+ * @param {Object} options - Opciones
+ * @param {Function} options.onProgress - async (percent, stage) llamada al inicio de cada etapa;
+ *   si lanza un error (por ejemplo, al cancelar el trabajo) se descartan los archivos ya guardados
+ * @param {boolean} options.versioning - Buscar una versión anterior del documento (por defecto true)
  * @returns {Promise<Object>} Información del documento procesado
  */
-async function processDocument(fileBuffer, fileName, conversationId) {
+async function processDocument(fileBuffer, fileName, conversationId, options = {}) {
+    const reportProgress = options.onProgress || (async () => {});
+    let docId = null;
+    
     try {
         if (fileBuffer.length > MAX_FILE_SIZE) {
             throw new Error(`El archivo excede el tamaño máximo permitido de ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
         }
         
-        // Crear directorio para la conversación si no existe
-        const conversationDocsDir = path.join(DOCS_DIR, conversationId);
-        if (!fs.existsSync(conversationDocsDir)) {
-            fs.mkdirSync(conversationDocsDir, { recursive: true });
-        }
-        
         // Generar ID para el documento
-        const docId = uuidv4();
+        docId = uuidv4();
+        await reportProgress(5, 'storing');
         
         // Obtener la extensión del archivo
         const fileExt = path.extname(fileName).toLowerCase();
@@ -134,28 +154,68 @@ async function processDocument(fileBuffer, fileName, conversationId) {
             case '.md':
                 format = 'markdown';
                 break;
+            case '.png':
+            case '.jpg':
+            case '.jpeg':
+            case '.tif':
+            case '.tiff':
+                format = 'image';
+                break;
             default:
-                format = 'unknown';
+                // HTML, EPUB, PPTX, OpenDocument, RTF y código fuente
+                format = formatExtractors.getFormat(fileExt) || 'unknown';
         }
         
         // Guardar el archivo original
-        const filePath = path.join(conversationDocsDir, `${docId}${fileExt}`);
-        fs.writeFileSync(filePath, fileBuffer);
+        const filePath = `${conversationId}/${docId}${fileExt}`;
+        await documentFiles.write(filePath, fileBuffer);
         
         // Extraer texto según formato
+        await reportProgress(15, 'extracting');
         let text = '';
         let extractionSuccess = true;
         let structuredData = null;
         let tableHeaders = [];
         let preview = null;
+        let ocr = null;
+        let title = null;
+        let codeInfo = null;
         
         try {
+            if (!formatExtractors.isAvailable(format)) {
+                throw new Error(`Procesamiento de ${format.toUpperCase()} no disponible`);
+            }
+            
+
             switch (format) {
                 case 'pdf':
                     if (!pdfParse) {
                         throw new Error('Procesamiento de PDF no disponible');
                     }
-                    text = await extractTextFromPDF(fileBuffer);
+                    const pdfResult = await extractTextFromPDF(fileBuffer, {
+                        onOcrPage: (done, total) => reportProgress(20 + Math.round(25 * done / total), 'ocr')
+                    });
+                    text = pdfResult.text;
+                    ocr = pdfResult.ocr;
+                    break;
+                    
+                case 'image':
+                    if (!ocrService.isAvailable()) {
+                        throw new Error('Reconocimiento de texto (OCR) no disponible');
+                    }
+                    await reportProgress(20, 'ocr');
+                    const ocrResult = await ocrService.recognizeImage(fileBuffer);
+                    text = ocrResult.text;
+                    ocr = {
+                        pages: [1],
+                        confidence: Math.round(ocrResult.confidence),
+                        languages: ocrService.OCR_LANGUAGES
+                    };
+                    
+                    if (!text) {
+                        text = 'No se reconoció texto en la imagen';
+                        extractionSuccess = false;
+                    }
                     break;
                     
                 case 'docx':
@@ -195,6 +255,46 @@ async function processDocument(fileBuffer, fileName, conversationId) {
                     );
                     break;
                     
+                case 'html':
+                    const htmlResult = await formatExtractors.extractTextFromHTML(fileBuffer);
+                    text = htmlResult.text;
+                    title = htmlResult.title || null;
+                    break;
+                    
+                case 'epub':
+                    const epubResult = await formatExtractors.extractTextFromEPUB(fileBuffer);
+                    text = epubResult.text;
+                    title = epubResult.title || null;
+                    break;
+                    
+                case 'pptx':
+                    text = (await formatExtractors.extractTextFromPPTX(fileBuffer)).text;
+                    break;
+                    
+                case 'odt':
+                    text = await formatExtractors.extractTextFromODT(fileBuffer);
+                    break;
+                    
+                case 'ods':
+                    const odsResult = await formatExtractors.extractDataFromODS(fileBuffer);
+                    text = odsResult.text;
+                    structuredData = odsResult.data;
+                    tableHeaders = odsResult.headers || [];
+                    preview = generateTablePreview(
+                        structuredData[Object.keys(structuredData)[0]],
+                        tableHeaders
+                    );
+                    break;
+                    
+                case 'rtf':
+                    text = await formatExtractors.extractTextFromRTF(fileBuffer);
+                    break;
+                    
+                case 'code':
+                    codeInfo = await formatExtractors.extractCodeInfo(fileBuffer, fileName);
+                    text = codeInfo.text;
+                    break;
+                    
                 case 'json':
                     try {
                         const jsonData = JSON.parse(fileBuffer.toString('utf8'));
@@ -221,6 +321,10 @@ async function processDocument(fileBuffer, fileName, conversationId) {
                     }
             }
         } catch (err) {
+            // La cancelación del trabajo (lanzada por onProgress) no es un fallo de extracción
+            if (err.cancelled) {
+                throw err;
+            }
             console.error(`DocumentProcessor: Error al extraer texto de ${format}:`, err);
             text = `Error procesando documento: ${err.message}`;
             extractionSuccess = false;
@@ -236,13 +340,39 @@ async function processDocument(fileBuffer, fileName, conversationId) {
             text = textForProcessing + `\n\n[Contenido truncado. El documento original tiene ${text.length} caracteres, se procesaron ${MAX_PROCESS_LENGTH}]`;
         }
         
+        // Ocultar datos personales en todo lo que se indexa y se envía al modelo
+        const piiSettings = await piiDetector.getSettings();
+        const textRedaction = piiDetector.redactText(text, piiSettings);
+        const dataRedaction = piiDetector.redactValue({ structuredData, preview, title }, piiSettings);
+        text = textRedaction.text;
+        ({ structuredData, preview, title } = dataRedaction.value);
+        const pii = piiDetector.summarizeFindings([...textRedaction.findings, ...dataRedaction.findings]);
+        
         // Guardar el texto extraído
-        const textPath = path.join(conversationDocsDir, `${docId}.txt`);
-        fs.writeFileSync(textPath, text);
+        const textPath = `${conversationId}/${docId}.txt`;
+        await documentFiles.write(textPath, text);
+        
+        // Detectar si es una nueva versión de un documento ya subido (por nombre o contenido)
+        let versionInfo = null;
+        if (options.versioning !== false) {
+            await reportProgress(47, 'versioning');
+            try {
+                versionInfo = await detectPreviousVersion(conversationId, fileName, text, extractionSuccess);
+            } catch (versionError) {
+                console.error(`DocumentProcessor: Error al buscar versiones anteriores de ${fileName}:`, versionError);
+            }
+        }
         
         // Generar resumen y conceptos clave
-        const summary = generateSummary(text);
-        const keyConcepts = extractKeyConcepts(text);
+        await reportProgress(50, 'summarizing');
+        const summary = codeInfo && extractionSuccess
+            ? formatExtractors.summarizeCode(codeInfo, fileName)
+            : generateSummary(text);
+        await reportProgress(60, 'concepts');
+        const keyConcepts = codeInfo && codeInfo.symbols.length > 0
+            ? extractCodeConcepts(text, codeInfo.symbols)
+            : extractKeyConcepts(text);
+        await reportProgress(70, 'entities');
         const entities = extractEntities(text);
         
         // Crear metadatos
@@ -262,17 +392,49 @@ async function processDocument(fileBuffer, fileName, conversationId) {
             entities,
             hasStructuredData: !!structuredData,
             tableHeaders: tableHeaders,
-            preview: preview
+            preview: preview,
+            ocr,
+            title,
+            code: codeInfo ? {
+                language: codeInfo.language,
+                lineCount: codeInfo.lineCount,
+                symbols: codeInfo.symbols
+            } : null,
+            versionGroupId: versionInfo ? versionInfo.versionGroupId : docId,
+            version: versionInfo ? versionInfo.version : 1,
+            previousVersionId: versionInfo ? versionInfo.previous.id : null,
+            changes: versionInfo ? versionInfo.changes : null,
+            pii: pii.length > 0 ? pii : null
         };
         
-        // Guardar metadatos
-        const metaPath = path.join(conversationDocsDir, `${docId}.meta.json`);
-        fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+        // Fragmentar e indexar el texto para recuperación semántica
+        if (extractionSuccess) {
+            await reportProgress(80, 'indexing');
+            try {
+                metadata.chunkCount = await indexDocumentChunks(conversationId, docId, text);
+            } catch (indexError) {
+                console.error(`DocumentProcessor: Error al indexar fragmentos de ${fileName}:`, indexError);
+                metadata.chunkCount = 0;
+            }
+        }
+        
+        // Guardar metadatos (el documento solo aparece en la lista a partir de aquí)
+        await reportProgress(95, 'saving');
+        await documentFiles.writeJSON(`${conversationId}/${docId}.meta.json`, metadata);
         
         // Si hay datos estructurados, guardarlos también
         if (structuredData) {
-            const structuredPath = path.join(conversationDocsDir, `${docId}.structured.json`);
-            fs.writeFileSync(structuredPath, JSON.stringify(structuredData, null, 2));
+            await documentFiles.writeJSON(`${conversationId}/${docId}.structured.json`, structuredData);
+        }
+        
+        // La versión anterior deja de usarse como contexto
+        if (versionInfo) {
+            await documentFiles.writeJSON(`${conversationId}/${docId}.diff.json`, versionInfo.hunks);
+            await updateDocumentMetadata(conversationId, versionInfo.previous.id, {
+                supersededBy: docId,
+                supersededAt: new Date().toISOString()
+            });
+            console.log(`DocumentProcessor: ${fileName} es la versión ${metadata.version} de ${versionInfo.previous.originalName}`);
         }
         
         console.log(`DocumentProcessor: Documento procesado - ${fileName} (${docId})`);
@@ -280,28 +442,274 @@ async function processDocument(fileBuffer, fileName, conversationId) {
         return metadata;
     } catch (error) {
         console.error('DocumentProcessor: Error al procesar documento:', error);
+        
+        // Descartar los archivos parciales para que un reintento empiece de cero
+        if (docId) {
+            await removeDocumentFiles(conversationId, docId);
+        }
         throw error;
     }
 }
 
+/**
+ * Elimina todos los archivos de un documento, tenga o no metadatos
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @private
+ */
+async function removeDocumentFiles(conversationId, docId) {
+    try {
+        for (const file of await documentFiles.list(`${conversationId}/${docId}`)) {
+            await documentFiles.remove(file.name);
+        }
+    } catch (error) {
+        console.error(`DocumentProcessor: Error al descartar archivos de ${docId}:`, error);
+    }
+}
+
+/**
+ * Normaliza el nombre de un archivo para reconocer versiones del mismo documento
+ *
+ * Ignora la extensión, mayúsculas, tildes, separadores y sufijos habituales de
+ * versión: "Contrato_v2 (1).pdf" y "contrato final.docx" dan "contrato".
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string} Nombre normalizado
+ * @private
+ */
+function normalizeDocumentName(fileName) {
+    let name = path.basename(fileName, path.extname(fileName))
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+    let previous;
+    
+    do {
+        previous = name;
+        name = name
+            .replace(/[\s_.-]*\(\d+\)$/, '')
+            .replace(/[\s_.-]*(v|ver|version|rev)[\s_.-]*\d+(\.\d+)*$/, '')
+            .replace(/[\s_.-]*(final|definitivo|borrador|draft|revisado|nuevo|new|copia|copy)$/, '')
+            .trim();
+    } while (name !== previous);
+    
+    return name.replace(/[\s_.-]+/g, ' ').trim();
+}
+
+/**
+ * Busca entre los documentos vigentes de la conversación una versión anterior
+ * del documento (mismo nombre normalizado o contenido muy similar)
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} fileName - Nombre del documento nuevo
+ * @param {string} text - Texto extraído del documento nuevo
+ * @param {boolean} extractionSuccess - Si el texto se extrajo correctamente
+ * @returns {Promise<Object|null>} { previous, version, versionGroupId, changes, hunks } o null
+ * @private
+ */
+async function detectPreviousVersion(conversationId, fileName, text, extractionSuccess) {
+    const name = normalizeDocumentName(fileName);
+    const documents = (await getConversationDocuments(conversationId)).filter(doc => !doc.supersededBy);
+    let best = null;
+    
+    for (const doc of documents) {
+        const sameName = name !== '' && normalizeDocumentName(doc.originalName) === name;
+        
+        // Sin texto fiable solo cuenta el nombre
+        if (!sameName && (!extractionSuccess || doc.extractionSuccess === false)) {
+            continue;
+        }
+        
+        const previousText = await readDocumentText(conversationId, doc.id) || '';
+        const similarity = textDiff.textSimilarity(previousText, text);
+        
+        if (!sameName && similarity < VERSION_SIMILARITY_THRESHOLD) {
+            continue;
+        }
+        
+        // Prioridad al nombre y, a igualdad, al contenido más parecido
+        const score = (sameName ? 1 : 0) + similarity;
+        if (!best || score > best.score) {
+            best = { doc, previousText, score };
+        }
+    }
+    
+    if (!best) {
+        return null;
+    }
+    
+    const { changes, hunks } = compareVersions(best.doc, best.previousText, text);
+    
+    return {
+        previous: best.doc,
+        version: (best.doc.version || 1) + 1,
+        versionGroupId: best.doc.versionGroupId || best.doc.id,
+        changes,
+        hunks
+    };
+}
+
+/**
+ * Calcula los cambios entre una versión anterior y el texto de la nueva
+ * @param {Object} previous - Metadatos de la versión anterior
+ * @param {string} previousText - Texto de la versión anterior
+ * @param {string} text - Texto de la versión nueva
+ * @returns {Object} { changes, hunks } con el resumen para los metadatos y el diff completo
+ * @private
+ */
+function compareVersions(previous, previousText, text) {
+    const hunks = textDiff.diffLines(previousText, text);
+    const stats = textDiff.summarizeDiff(hunks);
+    
+    return {
+        changes: {
+            fromDocId: previous.id,
+            fromName: previous.originalName,
+            fromVersion: previous.version || 1,
+            added: stats.added,
+            removed: stats.removed,
+            unchanged: stats.unchanged,
+            similarity: stats.similarity,
+            excerpt: textDiff.formatDiff(hunks, { context: 1, maxChars: MAX_CHANGES_EXCERPT })
+        },
+        hunks
+    };
+}
+
+/**
+ * Actualiza campos de los metadatos de un documento
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @param {Object} changes - Campos a modificar (undefined elimina el campo)
+ * @returns {Promise<Object|null>} Metadatos actualizados o null si no existe
+ * @private
+ */
+async function updateDocumentMetadata(conversationId, docId, changes) {
+    const metaPath = `${conversationId}/${docId}.meta.json`;
+    const metadata = await documentFiles.readJSON(metaPath);
+    
+    if (!metadata) {
+        return null;
+    }
+    
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === undefined) {
+            delete metadata[key];
+        } else {
+            metadata[key] = value;
+        }
+    });
+    
+    await documentFiles.writeJSON(metaPath, metadata);
+    return metadata;
+}
+
+/**
+ * Rehace la cadena de versiones al eliminar un documento
+ *
+ * La versión anterior pasa a estar sustituida por la siguiente (o vuelve a ser
+ * la vigente si se eliminó la última) y la siguiente recalcula sus cambios
+ * respecto a la anterior.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} removed - Metadatos del documento eliminado
+ * @private
+ */
+async function relinkVersions(conversationId, removed) {
+    if (!removed.previousVersionId && !removed.supersededBy) {
+        return;
+    }
+    
+    const previous = removed.previousVersionId
+        ? await updateDocumentMetadata(conversationId, removed.previousVersionId, {
+            supersededBy: removed.supersededBy || undefined,
+            supersededAt: removed.supersededBy ? removed.supersededAt : undefined
+        })
+        : null;
+    
+    if (!removed.supersededBy) {
+        return;
+    }
+    
+    let nextChanges = { previousVersionId: null, changes: null };
+    if (previous) {
+        const previousText = await readDocumentText(conversationId, previous.id) || '';
+        const nextText = await readDocumentText(conversationId, removed.supersededBy) || '';
+        const { changes, hunks } = compareVersions(previous, previousText, nextText);
+        
+        await documentFiles.writeJSON(`${conversationId}/${removed.supersededBy}.diff.json`, hunks);
+        nextChanges = { previousVersionId: previous.id, changes };
+    } else {
+        await documentFiles.remove(`${conversationId}/${removed.supersededBy}.diff.json`);
+    }
+    
+    await updateDocumentMetadata(conversationId, removed.supersededBy, nextChanges);
+}
+
 /**
  * Extrae texto de un archivo PDF
+ * 
+ * Las páginas sin capa de texto (escaneadas) se pasan por OCR si está disponible.
  * @param {Buffer} buffer - Buffer del archivo PDF
- * @returns {Promise<string>} Texto extraído
+ * @param {Object} options - Opciones
+ * @param {Function} options.onOcrPage - async (done, total) llamada antes de cada página reconocida
+ * @returns {Promise<Object>} { text, ocr } donde ocr es null si no se usó OCR
  * @private
  */
-async function extractTextFromPDF(buffer) {
+async function extractTextFromPDF(buffer, options = {}) {
+    const pages = [];
+    let text;
+    
     try {
         const data = await pdfParse(buffer, {
             // Opciones para mejorar la extracción
             pagerender: render_page
         });
-        return data.text || '';
+        text = data.text || '';
     } catch (error) {
         console.error('Error extrayendo texto de PDF:', error);
         throw error;
     }
     
+    // Páginas escaneadas: sin texto o con apenas unos caracteres sueltos
+    const scannedPages = pages
+        .map((pageText, index) => pageText.trim().length < MIN_PAGE_TEXT_LENGTH ? index + 1 : null)
+        .filter(Boolean);
+    
+    if (scannedPages.length === 0 || !ocrService.canRenderPDF()) {
+        return { text, ocr: null };
+    }
+    
+    try {
+        const recognized = await ocrService.recognizePDFPages(buffer, scannedPages, {
+            onPage: options.onOcrPage
+        });
+        
+        const confidences = [];
+        recognized.forEach((result, pageNumber) => {
+            pages[pageNumber - 1] = result.text;
+            confidences.push(result.confidence);
+        });
+        
+        console.log(`DocumentProcessor: OCR aplicado a ${recognized.size} páginas escaneadas`);
+        
+        // Mismo formato que pdf-parse: cada página precedida de una línea en blanco
+        return {
+            text: pages.map(pageText => `\n\n${pageText}${PAGE_BREAK}`).join(''),
+            ocr: {
+                pages: [...recognized.keys()],
+                confidence: confidences.length > 0
+                    ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+                    : 0,
+                languages: ocrService.OCR_LANGUAGES
+            }
+        };
+    } catch (ocrError) {
+        // La cancelación del trabajo debe llegar a la cola de trabajos
+        if (ocrError.cancelled) {
+            throw ocrError;
+        }
+        console.error('DocumentProcessor: Error en OCR de PDF, se conserva el texto extraído:', ocrError);
+        return { text, ocr: null };
+    }
+    
     // Función auxiliar para mejorar renderizado de páginas PDF
     function render_page(pageData) {
         let renderOptions = {
@@ -320,7 +728,9 @@ async function extractTextFromPDF(buffer) {
                     }
                     lastY = item.transform[5];
                 }
-                return text;
+                pages.push(text);
+                // Marcar el final de página para poder citar el número de página
+                return text + PAGE_BREAK;
             });
     }
 }
@@ -993,6 +1403,29 @@ function extractKeyConcepts(text) {
     }
 }
 
+/**
+ * Conceptos clave de un archivo de código: sus declaraciones, ordenadas por
+ * número de apariciones en el archivo
+ * @param {string} text - Código fuente
+ * @param {Array<Object>} symbols - Declaraciones ({ name, kind, line })
+ * @returns {Array<Object>} Conceptos con word, count e importance
+ * @private
+ */
+function extractCodeConcepts(text, symbols) {
+    return symbols
+        .map(symbol => {
+            const escaped = symbol.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const count = (text.match(new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`, 'g')) || []).length;
+            return {
+                word: symbol.name,
+                count,
+                importance: Math.min(1, count / 10)
+            };
+        })
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_KEY_CONCEPTS);
+}
+
 /**
  * Extrae entidades del texto del documento con detección mejorada
  * @param {string} text - Texto completo del documento
@@ -1128,32 +1561,26 @@ function extractEntities(text) {
  */
 async function getConversationDocuments(conversationId) {
     try {
-        const conversationDocsDir = path.join(DOCS_DIR, conversationId);
-        
-        if (!fs.existsSync(conversationDocsDir)) {
-            return [];
-        }
-        
         // Obtener todos los archivos de metadatos
-        const files = fs.readdirSync(conversationDocsDir)
-            .filter(file => file.endsWith('.meta.json'));
+        const files = (await documentFiles.list(`${conversationId}/`))
+            .filter(file => file.name.endsWith('.meta.json'));
         
         // Cargar metadatos de cada documento
-        const documents = files.map(file => {
+        const documents = [];
+        
+        for (const file of files) {
             try {
-                const metaPath = path.join(conversationDocsDir, file);
-                const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+                const metadata = await documentFiles.readJSON(file.name);
                 
                 // Eliminar información demasiado larga para transmisión
                 const cleanMetadata = { ...metadata };
                 delete cleanMetadata.preview; // Enviarlo solo cuando se solicite específicamente
                 
-                return cleanMetadata;
+                documents.push(cleanMetadata);
             } catch (err) {
-                console.error(`Error al leer metadatos de ${file}:`, err);
-                return null;
+                console.error(`Error al leer metadatos de ${file.name}:`, err);
             }
-        }).filter(doc => doc !== null);
+        }
         
         return documents;
     } catch (error) {
@@ -1170,31 +1597,18 @@ async function getConversationDocuments(conversationId) {
  */
 async function getDocumentContent(conversationId, docId) {
     try {
-        const conversationDocsDir = path.join(DOCS_DIR, conversationId);
-        const metaPath = path.join(conversationDocsDir, `${docId}.meta.json`);
+        // Cargar metadatos
+        const metadata = await documentFiles.readJSON(`${conversationId}/${docId}.meta.json`);
         
-        if (!fs.existsSync(metaPath)) {
+        if (!metadata) {
             throw new Error('Documento no encontrado');
         }
         
-        // Cargar metadatos
-        const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-        
         // Cargar texto del documento
-        const textPath = path.join(conversationDocsDir, `${docId}.txt`);
-        let text = '';
-        
-        if (fs.existsSync(textPath)) {
-            text = fs.readFileSync(textPath, 'utf8');
-        }
+        const text = await readDocumentText(conversationId, docId) || '';
         
         // Cargar datos estructurados si existen
-        let structuredData = null;
-        const structuredPath = path.join(conversationDocsDir, `${docId}.structured.json`);
-        
-        if (fs.existsSync(structuredPath)) {
-            structuredData = JSON.parse(fs.readFileSync(structuredPath, 'utf8'));
-        }
+        const structuredData = await documentFiles.readJSON(`${conversationId}/${docId}.structured.json`);
         
         return {
             ...metadata,
@@ -1207,6 +1621,88 @@ async function getDocumentContent(conversationId, docId) {
     }
 }
 
+/**
+ * Obtiene todas las versiones del documento al que pertenece docId
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID de cualquiera de las versiones
+ * @returns {Promise<Array<Object>|null>} Versiones ordenadas de la más antigua a la más reciente, o null si no existe
+ */
+async function getDocumentVersions(conversationId, docId) {
+    const documents = await getConversationDocuments(conversationId);
+    const document = documents.find(doc => doc.id === docId);
+    
+    if (!document) {
+        return null;
+    }
+    
+    const groupId = document.versionGroupId || document.id;
+    return documents
+        .filter(doc => (doc.versionGroupId || doc.id) === groupId)
+        .sort((a, b) => (a.version || 1) - (b.version || 1))
+        .map(doc => ({
+            id: doc.id,
+            originalName: doc.originalName,
+            version: doc.version || 1,
+            uploadDate: doc.uploadDate,
+            size: doc.size,
+            supersededBy: doc.supersededBy || null,
+            changes: doc.changes ? {
+                fromVersion: doc.changes.fromVersion,
+                added: doc.changes.added,
+                removed: doc.changes.removed,
+                similarity: doc.changes.similarity
+            } : null
+        }));
+}
+
+/**
+ * Compara el texto de dos documentos (normalmente dos versiones del mismo)
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento nuevo
+ * @param {string} [fromDocId] - ID del documento anterior (por defecto, su versión anterior)
+ * @returns {Promise<Object|null>} { from, to, stats, hunks } o null si falta algún documento
+ */
+async function getVersionDiff(conversationId, docId, fromDocId) {
+    const target = await documentFiles.readJSON(`${conversationId}/${docId}.meta.json`);
+    const sourceId = fromDocId || (target && target.previousVersionId);
+    const source = sourceId ? await documentFiles.readJSON(`${conversationId}/${sourceId}.meta.json`) : null;
+    
+    if (!target || !source) {
+        return null;
+    }
+    
+    // Diff guardado al subir la versión; si se compara con otra, calcularlo ahora
+    let hunks = sourceId === target.previousVersionId
+        ? await documentFiles.readJSON(`${conversationId}/${docId}.diff.json`)
+        : null;
+    
+    if (!hunks) {
+        hunks = textDiff.diffLines(
+            await readDocumentText(conversationId, sourceId) || '',
+            await readDocumentText(conversationId, docId) || ''
+        );
+    }
+    
+    const describe = doc => ({ id: doc.id, originalName: doc.originalName, version: doc.version || 1 });
+    
+    return {
+        from: describe(source),
+        to: describe(target),
+        stats: textDiff.summarizeDiff(hunks),
+        hunks
+    };
+}
+
+/**
+ * Obtiene los datos estructurados (tablas) de un documento
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @returns {Promise<Array|Object|null>} Registros, hojas por nombre o null si no tiene
+ */
+async function getStructuredData(conversationId, docId) {
+    return documentFiles.readJSON(`${conversationId}/${docId}.structured.json`);
+}
+
 /**
  * Elimina un documento
  * @param {string} conversationId - ID de la conversación
@@ -1215,39 +1711,36 @@ async function getDocumentContent(conversationId, docId) {
  */
 async function deleteDocument(conversationId, docId) {
     try {
-        const conversationDocsDir = path.join(DOCS_DIR, conversationId);
-        const metaPath = path.join(conversationDocsDir, `${docId}.meta.json`);
+        const metaPath = `${conversationId}/${docId}.meta.json`;
+        
+        // Cargar metadatos para obtener el nombre del archivo original
+        const metadata = await documentFiles.readJSON(metaPath);
         
-        if (!fs.existsSync(metaPath)) {
+        if (!metadata) {
             throw new Error('Documento no encontrado');
         }
         
-        // Cargar metadatos para obtener ruta al archivo original
-        const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-        
-        // Archivos a eliminar
+        // Archivos a eliminar (los que no existan se ignoran)
         const filesToDelete = [
             metaPath,
-            path.join(conversationDocsDir, `${docId}.txt`)
+            `${conversationId}/${docId}.txt`,
+            `${conversationId}/${docId}.structured.json`,
+            `${conversationId}/${docId}.chunks.json`,
+            `${conversationId}/${docId}.diff.json`
         ];
         
-        // Añadir archivo original si existe
-        if (metadata.path && fs.existsSync(metadata.path)) {
-            filesToDelete.push(metadata.path);
+        // Añadir archivo original (los documentos antiguos guardaban una ruta absoluta)
+        if (metadata.path) {
+            filesToDelete.push(`${conversationId}/${path.basename(metadata.path)}`);
         }
         
-        // Añadir datos estructurados si existen
-        const structuredPath = path.join(conversationDocsDir, `${docId}.structured.json`);
-        if (fs.existsSync(structuredPath)) {
-            filesToDelete.push(structuredPath);
+        // Eliminar archivos
+        for (const file of filesToDelete) {
+            await documentFiles.remove(file);
         }
         
-        // Eliminar archivos
-        filesToDelete.forEach(file => {
-            if (fs.existsSync(file)) {
-                fs.unlinkSync(file);
-            }
-        });
+        // Mantener enlazadas las versiones anterior y siguiente
+        await relinkVersions(conversationId, metadata);
         
         console.log(`DocumentProcessor: Documento eliminado - ${docId}`);
         return true;
@@ -1257,6 +1750,36 @@ async function deleteDocument(conversationId, docId) {
     }
 }
 
+/**
+ * Elimina todos los documentos de una conversación
+ * @param {string} conversationId - ID de la conversación
+ * @returns {Promise<number>} Número de archivos eliminados
+ */
+async function deleteConversationDocuments(conversationId) {
+    try {
+        const deleted = await documentFiles.clear(`${conversationId}/`);
+        console.log(`DocumentProcessor: Eliminados ${deleted} archivos de la conversación ${conversationId}`);
+        return deleted;
+    } catch (error) {
+        console.error(`DocumentProcessor: Error al eliminar documentos de ${conversationId}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Cuenta los documentos almacenados de todas las conversaciones
+ * @returns {Promise<number>} Número de documentos
+ */
+async function countAllDocuments() {
+    try {
+        const files = await documentFiles.list();
+        return files.filter(file => file.name.endsWith('.meta.json')).length;
+    } catch (error) {
+        console.error('DocumentProcessor: Error al contar documentos:', error);
+        return 0;
+    }
+}
+
 /**
  * Busca texto dentro de documentos
  * @param {string} conversationId - ID de la conversación
@@ -1309,10 +1832,8 @@ async function searchDocuments(conversationId, searchTerm) {
                 }
                 
                 // Buscar en el contenido del texto
-                const textPath = path.join(DOCS_DIR, conversationId, `${doc.id}.txt`);
-                if (fs.existsSync(textPath)) {
-                    const content = fs.readFileSync(textPath, 'utf8');
-                    
+                const content = await readDocumentText(conversationId, doc.id);
+                if (content) {
                     if (content.toLowerCase().includes(term)) {
                         matched = true;
                         
@@ -1373,46 +1894,307 @@ async function searchDocuments(conversationId, searchTerm) {
     }
 }
 
+/**
+ * Busca texto en los documentos de todas las conversaciones
+ * @param {string} searchTerm - Término de búsqueda
+ * @returns {Promise<Array>} Resultados de searchDocuments con su conversationId
+ */
+async function searchAllDocuments(searchTerm) {
+    try {
+        const conversationIds = await listDocumentConversations();
+        
+        const results = [];
+        
+        for (const conversationId of conversationIds) {
+            try {
+                const docResults = await searchDocuments(conversationId, searchTerm);
+                docResults.forEach(result => {
+                    results.push({ conversationId, ...result });
+                });
+            } catch (err) {
+                console.error(`DocumentProcessor: Error al buscar en documentos de ${conversationId}:`, err);
+            }
+        }
+        
+        return results;
+    } catch (error) {
+        console.error('DocumentProcessor: Error en la búsqueda global de documentos:', error);
+        return [];
+    }
+}
+
+/**
+ * Lee el texto extraído de un documento
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @returns {Promise<string|null>} Texto o null si no existe
+ * @private
+ */
+async function readDocumentText(conversationId, docId) {
+    const data = await documentFiles.read(`${conversationId}/${docId}.txt`);
+    return data ? data.toString('utf8') : null;
+}
+
+/**
+ * Obtiene los IDs de las conversaciones que tienen documentos almacenados
+ * @returns {Promise<Array<string>>} IDs de conversación
+ * @private
+ */
+async function listDocumentConversations() {
+    const files = await documentFiles.list();
+    return [...new Set(files
+        .filter(file => file.name.includes('/'))
+        .map(file => file.name.split('/')[0]))];
+}
+
+/**
+ * Divide un texto en fragmentos solapados, respetando párrafos y frases
+ * @param {string} text - Texto completo del documento
+ * @param {Object} options - Opciones de fragmentación
+ * @param {number} [options.chunkSize] - Tamaño objetivo de cada fragmento
+ * @param {number} [options.overlap] - Solapamiento entre fragmentos
+ * @returns {Array<Object>} Fragmentos { index, text, start, end, page }
+ */
+function chunkText(text, options = {}) {
+    const chunkSize = options.chunkSize || CHUNK_SIZE;
+    const overlap = Math.min(options.overlap || CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+    
+    if (!text || !text.trim()) {
+        return [];
+    }
+    
+    // Calcular desplazamientos de inicio de cada página (si el texto tiene saltos de página)
+    const pageStarts = [0];
+    for (let i = text.indexOf(PAGE_BREAK); i >= 0; i = text.indexOf(PAGE_BREAK, i + 1)) {
+        pageStarts.push(i + 1);
+    }
+    const hasPages = pageStarts.length > 1;
+    
+    const pageAt = (offset) => {
+        let page = 1;
+        while (page < pageStarts.length && pageStarts[page] <= offset) {
+            page++;
+        }
+        return page;
+    };
+    
+    const chunks = [];
+    let start = 0;
+    
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+        
+        // Retroceder hasta un límite natural (párrafo, frase o palabra)
+        if (end < text.length) {
+            const minEnd = start + Math.floor(chunkSize * 0.5);
+            const window = text.substring(minEnd, end);
+            const boundaries = ['\n\n', PAGE_BREAK, '. ', '\n', ' '];
+            
+            for (const boundary of boundaries) {
+                const pos = window.lastIndexOf(boundary);
+                if (pos >= 0) {
+                    end = minEnd + pos + boundary.length;
+                    break;
+                }
+            }
+        }
+        
+        const chunkContent = text.substring(start, end)
+            .split(PAGE_BREAK).join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        
+        if (chunkContent.length > 0) {
+            chunks.push({
+                index: chunks.length,
+                text: chunkContent,
+                start,
+                end,
+                page: hasPages ? pageAt(start) : null
+            });
+        }
+        
+        if (end >= text.length) {
+            break;
+        }
+        
+        // Avanzar con solapamiento, alineando al inicio de una palabra
+        let nextStart = Math.max(end - overlap, start + 1);
+        const spacePos = text.indexOf(' ', nextStart);
+        if (spacePos >= 0 && spacePos < end) {
+            nextStart = spacePos + 1;
+        }
+        start = nextStart;
+    }
+    
+    return chunks;
+}
+
+/**
+ * Fragmenta un documento, calcula embeddings y guarda el índice
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @param {string} text - Texto extraído del documento
+ * @returns {Promise<number>} Número de fragmentos indexados
+ * @private
+ */
+async function indexDocumentChunks(conversationId, docId, text) {
+    const chunks = chunkText(text);
+    
+    if (chunks.length > 0) {
+        const embeddings = await semanticService.batchGenerateEmbeddings(
+            chunks.map(chunk => chunk.text)
+        );
+        
+        chunks.forEach((chunk, i) => {
+            chunk.embedding = embeddings[i];
+        });
+    }
+    
+    await documentFiles.write(`${conversationId}/${docId}.chunks.json`, JSON.stringify({
+        docId,
+        chunkSize: CHUNK_SIZE,
+        overlap: CHUNK_OVERLAP,
+        indexedAt: new Date().toISOString(),
+        chunks
+    }));
+    
+    return chunks.length;
+}
+
+/**
+ * Carga el índice de fragmentos de un documento, creándolo si no existe
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} docId - ID del documento
+ * @returns {Promise<Array>} Fragmentos con embeddings
+ * @private
+ */
+async function loadDocumentChunks(conversationId, docId) {
+    const chunksPath = `${conversationId}/${docId}.chunks.json`;
+    
+    // Documentos subidos antes de la indexación se indexan bajo demanda
+    if (!(await documentFiles.exists(chunksPath))) {
+        const text = await readDocumentText(conversationId, docId);
+        if (text === null) {
+            return [];
+        }
+        await indexDocumentChunks(conversationId, docId, text);
+    }
+    
+    const index = await documentFiles.readJSON(chunksPath);
+    return index.chunks || [];
+}
+
+/**
+ * Recupera los fragmentos de documentos más relevantes para una consulta
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} query - Consulta (normalmente el último mensaje del usuario)
+ * @param {Object} options - Opciones de recuperación
+ * @param {number} [options.topK] - Número máximo de fragmentos a devolver
+ * @param {number} [options.minScore] - Puntuación mínima de relevancia
+ * @returns {Promise<Array>} Fragmentos { docId, docName, chunkIndex, page, start, end, text, score }
+ */
+async function retrieveRelevantChunks(conversationId, query, options = {}) {
+    try {
+        const topK = options.topK || DEFAULT_TOP_K;
+        const minScore = options.minScore !== undefined ? options.minScore : MIN_CHUNK_SCORE;
+        
+        if (!query || !query.trim()) {
+            return [];
+        }
+        
+        // Las versiones sustituidas por otra más reciente no se usan como contexto
+        const documents = (await getConversationDocuments(conversationId)).filter(doc => !doc.supersededBy);
+        if (documents.length === 0) {
+            return [];
+        }
+        
+        const queryEmbedding = await semanticService.generateEmbedding(query);
+        const queryTerms = query.toLowerCase()
+            .split(/[^\wáéíóúüñ]+/)
+            .filter(term => term.length > 3);
+        
+        const candidates = [];
+        
+        for (const doc of documents) {
+            try {
+                const chunks = await loadDocumentChunks(conversationId, doc.id);
+                
+                for (const chunk of chunks) {
+                    // Similitud semántica como señal principal
+                    let score = semanticService.cosineSimilarity(queryEmbedding, chunk.embedding);
+                    
+                    // Pequeño refuerzo por coincidencias léxicas exactas
+                    if (queryTerms.length > 0) {
+                        const chunkLower = chunk.text.toLowerCase();
+                        const matches = queryTerms.filter(term => chunkLower.includes(term)).length;
+                        score += (matches / queryTerms.length) * 0.15;
+                    }
+                    
+                    if (score >= minScore) {
+                        candidates.push({
+                            docId: doc.id,
+                            docName: doc.originalName,
+                            chunkIndex: chunk.index,
+                            page: chunk.page,
+                            start: chunk.start,
+                            end: chunk.end,
+                            text: chunk.text,
+                            score
+                        });
+                    }
+                }
+            } catch (err) {
+                console.error(`DocumentProcessor: Error al recuperar fragmentos de ${doc.id}:`, err);
+            }
+        }
+        
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    } catch (error) {
+        console.error('DocumentProcessor: Error en la recuperación de fragmentos:', error);
+        return [];
+    }
+}
+
 /**
  * Migra documentos antiguos al nuevo formato
  * @returns {Promise<Object>} Resultado de la migración
  */
 async function migrateOldDocuments() {
     try {
-        const conversations = fs.readdirSync(DOCS_DIR)
-            .filter(item => {
-                const itemPath = path.join(DOCS_DIR, item);
-                return fs.statSync(itemPath).isDirectory();
-            });
+        const conversations = await listDocumentConversations();
         
         let totalMigrated = 0;
         const results = {};
         
         for (const conversationId of conversations) {
             try {
-                const conversationDir = path.join(DOCS_DIR, conversationId);
-                const files = fs.readdirSync(conversationDir);
+                const files = await documentFiles.list(`${conversationId}/`);
                 
                 // Buscar documentos sin metadatos
                 const docsWithoutMeta = files
-                    .filter(file => 
+                    .map(file => ({ ...file, name: file.name.substring(conversationId.length + 1) }))
+                    .filter(({ name: file }) => 
                         !file.endsWith('.meta.json') && 
                         !file.endsWith('.txt') &&
-                        !file.endsWith('.structured.json')
+                        !file.endsWith('.structured.json') &&
+                        !file.endsWith('.chunks.json')
                     );
                 
                 let conversationMigrated = 0;
                 
-                for (const file of docsWithoutMeta) {
+                for (const { name: file, updatedAt } of docsWithoutMeta) {
                     // Verificar si ya existe un metadato para este archivo
                     const fileId = path.basename(file).split('.')[0];
-                    const metaPath = path.join(conversationDir, `${fileId}.meta.json`);
+                    const metaPath = `${conversationId}/${fileId}.meta.json`;
                     
                     // Si no existe metadato, crear uno
-                    if (!fs.existsSync(metaPath)) {
+                    if (!(await documentFiles.exists(metaPath))) {
                         try {
-                            const filePath = path.join(conversationDir, file);
-                            const fileBuffer = fs.readFileSync(filePath);
+                            const filePath = `${conversationId}/${file}`;
+                            const fileBuffer = await documentFiles.read(filePath);
                             const fileExt = path.extname(file);
                             const originalName = file;
                             
@@ -1422,9 +2204,9 @@ async function migrateOldDocuments() {
                                 originalName,
                                 format: getFormatFromExtension(fileExt),
                                 size: fileBuffer.length,
-                                uploadDate: fs.statSync(filePath).mtime.toISOString(),
+                                uploadDate: new Date(updatedAt).toISOString(),
                                 path: filePath,
-                                textPath: path.join(conversationDir, `${fileId}.txt`),
+                                textPath: `${conversationId}/${fileId}.txt`,
                                 extractionSuccess: false,
                                 migrated: true
                             };
@@ -1432,7 +2214,7 @@ async function migrateOldDocuments() {
                             // Intentar extraer texto si es posible
                             try {
                                 const text = extractTextFromFileBuffer(fileBuffer, fileExt);
-                                fs.writeFileSync(metadata.textPath, text);
+                                await documentFiles.write(metadata.textPath, text);
                                 metadata.extractionSuccess = true;
                                 
                                 // Generar metadatos adicionales
@@ -1444,7 +2226,7 @@ async function migrateOldDocuments() {
                             }
                             
                             // Guardar metadatos
-                            fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+                            await documentFiles.writeJSON(metaPath, metadata);
                             conversationMigrated++;
                             totalMigrated++;
                         } catch (migrationError) {
@@ -1551,12 +2333,21 @@ async function migrateOldDocuments() {
 init();
 
 module.exports = {
+    MAX_FILE_SIZE,
     init,
     checkDependencies,
     processDocument,
     getConversationDocuments,
     getDocumentContent,
+    getStructuredData,
+    getDocumentVersions,
+    getVersionDiff,
     deleteDocument,
+    deleteConversationDocuments,
+    countAllDocuments,
     searchDocuments,
+    searchAllDocuments,
+    chunkText,
+    retrieveRelevantChunks,
     migrateOldDocuments
 };
\ No newline at end of file
@@ -5,18 +5,20 @@
  * para enriquecer el contexto y mejorar las respuestas generadas.
  */
 
-const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { NER } = require('some-nlp-library');
 const { VectorDB } = require('vector-db-library');
 const languageDetect = require('language-detect');
+const semanticService = require('./semantic-service');
+const storage = require('./storage');
+
+// Bases de datos de entidades conocidas (data/entities con el backend file)
+const entityFiles = storage.bucket('entities');
 
 // Configuración
 const CONFIG = {
   dataDir: path.join(__dirname, 'data'),
-  entitiesDir: path.join(__dirname, 'data', 'entities'),
   maxEntities: 15,
   vectorDimension: 384,
   confidenceThreshold: 0.6,
@@ -59,22 +61,21 @@ let knownOrganizations = [];
 let knownLocations = [];
 let knownConcepts = [];
 
+// Correcciones y falsos positivos indicados por usuarios (feedback.json en el bucket de entidades)
+const FEEDBACK_FILE = 'feedback.json';
+let entityFeedback = null;
+
 /**
  * Inicializa el extractor de entidades
  * @returns {Promise<void>}
  */
 async function init() {
   try {
-    // Crear directorio de entidades si no existe
-    if (!fsSync.existsSync(CONFIG.entitiesDir)) {
-      await fs.mkdir(CONFIG.entitiesDir, { recursive: true });
-      console.log('EntityExtractor: Directorio de entidades creado');
-    }
-    
     // Cargar datos de entidades conocidas
     await loadEntityDatabases();
     
-    // Inicializar base de datos vectorial
+    // Inicializar base de datos vectorial con la dimensión del proveedor de embeddings
+    CONFIG.vectorDimension = await semanticService.getDimension();
     vectorDb = new VectorDB({ 
       dimension: CONFIG.vectorDimension,
       similarity: 'cosine',
@@ -108,18 +109,17 @@ async function init() {
 async function loadEntityDatabases() {
   try {
     const databaseFiles = [
-      { path: path.join(CONFIG.entitiesDir, 'persons.json'), target: 'persons' },
-      { path: path.join(CONFIG.entitiesDir, 'organizations.json'), target: 'organizations' },
-      { path: path.join(CONFIG.entitiesDir, 'locations.json'), target: 'locations' },
-      { path: path.join(CONFIG.entitiesDir, 'concepts.json'), target: 'concepts' }
+      { file: 'persons.json', target: 'persons' },
+      { file: 'organizations.json', target: 'organizations' },
+      { file: 'locations.json', target: 'locations' },
+      { file: 'concepts.json', target: 'concepts' }
     ];
     
     for (const db of databaseFiles) {
       try {
-        if (fsSync.existsSync(db.path)) {
-          const fileContent = await fs.readFile(db.path, 'utf8');
-          const data = JSON.parse(fileContent);
-          
+        const data = await entityFiles.readJSON(db.file);
+        
+        if (data) {
           switch (db.target) {
             case 'persons':
               knownPersons = data;
@@ -145,11 +145,11 @@ async function loadEntityDatabases() {
           }
         } else {
           // Crear archivo vacío si no existe
-          await fs.writeFile(db.path, JSON.stringify([], null, 2), 'utf8');
-          console.log(`EntityExtractor: Creado archivo ${db.path}`);
+          await entityFiles.writeJSON(db.file, []);
+          console.log(`EntityExtractor: Creado archivo ${db.file}`);
         }
       } catch (parseError) {
-        console.error(`EntityExtractor: Error al parsear ${db.path}:`, parseError);
+        console.error(`EntityExtractor: Error al parsear ${db.file}:`, parseError);
       }
     }
   } catch (error) {
@@ -192,14 +192,8 @@ async function detectLanguage(text) {
  */
 async function generateEmbedding(text) {
   try {
-    // Simulación de generación de embedding - en producción usaría un modelo real
-    // como sentence-transformers, OpenAI embeddings API, o similar
-    const vector = new Array(CONFIG.vectorDimension).fill(0)
-      .map(() => Math.random() * 2 - 1); // Valores entre -1 y 1
-    
-    // Normalizar el vector (importante para búsqueda por similitud coseno)
-    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-    return vector.map(val => val / magnitude);
+    // Delegar en el servicio semántico compartido (con caché por hash de texto)
+    return await semanticService.generateEmbedding(text);
   } catch (error) {
     console.error('EntityExtractor: Error generando embedding:', error);
     throw error;
@@ -317,8 +311,8 @@ async function extractEntities(text, options = {}) {
       }))
       .filter(entity => entity.score > CONFIG.confidenceThreshold);
     
-    // Ordenar por puntuación y limitar cantidad
-    const finalEntities = scoredEntities
+    // Aplicar correcciones de usuarios, ordenar por puntuación y limitar cantidad
+    const finalEntities = (await applyFeedback(scoredEntities))
       .sort((a, b) => b.score - a.score)
       .slice(0, CONFIG.maxEntities)
       .map(entity => {
@@ -853,19 +847,19 @@ async function saveEntity(entity) {
     
     switch (entity.type.toLowerCase()) {
       case 'person':
-        databaseFile = path.join(CONFIG.entitiesDir, 'persons.json');
+        databaseFile = 'persons.json';
         entityList = knownPersons;
         break;
       case 'organization':
-        databaseFile = path.join(CONFIG.entitiesDir, 'organizations.json');
+        databaseFile = 'organizations.json';
         entityList = knownOrganizations;
         break;
       case 'location':
-        databaseFile = path.join(CONFIG.entitiesDir, 'locations.json');
+        databaseFile = 'locations.json';
         entityList = knownLocations;
         break;
       case 'concept':
-        databaseFile = path.join(CONFIG.entitiesDir, 'concepts.json');
+        databaseFile = 'concepts.json';
         entityList = knownConcepts;
         break;
       default:
@@ -920,8 +914,8 @@ async function saveEntity(entity) {
       await addEntityToVectorStore(newEntity);
     }
     
-    // Guardar a disco de forma asíncrona
-    await fs.writeFile(databaseFile, JSON.stringify(entityList, null, 2), 'utf8');
+    // Guardar en el almacenamiento
+    await entityFiles.writeJSON(databaseFile, entityList);
     
     return true;
   } catch (error) {
@@ -1313,81 +1307,301 @@ async function resetMetrics() {
   }
 }
 
+/**
+ * Carga las correcciones de usuarios (una sola vez)
+ * @private
+ * @returns {Promise<Object>} { corrections, suppressed }
+ */
+async function loadFeedback() {
+  if (entityFeedback) {
+    return entityFeedback;
+  }
+  
+  try {
+    const data = await entityFiles.readJSON(FEEDBACK_FILE);
+    entityFeedback = {
+      corrections: (data && data.corrections) || [],
+      suppressed: (data && data.suppressed) || []
+    };
+  } catch (error) {
+    console.error('EntityExtractor: Error al cargar correcciones de usuarios:', error);
+    entityFeedback = { corrections: [], suppressed: [] };
+  }
+  
+  return entityFeedback;
+}
+
+/**
+ * Busca la regla de feedback que corresponde a una entidad
+ * (las reglas sin tipo se aplican a cualquier tipo)
+ * @private
+ * @param {Array<Object>} rules - Correcciones o supresiones
+ * @param {string} name - Nombre de la entidad
+ * @param {string} type - Tipo de la entidad
+ * @returns {Object|undefined} Regla encontrada
+ */
+function findFeedbackRule(rules, name, type) {
+  const key = (name || '').trim().toLowerCase();
+  return rules.find(rule => rule.name === key && (!rule.type || rule.type === type));
+}
+
+/**
+ * Aplica las correcciones de usuarios a una lista de entidades
+ * 
+ * Descarta las marcadas como falsos positivos, renombra o reclasifica las
+ * corregidas y elimina los duplicados que resulten de la corrección.
+ * @param {Array<Object>} entities - Entidades detectadas
+ * @returns {Promise<Array<Object>>} Entidades corregidas
+ */
+async function applyFeedback(entities) {
+  if (!Array.isArray(entities) || entities.length === 0) {
+    return entities || [];
+  }
+  
+  const { corrections, suppressed } = await loadFeedback();
+  if (corrections.length === 0 && suppressed.length === 0) {
+    return entities;
+  }
+  
+  const seen = new Set();
+  
+  return entities
+    .filter(entity => !findFeedbackRule(suppressed, entity.name, entity.type))
+    .map(entity => {
+      const correction = findFeedbackRule(corrections, entity.name, entity.type);
+      if (!correction) {
+        return entity;
+      }
+      
+      return {
+        ...entity,
+        name: correction.correctName || entity.name,
+        type: correction.correctType || entity.type,
+        corrected: true
+      };
+    })
+    .filter(entity => {
+      const key = `${entity.type}:${entity.name.toLowerCase()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Aplica la valoración de una entidad solo a una lista concreta
+ * 
+ * A diferencia de provideFeedback no modifica las bases de datos globales:
+ * sirve para corregir las entidades de una única conversación.
+ * @param {Array<Object>} entities - Entidades de la conversación
+ * @param {string} name - Nombre de la entidad valorada
+ * @param {string} type - Tipo de la entidad valorada
+ * @param {Object} feedback - Valoración (mismos campos que provideFeedback)
+ * @returns {Object} { entities, matched } con la lista corregida y si la entidad estaba en ella
+ */
+function correctEntities(entities, name, type, feedback = {}) {
+  const key = (name || '').trim().toLowerCase();
+  const isTarget = entity => entity && typeof entity.name === 'string' &&
+    entity.name.trim().toLowerCase() === key && entity.type === type;
+  
+  if (!Array.isArray(entities) || !entities.some(isTarget)) {
+    return { entities: entities || [], matched: false };
+  }
+  
+  const seen = new Set();
+  
+  const corrected = entities
+    .filter(entity => !(feedback.notAnEntity && isTarget(entity)))
+    .map(entity => {
+      if (!isTarget(entity)) {
+        return entity;
+      }
+      
+      if (feedback.correctValue || feedback.correctType) {
+        return {
+          ...entity,
+          name: feedback.correctValue || entity.name,
+          type: feedback.correctType || entity.type,
+          corrected: true
+        };
+      }
+      
+      const confidence = typeof entity.confidence === 'number' ? entity.confidence : 0.5;
+      return {
+        ...entity,
+        confidence: feedback.isCorrect ? Math.min(1.0, confidence * 1.2) : confidence * 0.7
+      };
+    })
+    .filter(entity => {
+      if (!entity || typeof entity.name !== 'string') {
+        return true;
+      }
+      const entityKey = `${entity.type}:${entity.name.toLowerCase()}`;
+      if (seen.has(entityKey)) {
+        return false;
+      }
+      seen.add(entityKey);
+      return true;
+    });
+  
+  return { entities: corrected, matched: true };
+}
+
 /**
  * Proporciona feedback sobre una entidad para mejorar detecciones futuras
+ * 
+ * - isCorrect: la entidad se confirma y se guarda como entidad conocida.
+ * - notAnEntity: el nombre deja de detectarse como entidad de ese tipo.
+ * - correctValue / correctType: las detecciones futuras se corrigen y la
+ *   entidad conocida se renombra (conservando el nombre anterior como alias)
+ *   o se mueve a la base de datos de su nuevo tipo.
  * @param {Object} feedback - Información de feedback
+ * @param {string} feedback.entityId - ID de la entidad (opcional si se indica el nombre)
+ * @param {string} feedback.name - Nombre detectado
+ * @param {string} feedback.type - Tipo detectado
+ * @param {boolean} feedback.isCorrect - Si la detección es correcta
+ * @param {boolean} feedback.notAnEntity - Si el texto no es una entidad
+ * @param {string} feedback.correctValue - Nombre correcto (opcional)
+ * @param {string} feedback.correctType - Tipo correcto (opcional)
  * @returns {Promise<boolean>} Éxito de la operación
  */
 async function provideFeedback(feedback) {
   try {
-    if (!feedback || !feedback.entityId || !feedback.isCorrect) {
+    if (!feedback || (!feedback.entityId && !feedback.name)) {
       return false;
     }
     
-    // Aquí se implementaría la lógica para mejorar el sistema basado en feedback
-    // Por ejemplo, ajustar pesos de patrones, añadir nuevos patrones, etc.
+    const allDatabases = [
+      { list: knownPersons, type: 'person', file: 'persons.json' },
+      { list: knownOrganizations, type: 'organization', file: 'organizations.json' },
+      { list: knownLocations, type: 'location', file: 'locations.json' },
+      { list: knownConcepts, type: 'concept', file: 'concepts.json' }
+    ];
     
-    console.log(`EntityExtractor: Feedback recibido para entidad ${feedback.entityId}:`, 
+    // Localizar la entidad conocida por ID o por nombre y tipo
+    let known = null;
+    for (const db of allDatabases) {
+      const index = db.list.findIndex(e =>
+        (feedback.entityId && e.id === feedback.entityId) ||
+        (feedback.name && db.type === feedback.type && e.name.toLowerCase() === feedback.name.toLowerCase())
+      );
+      if (index >= 0) {
+        known = { db, index, entity: db.list[index] };
+        break;
+      }
+    }
+    
+    const name = feedback.name || (known && known.entity.name);
+    const type = feedback.type || (known && known.db.type);
+    if (!name) {
+      return false;
+    }
+    
+    const key = name.trim().toLowerCase();
+    const store = await loadFeedback();
+    
+    console.log(`EntityExtractor: Feedback recibido para entidad ${name}:`, 
       feedback.isCorrect ? 'correcto' : 'incorrecto');
     
-    // Si se proporciona un valor correcto, actualizar la entidad
-    if (!feedback.isCorrect && feedback.correctValue) {
-      // Buscar la entidad en todas las bases de datos
-      const allDatabases = [
-        { list: knownPersons, type: 'person', file: 'persons.json' },
-        { list: knownOrganizations, type: 'organization', file: 'organizations.json' },
-        { list: knownLocations, type: 'location', file: 'locations.json' },
-        { list: knownConcepts, type: 'concept', file: 'concepts.json' }
-      ];
+    if (feedback.isCorrect) {
+      // Una confirmación anula una supresión previa
+      store.suppressed = store.suppressed.filter(rule => !(rule.name === key && (!rule.type || rule.type === type)));
+      await entityFiles.writeJSON(FEEDBACK_FILE, store);
+      
+      if (type) {
+        await saveEntity({ name, type, source: 'feedback' });
+      }
+      return true;
+    }
+    
+    if (feedback.notAnEntity) {
+      if (!findFeedbackRule(store.suppressed, name, type)) {
+        store.suppressed.push({ name: key, type: type || null, createdAt: new Date().toISOString() });
+      }
+      store.corrections = store.corrections.filter(rule => !(rule.name === key && rule.type === (type || null)));
+      await entityFiles.writeJSON(FEEDBACK_FILE, store);
+      return true;
+    }
+    
+    const correctName = feedback.correctValue && feedback.correctValue.trim();
+    const correctType = feedback.correctType && feedback.correctType.trim().toLowerCase();
+    
+    if (!correctName && !correctType) {
+      return true;
+    }
+    
+    // Registrar la corrección para detecciones futuras
+    store.corrections = store.corrections.filter(rule => !(rule.name === key && rule.type === (type || null)));
+    if ((correctName || name).toLowerCase() !== key || (correctType || type) !== type) {
+      store.corrections.push({
+        name: key,
+        type: type || null,
+        correctName: correctName || null,
+        correctType: correctType || null,
+        createdAt: new Date().toISOString()
+      });
+    }
+    await entityFiles.writeJSON(FEEDBACK_FILE, store);
+    
+    // Actualizar la entidad conocida
+    if (known) {
+      const entity = known.entity;
+      const oldName = entity.name;
       
-      for (const db of allDatabases) {
-        const entityIndex = db.list.findIndex(e => e.id === feedback.entityId);
+      if (correctName && correctName !== oldName) {
+        // Añadir el valor incorrecto como alias si no existe ya
+        entity.aliases = entity.aliases || [];
+        if (!entity.aliases.includes(oldName)) {
+          entity.aliases.push(oldName);
+        }
         
-        if (entityIndex >= 0) {
-          // Actualizar la entidad
-          const entity = db.list[entityIndex];
-          
-          // Añadir el valor incorrecto como alias si no existe ya
-          if (entity.name !== feedback.correctValue) {
-            if (!entity.aliases) {
-              entity.aliases = [];
-            }
-            
-            if (!entity.aliases.includes(entity.name)) {
-              entity.aliases.push(entity.name);
-            }
-            
-            // Establecer el nuevo nombre correcto
-            entity.name = feedback.correctValue;
-            
-            // Añadir registro histórico
-            if (!entity.history) {
-              entity.history = [];
-            }
-            
-            entity.history.push({
-              timestamp: new Date().toISOString(),
-              change: 'name_corrected',
-              oldValue: entity.name,
-              newValue: feedback.correctValue,
-              source: 'feedback'
-            });
-            
-            // Guardar la base de datos actualizada
-            await fs.writeFile(
-              path.join(CONFIG.entitiesDir, db.file), 
-              JSON.stringify(db.list, null, 2), 
-              'utf8'
-            );
-            
-            // Actualizar en base de datos vectorial
-            await addEntityToVectorStore(entity);
-            
-            console.log(`EntityExtractor: Entidad ${feedback.entityId} actualizada con feedback`);
-            return true;
-          }
+        entity.name = correctName;
+        entity.embedding = null;
+        
+        // Añadir registro histórico
+        entity.history = entity.history || [];
+        entity.history.push({
+          timestamp: new Date().toISOString(),
+          change: 'name_corrected',
+          oldValue: oldName,
+          newValue: correctName,
+          source: 'feedback'
+        });
+      }
+      
+      if (correctType && correctType !== known.db.type) {
+        // Mover la entidad a la base de datos de su nuevo tipo
+        known.db.list.splice(known.index, 1);
+        await entityFiles.writeJSON(known.db.file, known.db.list);
+        
+        entity.history = entity.history || [];
+        entity.history.push({
+          timestamp: new Date().toISOString(),
+          change: 'type_corrected',
+          oldValue: known.db.type,
+          newValue: correctType,
+          source: 'feedback'
+        });
+        
+        await saveEntity({ ...entity, type: correctType });
+      } else {
+        if (!entity.embedding) {
+          entity.embedding = await generateEmbedding(entity.name);
         }
+        
+        // Guardar la base de datos actualizada
+        await entityFiles.writeJSON(known.db.file, known.db.list);
+        
+        // Actualizar en base de datos vectorial
+        await addEntityToVectorStore(entity);
       }
+      
+      console.log(`EntityExtractor: Entidad ${entity.id} actualizada con feedback`);
+    } else if (correctName && correctName.toLowerCase() !== key) {
+      // Guardar la forma correcta con la detectada como alias
+      await saveEntity({ name: correctName, type: correctType || type, aliases: [name], source: 'feedback' });
     }
     
     return true;
@@ -1406,5 +1620,7 @@ module.exports = {
   extractEntityRelations,
   getMetrics,
   resetMetrics,
-  provideFeedback
+  provideFeedback,
+  applyFeedback,
+  correctEntities
 };
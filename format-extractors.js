@@ -0,0 +1,901 @@
+/**
+ * Extractores de formatos adicionales para CAG
+ *
+ * Complementa al procesador de documentos con HTML, EPUB, presentaciones
+ * PPTX, documentos OpenDocument (ODT/ODS), RTF y archivos de código fuente.
+ *
+ * HTML y EPUB requieren cheerio; EPUB, PPTX, ODT y ODS son archivos ZIP y
+ * requieren jszip. Ambas dependencias son opcionales. RTF y código fuente no
+ * necesitan dependencias externas.
+ */
+
+const path = require('path');
+
+// Variables para módulos opcionales
+let cheerio, JSZip;
+
+// Separador de páginas (el mismo que usa el procesador para los PDF)
+const PAGE_BREAK = '\f';
+// Máximo de símbolos de código guardados en los metadatos
+const MAX_CODE_SYMBOLS = 100;
+// Máximo de columnas leídas por fila de una hoja ODS
+const MAX_ODS_COLUMNS = 1024;
+
+// Elementos HTML que no forman parte del contenido principal
+const HTML_BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[aria-hidden="true"]'
+].join(', ');
+
+// Elementos HTML que se convierten en bloques de texto
+const HTML_BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dt, dd, figcaption, caption, tr';
+
+// Lenguaje de cada extensión de código fuente
+const CODE_LANGUAGES = {
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+    '.ts': 'typescript', '.tsx': 'typescript',
+    '.py': 'python',
+    '.java': 'java',
+    '.kt': 'kotlin', '.kts': 'kotlin',
+    '.scala': 'scala',
+    '.c': 'c', '.h': 'c',
+    '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp',
+    '.cs': 'csharp',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.rb': 'ruby',
+    '.php': 'php',
+    '.swift': 'swift',
+    '.sh': 'bash', '.bash': 'bash',
+    '.ps1': 'powershell',
+    '.sql': 'sql',
+    '.r': 'r',
+    '.lua': 'lua',
+    '.pl': 'perl',
+    '.css': 'css', '.scss': 'scss',
+    '.xml': 'xml',
+    '.yaml': 'yaml', '.yml': 'yaml',
+    '.toml': 'toml'
+};
+
+// Patrones de declaración por lenguaje: [tipo de símbolo, expresión con el nombre en el grupo 1]
+const JS_SYMBOL_PATTERNS = [
+    ['class', /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/],
+    ['function', /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/],
+    ['function', /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/],
+    ['interface', /^\s*(?:export\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/]
+];
+const JVM_SYMBOL_PATTERNS = [
+    ['class', /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|data|open|partial|case)\s+)*(?:class|interface|enum|record|object|trait|struct)\s+([A-Za-z_]\w*)/],
+    ['function', /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|suspend|async|virtual|synchronized)\s+)*(?:fun|def|func)\s+([A-Za-z_]\w*)/],
+    ['function', /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|async|virtual|synchronized)\s+)+[\w<>\[\],\s]+?\s+([A-Za-z_]\w*)\s*\([^;]*$/]
+];
+const C_SYMBOL_PATTERNS = [
+    ['class', /^\s*(?:typedef\s+)?(?:class|struct|union|enum)\s+([A-Za-z_]\w*)\s*(?::[^{]*)?\{?\s*$/],
+    ['function', /^(?!\s*(?:if|for|while|switch|return|else)\b)[A-Za-z_][\w\s\*&:<>,]*?\b([A-Za-z_]\w*)\s*\([^;]*\)\s*(?:const\s*)?\{?\s*$/]
+];
+const CODE_SYMBOL_PATTERNS = {
+    javascript: JS_SYMBOL_PATTERNS,
+    typescript: JS_SYMBOL_PATTERNS,
+    python: [
+        ['class', /^\s*class\s+([A-Za-z_]\w*)/],
+        ['function', /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/]
+    ],
+    java: JVM_SYMBOL_PATTERNS,
+    kotlin: JVM_SYMBOL_PATTERNS,
+    scala: JVM_SYMBOL_PATTERNS,
+    csharp: JVM_SYMBOL_PATTERNS,
+    swift: JVM_SYMBOL_PATTERNS,
+    c: C_SYMBOL_PATTERNS,
+    cpp: C_SYMBOL_PATTERNS,
+    go: [
+        ['function', /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/],
+        ['class', /^\s*type\s+([A-Za-z_]\w*)\s+(?:struct|interface)\b/]
+    ],
+    rust: [
+        ['function', /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/],
+        ['class', /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|impl)\s+([A-Za-z_]\w*)/]
+    ],
+    ruby: [
+        ['class', /^\s*(?:class|module)\s+([A-Z]\w*)/],
+        ['function', /^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/]
+    ],
+    php: [
+        ['class', /^\s*(?:(?:abstract|final)\s+)?(?:class|interface|trait)\s+([A-Za-z_]\w*)/],
+        ['function', /^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?\s*([A-Za-z_]\w*)/]
+    ],
+    bash: [
+        ['function', /^\s*(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)\s*\{?/],
+        ['function', /^\s*function\s+([A-Za-z_][\w-]*)/]
+    ],
+    powershell: [
+        ['function', /^\s*function\s+([A-Za-z_][\w-]*)/i]
+    ],
+    sql: [
+        ['table', /^\s*create\s+(?:or\s+replace\s+)?(?:temporary\s+)?(?:table|view|index|function|procedure|trigger)\s+(?:if\s+not\s+exists\s+)?([\w."`\[\]]+)/i]
+    ],
+    lua: [
+        ['function', /^\s*(?:local\s+)?function\s+([A-Za-z_][\w.:]*)/]
+    ],
+    perl: [
+        ['function', /^\s*sub\s+([A-Za-z_]\w*)/]
+    ],
+    r: [
+        ['function', /^\s*([A-Za-z_.][\w.]*)\s*(?:<-|=)\s*function\s*\(/]
+    ]
+};
+
+// Prefijos de comentario de línea por lenguaje
+const LINE_COMMENT_PREFIXES = {
+    python: ['#'], ruby: ['#'], bash: ['#'], powershell: ['#'], perl: ['#'], r: ['#'],
+    yaml: ['#'], toml: ['#'], sql: ['--'], lua: ['--']
+};
+
+/**
+ * Verifica e inicializa las dependencias opcionales
+ */
+function init() {
+    try {
+        cheerio = require('cheerio');
+        console.log('FormatExtractors: Soporte para HTML y EPUB habilitado');
+    } catch (err) {
+        console.log('FormatExtractors: cheerio no está disponible, sin soporte para HTML ni EPUB');
+    }
+
+    try {
+        JSZip = require('jszip');
+        console.log('FormatExtractors: Soporte para EPUB, PPTX y OpenDocument habilitado');
+    } catch (err) {
+        console.log('FormatExtractors: jszip no está disponible, sin soporte para EPUB, PPTX ni OpenDocument');
+    }
+}
+
+/**
+ * Determina el formato de una extensión gestionada por este módulo
+ * @param {string} fileExt - Extensión en minúsculas (con punto)
+ * @returns {string|null} Formato o null si no es uno de los formatos adicionales
+ */
+function getFormat(fileExt) {
+    switch (fileExt) {
+        case '.html':
+        case '.htm':
+        case '.xhtml':
+            return 'html';
+        case '.epub':
+            return 'epub';
+        case '.pptx':
+            return 'pptx';
+        case '.odt':
+            return 'odt';
+        case '.ods':
+            return 'ods';
+        case '.rtf':
+            return 'rtf';
+        default:
+            return CODE_LANGUAGES[fileExt] ? 'code' : null;
+    }
+}
+
+/**
+ * Indica si las dependencias de un formato están instaladas
+ * @param {string} format - Formato devuelto por getFormat
+ * @returns {boolean} True si el formato se puede extraer
+ */
+function isAvailable(format) {
+    switch (format) {
+        case 'html':
+            return !!cheerio;
+        case 'epub':
+            return !!cheerio && !!JSZip;
+        case 'pptx':
+        case 'odt':
+        case 'ods':
+            return !!JSZip;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Estado de las dependencias de los formatos adicionales
+ * @returns {Object} Disponibilidad por formato
+ */
+function checkDependencies() {
+    return {
+        htmlExtraction: isAvailable('html'),
+        epubExtraction: isAvailable('epub'),
+        pptxExtraction: isAvailable('pptx'),
+        openDocumentExtraction: isAvailable('odt')
+    };
+}
+
+/**
+ * Decodifica las entidades XML/HTML básicas y numéricas
+ * @param {string} text - Texto con entidades
+ * @returns {string} Texto decodificado
+ * @private
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Normaliza los espacios de un bloque de texto
+ * @param {string} text - Texto
+ * @returns {string} Texto con espacios simples
+ * @private
+ */
+function collapseWhitespace(text) {
+    return text.replace(/[\s\u00a0]+/g, ' ').trim();
+}
+
+/**
+ * Abre un archivo ZIP (EPUB, PPTX, ODT, ODS)
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Promise<Object>} Archivo JSZip
+ * @private
+ */
+async function loadZip(buffer) {
+    try {
+        return await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new Error('El archivo no es un contenedor ZIP válido');
+    }
+}
+
+/**
+ * Lee una entrada de texto de un ZIP
+ * @param {Object} zip - Archivo JSZip
+ * @param {string} name - Ruta de la entrada
+ * @returns {Promise<string|null>} Contenido o null si no existe
+ * @private
+ */
+async function readZipEntry(zip, name) {
+    const entry = zip.file(name);
+    return entry ? entry.async('string') : null;
+}
+
+/**
+ * Convierte HTML en texto sin elementos de navegación, cabeceras, pies ni scripts
+ *
+ * Si la página tiene <article> o <main> se usa solo ese contenido. Los títulos
+ * se conservan con marcas de Markdown y los elementos de lista con guiones.
+ * @param {string} html - Código HTML
+ * @returns {Object} { text, title }
+ * @private
+ */
+function htmlToText(html) {
+    const $ = cheerio.load(html);
+    const title = collapseWhitespace($('title').first().text());
+
+    $(HTML_BOILERPLATE_SELECTOR).remove();
+
+    let root = $('article').first();
+    if (root.length === 0) root = $('main').first();
+    if (root.length === 0) root = $('body').first();
+    if (root.length === 0) root = $.root();
+
+    const blocks = [];
+    root.find(HTML_BLOCK_SELECTOR).each((index, element) => {
+        const node = $(element);
+
+        // Los bloques anidados (p dentro de li, li dentro de blockquote...) ya
+        // forman parte del texto de su bloque contenedor
+        if (node.parents(HTML_BLOCK_SELECTOR).length > 0) {
+            return;
+        }
+
+        const tag = element.tagName.toLowerCase();
+
+        if (tag === 'pre') {
+            const code = node.text().replace(/\s+$/, '');
+            if (code) blocks.push(code);
+            return;
+        }
+
+        if (tag === 'tr') {
+            const cells = node.children('th, td').map((i, cell) => collapseWhitespace($(cell).text())).get();
+            if (cells.some(Boolean)) blocks.push(cells.join('\t'));
+            return;
+        }
+
+        const text = collapseWhitespace(node.text());
+        if (!text) return;
+
+        if (/^h[1-6]$/.test(tag)) {
+            blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === 'li') {
+            blocks.push(`- ${text}`);
+        } else {
+            blocks.push(text);
+        }
+    });
+
+    // Páginas sin elementos de bloque: texto plano del contenedor
+    if (blocks.length === 0) {
+        const plainText = collapseWhitespace(root.text());
+        if (plainText) blocks.push(plainText);
+    }
+
+    return { text: blocks.join('\n\n'), title };
+}
+
+/**
+ * Extrae el texto principal de una página HTML
+ * @param {Buffer} buffer - Contenido del archivo HTML
+ * @returns {Promise<Object>} { text, title }
+ */
+async function extractTextFromHTML(buffer) {
+    try {
+        const { text, title } = htmlToText(buffer.toString('utf8'));
+
+        // Incluir el título si el contenido no empieza ya por él
+        if (title && !text.replace(/^#+\s*/, '').startsWith(title)) {
+            return { text: `# ${title}\n\n${text}`, title };
+        }
+
+        return { text, title };
+    } catch (error) {
+        console.error('Error extrayendo texto de HTML:', error);
+        throw error;
+    }
+}
+
+/**
+ * Extrae el texto de un libro EPUB siguiendo el orden de lectura (spine)
+ * @param {Buffer} buffer - Contenido del archivo EPUB
+ * @returns {Promise<Object>} { text, title, chapters }
+ */
+async function extractTextFromEPUB(buffer) {
+    try {
+        const zip = await loadZip(buffer);
+
+        // META-INF/container.xml indica dónde está el paquete OPF
+        const container = await readZipEntry(zip, 'META-INF/container.xml');
+        const rootFileMatch = container && container.match(/<rootfile\b[^>]*\bfull-path="([^"]+)"/);
+        if (!rootFileMatch) {
+            throw new Error('EPUB sin paquete OPF');
+        }
+
+        const opfPath = decodeEntities(rootFileMatch[1]);
+        const opf = await readZipEntry(zip, opfPath);
+        if (!opf) {
+            throw new Error(`No se encontró el paquete OPF (${opfPath})`);
+        }
+
+        const $ = cheerio.load(opf, { xmlMode: true });
+        const title = collapseWhitespace($('dc\\:title, title').first().text());
+        const baseDir = path.posix.dirname(opfPath);
+
+        const manifest = new Map();
+        $('manifest > item').each((index, element) => {
+            manifest.set($(element).attr('id'), {
+                href: $(element).attr('href'),
+                mediaType: $(element).attr('media-type')
+            });
+        });
+
+        const chapters = [];
+        for (const itemref of $('spine > itemref').toArray()) {
+            const item = manifest.get($(itemref).attr('idref'));
+            if (!item || !item.href || !/html/.test(item.mediaType || '')) {
+                continue;
+            }
+
+            const chapterPath = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(item.href)));
+            const chapterHtml = await readZipEntry(zip, chapterPath);
+            if (!chapterHtml) {
+                continue;
+            }
+
+            const chapter = htmlToText(chapterHtml);
+            if (chapter.text) {
+                chapters.push(chapter.text);
+            }
+        }
+
+        const body = chapters.join('\n\n');
+        return {
+            text: title ? `# ${title}\n\n${body}` : body,
+            title,
+            chapters: chapters.length
+        };
+    } catch (error) {
+        console.error('Error extrayendo texto de EPUB:', error);
+        throw error;
+    }
+}
+
+/**
+ * Obtiene los párrafos de texto de una diapositiva o página de notas (DrawingML)
+ * @param {string} xml - XML de la diapositiva
+ * @returns {Array<string>} Párrafos no vacíos
+ * @private
+ */
+function drawingMLParagraphs(xml) {
+    // Los campos (número de diapositiva, fecha) no son contenido
+    const withoutFields = xml.replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '');
+    const paragraphs = withoutFields.match(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g) || [];
+
+    return paragraphs
+        .map(paragraph => {
+            const runs = paragraph.match(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>|<a:br\b[^>]*\/>/g) || [];
+            return runs
+                .map(run => run.startsWith('<a:br') ? '\n' : decodeEntities(run.replace(/<[^>]+>/g, '')))
+                .join('')
+                .trim();
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Ordena entradas numeradas de un ZIP (slide1.xml, slide2.xml, ..., slide10.xml)
+ * @param {Array<string>} names - Rutas de las entradas
+ * @returns {Array<string>} Rutas ordenadas por número
+ * @private
+ */
+function sortNumbered(names) {
+    const number = name => parseInt((name.match(/(\d+)\.xml$/) || [])[1] || '0', 10);
+    return names.sort((a, b) => number(a) - number(b));
+}
+
+/**
+ * Extrae el texto y las notas del orador de una presentación PPTX
+ *
+ * Cada diapositiva termina con un salto de página, de modo que las citas
+ * indican el número de diapositiva como número de página.
+ * @param {Buffer} buffer - Contenido del archivo PPTX
+ * @returns {Promise<Object>} { text, slides }
+ */
+async function extractTextFromPPTX(buffer) {
+    try {
+        const zip = await loadZip(buffer);
+        const slidePaths = sortNumbered(Object.keys(zip.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)));
+
+        if (slidePaths.length === 0) {
+            throw new Error('La presentación no contiene diapositivas');
+        }
+
+        const slides = [];
+        for (const [index, slidePath] of slidePaths.entries()) {
+            const slideXml = await readZipEntry(zip, slidePath);
+            const lines = [`## Diapositiva ${index + 1}`, ...drawingMLParagraphs(slideXml)];
+
+            // Las notas se enlazan desde las relaciones de la diapositiva
+            const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+            const rels = await readZipEntry(zip, relsPath);
+            const notesMatch = rels && rels.match(/Target="\.\.\/notesSlides\/(notesSlide\d+\.xml)"/);
+
+            if (notesMatch) {
+                const notesXml = await readZipEntry(zip, `ppt/notesSlides/${notesMatch[1]}`);
+                const notes = notesXml ? drawingMLParagraphs(notesXml) : [];
+                if (notes.length > 0) {
+                    lines.push('', 'Notas:', ...notes);
+                }
+            }
+
+            slides.push(lines.join('\n'));
+        }
+
+        return {
+            text: slides.map(slide => `${slide}\n\n${PAGE_BREAK}`).join(''),
+            slides: slides.length
+        };
+    } catch (error) {
+        console.error('Error extrayendo texto de PPTX:', error);
+        throw error;
+    }
+}
+
+/**
+ * Convierte el contenido de un elemento de texto OpenDocument en texto plano
+ * @param {string} xml - Contenido del elemento
+ * @returns {string} Texto
+ * @private
+ */
+function openDocumentInlineText(xml) {
+    return decodeEntities(xml
+        .replace(/<text:s\b([^>]*)\/>/g, (match, attributes) => ' '.repeat(parseInt((attributes.match(/text:c="(\d+)"/) || [])[1] || '1', 10)))
+        .replace(/<text:tab\b[^>]*\/>/g, '\t')
+        .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+        // Notas al pie: se omiten para no cortar la frase
+        .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '')
+        .replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Extrae el texto de un documento ODT
+ * @param {Buffer} buffer - Contenido del archivo ODT
+ * @returns {Promise<string>} Texto extraído
+ */
+async function extractTextFromODT(buffer) {
+    try {
+        const zip = await loadZip(buffer);
+        const content = await readZipEntry(zip, 'content.xml');
+        if (!content) {
+            throw new Error('Documento OpenDocument sin content.xml');
+        }
+
+        const body = (content.match(/<office:text\b[^>]*>([\s\S]*)<\/office:text>/) || [])[1] || content;
+        const blocks = [];
+        const blockPattern = /<text:(h|p)\b([^>]*)>([\s\S]*?)<\/text:\1>/g;
+        let match;
+
+        while ((match = blockPattern.exec(body)) !== null) {
+            const [, tag, attributes, inner] = match;
+            const text = openDocumentInlineText(inner).trim();
+            if (!text) continue;
+
+            if (tag === 'h') {
+                const level = parseInt((attributes.match(/text:outline-level="(\d+)"/) || [])[1] || '1', 10);
+                blocks.push(`${'#'.repeat(Math.min(level, 6))} ${text}`);
+            } else {
+                blocks.push(text);
+            }
+        }
+
+        return blocks.join('\n\n');
+    } catch (error) {
+        console.error('Error extrayendo texto de ODT:', error);
+        throw error;
+    }
+}
+
+/**
+ * Extrae los datos de una hoja de cálculo ODS
+ *
+ * Devuelve la misma estructura que la extracción de Excel: la primera fila
+ * de cada hoja se usa como encabezados.
+ * @param {Buffer} buffer - Contenido del archivo ODS
+ * @returns {Promise<Object>} { text, data, headers } con data indexado por nombre de hoja
+ */
+async function extractDataFromODS(buffer) {
+    try {
+        const zip = await loadZip(buffer);
+        const content = await readZipEntry(zip, 'content.xml');
+        if (!content) {
+            throw new Error('Documento OpenDocument sin content.xml');
+        }
+
+        const sheets = {};
+        const tablePattern = /<table:table\b([^>]*)>([\s\S]*?)<\/table:table>/g;
+        let tableMatch;
+
+        while ((tableMatch = tablePattern.exec(content)) !== null) {
+            const sheetName = decodeEntities((tableMatch[1].match(/table:name="([^"]*)"/) || [])[1] || `Hoja${Object.keys(sheets).length + 1}`);
+            const rows = [];
+            const rowPattern = /<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g;
+            let rowMatch;
+
+            while ((rowMatch = rowPattern.exec(tableMatch[2])) !== null) {
+                const cells = [];
+                const cellPattern = /<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g;
+                let cellMatch;
+
+                while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+                    const repeat = parseInt((cellMatch[1].match(/table:number-columns-repeated="(\d+)"/) || [])[1] || '1', 10);
+                    const paragraphs = (cellMatch[2] || '').match(/<text:p\b[^>]*>[\s\S]*?<\/text:p>/g) || [];
+                    const value = paragraphs.map(openDocumentInlineText).join('\n').trim();
+
+                    // Las celdas vacías repetidas pueden rellenar la fila hasta el final de la hoja
+                    for (let i = 0; i < repeat && cells.length < MAX_ODS_COLUMNS; i++) {
+                        cells.push(value);
+                    }
+                }
+
+                while (cells.length > 0 && cells[cells.length - 1] === '') {
+                    cells.pop();
+                }
+
+                if (cells.length > 0) {
+                    const repeatRows = parseInt((rowMatch[1].match(/table:number-rows-repeated="(\d+)"/) || [])[1] || '1', 10);
+                    for (let i = 0; i < Math.min(repeatRows, 1000); i++) {
+                        rows.push(cells);
+                    }
+                }
+            }
+
+            sheets[sheetName] = rows;
+        }
+
+        const sheetNames = Object.keys(sheets);
+        if (sheetNames.length === 0) {
+            throw new Error('La hoja de cálculo no contiene tablas');
+        }
+
+        const data = {};
+        sheetNames.forEach(sheetName => {
+            const [headerRow = [], ...rows] = sheets[sheetName];
+            data[sheetName] = rows.map(row => {
+                const record = {};
+                headerRow.forEach((header, index) => {
+                    record[header || `Columna${index + 1}`] = row[index] !== undefined ? row[index] : '';
+                });
+                return record;
+            });
+        });
+
+        // Texto legible de la primera hoja (máximo 100 filas), como en Excel
+        const firstRows = sheets[sheetNames[0]];
+        const headers = (firstRows[0] || []).map((header, index) => header || `Columna${index + 1}`);
+        let text = '';
+
+        if (firstRows.length > 0) {
+            text = headers.join('\t') + '\n';
+            firstRows.slice(1, 101).forEach(row => {
+                text += headers.map((header, index) => row[index] !== undefined ? row[index] : '').join('\t') + '\n';
+            });
+
+            if (firstRows.length > 101) {
+                text += `... (${firstRows.length - 101} filas más)`;
+            }
+
+            text += `\n\nHojas de cálculo: ${sheetNames.join(', ')}`;
+        }
+
+        return { text, data, headers };
+    } catch (error) {
+        console.error('Error extrayendo datos de ODS:', error);
+        throw error;
+    }
+}
+
+/**
+ * Convierte un documento RTF en texto plano
+ *
+ * Interpreta los saltos de párrafo, tabulaciones, caracteres escapados
+ * (\'hh en la página de códigos del documento y \uN) y descarta los grupos
+ * que no son texto (tablas de fuentes y colores, imágenes, metadatos...).
+ * @param {Buffer} buffer - Contenido del archivo RTF
+ * @returns {Promise<string>} Texto extraído
+ */
+async function extractTextFromRTF(buffer) {
+    const rtf = buffer.toString('latin1');
+
+    if (!rtf.startsWith('{\\rtf')) {
+        throw new Error('El archivo no es un documento RTF válido');
+    }
+
+    // Grupos cuyo contenido no es texto del documento
+    const skipDestinations = new Set([
+        'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+        'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+        'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping',
+        'latentstyles', 'datastore', 'filetbl', 'revtbl'
+    ]);
+    const win1252 = new TextDecoder('windows-1252');
+
+    const stack = [];
+    let skip = false;
+    let unicodeSkip = 1;   // Caracteres alternativos tras cada \uN (\ucN)
+    let pendingSkip = 0;
+    let output = '';
+    let i = 0;
+
+    while (i < rtf.length) {
+        const char = rtf[i];
+
+        if (char === '{') {
+            stack.push({ skip, unicodeSkip });
+            i++;
+            // Destinos opcionales ({\*\...}) desconocidos: se descartan
+            if (rtf.startsWith('\\*', i)) {
+                skip = true;
+            }
+            continue;
+        }
+
+        if (char === '}') {
+            const state = stack.pop() || { skip: false, unicodeSkip: 1 };
+            skip = state.skip;
+            unicodeSkip = state.unicodeSkip;
+            i++;
+            continue;
+        }
+
+        if (char === '\\') {
+            const next = rtf[i + 1];
+
+            // Símbolos de control
+            if (next === '\\' || next === '{' || next === '}') {
+                if (!skip) output += next;
+                i += 2;
+                continue;
+            }
+            if (next === '\'') {
+                if (pendingSkip > 0) {
+                    pendingSkip--;
+                } else if (!skip) {
+                    output += win1252.decode(Buffer.from([parseInt(rtf.substr(i + 2, 2), 16)]));
+                }
+                i += 4;
+                continue;
+            }
+            if (next === '~') {
+                if (!skip) output += ' ';
+                i += 2;
+                continue;
+            }
+            if (next === '\n' || next === '\r') {
+                if (!skip) output += '\n';
+                i += 2;
+                continue;
+            }
+
+            // Palabra de control con parámetro opcional
+            const controlMatch = rtf.slice(i + 1, i + 40).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+            if (!controlMatch) {
+                i += 2;
+                continue;
+            }
+
+            const [token, word, param] = controlMatch;
+            i += 1 + token.length;
+
+            if (skipDestinations.has(word)) {
+                skip = true;
+            } else if (word === 'uc') {
+                unicodeSkip = parseInt(param || '1', 10);
+            } else if (word === 'u' && param !== undefined) {
+                let code = parseInt(param, 10);
+                if (code < 0) code += 65536;
+                if (!skip) output += String.fromCharCode(code);
+                pendingSkip = unicodeSkip;
+            } else if (!skip) {
+                if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') {
+                    output += '\n';
+                } else if (word === 'tab' || word === 'cell') {
+                    output += '\t';
+                } else if (word === 'row') {
+                    output += '\n';
+                } else if (word === 'emdash') {
+                    output += '—';
+                } else if (word === 'endash') {
+                    output += '–';
+                } else if (word === 'bullet') {
+                    output += '•';
+                } else if (word === 'lquote' || word === 'rquote') {
+                    output += word === 'lquote' ? '‘' : '’';
+                } else if (word === 'ldblquote' || word === 'rdblquote') {
+                    output += word === 'ldblquote' ? '“' : '”';
+                }
+            }
+            continue;
+        }
+
+        // Los saltos de línea del código RTF no son texto
+        if (char === '\r' || char === '\n') {
+            i++;
+            continue;
+        }
+
+        if (pendingSkip > 0) {
+            pendingSkip--;
+        } else if (!skip) {
+            output += char;
+        }
+        i++;
+    }
+
+    return output
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Analiza un archivo de código fuente
+ *
+ * Detecta el lenguaje por la extensión y extrae las declaraciones de primer
+ * nivel (clases, funciones, tablas...) con su número de línea. El texto se
+ * conserva tal cual para que la indexación respete la estructura del código.
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} fileName - Nombre del archivo (para la extensión)
+ * @returns {Promise<Object>} { text, language, symbols, lineCount, commentLines }
+ */
+async function extractCodeInfo(buffer, fileName) {
+    const language = CODE_LANGUAGES[path.extname(fileName).toLowerCase()] || 'text';
+    const text = buffer.toString('utf8').replace(/\r\n/g, '\n');
+    const lines = text.split('\n');
+    const patterns = CODE_SYMBOL_PATTERNS[language] || [];
+    const commentPrefixes = LINE_COMMENT_PREFIXES[language] || ['//'];
+
+    const symbols = [];
+    const seen = new Set();
+    let commentLines = 0;
+    let inBlockComment = false;
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        // Comentarios: de línea según el lenguaje y de bloque al estilo C
+        if (inBlockComment) {
+            commentLines++;
+            if (trimmed.includes('*/')) inBlockComment = false;
+            return;
+        }
+        if (trimmed.startsWith('/*')) {
+            commentLines++;
+            inBlockComment = !trimmed.includes('*/');
+            return;
+        }
+        if (commentPrefixes.some(prefix => trimmed.startsWith(prefix))) {
+            commentLines++;
+            return;
+        }
+
+        if (symbols.length >= MAX_CODE_SYMBOLS) return;
+
+        for (const [kind, pattern] of patterns) {
+            const match = line.match(pattern);
+            if (match && !seen.has(match[1])) {
+                seen.add(match[1]);
+                symbols.push({ name: match[1], kind, line: index + 1 });
+                break;
+            }
+        }
+    });
+
+    return {
+        text,
+        language,
+        symbols,
+        lineCount: lines.length,
+        commentLines
+    };
+}
+
+/**
+ * Genera el resumen de un archivo de código a partir de su análisis
+ * @param {Object} codeInfo - Resultado de extractCodeInfo
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string} Resumen
+ */
+function summarizeCode(codeInfo, fileName) {
+    const parts = [`Archivo de código ${codeInfo.language} (${fileName}) con ${codeInfo.lineCount} líneas`];
+
+    if (codeInfo.commentLines > 0) {
+        parts[0] += ` (${codeInfo.commentLines} de comentarios)`;
+    }
+
+    const byKind = {};
+    codeInfo.symbols.forEach(symbol => {
+        (byKind[symbol.kind] = byKind[symbol.kind] || []).push(symbol.name);
+    });
+
+    const kindLabels = { class: 'Tipos', function: 'Funciones', interface: 'Interfaces', table: 'Objetos SQL' };
+    Object.entries(byKind).forEach(([kind, names]) => {
+        const shown = names.slice(0, 15).join(', ');
+        parts.push(`${kindLabels[kind] || kind}: ${shown}${names.length > 15 ? ` y ${names.length - 15} más` : ''}`);
+    });
+
+    return parts.join('. ') + '.';
+}
+
+// Inicializar el módulo
+init();
+
+module.exports = {
+    CODE_LANGUAGES,
+    getFormat,
+    isAvailable,
+    checkDependencies,
+    extractTextFromHTML,
+    extractTextFromEPUB,
+    extractTextFromPPTX,
+    extractTextFromODT,
+    extractDataFromODS,
+    extractTextFromRTF,
+    extractCodeInfo,
+    summarizeCode
+};
@@ -5,7 +5,7 @@
  * que el sistema aprenda y recuerde información relevante a lo largo del tiempo.
  * 
  * Versión mejorada con:
- * - Persistencia en MongoDB para mayor escalabilidad
+ * - Persistencia en el almacenamiento configurado (archivos locales o MongoDB)
  * - Caché LRU con políticas sofisticadas de expiración
  * - Procesamiento paralelo para tareas de mantenimiento
  * - Relevancia semántica basada en embeddings
@@ -17,21 +17,24 @@
  * - Normalización de datos para optimización
  */
 
-const path = require('path');
 const { Worker } = require('worker_threads');
-const { MongoClient } = require('mongodb');
 const LRUCache = require('lru-cache');
+const storage = require('./storage');
 const entityExtractor = require('./entity-extractor');
 const semanticService = require('./semantic-service');  // Servicio para embeddings y relevancia semántica
+const piiDetector = require('./pii-detector');
 
-// Configuración de MongoDB
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
-const DB_NAME = 'cag';
+// Colecciones de la memoria global
 const COLLECTION_NAME = 'global_memory';
+const memoryCollection = storage.collection(COLLECTION_NAME);
+const metricsCollection = storage.collection('memory_metrics');
+const entityTypeMetricsCollection = storage.collection('entity_type_metrics');
+const memoryBackupsCollection = storage.collection('memory_backups');
+const feedbackCollection = storage.collection('memory_feedback');
+const contributionsCollection = storage.collection('global_memory_contributions');
 
-// Directorio para almacenamiento de backups locales
-const DATA_DIR = path.join(__dirname, 'data');
-const GLOBAL_MEMORY_DIR = path.join(DATA_DIR, 'global_memory');
+// Bucket para los backups en archivo (data/global_memory con el backend file)
+const globalMemoryFiles = storage.bucket('global_memory');
 
 // Configuración de memoria global
 const MAX_GLOBAL_ENTITIES = 200;    // Máximo de entidades a almacenar
@@ -46,6 +49,10 @@ const SENSITIVITY_LEVELS = {
     SENSITIVE: 'sensitive'   // Información sensible con acceso restringido
 };
 
+// Pesos de relevancia por tipo de entidad derivados de la retroalimentación
+// (1 = neutro; se recalculan al registrar nuevas valoraciones)
+let entityTypeWeights = null;
+
 // Implementación de LRU Cache sofisticada
 const memoryCache = new LRUCache({
     max: 10,                  // Número máximo de elementos en caché
@@ -60,57 +67,19 @@ const memoryCache = new LRUCache({
     }
 });
 
-// Cliente MongoDB
-let mongoClient = null;
-
-/**
- * Obtiene o crea una conexión al cliente MongoDB
- * @returns {Promise<MongoClient>} Cliente MongoDB
- */
-async function getMongoClient() {
-    if (!mongoClient) {
-        mongoClient = new MongoClient(MONGO_URI, {
-            useNewUrlParser: true,
-            useUnifiedTopology: true
-        });
-        await mongoClient.connect();
-        console.log('GlobalMemory: Conexión MongoDB establecida');
-    }
-    return mongoClient;
-}
-
 /**
  * Inicializa el sistema de memoria global
  * @returns {Promise<void>}
  */
 async function init() {
     try {
-        const fs = require('fs').promises;
+        // Crear índices para optimizar consultas (solo aplican en MongoDB)
+        await memoryCollection.createIndex({ type: 1 });
+        await memoryCollection.createIndex({ "entities.name": 1 });
+        await memoryCollection.createIndex({ "topics.name": 1 });
         
-        // Crear directorio para backups si no existe
-        try {
-            await fs.mkdir(GLOBAL_MEMORY_DIR, { recursive: true });
-            console.log('GlobalMemory: Directorio de backups creado');
-        } catch (dirError) {
-            console.error('GlobalMemory: Error al crear directorio de backups:', dirError);
-        }
-        
-        // Inicializar conexión a MongoDB
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        
-        // Verificar si la colección existe
-        const collections = await db.listCollections({ name: COLLECTION_NAME }).toArray();
-        
-        if (collections.length === 0) {
-            // Crear colección e índices si no existe
-            await db.createCollection(COLLECTION_NAME);
-            
-            // Crear índices para optimizar consultas
-            await db.collection(COLLECTION_NAME).createIndex({ type: 1 });
-            await db.collection(COLLECTION_NAME).createIndex({ "entities.name": 1 });
-            await db.collection(COLLECTION_NAME).createIndex({ "topics.name": 1 });
-            
+        // Crear el documento de memoria global si aún no existe
+        if ((await memoryCollection.countDocuments({ type: 'global_memory' })) === 0) {
             // Crear documento inicial
             const initialMemory = {
                 type: 'global_memory',
@@ -124,8 +93,8 @@ async function init() {
                 }
             };
             
-            await db.collection(COLLECTION_NAME).insertOne(initialMemory);
-            console.log('GlobalMemory: Documento de memoria global creado en MongoDB');
+            await memoryCollection.insertOne(initialMemory);
+            console.log('GlobalMemory: Documento de memoria global creado');
         }
         
         console.log('GlobalMemory: Sistema inicializado correctamente');
@@ -134,8 +103,8 @@ async function init() {
         scheduleMaintenanceTasks();
         
         // Crear índices para métricas
-        await db.collection('memory_metrics').createIndex({ timestamp: 1 });
-        await db.collection('memory_metrics').createIndex({ entityType: 1 });
+        await metricsCollection.createIndex({ timestamp: 1 });
+        await metricsCollection.createIndex({ entityType: 1 });
         
     } catch (error) {
         console.error('GlobalMemory: Error de inicialización:', error);
@@ -143,15 +112,13 @@ async function init() {
 }
 
 /**
- * Obtiene el contexto de memoria global desde MongoDB
+ * Obtiene el contexto de memoria global desde el almacenamiento
  * @returns {Promise<Object>} Contexto de memoria global
  * @private
  */
 async function getGlobalMemoryFromDB() {
     try {
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
+        const collection = memoryCollection;
         
         // Buscar documento de memoria global
         const memoryContext = await collection.findOne({ type: 'global_memory' });
@@ -178,7 +145,7 @@ async function getGlobalMemoryFromDB() {
         
         return memoryContext;
     } catch (error) {
-        console.error('GlobalMemory: Error al obtener contexto de memoria global desde MongoDB:', error);
+        console.error('GlobalMemory: Error al obtener contexto de memoria global:', error);
         return {
             entities: [],
             topics: [],
@@ -397,6 +364,8 @@ function filterBySensitivityLevel(entities, options = {}) {
  * @private
  */
 async function filterRelevantEntities(entities, existingEntityNames, currentTopics, options = {}) {
+    const typeWeights = await getEntityTypeWeights();
+    
     try {
         // Filtrar entidades que no estén ya en el contexto
         let candidateEntities = entities.filter(entity => 
@@ -414,9 +383,10 @@ async function filterRelevantEntities(entities, existingEntityNames, currentTopi
                     options.contextEmbedding
                 );
                 
-                // Combinar relevancia semántica con factores temporales
+                // Combinar relevancia semántica con factores temporales y el peso del tipo
                 const temporalFactor = calculateTemporalDecay(entity.lastSeen);
-                entity.relevanceScore = (temporalFactor * 0.4) + (semanticRelevance * 0.6);
+                entity.relevanceScore = ((temporalFactor * 0.4) + (semanticRelevance * 0.6)) *
+                    (typeWeights[entity.type] || 1);
             }
             
             // Ordenar por relevancia combinada
@@ -424,8 +394,8 @@ async function filterRelevantEntities(entities, existingEntityNames, currentTopi
         } else {
             // Si no hay datos para relevancia semántica, usar solo factores tradicionales
             candidateEntities.sort((a, b) => {
-                const scoreA = (a.occurrences || 1) * (a.confidence || 0.5);
-                const scoreB = (b.occurrences || 1) * (b.confidence || 0.5);
+                const scoreA = (a.occurrences || 1) * (a.confidence || 0.5) * (typeWeights[a.type] || 1);
+                const scoreB = (b.occurrences || 1) * (b.confidence || 0.5) * (typeWeights[b.type] || 1);
                 return scoreB - scoreA;
             });
         }
@@ -438,8 +408,8 @@ async function filterRelevantEntities(entities, existingEntityNames, currentTopi
         return entities
             .filter(entity => !existingEntityNames.has(entity.name.toLowerCase()))
             .sort((a, b) => {
-                const scoreA = (a.occurrences || 1) * (a.confidence || 0.5);
-                const scoreB = (b.occurrences || 1) * (b.confidence || 0.5);
+                const scoreA = (a.occurrences || 1) * (a.confidence || 0.5) * (typeWeights[a.type] || 1);
+                const scoreB = (b.occurrences || 1) * (b.confidence || 0.5) * (typeWeights[b.type] || 1);
                 return scoreB - scoreA;
             })
             .slice(0, 10);
@@ -537,8 +507,8 @@ async function calculateSemanticRelevance(entity, currentTopics = [], contextEmb
         
         // Si hay un embedding de contexto, usarlo directamente
         if (contextEmbedding) {
-            // Verificar si la entidad ya tiene un embedding, en caso contrario calcularlo
-            if (!entity.embedding) {
+            // Verificar si la entidad ya tiene un embedding del mismo proveedor, en caso contrario calcularlo
+            if (!entity.embedding || entity.embedding.length !== contextEmbedding.length) {
                 entity.embedding = await semanticService.generateEmbedding(
                     entity.name + ' ' + (entity.description || '')
                 );
@@ -556,8 +526,8 @@ async function calculateSemanticRelevance(entity, currentTopics = [], contextEmb
             const topicsText = currentTopics.join(' ');
             const topicsEmbedding = await semanticService.generateEmbedding(topicsText);
             
-            // Verificar si la entidad ya tiene un embedding, en caso contrario calcularlo
-            if (!entity.embedding) {
+            // Verificar si la entidad ya tiene un embedding del mismo proveedor, en caso contrario calcularlo
+            if (!entity.embedding || entity.embedding.length !== topicsEmbedding.length) {
                 entity.embedding = await semanticService.generateEmbedding(
                     entity.name + ' ' + (entity.description || '')
                 );
@@ -594,11 +564,14 @@ async function updateGlobalMemory(contextMap, userMessage, botResponse, conversa
         // Obtener memoria global actual
         const globalMemory = await getGlobalMemoryContext();
         
+        // Políticas de datos personales: lo bloqueado no se comparte entre conversaciones
+        const updateOptions = { ...options, piiSettings: await piiDetector.getSettings() };
+        
         // 1. Actualizar entidades
-        await updateGlobalEntities(globalMemory, contextMap, userMessage, botResponse, options);
+        const appliedEntities = await updateGlobalEntities(globalMemory, contextMap, userMessage, botResponse, updateOptions);
         
         // 2. Actualizar temas
-        await updateGlobalTopics(globalMemory, contextMap, options);
+        const appliedTopics = await updateGlobalTopics(globalMemory, contextMap, updateOptions);
         
         // 3. Actualizar estadísticas
         updateGlobalStats(globalMemory, conversationId);
@@ -612,6 +585,18 @@ async function updateGlobalMemory(contextMap, userMessage, botResponse, conversa
         // Guardar cambios
         await saveGlobalMemory(globalMemory);
         
+        // Registrar la aportación del mensaje para poder retirarla si su rama se abandona
+        if (options.messageId) {
+            await contributionsCollection.insertOne({
+                conversationId,
+                messageId: options.messageId,
+                active: true,
+                entities: appliedEntities,
+                topics: appliedTopics,
+                createdAt: new Date()
+            });
+        }
+        
         return true;
     } catch (error) {
         console.error('GlobalMemory: Error al actualizar memoria global:', error);
@@ -626,6 +611,7 @@ async function updateGlobalMemory(contextMap, userMessage, botResponse, conversa
  * @param {string} userMessage - Mensaje del usuario
  * @param {string} botResponse - Respuesta del bot
  * @param {Object} options - Opciones adicionales
+ * @returns {Promise<Array<Object>>} Entidades aplicadas (sin embeddings)
  * @private
  */
 async function updateGlobalEntities(globalMemory, contextMap, userMessage, botResponse, options = {}) {
@@ -655,11 +641,13 @@ async function updateGlobalEntities(globalMemory, contextMap, userMessage, botRe
         
         // Si no hay entidades nuevas, terminar
         if (newEntities.length === 0) {
-            return;
+            return [];
         }
         
-        // Normalizar entidades para reducir redundancia
-        newEntities = normalizeEntities(newEntities);
+        // Normalizar entidades y descartar las que contienen datos personales bloqueados
+        newEntities = normalizeEntities(newEntities).filter(entity =>
+            !piiDetector.blocksGlobalMemory(`${entity.name} ${entity.description || ''}`, options.piiSettings)
+        );
         
         // Calcular embeddings para entidades nuevas (procesamiento en lotes)
         const entitiesToEmbed = newEntities.filter(entity => !entity.embedding);
@@ -673,6 +661,8 @@ async function updateGlobalEntities(globalMemory, contextMap, userMessage, botRe
             }
         }
         
+        const appliedEntities = [];
+        
         // Actualizar entidades existentes o añadir nuevas
         for (const newEntity of newEntities) {
             // Validar entidad
@@ -721,6 +711,14 @@ async function updateGlobalEntities(globalMemory, contextMap, userMessage, botRe
                     sensitivityLevel: newEntity.sensitivityLevel || SENSITIVITY_LEVELS.PUBLIC
                 });
             }
+            
+            appliedEntities.push({
+                name: newEntity.name,
+                type: newEntity.type,
+                confidence: newEntity.confidence || 0.5,
+                description: newEntity.description || null,
+                sensitivityLevel: newEntity.sensitivityLevel || SENSITIVITY_LEVELS.PUBLIC
+            });
         }
         
         // Ordenar por relevancia (ocurrencias * confianza)
@@ -730,12 +728,13 @@ async function updateGlobalEntities(globalMemory, contextMap, userMessage, botRe
             return scoreB - scoreA;
         });
         
-        // Limitar tamaño de la lista de entidades
-        if (globalMemory.entities.length > MAX_GLOBAL_ENTITIES) {
-            globalMemory.entities = globalMemory.entities.slice(0, MAX_GLOBAL_ENTITIES);
-        }
+        // Limitar tamaño de la lista de entidades (las fijadas se conservan)
+        globalMemory.entities = limitKeepingPinned(globalMemory.entities, MAX_GLOBAL_ENTITIES);
+        
+        return appliedEntities;
     } catch (error) {
         console.error('GlobalMemory: Error al actualizar entidades globales:', error);
+        return [];
     }
 }
 
@@ -776,11 +775,20 @@ function normalizeEntities(entities) {
  */
 function determineSensitivityLevel(entity, options = {}) {
     // Lista de palabras clave que indican información sensible
-    const sensitiveKeywords = ['password', 'secret', 'private', 'confidential', 'personal'];
-    const restrictedKeywords = ['internal', 'restricted', 'limited'];
+    const sensitiveKeywords = [
+        'password', 'secret', 'private', 'confidential', 'personal',
+        'contraseña', 'privado', 'privada', 'confidencial'
+    ];
+    const restrictedKeywords = ['internal', 'restricted', 'limited', 'interno', 'interna', 'restringid'];
     
     // Texto para analizar
-    const textToAnalyze = (entity.name + ' ' + (entity.description || '')).toLowerCase();
+    const originalText = entity.name + ' ' + (entity.description || '');
+    const textToAnalyze = originalText.toLowerCase();
+    
+    // Datos personales detectados (correos, teléfonos, documentos de identidad...)
+    if (options.piiSettings && piiDetector.containsPII(originalText, options.piiSettings)) {
+        return SENSITIVITY_LEVELS.SENSITIVE;
+    }
     
     // Verificar si contiene palabras clave sensibles
     if (sensitiveKeywords.some(keyword => textToAnalyze.includes(keyword))) {
@@ -832,6 +840,7 @@ function getMostRestrictiveSensitivity(level1, level2) {
  * @param {Object} globalMemory - Memoria global
  * @param {Object} contextMap - Mapa de contexto actual
  * @param {Object} options - Opciones adicionales
+ * @returns {Promise<Array<Object>>} Temas aplicados (sin embeddings)
  * @private
  */
 async function updateGlobalTopics(globalMemory, contextMap, options = {}) {
@@ -843,11 +852,13 @@ async function updateGlobalTopics(globalMemory, contextMap, options = {}) {
         
         // Si no hay temas en el contexto, terminar
         if (!contextMap.topics || !Array.isArray(contextMap.topics) || contextMap.topics.length === 0) {
-            return;
+            return [];
         }
         
-        // Normalizar temas para reducir redundancia
-        const normalizedTopics = normalizeTopics(contextMap.topics);
+        // Normalizar temas y descartar los que contienen datos personales bloqueados
+        const normalizedTopics = normalizeTopics(contextMap.topics).filter(topic =>
+            !piiDetector.blocksGlobalMemory(topic.name || '', options.piiSettings)
+        );
         
         // Calcular embeddings para temas nuevos
         const topicsToEmbed = normalizedTopics.filter(topic => !topic.embedding);
@@ -906,12 +917,129 @@ async function updateGlobalTopics(globalMemory, contextMap, options = {}) {
             return scoreB - scoreA;
         });
         
-        // Limitar tamaño de la lista de temas
-        if (globalMemory.topics.length > MAX_GLOBAL_TOPICS) {
-            globalMemory.topics = globalMemory.topics.slice(0, MAX_GLOBAL_TOPICS);
-        }
+        // Limitar tamaño de la lista de temas (los fijados se conservan)
+        globalMemory.topics = limitKeepingPinned(globalMemory.topics, MAX_GLOBAL_TOPICS);
+        
+        return normalizedTopics
+            .filter(topic => topic.name)
+            .map(topic => ({ name: topic.name, confidence: topic.confidence || 0.5 }));
     } catch (error) {
         console.error('GlobalMemory: Error al actualizar temas globales:', error);
+        return [];
+    }
+}
+
+/**
+ * Sincroniza la memoria global con la rama activa de una conversación
+ * 
+ * Retira las entidades y temas aportados por mensajes que han quedado fuera de
+ * la rama activa y vuelve a aplicar los de mensajes que regresan a ella.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Array<string>} activeMessageIds - IDs de los mensajes de la rama activa
+ * @returns {Promise<Object>} { deactivated, reactivated }
+ */
+async function setActiveBranch(conversationId, activeMessageIds) {
+    try {
+        if (!conversationId || !Array.isArray(activeMessageIds)) {
+            return { deactivated: 0, reactivated: 0 };
+        }
+        
+        const activeIds = new Set(activeMessageIds);
+        const contributions = await contributionsCollection.find({ conversationId }).toArray();
+        
+        const toDeactivate = contributions.filter(c => c.active && !activeIds.has(c.messageId));
+        const toReactivate = contributions.filter(c => !c.active && activeIds.has(c.messageId));
+        
+        if (toDeactivate.length === 0 && toReactivate.length === 0) {
+            return { deactivated: 0, reactivated: 0 };
+        }
+        
+        const globalMemory = await getGlobalMemoryContext();
+        globalMemory.entities = globalMemory.entities || [];
+        globalMemory.topics = globalMemory.topics || [];
+        
+        toDeactivate.forEach(contribution => applyContribution(globalMemory, contribution, -1));
+        toReactivate.forEach(contribution => applyContribution(globalMemory, contribution, 1));
+        
+        globalMemory.lastUpdated = new Date();
+        await saveGlobalMemory(globalMemory);
+        
+        if (toDeactivate.length > 0) {
+            await contributionsCollection.updateMany(
+                { conversationId, messageId: { $in: toDeactivate.map(c => c.messageId) } },
+                { $set: { active: false, updatedAt: new Date() } }
+            );
+        }
+        
+        if (toReactivate.length > 0) {
+            await contributionsCollection.updateMany(
+                { conversationId, messageId: { $in: toReactivate.map(c => c.messageId) } },
+                { $set: { active: true, updatedAt: new Date() } }
+            );
+        }
+        
+        return { deactivated: toDeactivate.length, reactivated: toReactivate.length };
+    } catch (error) {
+        console.error(`GlobalMemory: Error al sincronizar la rama activa de ${conversationId}:`, error);
+        return { deactivated: 0, reactivated: 0 };
+    }
+}
+
+/**
+ * Suma (1) o resta (-1) una aportación registrada a la memoria global
+ * 
+ * Al restar, las entidades y temas cuyas ocurrencias llegan a cero se eliminan
+ * (salvo los fijados, que se conservan con una ocurrencia).
+ * @param {Object} globalMemory - Memoria global
+ * @param {Object} contribution - Aportación registrada por updateGlobalMemory
+ * @param {number} direction - 1 para aplicar, -1 para retirar
+ * @private
+ */
+function applyContribution(globalMemory, contribution, direction) {
+    for (const entity of contribution.entities || []) {
+        const index = globalMemory.entities.findIndex(
+            e => e.name.toLowerCase() === entity.name.toLowerCase() && e.type === entity.type
+        );
+        
+        if (index >= 0) {
+            const occurrences = (globalMemory.entities[index].occurrences || 1) + direction;
+            if (occurrences <= 0 && !globalMemory.entities[index].pinned) {
+                globalMemory.entities.splice(index, 1);
+            } else {
+                globalMemory.entities[index].occurrences = Math.max(1, occurrences);
+            }
+        } else if (direction > 0) {
+            globalMemory.entities.push({
+                ...entity,
+                embedding: null,
+                occurrences: 1,
+                firstSeen: new Date(),
+                lastSeen: new Date()
+            });
+        }
+    }
+    
+    for (const topic of contribution.topics || []) {
+        const index = globalMemory.topics.findIndex(
+            t => t.name.toLowerCase() === topic.name.toLowerCase()
+        );
+        
+        if (index >= 0) {
+            const occurrences = (globalMemory.topics[index].occurrences || 1) + direction;
+            if (occurrences <= 0 && !globalMemory.topics[index].pinned) {
+                globalMemory.topics.splice(index, 1);
+            } else {
+                globalMemory.topics[index].occurrences = Math.max(1, occurrences);
+            }
+        } else if (direction > 0) {
+            globalMemory.topics.push({
+                ...topic,
+                embedding: null,
+                occurrences: 1,
+                firstSeen: new Date(),
+                lastSeen: new Date()
+            });
+        }
     }
 }
 
@@ -983,16 +1111,14 @@ function updateGlobalStats(globalMemory, conversationId) {
 }
 
 /**
- * Guarda la memoria global en MongoDB
+ * Guarda la memoria global en el almacenamiento
  * @param {Object} globalMemory - Memoria global a guardar
  * @returns {Promise<boolean>} True si se guardó correctamente
  * @private
  */
 async function saveGlobalMemory(globalMemory) {
     try {
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
+        const collection = memoryCollection;
         
         // Actualizar documento existente o crear uno nuevo
         await collection.updateOne(
@@ -1076,8 +1202,8 @@ async function performMaintenance() {
                 const lastSeen = new Date(entity.lastSeen || entity.firstSeen);
                 const daysSinceLastSeen = (now - lastSeen) / (1000 * 60 * 60 * 24);
                 
-                // Aplicar decaimiento exponencial
-                if (daysSinceLastSeen > 7) { // Solo aplicar después de una semana
+                // Aplicar decaimiento exponencial (las entidades fijadas no decaen)
+                if (daysSinceLastSeen > 7 && !entity.pinned) { // Solo aplicar después de una semana
                     const decayFactor = Math.pow(GLOBAL_MEMORY_DECAY, daysSinceLastSeen / 7);
                     globalMemory.entities[index].confidence *= decayFactor;
                 }
@@ -1085,7 +1211,8 @@ async function performMaintenance() {
             
             // Eliminar entidades con confianza muy baja o pocas ocurrencias
             globalMemory.entities = globalMemory.entities.filter(entity => 
-                entity.confidence > 0.1 && (entity.occurrences || 0) >= MIN_ENTITY_OCCURRENCES
+                entity.pinned ||
+                (entity.confidence > 0.1 && (entity.occurrences || 0) >= MIN_ENTITY_OCCURRENCES)
             );
         }
         
@@ -1099,8 +1226,8 @@ async function performMaintenance() {
                 const lastSeen = new Date(topic.lastSeen || topic.firstSeen);
                 const daysSinceLastSeen = (now - lastSeen) / (1000 * 60 * 60 * 24);
                 
-                // Aplicar decaimiento exponencial
-                if (daysSinceLastSeen > 7) { // Solo aplicar después de una semana
+                // Aplicar decaimiento exponencial (los temas fijados no decaen)
+                if (daysSinceLastSeen > 7 && !topic.pinned) { // Solo aplicar después de una semana
                     const decayFactor = Math.pow(GLOBAL_MEMORY_DECAY, daysSinceLastSeen / 7);
                     globalMemory.topics[index].confidence *= decayFactor;
                 }
@@ -1108,7 +1235,7 @@ async function performMaintenance() {
             
             // Eliminar temas con confianza muy baja
             globalMemory.topics = globalMemory.topics.filter(topic => 
-                topic.confidence > 0.1
+                topic.pinned || topic.confidence > 0.1
             );
         }
         
@@ -1145,9 +1272,7 @@ async function performMaintenance() {
  */
 async function trackMemoryUsage(operationType, details = {}) {
     try {
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection('memory_metrics');
+        const collection = metricsCollection;
         
         const metric = {
             timestamp: new Date(),
@@ -1175,9 +1300,7 @@ async function trackMemoryUsage(operationType, details = {}) {
  */
 async function updateEntityTypeMetrics(entityType, wasHelpful) {
     try {
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection('entity_type_metrics');
+        const collection = entityTypeMetricsCollection;
         
         // Actualizar métricas para este tipo de entidad
         await collection.updateOne(
@@ -1190,20 +1313,52 @@ async function updateEntityTypeMetrics(entityType, wasHelpful) {
             },
             { upsert: true }
         );
+        
+        // Forzar el recálculo de los pesos por tipo
+        entityTypeWeights = null;
     } catch (error) {
         console.error('GlobalMemory: Error al actualizar métricas por tipo de entidad:', error);
     }
 }
 
+/**
+ * Obtiene los pesos de relevancia por tipo de entidad
+ * 
+ * El peso es la proporción de valoraciones útiles con suavizado de Laplace,
+ * escalada a (0, 2): 1 sin valoraciones, más de 1 para tipos valorados como
+ * útiles y menos de 1 para los que se marcan como inútiles o erróneos.
+ * @returns {Promise<Object>} Mapa tipo -> peso
+ */
+async function getEntityTypeWeights() {
+    if (entityTypeWeights) {
+        return entityTypeWeights;
+    }
+    
+    try {
+        const weights = {};
+        const typeMetrics = await entityTypeMetricsCollection.find().toArray();
+        
+        typeMetrics.forEach(metric => {
+            const helpful = metric.helpfulUses || 0;
+            const total = metric.totalUses || 0;
+            weights[metric.entityType] = ((helpful + 1) / (total + 2)) * 2;
+        });
+        
+        entityTypeWeights = weights;
+        return weights;
+    } catch (error) {
+        console.error('GlobalMemory: Error al calcular pesos por tipo de entidad:', error);
+        return {};
+    }
+}
+
 /**
  * Limpia métricas antiguas para optimizar espacio
  * @private
  */
 async function cleanupOldMetrics() {
     try {
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection('memory_metrics');
+        const collection = metricsCollection;
         
         // Eliminar métricas más antiguas que 90 días
         const cutoffDate = new Date();
@@ -1225,38 +1380,21 @@ async function cleanupOldMetrics() {
  */
 async function resetGlobalMemory() {
     try {
-        const fs = require('fs').promises;
-        
         // Crear backup antes de reiniciar
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
+        const collection = memoryCollection;
         
         // Obtener memoria actual para hacer backup
         const currentMemory = await collection.findOne({ type: 'global_memory' });
         
         if (currentMemory) {
-            // Crear directorio de backups si no existe
-            const backupDir = path.join(GLOBAL_MEMORY_DIR, 'backups');
-            try {
-                await fs.mkdir(backupDir, { recursive: true });
-            } catch (dirError) {
-                console.error('GlobalMemory: Error al crear directorio de backups:', dirError);
-            }
-            
             // Nombre del archivo de backup con timestamp
             const timestamp = new Date().toISOString().replace(/:/g, '-');
-            const backupPath = path.join(backupDir, `memory_backup_${timestamp}.json`);
             
-            // Guardar backup en disco
-            await fs.writeFile(
-                backupPath, 
-                JSON.stringify(currentMemory, null, 2), 
-                'utf8'
-            );
+            // Guardar backup como archivo
+            await globalMemoryFiles.writeJSON(`backups/memory_backup_${timestamp}.json`, currentMemory);
             
-            // También guardar backup en MongoDB
-            await db.collection('memory_backups').insertOne({
+            // También guardar backup en la colección de backups
+            await memoryBackupsCollection.insertOne({
                 originalMemory: currentMemory,
                 timestamp: new Date(),
                 reason: 'manual_reset'
@@ -1291,6 +1429,9 @@ async function resetGlobalMemory() {
         // Actualizar caché
         await memoryCache.set('global_memory', newMemory);
         
+        // Las aportaciones registradas ya no corresponden a la memoria vacía
+        await contributionsCollection.deleteMany({});
+        
         return {
             success: true,
             message: 'Memoria global reiniciada correctamente',
@@ -1307,14 +1448,20 @@ async function resetGlobalMemory() {
 
 /**
  * Proporciona feedback sobre una entidad de memoria global
+ * 
+ * La valoración se registra en las métricas del tipo de entidad aunque la
+ * entidad no esté en memoria global, de modo que siempre ajusta su peso.
  * @param {string} entityName - Nombre de la entidad
  * @param {string} entityType - Tipo de entidad
  * @param {Object} feedback - Información de retroalimentación
  * @param {boolean} feedback.isCorrect - Si la información es correcta
+ * @param {boolean} feedback.notAnEntity - Si no es una entidad real (se elimina de la memoria global)
+ * @param {string} feedback.correctedName - Nombre corregido (opcional)
+ * @param {string} feedback.correctedType - Tipo corregido (opcional)
  * @param {string} feedback.correctedDescription - Descripción corregida (opcional)
  * @param {number} feedback.correctedConfidence - Confianza corregida (opcional)
  * @param {string} feedback.userComment - Comentario del usuario (opcional)
- * @returns {Promise<Object>} Resultado de la operación
+ * @returns {Promise<Object>} Resultado de la operación (notFound si la entidad no está en memoria global)
  */
 async function provideFeedback(entityName, entityType, feedback) {
     try {
@@ -1325,6 +1472,13 @@ async function provideFeedback(entityName, entityType, feedback) {
             };
         }
         
+        // Actualizar métricas
+        await trackMemoryUsage('feedback', {
+            entityType,
+            wasHelpful: feedback.isCorrect,
+            feedbackDetails: feedback
+        });
+        
         // Obtener memoria global
         const globalMemory = await getGlobalMemoryContext();
         
@@ -1337,31 +1491,46 @@ async function provideFeedback(entityName, entityType, feedback) {
         if (entityIndex === -1) {
             return {
                 success: false,
+                notFound: true,
                 error: 'Entidad no encontrada'
             };
         }
         
         // Guardar estado anterior para registro
         const previousEntityState = { ...globalMemory.entities[entityIndex] };
+        let updatedEntity = globalMemory.entities[entityIndex];
         
         // Aplicar cambios según feedback
-        if (feedback.isCorrect === false) {
+        if (feedback.notAnEntity) {
+            // No es una entidad: retirarla de la memoria global
+            globalMemory.entities.splice(entityIndex, 1);
+            updatedEntity = null;
+        } else if (feedback.isCorrect === false) {
             // Si se marcó como incorrecta
             if (feedback.correctedDescription) {
-                globalMemory.entities[entityIndex].description = feedback.correctedDescription;
+                updatedEntity.description = feedback.correctedDescription;
             }
             
             if (feedback.correctedConfidence !== undefined) {
-                globalMemory.entities[entityIndex].confidence = feedback.correctedConfidence;
-            } else {
+                updatedEntity.confidence = feedback.correctedConfidence;
+            } else if (!feedback.correctedName && !feedback.correctedType) {
                 // Reducir confianza si se marcó como incorrecta sin valor específico
-                globalMemory.entities[entityIndex].confidence *= 0.7;
+                updatedEntity.confidence *= 0.7;
+            }
+            
+            if (feedback.correctedName || feedback.correctedType) {
+                updatedEntity = applyEntityCorrection(
+                    globalMemory,
+                    entityIndex,
+                    feedback.correctedName,
+                    feedback.correctedType
+                );
             }
         } else {
             // Si se marcó como correcta, aumentar confianza
-            globalMemory.entities[entityIndex].confidence = Math.min(
+            updatedEntity.confidence = Math.min(
                 1.0,
-                (globalMemory.entities[entityIndex].confidence || 0.5) * 1.2
+                (updatedEntity.confidence || 0.5) * 1.2
             );
         }
         
@@ -1370,22 +1539,13 @@ async function provideFeedback(entityName, entityType, feedback) {
             entityName,
             entityType,
             previousState: previousEntityState,
-            newState: globalMemory.entities[entityIndex],
+            newState: updatedEntity,
             feedback,
             timestamp: new Date()
         };
         
         // Guardar registro de feedback
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        await db.collection('memory_feedback').insertOne(feedbackRecord);
-        
-        // Actualizar métricas
-        await trackMemoryUsage('feedback', {
-            entityType,
-            wasHelpful: feedback.isCorrect,
-            feedbackDetails: feedback
-        });
+        await feedbackCollection.insertOne(feedbackRecord);
         
         // Guardar cambios en memoria global
         await saveGlobalMemory(globalMemory);
@@ -1393,7 +1553,7 @@ async function provideFeedback(entityName, entityType, feedback) {
         return {
             success: true,
             message: 'Feedback registrado correctamente',
-            entity: globalMemory.entities[entityIndex]
+            entity: updatedEntity
         };
     } catch (error) {
         console.error('GlobalMemory: Error al proporcionar feedback:', error);
@@ -1404,6 +1564,53 @@ async function provideFeedback(entityName, entityType, feedback) {
     }
 }
 
+/**
+ * Renombra o reclasifica una entidad de la memoria global
+ * 
+ * Si ya existe una entidad con el nombre y tipo corregidos, se fusionan.
+ * @param {Object} globalMemory - Memoria global
+ * @param {number} entityIndex - Posición de la entidad a corregir
+ * @param {string} correctedName - Nombre corregido (opcional)
+ * @param {string} correctedType - Tipo corregido (opcional)
+ * @returns {Object} Entidad resultante
+ * @private
+ */
+function applyEntityCorrection(globalMemory, entityIndex, correctedName, correctedType) {
+    const entity = globalMemory.entities[entityIndex];
+    const name = correctedName || entity.name;
+    const type = correctedType || entity.type;
+    
+    const targetIndex = globalMemory.entities.findIndex((e, index) =>
+        index !== entityIndex && e.name.toLowerCase() === name.toLowerCase() && e.type === type
+    );
+    
+    if (targetIndex >= 0) {
+        const target = globalMemory.entities[targetIndex];
+        target.occurrences = (target.occurrences || 1) + (entity.occurrences || 1);
+        target.confidence = Math.max(target.confidence || 0, entity.confidence || 0);
+        target.description = target.description || entity.description || null;
+        target.sensitivityLevel = getMostRestrictiveSensitivity(
+            target.sensitivityLevel,
+            entity.sensitivityLevel
+        );
+        if (new Date(entity.lastSeen) > new Date(target.lastSeen)) {
+            target.lastSeen = entity.lastSeen;
+        }
+        
+        globalMemory.entities.splice(entityIndex, 1);
+        return target;
+    }
+    
+    // El embedding se calculó con el nombre anterior
+    if (name !== entity.name) {
+        entity.embedding = null;
+    }
+    
+    entity.name = name;
+    entity.type = type;
+    return entity;
+}
+
 /**
  * Calcula un promedio ponderado dando más peso a la nueva información
  * @param {number} oldValue - Valor anterior
@@ -1420,6 +1627,281 @@ function calculateRollingAverage(oldValue, newValue, occurrences) {
     return (oldValue * oldValueWeight) + (newValue * newValueWeight);
 }
 
+/**
+ * Limita una lista de entidades o temas sin descartar los fijados
+ * @param {Array<Object>} items - Lista ordenada por relevancia
+ * @param {number} max - Tamaño máximo
+ * @returns {Array<Object>} Lista limitada, en el mismo orden
+ * @private
+ */
+function limitKeepingPinned(items, max) {
+    if (items.length <= max) {
+        return items;
+    }
+    
+    const unpinnedSlots = Math.max(0, max - items.filter(item => item.pinned).length);
+    let unpinnedKept = 0;
+    
+    return items.filter(item => item.pinned || unpinnedKept++ < unpinnedSlots);
+}
+
+/**
+ * Busca la posición de una entidad o un tema en la memoria global
+ * @param {Object} globalMemory - Memoria global
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {string} name - Nombre
+ * @param {string} type - Tipo (solo entidades)
+ * @returns {number} Posición o -1 si no existe
+ * @private
+ */
+function findGlobalItemIndex(globalMemory, kind, name, type) {
+    const items = globalMemory[kind] || [];
+    const lowerName = (name || '').toLowerCase();
+    
+    return items.findIndex(item =>
+        (item.name || '').toLowerCase() === lowerName &&
+        (kind === 'topics' || item.type === type)
+    );
+}
+
+/**
+ * Fija o libera una entidad o un tema de la memoria global
+ * 
+ * Lo fijado no pierde confianza en el mantenimiento ni se descarta al limitar
+ * el tamaño de la memoria.
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {string} name - Nombre
+ * @param {string} type - Tipo (solo entidades)
+ * @param {boolean} pinned - true para fijar, false para liberar
+ * @returns {Promise<Object>} Resultado de la operación (notFound si no existe)
+ */
+async function pinGlobalItem(kind, name, type, pinned) {
+    try {
+        const globalMemory = await getGlobalMemoryContext();
+        const index = findGlobalItemIndex(globalMemory, kind, name, type);
+        
+        if (index === -1) {
+            return { success: false, notFound: true, error: 'Elemento no encontrado' };
+        }
+        
+        const item = globalMemory[kind][index];
+        if (pinned) {
+            item.pinned = true;
+            item.pinnedAt = new Date();
+        } else {
+            delete item.pinned;
+            delete item.pinnedAt;
+        }
+        
+        await saveGlobalMemory(globalMemory);
+        
+        return { success: true, item };
+    } catch (error) {
+        console.error('GlobalMemory: Error al fijar elemento:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Edita una entidad o un tema de la memoria global
+ * 
+ * Una entidad puede cambiar de nombre, tipo o descripción (si el nuevo nombre
+ * ya existe se fusionan); un tema solo de nombre. No se aceptan textos con
+ * datos personales que las políticas excluyen de la memoria global.
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {string} name - Nombre actual
+ * @param {string} type - Tipo actual (solo entidades)
+ * @param {Object} changes - Cambios
+ * @param {string} changes.name - Nuevo nombre (opcional)
+ * @param {string} changes.type - Nuevo tipo (opcional, solo entidades)
+ * @param {string} changes.description - Nueva descripción (opcional, solo entidades)
+ * @returns {Promise<Object>} Resultado de la operación (notFound o piiBlocked si no se aplicó)
+ */
+async function editGlobalItem(kind, name, type, changes = {}) {
+    try {
+        const piiSettings = await piiDetector.getSettings();
+        const editedText = [changes.name, changes.description].filter(Boolean).join(' ');
+        
+        if (piiDetector.blocksGlobalMemory(editedText, piiSettings)) {
+            return {
+                success: false,
+                piiBlocked: true,
+                error: 'El texto contiene datos personales que no pueden guardarse en la memoria global'
+            };
+        }
+        
+        const globalMemory = await getGlobalMemoryContext();
+        const index = findGlobalItemIndex(globalMemory, kind, name, type);
+        
+        if (index === -1) {
+            return { success: false, notFound: true, error: 'Elemento no encontrado' };
+        }
+        
+        const newName = changes.name ? piiDetector.redactText(changes.name, piiSettings).text : null;
+        let item = globalMemory[kind][index];
+        
+        if (kind === 'entities') {
+            if (typeof changes.description === 'string') {
+                item.description = changes.description
+                    ? piiDetector.redactText(changes.description, piiSettings).text
+                    : null;
+            }
+            
+            if ((newName && newName !== item.name) || (changes.type && changes.type !== item.type)) {
+                item = applyEntityCorrection(globalMemory, index, newName, changes.type);
+            }
+        } else if (newName && newName !== item.name) {
+            const targetIndex = findGlobalItemIndex(globalMemory, kind, newName);
+            
+            if (targetIndex >= 0 && targetIndex !== index) {
+                // Fusionar con el tema existente
+                const target = globalMemory.topics[targetIndex];
+                target.occurrences = (target.occurrences || 1) + (item.occurrences || 1);
+                target.confidence = Math.max(target.confidence || 0, item.confidence || 0);
+                target.pinned = target.pinned || item.pinned;
+                globalMemory.topics.splice(index, 1);
+                item = target;
+            } else {
+                // El embedding se calculó con el nombre anterior
+                item.name = newName;
+                item.embedding = null;
+            }
+        }
+        
+        item.editedAt = new Date();
+        
+        await saveGlobalMemory(globalMemory);
+        
+        return { success: true, item };
+    } catch (error) {
+        console.error('GlobalMemory: Error al editar elemento:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Olvida una entidad o un tema de la memoria global
+ * @param {string} kind - 'entities' o 'topics'
+ * @param {string} name - Nombre
+ * @param {string} type - Tipo (solo entidades)
+ * @returns {Promise<Object>} Resultado de la operación (notFound si no existe)
+ */
+async function forgetGlobalItem(kind, name, type) {
+    try {
+        const globalMemory = await getGlobalMemoryContext();
+        const index = findGlobalItemIndex(globalMemory, kind, name, type);
+        
+        if (index === -1) {
+            return { success: false, notFound: true, error: 'Elemento no encontrado' };
+        }
+        
+        const [removed] = globalMemory[kind].splice(index, 1);
+        
+        await saveGlobalMemory(globalMemory);
+        
+        return { success: true, item: removed };
+    } catch (error) {
+        console.error('GlobalMemory: Error al olvidar elemento:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Busca temas de la memoria global por nombre
+ * @param {string} searchTerm - Término de búsqueda
+ * @param {Object} options - Opciones de búsqueda
+ * @param {number} options.limit - Máximo de temas a devolver
+ * @returns {Promise<Array>} Temas { name, occurrences, confidence, lastSeen, pinned, score }
+ */
+async function searchTopics(searchTerm, options = {}) {
+    try {
+        const term = (searchTerm || '').trim().toLowerCase();
+        if (!term) {
+            return [];
+        }
+        
+        const limit = options.limit || 10;
+        const globalMemory = await getGlobalMemoryContext();
+        
+        return (globalMemory.topics || [])
+            .map(topic => {
+                const name = (topic.name || '').toLowerCase();
+                
+                let matchScore = 0;
+                if (name === term) matchScore = 1;
+                else if (name.startsWith(term)) matchScore = 0.8;
+                else if (name.includes(term)) matchScore = 0.6;
+                
+                return {
+                    name: topic.name,
+                    occurrences: topic.occurrences || 1,
+                    confidence: topic.confidence || 0.5,
+                    lastSeen: topic.lastSeen || null,
+                    pinned: Boolean(topic.pinned),
+                    score: matchScore * (topic.confidence || 0.5) * Math.log2((topic.occurrences || 1) + 1)
+                };
+            })
+            .filter(topic => topic.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    } catch (error) {
+        console.error('GlobalMemory: Error al buscar temas:', error);
+        return [];
+    }
+}
+
+/**
+ * Busca entidades de la memoria global por nombre o descripción
+ * 
+ * Las entidades sensibles nunca se devuelven en búsquedas.
+ * @param {string} searchTerm - Término de búsqueda
+ * @param {Object} options - Opciones de búsqueda
+ * @param {number} options.limit - Máximo de entidades a devolver
+ * @returns {Promise<Array>} Entidades { name, type, description, occurrences, confidence, lastSeen, pinned, score }
+ */
+async function searchEntities(searchTerm, options = {}) {
+    try {
+        const term = (searchTerm || '').trim().toLowerCase();
+        if (!term) {
+            return [];
+        }
+        
+        const limit = options.limit || 10;
+        const globalMemory = await getGlobalMemoryContext();
+        
+        return (globalMemory.entities || [])
+            .filter(entity => entity.sensitivityLevel !== SENSITIVITY_LEVELS.SENSITIVE)
+            .map(entity => {
+                const name = (entity.name || '').toLowerCase();
+                const description = (entity.description || '').toLowerCase();
+                
+                // Coincidencia exacta > prefijo > subcadena en nombre > descripción
+                let matchScore = 0;
+                if (name === term) matchScore = 1;
+                else if (name.startsWith(term)) matchScore = 0.8;
+                else if (name.includes(term)) matchScore = 0.6;
+                else if (description.includes(term)) matchScore = 0.3;
+                
+                return {
+                    name: entity.name,
+                    type: entity.type,
+                    description: entity.description || null,
+                    occurrences: entity.occurrences || 1,
+                    confidence: entity.confidence || 0.5,
+                    lastSeen: entity.lastSeen || null,
+                    pinned: Boolean(entity.pinned),
+                    score: matchScore * (entity.confidence || 0.5) * Math.log2((entity.occurrences || 1) + 1)
+                };
+            })
+            .filter(entity => entity.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    } catch (error) {
+        console.error('GlobalMemory: Error al buscar entidades:', error);
+        return [];
+    }
+}
+
 /**
  * Obtiene estadísticas sobre la memoria global
  * @returns {Promise<Object>} Estadísticas de la memoria global
@@ -1464,15 +1946,12 @@ async function getGlobalMemoryStats() {
         }
         
         // Obtener estadísticas de uso de métricas
-        const client = await getMongoClient();
-        const db = client.db(DB_NAME);
-        
         // Estadísticas de uso por tipo de entidad
-        const entityTypeMetrics = await db.collection('entity_type_metrics').find().toArray();
+        const entityTypeMetrics = await entityTypeMetricsCollection.find().toArray();
         stats.entityTypeMetrics = entityTypeMetrics;
         
         // Estadísticas de operaciones recientes
-        const recentOperations = await db.collection('memory_metrics')
+        const recentOperations = await metricsCollection
             .find()
             .sort({ timestamp: -1 })
             .limit(100)
@@ -1499,9 +1978,16 @@ module.exports = {
     getGlobalMemoryContext,
     enrichContextWithGlobalMemory,
     updateGlobalMemory,
+    setActiveBranch,
     performMaintenance,
     resetGlobalMemory,
     provideFeedback,
+    getEntityTypeWeights,
+    searchEntities,
+    searchTopics,
+    pinGlobalItem,
+    editGlobalItem,
+    forgetGlobalItem,
     getGlobalMemoryStats,
     SENSITIVITY_LEVELS
 };
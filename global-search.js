@@ -0,0 +1,207 @@
+/**
+ * Búsqueda Global para CAG
+ *
+ * Este módulo combina en una sola búsqueda los títulos y mensajes de todas las
+ * conversaciones, el contenido de los documentos subidos y las entidades de la
+ * memoria global. Los resultados se agrupan por conversación y se ordenan por
+ * una puntuación que pondera el tipo de coincidencia y la recencia.
+ */
+
+const db = require('./db');
+const documentProcessor = require('./document-processor');
+const globalMemory = require('./global-memory');
+
+// Pesos por tipo de coincidencia
+const MATCH_WEIGHTS = {
+    title: 3,
+    message: 1,
+    document: 1.5
+};
+// Máximo de ocurrencias de un mensaje que suman puntuación
+const MAX_COUNTED_OCCURRENCES = 3;
+// Días en los que el impulso por recencia decae a 1/e
+const RECENCY_DECAY_DAYS = 30;
+// Límites por defecto
+const DEFAULT_LIMIT = 20;
+const MAX_MATCHES_PER_CONVERSATION = 10;
+const MAX_ENTITIES = 10;
+
+/**
+ * Realiza una búsqueda global
+ * @param {string} searchTerm - Término de búsqueda
+ * @param {Object} options - Opciones de búsqueda
+ * @param {number} [options.limit] - Máximo de conversaciones a devolver
+ * @param {string} [options.memberId] - Limitar la búsqueda a las conversaciones propias o compartidas con un usuario
+ * @returns {Promise<Object>} { term, total, conversations, entities }
+ */
+async function searchGlobal(searchTerm, options = {}) {
+    const term = (searchTerm || '').trim();
+    const limit = options.limit || DEFAULT_LIMIT;
+    const memberId = options.memberId || null;
+
+    // Las fuentes son independientes: un fallo en una no anula las demás
+    const [messageResults, documentResults, entityResults] = await Promise.allSettled([
+        db.searchMessages(term, { memberId }),
+        documentProcessor.searchAllDocuments(term),
+        globalMemory.searchEntities(term, { limit: MAX_ENTITIES })
+    ]);
+
+    const groups = new Map();
+
+    if (messageResults.status === 'fulfilled') {
+        messageResults.value.forEach(conv => addMessageMatches(groups, conv));
+    } else {
+        console.error('GlobalSearch: Error al buscar en mensajes:', messageResults.reason);
+    }
+
+    if (documentResults.status === 'fulfilled') {
+        await addDocumentMatches(groups, documentResults.value, memberId);
+    } else {
+        console.error('GlobalSearch: Error al buscar en documentos:', documentResults.reason);
+    }
+
+    const conversations = Array.from(groups.values())
+        .map(group => finalizeGroup(group))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    return {
+        term,
+        total: conversations.reduce((sum, conv) => sum + conv.matches.length, 0),
+        conversations,
+        entities: entityResults.status === 'fulfilled' ? entityResults.value : []
+    };
+}
+
+/**
+ * Obtiene (o crea) el grupo de resultados de una conversación
+ * @param {Map} groups - Grupos indexados por ID de conversación
+ * @param {Object} conversation - Datos básicos de la conversación
+ * @returns {Object} Grupo de resultados
+ * @private
+ */
+function getGroup(groups, conversation) {
+    if (!groups.has(conversation.id)) {
+        groups.set(conversation.id, {
+            id: conversation.id,
+            title: conversation.title || 'Sin título',
+            lastActive: conversation.lastActive || conversation.created_at,
+            score: 0,
+            matches: []
+        });
+    }
+    return groups.get(conversation.id);
+}
+
+/**
+ * Añade las coincidencias de título y mensajes de una conversación
+ * @param {Map} groups - Grupos indexados por ID de conversación
+ * @param {Object} conv - Resultado de db.searchMessages
+ * @private
+ */
+function addMessageMatches(groups, conv) {
+    const group = getGroup(groups, conv);
+
+    if (conv.titleMatch) {
+        group.matches.push({
+            type: 'title',
+            role: 'title',
+            content: conv.title,
+            timestamp: conv.lastActive,
+            score: MATCH_WEIGHTS.title
+        });
+    }
+
+    conv.matches.forEach(match => {
+        group.matches.push({
+            type: 'message',
+            role: match.role,
+            content: match.content,
+            timestamp: match.timestamp,
+            messageIndex: match.messageIndex,
+            score: MATCH_WEIGHTS.message * Math.min(match.occurrences, MAX_COUNTED_OCCURRENCES)
+        });
+    });
+}
+
+/**
+ * Comprueba si un usuario es propietario o colaborador de una conversación
+ * @param {Object} conversation - Conversación
+ * @param {string} userId - ID del usuario
+ * @returns {boolean} True si tiene acceso
+ * @private
+ */
+function isMember(conversation, userId) {
+    return conversation.ownerId === userId ||
+        (conversation.collaborators || []).some(c => c.userId === userId);
+}
+
+/**
+ * Añade las coincidencias en documentos a sus conversaciones
+ *
+ * Los documentos de conversaciones que ya no existen (o de las que el usuario
+ * no es propietario ni colaborador) se descartan.
+ * @param {Map} groups - Grupos indexados por ID de conversación
+ * @param {Array} documentResults - Resultados de documentProcessor.searchAllDocuments
+ * @param {string|null} memberId - Usuario que busca (propietario o colaborador)
+ * @private
+ */
+async function addDocumentMatches(groups, documentResults, memberId) {
+    for (const result of documentResults) {
+        let group = groups.get(result.conversationId);
+
+        if (!group) {
+            const conversation = await db.getConversation(result.conversationId);
+            if (!conversation || (memberId && !isMember(conversation, memberId))) {
+                continue;
+            }
+            group = getGroup(groups, conversation);
+        }
+
+        result.contexts.forEach(context => {
+            group.matches.push({
+                type: 'document',
+                role: 'document',
+                docId: result.docId,
+                docName: result.fileName,
+                content: context,
+                timestamp: result.uploadDate,
+                score: MATCH_WEIGHTS.document
+            });
+        });
+    }
+}
+
+/**
+ * Calcula la puntuación final de un grupo y ordena sus coincidencias
+ * @param {Object} group - Grupo de resultados
+ * @returns {Object} Grupo listo para la respuesta
+ * @private
+ */
+function finalizeGroup(group) {
+    const baseScore = group.matches.reduce((sum, match) => sum + match.score, 0);
+
+    // Impulso por recencia: hasta +50% para conversaciones recientes
+    const ageDays = group.lastActive
+        ? (Date.now() - new Date(group.lastActive).getTime()) / (24 * 60 * 60 * 1000)
+        : Infinity;
+    const recencyBoost = Number.isFinite(ageDays)
+        ? 1 + 0.5 * Math.exp(-Math.max(0, ageDays) / RECENCY_DECAY_DAYS)
+        : 1;
+
+    const matches = group.matches
+        .sort((a, b) => b.score - a.score ||
+            new Date(b.timestamp || 0) - new Date(a.timestamp || 0))
+        .slice(0, MAX_MATCHES_PER_CONVERSATION)
+        .map(({ score, ...match }) => match);
+
+    return {
+        ...group,
+        score: Number((baseScore * recencyBoost).toFixed(3)),
+        matches
+    };
+}
+
+module.exports = {
+    searchGlobal
+};
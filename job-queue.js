@@ -0,0 +1,448 @@
+/**
+ * Cola de Trabajos para CAG
+ *
+ * Ejecuta en segundo plano las tareas largas (por ejemplo, el procesamiento de
+ * documentos) para que las peticiones HTTP respondan de inmediato con un ID
+ * de trabajo. El estado de cada trabajo se persiste en la colección "jobs"
+ * y el fichero de entrada en el bucket "jobs", de modo que un reinicio del
+ * servidor o un fallo no pierden la subida: los trabajos interrumpidos vuelven
+ * a la cola y los fallidos pueden reintentarse.
+ *
+ * Estados: queued → running → completed | failed | cancelled
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// Estado persistido de los trabajos y ficheros de entrada
+const jobs = storage.collection('jobs');
+const jobInputs = storage.bucket('jobs');
+
+// Trabajos en ejecución a la vez
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10));
+// Intentos por defecto antes de marcar un trabajo como fallido
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Espera base entre reintentos (se duplica en cada intento)
+const RETRY_BASE_DELAY_MS = 5000;
+// Intervalo de sondeo de la cola para trabajos diferidos
+const POLL_INTERVAL_MS = 2000;
+// Días que se conservan los trabajos terminados
+const RETENTION_DAYS = 7;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Manejadores registrados por tipo de trabajo
+const handlers = new Map();
+// IDs de trabajos en ejecución en este proceso
+const runningJobs = new Set();
+
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Inicializa la cola: recupera los trabajos interrumpidos y empieza a sondear
+ * @returns {Promise<void>}
+ */
+async function init() {
+    try {
+        await jobs.createIndex({ id: 1 }, { unique: true });
+        await jobs.createIndex({ conversationId: 1 });
+
+        // Los trabajos que estaban en ejecución al parar el servidor vuelven a la cola
+        const interrupted = await jobs.updateMany(
+            { status: 'running' },
+            { $set: { status: 'queued', stage: 'queued', updatedAt: new Date().toISOString() } }
+        );
+        if (interrupted.modifiedCount > 0) {
+            console.log(`JobQueue: ${interrupted.modifiedCount} trabajos interrumpidos devueltos a la cola`);
+        }
+
+        await pruneFinishedJobs();
+
+        if (!pollTimer) {
+            pollTimer = setInterval(() => drain(), POLL_INTERVAL_MS);
+            pollTimer.unref();
+        }
+
+        console.log(`JobQueue: Inicializada (concurrencia ${CONCURRENCY})`);
+        drain();
+    } catch (error) {
+        console.error('JobQueue: Error de inicialización:', error);
+    }
+}
+
+/**
+ * Registra el manejador de un tipo de trabajo
+ *
+ * El manejador recibe el trabajo, el fichero de entrada (Buffer o null) y un
+ * objeto de control con progress(percent, stage), que guarda el progreso y
+ * lanza un error si se ha solicitado la cancelación, e isCancelled(), para
+ * comprobarla antes de confirmar resultados que ya no pasan por un punto de control.
+ * @param {string} type - Tipo de trabajo
+ * @param {Function} handler - async (job, input, control) => result
+ */
+function registerHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Añade un trabajo a la cola
+ * @param {string} type - Tipo de trabajo (debe tener manejador registrado)
+ * @param {Object} payload - Datos del trabajo
+ * @param {Object} options - Opciones
+ * @param {Buffer} options.input - Fichero de entrada a persistir con el trabajo
+ * @param {string} options.ownerId - Usuario que creó el trabajo
+ * @param {string} options.conversationId - Conversación asociada
+ * @param {number} options.maxAttempts - Intentos máximos
+ * @returns {Promise<Object>} Trabajo creado
+ */
+async function enqueue(type, payload = {}, options = {}) {
+    if (!handlers.has(type)) {
+        throw new Error(`Tipo de trabajo no registrado: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: uuidv4(),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        payload,
+        result: null,
+        error: null,
+        attempts: 0,
+        maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        cancelRequested: false,
+        hasInput: Boolean(options.input),
+        ownerId: options.ownerId || null,
+        conversationId: options.conversationId || null,
+        runAfter: now,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    if (options.input) {
+        await jobInputs.write(`${job.id}.input`, options.input);
+    }
+
+    await jobs.insertOne(job);
+    console.log(`JobQueue: Trabajo ${job.id} (${type}) encolado`);
+
+    setImmediate(() => drain());
+    return job;
+}
+
+/**
+ * Obtiene un trabajo
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<Object|null>} Trabajo o null si no existe
+ */
+async function getJob(jobId) {
+    return jobs.findOne({ id: jobId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Lista trabajos, del más reciente al más antiguo
+ * @param {Object} filter - Filtro (conversationId, type, status...)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.activeOnly - Solo trabajos pendientes o en ejecución
+ * @param {number} options.limit - Máximo de trabajos
+ * @returns {Promise<Array<Object>>} Trabajos
+ */
+async function listJobs(filter = {}, options = {}) {
+    const query = { ...filter };
+    if (options.activeOnly) {
+        query.status = { $in: ['queued', 'running'] };
+    }
+
+    return jobs.find(query, { projection: { _id: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(options.limit || 50)
+        .toArray();
+}
+
+/**
+ * Cancela un trabajo
+ *
+ * Los trabajos en cola se cancelan de inmediato; los que están en ejecución se
+ * detienen en el siguiente punto de control del manejador.
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<Object|null>} Trabajo actualizado o null si no se puede cancelar
+ */
+async function cancelJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    if (job.status === 'queued') {
+        await jobs.updateOne(
+            { id: jobId, status: 'queued' },
+            { $set: { status: 'cancelled', stage: 'cancelled', cancelRequested: true, finishedAt: now, updatedAt: now } }
+        );
+    } else {
+        await jobs.updateOne(
+            { id: jobId },
+            { $set: { cancelRequested: true, updatedAt: now } }
+        );
+    }
+
+    console.log(`JobQueue: Cancelación solicitada para el trabajo ${jobId}`);
+    return getJob(jobId);
+}
+
+/**
+ * Vuelve a encolar un trabajo fallido o cancelado
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<Object|null>} Trabajo actualizado o null si no se puede reintentar
+ */
+async function retryJob(jobId) {
+    const job = await getJob(jobId);
+    if (!job || !['failed', 'cancelled'].includes(job.status)) {
+        return null;
+    }
+
+    // Sin el fichero de entrada no hay nada que reprocesar
+    if (job.hasInput && !(await jobInputs.exists(`${jobId}.input`))) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    await jobs.updateOne(
+        { id: jobId },
+        {
+            $set: {
+                status: 'queued',
+                stage: 'queued',
+                progress: 0,
+                error: null,
+                attempts: 0,
+                cancelRequested: false,
+                runAfter: now,
+                finishedAt: null,
+                updatedAt: now
+            }
+        }
+    );
+
+    console.log(`JobQueue: Trabajo ${jobId} reintentado manualmente`);
+    setImmediate(() => drain());
+    return getJob(jobId);
+}
+
+/**
+ * Arranca trabajos pendientes mientras haya capacidad libre
+ * @private
+ */
+async function drain() {
+    if (draining) return;
+    draining = true;
+
+    try {
+        while (runningJobs.size < CONCURRENCY) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            runningJobs.add(job.id);
+            runJob(job).finally(() => {
+                runningJobs.delete(job.id);
+                setImmediate(() => drain());
+            });
+        }
+    } catch (error) {
+        console.error('JobQueue: Error al procesar la cola:', error);
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Toma el trabajo pendiente más antiguo cuyo momento de ejecución ya llegó
+ * @returns {Promise<Object|null>} Trabajo marcado como en ejecución
+ * @private
+ */
+async function claimNextJob() {
+    const now = new Date().toISOString();
+    const [candidate] = await jobs.find({ status: 'queued', runAfter: { $lte: now } })
+        .sort({ createdAt: 1 })
+        .limit(1)
+        .toArray();
+
+    if (!candidate) {
+        return null;
+    }
+
+    const result = await jobs.updateOne(
+        { id: candidate.id, status: 'queued' },
+        {
+            $set: { status: 'running', stage: 'started', startedAt: now, updatedAt: now },
+            $inc: { attempts: 1 }
+        }
+    );
+
+    // Otro proceso lo tomó antes
+    if (result.modifiedCount === 0) {
+        return null;
+    }
+
+    return getJob(candidate.id);
+}
+
+/**
+ * Crea el error con el que un manejador interrumpe un trabajo cancelado
+ * @returns {Error} Error marcado como cancelación (el trabajo termina como cancelled)
+ */
+function createCancelledError() {
+    const error = new Error('Trabajo cancelado');
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Ejecuta un trabajo y persiste su resultado
+ * @param {Object} job - Trabajo en ejecución
+ * @private
+ */
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+
+    const control = {
+        isCancelled: async () => {
+            const current = await getJob(job.id);
+            return !current || Boolean(current.cancelRequested);
+        },
+        progress: async (percent, stage) => {
+            const current = await getJob(job.id);
+            if (!current || current.cancelRequested) {
+                throw createCancelledError();
+            }
+
+            await jobs.updateOne(
+                { id: job.id },
+                {
+                    $set: {
+                        progress: Math.max(0, Math.min(100, Math.round(percent))),
+                        stage: stage || current.stage,
+                        updatedAt: new Date().toISOString()
+                    }
+                }
+            );
+        }
+    };
+
+    try {
+        if (!handler) {
+            throw new Error(`Tipo de trabajo no registrado: ${job.type}`);
+        }
+
+        const input = job.hasInput ? await jobInputs.read(`${job.id}.input`) : null;
+        if (job.hasInput && !input) {
+            throw new Error('El fichero de entrada del trabajo no está disponible');
+        }
+
+        const result = await handler(job, input, control);
+        const now = new Date().toISOString();
+
+        await jobs.updateOne(
+            { id: job.id },
+            { $set: { status: 'completed', stage: 'completed', progress: 100, result: result || null, error: null, finishedAt: now, updatedAt: now } }
+        );
+
+        // La entrada ya no es necesaria una vez completado el trabajo
+        if (job.hasInput) {
+            await jobInputs.remove(`${job.id}.input`);
+        }
+
+        console.log(`JobQueue: Trabajo ${job.id} completado`);
+    } catch (error) {
+        // Un fallo al guardar el estado no debe rechazar runJob (drain no lo espera)
+        try {
+            const now = new Date().toISOString();
+
+            if (error.cancelled) {
+                await jobs.updateOne(
+                    { id: job.id },
+                    { $set: { status: 'cancelled', stage: 'cancelled', finishedAt: now, updatedAt: now } }
+                );
+                console.log(`JobQueue: Trabajo ${job.id} cancelado`);
+                return;
+            }
+
+            // Reintentar con espera exponencial hasta agotar los intentos
+            if (job.attempts < job.maxAttempts && !error.permanent) {
+                const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+                await jobs.updateOne(
+                    { id: job.id },
+                    {
+                        $set: {
+                            status: 'queued',
+                            stage: 'retrying',
+                            error: error.message,
+                            runAfter: new Date(Date.now() + delay).toISOString(),
+                            updatedAt: now
+                        }
+                    }
+                );
+                console.warn(`JobQueue: Trabajo ${job.id} falló (intento ${job.attempts}/${job.maxAttempts}), reintento en ${delay}ms: ${error.message}`);
+                return;
+            }
+
+            await jobs.updateOne(
+                { id: job.id },
+                { $set: { status: 'failed', stage: 'failed', error: error.message, finishedAt: now, updatedAt: now } }
+            );
+            console.error(`JobQueue: Trabajo ${job.id} fallido:`, error);
+        } catch (updateError) {
+            console.error(`JobQueue: Error al actualizar el estado del trabajo ${job.id}:`, updateError);
+        }
+    }
+}
+
+/**
+ * Elimina los trabajos terminados (y sus ficheros de entrada) más antiguos que la retención
+ * @returns {Promise<number>} Trabajos eliminados
+ */
+async function pruneFinishedJobs() {
+    try {
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const filter = { status: { $in: TERMINAL_STATUSES }, updatedAt: { $lt: cutoff } };
+
+        const expired = await jobs.find(filter, { projection: { id: 1 } }).toArray();
+        for (const job of expired) {
+            await jobInputs.remove(`${job.id}.input`);
+        }
+
+        const result = await jobs.deleteMany(filter);
+        return result.deletedCount || 0;
+    } catch (error) {
+        console.error('JobQueue: Error al eliminar trabajos antiguos:', error);
+        return 0;
+    }
+}
+
+/**
+ * Detiene el sondeo de la cola (los trabajos en curso se recuperan al reiniciar)
+ */
+function close() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+module.exports = {
+    init,
+    registerHandler,
+    enqueue,
+    getJob,
+    listJobs,
+    cancelJob,
+    createCancelledError,
+    retryJob,
+    pruneFinishedJobs,
+    close
+};
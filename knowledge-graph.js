@@ -0,0 +1,875 @@
+/**
+ * Grafo de conocimiento para CAG
+ *
+ * Mantiene un grafo persistente de entidades (nodos) y relaciones (aristas)
+ * construido a partir de los mensajes de las conversaciones y de los
+ * documentos subidos. Las relaciones se obtienen con
+ * entityExtractor.extractEntityRelations.
+ *
+ * Cada nodo y arista guarda sus fuentes ({ conversationId, messageId,
+ * documentId, active }): el peso es el número de fuentes activas, de modo que
+ * las ramas abandonadas, las versiones sustituidas de un documento y las
+ * conversaciones eliminadas dejan de contar sin reconstruir el grafo. Las
+ * consultas admiten una lista de conversaciones para limitar el grafo a las
+ * que el usuario puede ver.
+ */
+
+const storage = require('./storage');
+const entityExtractor = require('./entity-extractor');
+
+// Colecciones del grafo
+const nodes = storage.collection('graph_nodes');
+const edges = storage.collection('graph_edges');
+
+// Tipos de entidad que no forman parte del grafo (valores sueltos y datos de contacto)
+const IGNORED_ENTITY_TYPES = new Set(['date', 'money', 'percentage', 'value', 'email', 'url', 'phone']);
+// Tipos equivalentes que producen los distintos extractores
+const TYPE_ALIASES = { place: 'location', org: 'organization', people: 'person' };
+// Relación genérica entre entidades que aparecen cerca en el texto
+const CO_OCCURRENCE = 'co-occurrence';
+
+// Máximo de entidades tomadas de un mismo texto
+const MAX_ENTITIES_PER_TEXT = 25;
+// Tamaño de las ventanas de texto en las que se buscan relaciones dentro de un documento
+const DOCUMENT_WINDOW_SIZE = 1500;
+// Máximo de ventanas analizadas por documento
+const MAX_DOCUMENT_WINDOWS = 200;
+// Máximo de aristas devueltas al consultar vecinos
+const MAX_NEIGHBORS = 50;
+// Profundidad máxima de vecindario y de búsqueda de caminos
+const MAX_NEIGHBOR_DEPTH = 2;
+const MAX_PATH_DEPTH = 4;
+// Máximo de caminos devueltos y de nodos explorados por nivel al buscarlos
+const MAX_PATHS = 5;
+const MAX_PATH_FRONTIER = 500;
+// Máximo de nodos de un subgrafo por tipo
+const MAX_SUBGRAPH_NODES = 100;
+// Máximo de relaciones aportadas como contexto del prompt
+const MAX_CONTEXT_RELATIONS = 12;
+
+/**
+ * Crea los índices del grafo (solo aplican en MongoDB)
+ * @returns {Promise<void>}
+ */
+async function init() {
+    try {
+        await nodes.createIndex({ id: 1 }, { unique: true });
+        await nodes.createIndex({ normalizedName: 1 });
+        await nodes.createIndex({ type: 1 });
+        await nodes.createIndex({ 'sources.conversationId': 1 });
+        await edges.createIndex({ id: 1 }, { unique: true });
+        await edges.createIndex({ source: 1 });
+        await edges.createIndex({ target: 1 });
+        await edges.createIndex({ 'sources.conversationId': 1 });
+        console.log('KnowledgeGraph: Inicializado correctamente');
+    } catch (error) {
+        console.error('KnowledgeGraph: Error de inicialización:', error);
+    }
+}
+
+// ===== CONSTRUCCIÓN =====
+
+/**
+ * Normaliza un nombre de entidad para compararlo (minúsculas, sin tildes ni espacios extra)
+ * @param {string} name - Nombre
+ * @returns {string} Nombre normalizado
+ * @private
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normaliza el tipo de una entidad
+ * @param {string} type - Tipo devuelto por el extractor
+ * @returns {string} Tipo normalizado
+ * @private
+ */
+function normalizeType(type) {
+    const lower = String(type || 'concept').toLowerCase();
+    return TYPE_ALIASES[lower] || lower;
+}
+
+/**
+ * Calcula el ID de nodo de una entidad
+ * @param {string} name - Nombre
+ * @param {string} type - Tipo
+ * @returns {string} ID del nodo
+ * @private
+ */
+function nodeId(name, type) {
+    return `${normalizeType(type)}:${normalizeName(name)}`;
+}
+
+/**
+ * Filtra y deduplica las entidades que pasan al grafo
+ * @param {Array<Object>} entities - Entidades con name y type
+ * @returns {Array<Object>} Entidades { id, name, type }
+ * @private
+ */
+function prepareEntities(entities) {
+    const prepared = new Map();
+
+    for (const entity of entities || []) {
+        if (!entity || !entity.name || normalizeName(entity.name).length < 2) continue;
+
+        const type = normalizeType(entity.type);
+        if (IGNORED_ENTITY_TYPES.has(type)) continue;
+
+        const id = nodeId(entity.name, type);
+        if (!prepared.has(id)) {
+            prepared.set(id, { id, name: String(entity.name).trim(), type });
+        }
+    }
+
+    return [...prepared.values()].slice(0, MAX_ENTITIES_PER_TEXT);
+}
+
+/**
+ * Extrae las relaciones entre entidades de un texto
+ *
+ * La co-ocurrencia se guarda sin dirección (origen y destino ordenados) y se
+ * descarta cuando el mismo par ya tiene una relación con nombre.
+ * @param {Array<Object>} entities - Entidades preparadas
+ * @param {string} text - Texto en el que aparecen
+ * @returns {Promise<Array<Object>>} Relaciones { id, source, target, relationType, directed, confidence }
+ * @private
+ */
+async function findRelations(entities, text) {
+    if (entities.length < 2 || !text) {
+        return [];
+    }
+
+    const extracted = await entityExtractor.extractEntityRelations(entities, text);
+    const relations = new Map();
+    const typedPairs = new Set();
+
+    for (const relation of extracted || []) {
+        const source = nodeId(relation.sourceEntity, relation.sourceType);
+        const target = nodeId(relation.targetEntity, relation.targetType);
+        if (source === target) continue;
+
+        const directed = relation.relationType !== CO_OCCURRENCE;
+        const [from, to] = directed || source < target ? [source, target] : [target, source];
+        const id = `${from}|${relation.relationType}|${to}`;
+
+        if (directed) {
+            typedPairs.add([from, to].sort().join('|'));
+        }
+
+        const existing = relations.get(id);
+        if (!existing || existing.confidence < relation.confidence) {
+            relations.set(id, {
+                id,
+                source: from,
+                target: to,
+                relationType: relation.relationType,
+                directed,
+                confidence: relation.confidence || 0.5
+            });
+        }
+    }
+
+    return [...relations.values()].filter(relation =>
+        relation.directed || !typedPairs.has([relation.source, relation.target].sort().join('|'))
+    );
+}
+
+/**
+ * Registra nodos y aristas con una fuente
+ * @param {Array<Object>} graphEntities - Entidades preparadas
+ * @param {Array<Object>} relations - Relaciones (con mentions opcional)
+ * @param {Object} source - { conversationId, messageId, documentId }
+ * @returns {Promise<Object>} { nodes, edges } registrados
+ * @private
+ */
+async function addToGraph(graphEntities, relations, source) {
+    const now = new Date().toISOString();
+    const sourceEntry = {
+        conversationId: source.conversationId,
+        messageId: source.messageId || null,
+        documentId: source.documentId || null,
+        active: true,
+        createdAt: now
+    };
+
+    if (graphEntities.length > 0) {
+        await nodes.bulkWrite(graphEntities.map(entity => ({
+            updateOne: {
+                filter: { id: entity.id },
+                update: {
+                    $setOnInsert: {
+                        name: entity.name,
+                        normalizedName: normalizeName(entity.name),
+                        type: entity.type,
+                        createdAt: now
+                    },
+                    $set: { updatedAt: now },
+                    $push: { sources: sourceEntry }
+                },
+                upsert: true
+            }
+        })));
+    }
+
+    if (relations.length > 0) {
+        await edges.bulkWrite(relations.map(relation => ({
+            updateOne: {
+                filter: { id: relation.id },
+                update: {
+                    $setOnInsert: {
+                        source: relation.source,
+                        target: relation.target,
+                        relationType: relation.relationType,
+                        directed: relation.directed,
+                        createdAt: now
+                    },
+                    $set: { updatedAt: now },
+                    $push: {
+                        sources: {
+                            ...sourceEntry,
+                            confidence: relation.confidence,
+                            mentions: relation.mentions || 1
+                        }
+                    }
+                },
+                upsert: true
+            }
+        })));
+    }
+
+    return { nodes: graphEntities.length, edges: relations.length };
+}
+
+/**
+ * Añade al grafo las entidades y relaciones de un intercambio de la conversación
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} messageId - ID de la respuesta del bot (identifica la aportación en la rama)
+ * @param {Array<Object>} entities - Entidades detectadas en el mensaje del usuario
+ * @param {string} userMessage - Mensaje del usuario
+ * @param {string} botResponse - Respuesta del bot
+ * @returns {Promise<Object>} { nodes, edges } registrados
+ */
+async function ingestConversationTurn(conversationId, messageId, entities, userMessage, botResponse) {
+    try {
+        let responseEntities = [];
+        try {
+            responseEntities = await entityExtractor.extractEntities(botResponse || '') || [];
+        } catch (extractError) {
+            console.error('KnowledgeGraph: Error al extraer entidades de la respuesta:', extractError);
+        }
+
+        const graphEntities = prepareEntities([...(entities || []), ...responseEntities]);
+        if (graphEntities.length === 0) {
+            return { nodes: 0, edges: 0 };
+        }
+
+        const text = `${userMessage || ''}\n${botResponse || ''}`;
+        const relations = await findRelations(graphEntities, text);
+
+        return await addToGraph(graphEntities, relations, { conversationId, messageId });
+    } catch (error) {
+        console.error(`KnowledgeGraph: Error al añadir el intercambio ${messageId} de ${conversationId}:`, error);
+        return { nodes: 0, edges: 0 };
+    }
+}
+
+/**
+ * Divide el texto de un documento en ventanas de párrafos completos
+ * @param {string} text - Texto del documento
+ * @returns {Array<string>} Ventanas de hasta DOCUMENT_WINDOW_SIZE caracteres (salvo párrafos más largos)
+ * @private
+ */
+function splitWindows(text) {
+    const windows = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n\s*\n|\f/)) {
+        if (current && current.length + paragraph.length > DOCUMENT_WINDOW_SIZE) {
+            windows.push(current);
+            if (windows.length >= MAX_DOCUMENT_WINDOWS) {
+                return windows;
+            }
+            current = '';
+        }
+        current += (current ? '\n\n' : '') + paragraph;
+    }
+
+    if (current.trim()) {
+        windows.push(current);
+    }
+
+    return windows;
+}
+
+/**
+ * Añade al grafo las entidades de un documento y las relaciones entre ellas
+ *
+ * Las relaciones se buscan por ventanas de texto para que solo se relacionen
+ * entidades que aparecen cerca; cada arista guarda en cuántas ventanas se vio.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} document - Metadatos del documento (id, entities)
+ * @param {string} text - Texto extraído del documento
+ * @returns {Promise<Object>} { nodes, edges } registrados
+ */
+async function ingestDocument(conversationId, document, text) {
+    try {
+        const graphEntities = prepareEntities(document.entities);
+        if (graphEntities.length === 0) {
+            return { nodes: 0, edges: 0 };
+        }
+
+        const relations = new Map();
+        for (const window of splitWindows(text || '')) {
+            const lowerWindow = window.toLowerCase();
+            const windowEntities = graphEntities.filter(entity =>
+                lowerWindow.includes(entity.name.toLowerCase())
+            );
+
+            for (const relation of await findRelations(windowEntities, window)) {
+                const existing = relations.get(relation.id);
+                if (existing) {
+                    existing.mentions++;
+                    existing.confidence = Math.max(existing.confidence, relation.confidence);
+                } else {
+                    relations.set(relation.id, { ...relation, mentions: 1 });
+                }
+            }
+        }
+
+        return await addToGraph(graphEntities, [...relations.values()], {
+            conversationId,
+            documentId: document.id
+        });
+    } catch (error) {
+        console.error(`KnowledgeGraph: Error al añadir el documento ${document && document.id}:`, error);
+        return { nodes: 0, edges: 0 };
+    }
+}
+
+/**
+ * Reescribe las fuentes de una conversación en nodos y aristas
+ *
+ * Los elementos que se quedan sin fuentes se eliminan.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Function} mapSource - Recibe una fuente y devuelve la fuente actualizada o null para quitarla
+ * @returns {Promise<Object>} { updated, removed }
+ * @private
+ */
+async function updateSources(conversationId, mapSource) {
+    const result = { updated: 0, removed: 0 };
+
+    for (const collection of [nodes, edges]) {
+        const items = await collection.find({ 'sources.conversationId': conversationId }).toArray();
+        const operations = [];
+
+        for (const item of items) {
+            let changed = false;
+            const sources = [];
+
+            for (const source of item.sources || []) {
+                if (source.conversationId !== conversationId) {
+                    sources.push(source);
+                    continue;
+                }
+                const mapped = mapSource(source);
+                if (!mapped || mapped.active !== source.active) {
+                    changed = true;
+                }
+                if (mapped) {
+                    sources.push(mapped);
+                }
+            }
+
+            if (!changed) continue;
+
+            if (sources.length === 0) {
+                operations.push({ deleteOne: { filter: { id: item.id } } });
+                result.removed++;
+            } else {
+                operations.push({
+                    updateOne: {
+                        filter: { id: item.id },
+                        update: { $set: { sources, updatedAt: new Date().toISOString() } }
+                    }
+                });
+                result.updated++;
+            }
+        }
+
+        if (operations.length > 0) {
+            await collection.bulkWrite(operations);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Ajusta el grafo a la rama activa de una conversación
+ *
+ * Las aportaciones de mensajes fuera de la rama dejan de contar y las de
+ * mensajes que vuelven a ella se reactivan.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Array<string>} activeMessageIds - IDs de los mensajes de la rama activa
+ * @returns {Promise<Object>} { updated, removed }
+ */
+async function setActiveBranch(conversationId, activeMessageIds) {
+    try {
+        const activeIds = new Set(activeMessageIds || []);
+        return await updateSources(conversationId, source => source.messageId
+            ? { ...source, active: activeIds.has(source.messageId) }
+            : source
+        );
+    } catch (error) {
+        console.error(`KnowledgeGraph: Error al sincronizar la rama activa de ${conversationId}:`, error);
+        return { updated: 0, removed: 0 };
+    }
+}
+
+/**
+ * Ajusta el grafo a los documentos de una conversación
+ *
+ * Quita las aportaciones de documentos eliminados y desactiva las de
+ * versiones sustituidas (o las reactiva si vuelven a ser la versión vigente).
+ * @param {string} conversationId - ID de la conversación
+ * @param {Array<Object>} documents - Metadatos de los documentos existentes
+ * @returns {Promise<Object>} { updated, removed }
+ */
+async function syncDocuments(conversationId, documents) {
+    try {
+        const byId = new Map((documents || []).map(doc => [doc.id, doc]));
+        return await updateSources(conversationId, source => {
+            if (!source.documentId) {
+                return source;
+            }
+            const doc = byId.get(source.documentId);
+            return doc ? { ...source, active: !doc.supersededBy } : null;
+        });
+    } catch (error) {
+        console.error(`KnowledgeGraph: Error al sincronizar los documentos de ${conversationId}:`, error);
+        return { updated: 0, removed: 0 };
+    }
+}
+
+/**
+ * Elimina del grafo todas las aportaciones de una conversación
+ * @param {string} conversationId - ID de la conversación
+ * @returns {Promise<Object>} { updated, removed }
+ */
+async function removeConversation(conversationId) {
+    try {
+        return await updateSources(conversationId, () => null);
+    } catch (error) {
+        console.error(`KnowledgeGraph: Error al eliminar la conversación ${conversationId} del grafo:`, error);
+        return { updated: 0, removed: 0 };
+    }
+}
+
+// ===== CONSULTAS =====
+
+/**
+ * Crea el ámbito de una consulta
+ * @param {Object} options - Opciones con conversationIds (null para todo el grafo)
+ * @returns {Set<string>|null} Conversaciones visibles
+ * @private
+ */
+function getScope(options = {}) {
+    return Array.isArray(options.conversationIds) ? new Set(options.conversationIds) : null;
+}
+
+/**
+ * Devuelve las fuentes activas de un nodo o arista dentro del ámbito
+ * @param {Object} item - Nodo o arista
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @returns {Array<Object>} Fuentes
+ * @private
+ */
+function visibleSources(item, scope) {
+    return (item.sources || []).filter(source =>
+        source.active !== false && (!scope || scope.has(source.conversationId))
+    );
+}
+
+/**
+ * Resume un nodo para la API
+ * @param {Object} node - Nodo almacenado
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @returns {Object} { id, name, type, weight, conversations, documents }
+ * @private
+ */
+function describeNode(node, scope) {
+    const sources = visibleSources(node, scope);
+    return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        weight: sources.length,
+        conversations: new Set(sources.map(source => source.conversationId)).size,
+        documents: new Set(sources.filter(source => source.documentId).map(source => source.documentId)).size
+    };
+}
+
+/**
+ * Resume una arista para la API
+ * @param {Object} edge - Arista almacenada
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @returns {Object} { id, source, target, relationType, directed, weight, confidence }
+ * @private
+ */
+function describeEdge(edge, scope) {
+    const sources = visibleSources(edge, scope);
+    return {
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        relationType: edge.relationType,
+        directed: edge.directed !== false,
+        weight: sources.length,
+        confidence: Math.max(0, ...sources.map(source => source.confidence || 0))
+    };
+}
+
+/**
+ * Busca el nodo de una entidad por nombre (y tipo opcional)
+ *
+ * Si no hay coincidencia exacta se usa la que contenga el nombre; entre varias
+ * se elige la de más peso.
+ * @param {string} name - Nombre de la entidad o ID de nodo
+ * @param {string|null} type - Tipo de entidad
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @returns {Promise<Object|null>} Nodo almacenado
+ * @private
+ */
+async function resolveNode(name, type, scope) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+        return null;
+    }
+
+    const typeFilter = type ? { type: normalizeType(type) } : {};
+    let candidates = await nodes.find({ $or: [{ id: name }, { normalizedName: normalized }], ...typeFilter }).toArray();
+
+    if (candidates.length === 0) {
+        const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        candidates = await nodes.find({ normalizedName: { $regex: escaped }, ...typeFilter }).toArray();
+    }
+
+    return candidates
+        .map(node => ({ node, weight: visibleSources(node, scope).length }))
+        .filter(candidate => candidate.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .map(candidate => candidate.node)[0] || null;
+}
+
+/**
+ * Obtiene las aristas visibles que tocan alguno de los nodos
+ * @param {Array<string>} nodeIds - IDs de nodo
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @param {Array<string>|null} relationTypes - Tipos de relación admitidos
+ * @returns {Promise<Array<Object>>} Aristas resumidas, de más a menos peso
+ * @private
+ */
+async function findIncidentEdges(nodeIds, scope, relationTypes = null) {
+    const found = await edges.find({
+        $or: [{ source: { $in: nodeIds } }, { target: { $in: nodeIds } }]
+    }).toArray();
+
+    return found
+        .filter(edge => !relationTypes || relationTypes.includes(edge.relationType))
+        .map(edge => describeEdge(edge, scope))
+        .filter(edge => edge.weight > 0)
+        .sort((a, b) => b.weight - a.weight || b.confidence - a.confidence);
+}
+
+/**
+ * Carga y resume los nodos indicados
+ * @param {Array<string>} nodeIds - IDs de nodo
+ * @param {Set<string>|null} scope - Conversaciones visibles
+ * @returns {Promise<Array<Object>>} Nodos resumidos
+ * @private
+ */
+async function loadNodes(nodeIds, scope) {
+    if (nodeIds.length === 0) {
+        return [];
+    }
+    const found = await nodes.find({ id: { $in: nodeIds } }).toArray();
+    return found.map(node => describeNode(node, scope)).filter(node => node.weight > 0);
+}
+
+/**
+ * Obtiene el vecindario de una entidad
+ * @param {string} name - Nombre de la entidad (o ID de nodo)
+ * @param {Object} options - Opciones
+ * @param {string} options.type - Tipo de la entidad
+ * @param {number} options.depth - Saltos desde la entidad (1 o 2, por defecto 1)
+ * @param {number} options.limit - Máximo de aristas (por defecto MAX_NEIGHBORS)
+ * @param {Array<string>} options.relationTypes - Tipos de relación admitidos
+ * @param {Array<string>} options.conversationIds - Conversaciones visibles (todas si se omite)
+ * @returns {Promise<Object|null>} { center, nodes, edges } o null si la entidad no está en el grafo
+ */
+async function getNeighbors(name, options = {}) {
+    const scope = getScope(options);
+    const center = await resolveNode(name, options.type, scope);
+    if (!center) {
+        return null;
+    }
+
+    const depth = Math.min(Math.max(parseInt(options.depth, 10) || 1, 1), MAX_NEIGHBOR_DEPTH);
+    const limit = Math.min(options.limit || MAX_NEIGHBORS, MAX_NEIGHBORS);
+    const visited = new Set([center.id]);
+    const selectedEdges = new Map();
+    let frontier = [center.id];
+
+    for (let level = 0; level < depth && frontier.length > 0 && selectedEdges.size < limit; level++) {
+        const nextFrontier = [];
+
+        for (const edge of await findIncidentEdges(frontier, scope, options.relationTypes || null)) {
+            if (selectedEdges.size >= limit) break;
+            if (selectedEdges.has(edge.id)) continue;
+
+            selectedEdges.set(edge.id, edge);
+            for (const id of [edge.source, edge.target]) {
+                if (!visited.has(id)) {
+                    visited.add(id);
+                    nextFrontier.push(id);
+                }
+            }
+        }
+
+        frontier = nextFrontier;
+    }
+
+    const graphNodes = await loadNodes([...visited], scope);
+    const nodeIds = new Set(graphNodes.map(node => node.id));
+
+    return {
+        center: describeNode(center, scope),
+        nodes: graphNodes,
+        edges: [...selectedEdges.values()].filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+    };
+}
+
+/**
+ * Busca los caminos más cortos entre dos entidades
+ *
+ * Recorre el grafo sin tener en cuenta la dirección de las relaciones
+ * (búsqueda en anchura desde el origen).
+ * @param {string} fromName - Entidad de origen
+ * @param {string} toName - Entidad de destino
+ * @param {Object} options - Opciones
+ * @param {string} options.fromType - Tipo de la entidad de origen
+ * @param {string} options.toType - Tipo de la entidad de destino
+ * @param {number} options.maxDepth - Longitud máxima del camino (por defecto MAX_PATH_DEPTH)
+ * @param {number} options.maxPaths - Máximo de caminos (por defecto MAX_PATHS)
+ * @param {Array<string>} options.conversationIds - Conversaciones visibles (todas si se omite)
+ * @returns {Promise<Object|null>} { from, to, paths, nodes, edges } o null si alguna entidad no está en el grafo
+ */
+async function findPaths(fromName, toName, options = {}) {
+    const scope = getScope(options);
+    const from = await resolveNode(fromName, options.fromType, scope);
+    const to = await resolveNode(toName, options.toType, scope);
+    if (!from || !to) {
+        return null;
+    }
+
+    const maxDepth = Math.min(Math.max(parseInt(options.maxDepth, 10) || MAX_PATH_DEPTH, 1), MAX_PATH_DEPTH);
+    const maxPaths = Math.min(options.maxPaths || MAX_PATHS, MAX_PATHS);
+
+    // Padres de cada nodo en los caminos más cortos: nodo → [{ parent, edge }]
+    const parents = new Map([[from.id, []]]);
+    const edgesById = new Map();
+    let frontier = [from.id];
+    let reached = from.id === to.id;
+
+    for (let level = 0; level < maxDepth && !reached && frontier.length > 0; level++) {
+        const frontierSet = new Set(frontier);
+        const levelParents = new Map();
+
+        for (const edge of await findIncidentEdges(frontier, scope)) {
+            for (const [current, next] of [[edge.source, edge.target], [edge.target, edge.source]]) {
+                if (!frontierSet.has(current) || parents.has(next)) continue;
+
+                if (!levelParents.has(next)) {
+                    levelParents.set(next, []);
+                }
+                levelParents.get(next).push({ parent: current, edge: edge.id });
+                edgesById.set(edge.id, edge);
+            }
+        }
+
+        levelParents.forEach((entries, id) => parents.set(id, entries));
+        reached = levelParents.has(to.id);
+        frontier = [...levelParents.keys()].slice(0, MAX_PATH_FRONTIER);
+    }
+
+    // Reconstruir caminos desde el destino
+    const paths = [];
+    const walk = (id, nodePath, edgePath) => {
+        if (paths.length >= maxPaths) return;
+        if (id === from.id) {
+            paths.push({
+                nodes: [id, ...nodePath],
+                edges: edgePath,
+                length: edgePath.length
+            });
+            return;
+        }
+        for (const { parent, edge } of parents.get(id) || []) {
+            walk(parent, [id, ...nodePath], [edge, ...edgePath]);
+        }
+    };
+
+    if (reached) {
+        walk(to.id, [], []);
+    }
+
+    const pathNodeIds = [...new Set(paths.flatMap(path => path.nodes))];
+    const pathEdgeIds = new Set(paths.flatMap(path => path.edges));
+
+    return {
+        from: describeNode(from, scope),
+        to: describeNode(to, scope),
+        paths,
+        nodes: await loadNodes(pathNodeIds.length > 0 ? pathNodeIds : [from.id, to.id], scope),
+        edges: [...pathEdgeIds].map(id => edgesById.get(id))
+    };
+}
+
+/**
+ * Obtiene el subgrafo de las entidades de ciertos tipos
+ * @param {Object} options - Opciones
+ * @param {Array<string>} options.types - Tipos de entidad (todos si se omite)
+ * @param {number} options.limit - Máximo de nodos, los de más peso (por defecto MAX_SUBGRAPH_NODES)
+ * @param {Array<string>} options.conversationIds - Conversaciones visibles (todas si se omite)
+ * @returns {Promise<Object>} { nodes, edges }
+ */
+async function getSubgraph(options = {}) {
+    const scope = getScope(options);
+    const limit = Math.min(options.limit || MAX_SUBGRAPH_NODES, MAX_SUBGRAPH_NODES);
+    const types = (options.types || []).map(normalizeType);
+
+    const candidates = await nodes.find(types.length > 0 ? { type: { $in: types } } : {}).toArray();
+    const graphNodes = candidates
+        .map(node => describeNode(node, scope))
+        .filter(node => node.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, limit);
+
+    const nodeIds = graphNodes.map(node => node.id);
+    const found = nodeIds.length > 0
+        ? await edges.find({ source: { $in: nodeIds }, target: { $in: nodeIds } }).toArray()
+        : [];
+
+    return {
+        nodes: graphNodes,
+        edges: found.map(edge => describeEdge(edge, scope)).filter(edge => edge.weight > 0)
+    };
+}
+
+/**
+ * Obtiene las relaciones conocidas de las entidades del mensaje actual
+ *
+ * Las relaciones con nombre van antes que las co-ocurrencias y, dentro de
+ * cada grupo, las más vistas primero.
+ * @param {Array<Object>} entities - Entidades detectadas (name, type)
+ * @param {Object} options - Opciones
+ * @param {number} options.limit - Máximo de relaciones (por defecto MAX_CONTEXT_RELATIONS)
+ * @param {Array<string>} options.conversationIds - Conversaciones visibles (todas si se omite)
+ * @returns {Promise<Array<Object>>} Relaciones { source, sourceType, relationType, target, targetType, weight }
+ */
+async function getContextRelations(entities, options = {}) {
+    try {
+        const scope = getScope(options);
+        const limit = options.limit || MAX_CONTEXT_RELATIONS;
+        const nodeIds = prepareEntities(entities).map(entity => entity.id);
+        if (nodeIds.length === 0) {
+            return [];
+        }
+
+        const relations = (await findIncidentEdges(nodeIds, scope))
+            .sort((a, b) =>
+                (a.relationType === CO_OCCURRENCE) - (b.relationType === CO_OCCURRENCE) ||
+                b.weight - a.weight
+            )
+            .slice(0, limit);
+        if (relations.length === 0) {
+            return [];
+        }
+
+        const endpoints = [...new Set(relations.flatMap(edge => [edge.source, edge.target]))];
+        const names = new Map((await nodes.find({ id: { $in: endpoints } }).toArray())
+            .map(node => [node.id, node]));
+
+        return relations
+            .filter(edge => names.has(edge.source) && names.has(edge.target))
+            .map(edge => ({
+                source: names.get(edge.source).name,
+                sourceType: names.get(edge.source).type,
+                relationType: edge.relationType,
+                target: names.get(edge.target).name,
+                targetType: names.get(edge.target).type,
+                weight: edge.weight
+            }));
+    } catch (error) {
+        console.error('KnowledgeGraph: Error al obtener relaciones para el contexto:', error);
+        return [];
+    }
+}
+
+/**
+ * Formatea una relación en una línea legible
+ * @param {Object} relation - Relación devuelta por getContextRelations
+ * @returns {string} "Origen (tipo) —relación→ Destino (tipo)"
+ */
+function formatRelation(relation) {
+    const arrow = relation.relationType === CO_OCCURRENCE
+        ? '— aparece junto a —'
+        : `—${relation.relationType.replace(/_/g, ' ')}→`;
+    return `${relation.source} (${relation.sourceType}) ${arrow} ${relation.target} (${relation.targetType})`;
+}
+
+/**
+ * Obtiene estadísticas del grafo
+ * @param {Object} options - Opciones con conversationIds (todas si se omite)
+ * @returns {Promise<Object>} { nodes, edges, types, relationTypes }
+ */
+async function getStats(options = {}) {
+    const scope = getScope(options);
+    const stats = { nodes: 0, edges: 0, types: {}, relationTypes: {} };
+
+    for (const node of await nodes.find({}).toArray()) {
+        if (visibleSources(node, scope).length === 0) continue;
+        stats.nodes++;
+        stats.types[node.type] = (stats.types[node.type] || 0) + 1;
+    }
+
+    for (const edge of await edges.find({}).toArray()) {
+        if (visibleSources(edge, scope).length === 0) continue;
+        stats.edges++;
+        stats.relationTypes[edge.relationType] = (stats.relationTypes[edge.relationType] || 0) + 1;
+    }
+
+    return stats;
+}
+
+module.exports = {
+    CO_OCCURRENCE,
+    init,
+    ingestConversationTurn,
+    ingestDocument,
+    setActiveBranch,
+    syncDocuments,
+    removeConversation,
+    getNeighbors,
+    findPaths,
+    getSubgraph,
+    getContextRelations,
+    formatRelation,
+    getStats
+};
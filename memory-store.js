@@ -5,36 +5,30 @@
  * para las conversaciones, permitiendo que el sistema recuerde contexto relevante.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const piiDetector = require('./pii-detector');
+const entityExtractor = require('./entity-extractor');
 
-// Directorios para almacenamiento de memoria
-const DATA_DIR = path.join(__dirname, 'data');
-const MEMORY_DIR = path.join(DATA_DIR, 'memory');
-const SHORT_TERM_MEMORY_DIR = path.join(MEMORY_DIR, 'short_term');
-const LONG_TERM_MEMORY_DIR = path.join(MEMORY_DIR, 'long_term');
+// Buckets para almacenamiento de memoria (data/memory/... con el backend file)
+const memoryBucket = storage.bucket('memory');
+const shortTermBucket = storage.bucket('memory/short_term');
+const longTermBucket = storage.bucket('memory/long_term');
+const inactiveBucket = storage.bucket('memory/inactive_branches');
 
 // Configuración de memoria
 const MAX_SHORT_TERM_ITEMS = 25;     // Máximo de ítems en memoria a corto plazo
 const MAX_LONG_TERM_ITEMS = 100;     // Máximo de ítems en memoria a largo plazo
 const MEMORY_DECAY_FACTOR = 0.95;    // Factor de decaimiento por tiempo
 const RELEVANCE_THRESHOLD = 0.2;     // Umbral mínimo de relevancia para recordar
+const FEEDBACK_RELEVANCE_BOOST = 0.2;   // Relevancia sumada al valorar un ítem como útil
+const FEEDBACK_RELEVANCE_PENALTY = 0.5; // Factor aplicado al valorar un ítem como inútil
 
 /**
  * Inicializa el almacén de memoria
  */
 function init() {
     try {
-        // Crear directorios si no existen
-        const dirs = [MEMORY_DIR, SHORT_TERM_MEMORY_DIR, LONG_TERM_MEMORY_DIR];
-        
-        dirs.forEach(dir => {
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-                console.log(`MemoryStore: Directorio creado - ${dir}`);
-            }
-        });
-        
         console.log('MemoryStore: Inicializado correctamente');
         
         // Programar limpieza periódica de memoria
@@ -61,12 +55,22 @@ async function updateMemory(conversationId, userId, memoryItem) {
         // Obtener memoria actual
         const memory = await getMemory(conversationId, userId);
         
+        // Ocultar datos personales en los textos y entidades del recuerdo
+        const piiSettings = await piiDetector.getSettings();
+        const { value: redactedItem } = piiDetector.redactValue({
+            userMessage: memoryItem.userMessage,
+            botResponse: memoryItem.botResponse,
+            entities: memoryItem.entities
+        }, piiSettings);
+        
         // Calcular relevancia del ítem de memoria
         const relevance = calculateRelevance(memoryItem);
         
         // Añadir metadatos al ítem
         const enhancedItem = {
             ...memoryItem,
+            ...redactedItem,
+            id: memoryItem.id || uuidv4(),
             timestamp: memoryItem.timestamp || new Date().toISOString(),
             relevance,
             accessCount: 1,
@@ -82,18 +86,14 @@ async function updateMemory(conversationId, userId, memoryItem) {
             const itemsToMove = memory.shortTerm.splice(MAX_SHORT_TERM_ITEMS);
             
             itemsToMove.forEach(item => {
-                if (item.relevance >= RELEVANCE_THRESHOLD) {
+                if (item.pinned || item.relevance >= RELEVANCE_THRESHOLD) {
                     memory.longTerm.push(item);
                 }
             });
         }
         
-        // Limitar tamaño de memoria a largo plazo (conservar los más relevantes)
-        if (memory.longTerm.length > MAX_LONG_TERM_ITEMS) {
-            memory.longTerm = memory.longTerm
-                .sort((a, b) => b.relevance - a.relevance)
-                .slice(0, MAX_LONG_TERM_ITEMS);
-        }
+        // Limitar tamaño de memoria a largo plazo (conservar los fijados y los más relevantes)
+        memory.longTerm = limitLongTermItems(memory.longTerm);
         
         // Actualizar metadatos de la memoria
         memory.lastUpdated = new Date().toISOString();
@@ -122,83 +122,118 @@ async function getMemory(conversationId, userId) {
             return createEmptyMemory();
         }
         
-        // Construir ruta de archivo
-        const shortTermPath = path.join(SHORT_TERM_MEMORY_DIR, `${conversationId}.json`);
-        const longTermPath = path.join(LONG_TERM_MEMORY_DIR, `${conversationId}.json`);
-        
-        let shortTermMemory = [];
-        let longTermMemory = [];
-        
-        // Cargar memoria a corto plazo
-        if (fs.existsSync(shortTermPath)) {
-            try {
-                const data = fs.readFileSync(shortTermPath, 'utf8');
-                shortTermMemory = JSON.parse(data);
-                
-                // Actualizar contador de acceso y timestamp
-                shortTermMemory = shortTermMemory.map(item => ({
-                    ...item,
-                    accessCount: (item.accessCount || 0) + 1,
-                    lastAccessed: new Date().toISOString()
-                }));
-            } catch (err) {
-                console.error(`MemoryStore: Error al leer memoria a corto plazo para ${conversationId}:`, err);
-                shortTermMemory = [];
+        return await loadMemory(conversationId, userId);
+    } catch (error) {
+        console.error(`MemoryStore: Error al obtener memoria para ${conversationId}:`, error);
+        return createEmptyMemory(conversationId, userId);
+    }
+}
+
+/**
+ * Carga la memoria de una conversación, actualiza sus contadores y la guarda
+ * 
+ * Con options.strict los errores de lectura o escritura se propagan en lugar
+ * de tratar el nivel afectado como vacío (lo usan las operaciones de edición,
+ * para que un fallo no se confunda con un ítem inexistente).
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} userId - ID del usuario (opcional)
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.strict] - Propagar los errores de almacenamiento
+ * @returns {Promise<Object>} Memoria de la conversación
+ * @private
+ */
+async function loadMemory(conversationId, userId, options = {}) {
+    // Construir nombre de archivo
+    const fileName = `${conversationId}.json`;
+    
+    let shortTermMemory = [];
+    let longTermMemory = [];
+    
+    // Cargar memoria a corto plazo
+    if (await shortTermBucket.exists(fileName)) {
+        try {
+            shortTermMemory = await shortTermBucket.readJSON(fileName);
+            
+            // Actualizar contador de acceso y timestamp (y asignar ID a ítems antiguos)
+            shortTermMemory = shortTermMemory.map(item => ({
+                ...item,
+                id: item.id || uuidv4(),
+                accessCount: (item.accessCount || 0) + 1,
+                lastAccessed: new Date().toISOString()
+            }));
+        } catch (err) {
+            if (options.strict) {
+                throw err;
             }
+            console.error(`MemoryStore: Error al leer memoria a corto plazo para ${conversationId}:`, err);
+            shortTermMemory = [];
         }
-        
-        // Cargar memoria a largo plazo
-        if (fs.existsSync(longTermPath)) {
-            try {
-                const data = fs.readFileSync(longTermPath, 'utf8');
-                longTermMemory = JSON.parse(data);
-                
-                // Aplicar decaimiento por tiempo a la relevancia
-                longTermMemory = longTermMemory.map(item => {
-                    // Calcular tiempo transcurrido en días
-                    const itemDate = new Date(item.timestamp);
-                    const now = new Date();
-                    const daysPassed = (now - itemDate) / (1000 * 60 * 60 * 24);
-                    
-                    // Aplicar decaimiento exponencial
-                    const decayedRelevance = item.relevance * Math.pow(MEMORY_DECAY_FACTOR, daysPassed);
-                    
+    }
+    
+    // Cargar memoria a largo plazo
+    if (await longTermBucket.exists(fileName)) {
+        try {
+            longTermMemory = await longTermBucket.readJSON(fileName);
+            
+            // Aplicar decaimiento por tiempo a la relevancia (salvo a los ítems fijados)
+            longTermMemory = longTermMemory.map(item => {
+                if (item.pinned) {
                     return {
                         ...item,
-                        relevance: decayedRelevance,
+                        id: item.id || uuidv4(),
                         accessCount: (item.accessCount || 0) + 1,
                         lastAccessed: new Date().toISOString()
                     };
-                });
+                }
+                
+                // Calcular tiempo transcurrido en días
+                const itemDate = new Date(item.timestamp);
+                const now = new Date();
+                const daysPassed = (now - itemDate) / (1000 * 60 * 60 * 24);
                 
-                // Filtrar ítems que caen por debajo del umbral
-                longTermMemory = longTermMemory.filter(item => 
-                    item.relevance >= RELEVANCE_THRESHOLD
-                );
-            } catch (err) {
-                console.error(`MemoryStore: Error al leer memoria a largo plazo para ${conversationId}:`, err);
-                longTermMemory = [];
+                // Aplicar decaimiento exponencial
+                const decayedRelevance = item.relevance * Math.pow(MEMORY_DECAY_FACTOR, daysPassed);
+                
+                return {
+                    ...item,
+                    id: item.id || uuidv4(),
+                    relevance: decayedRelevance,
+                    accessCount: (item.accessCount || 0) + 1,
+                    lastAccessed: new Date().toISOString()
+                };
+            });
+            
+            // Filtrar ítems que caen por debajo del umbral
+            longTermMemory = longTermMemory.filter(item => 
+                item.pinned || item.relevance >= RELEVANCE_THRESHOLD
+            );
+        } catch (err) {
+            if (options.strict) {
+                throw err;
             }
+            console.error(`MemoryStore: Error al leer memoria a largo plazo para ${conversationId}:`, err);
+            longTermMemory = [];
         }
-        
-        // Construir objeto de memoria
-        const memory = {
-            conversationId,
-            userId: userId || null,
-            shortTerm: shortTermMemory,
-            longTerm: longTermMemory,
-            lastAccessed: new Date().toISOString(),
-            itemCount: shortTermMemory.length + longTermMemory.length
-        };
-        
-        // Guardar con contadores actualizados
+    }
+    
+    // Construir objeto de memoria
+    const memory = {
+        conversationId,
+        userId: userId || null,
+        shortTerm: shortTermMemory,
+        longTerm: longTermMemory,
+        lastAccessed: new Date().toISOString(),
+        itemCount: shortTermMemory.length + longTermMemory.length
+    };
+    
+    // Guardar con contadores actualizados
+    if (options.strict) {
+        await writeMemory(conversationId, memory);
+    } else {
         await saveMemory(conversationId, userId, memory);
-        
-        return memory;
-    } catch (error) {
-        console.error(`MemoryStore: Error al obtener memoria para ${conversationId}:`, error);
-        return createEmptyMemory(conversationId, userId);
     }
+    
+    return memory;
 }
 
 /**
@@ -215,20 +250,28 @@ async function saveMemory(conversationId, userId, memory) {
             return;
         }
         
-        // Construir rutas de archivo
-        const shortTermPath = path.join(SHORT_TERM_MEMORY_DIR, `${conversationId}.json`);
-        const longTermPath = path.join(LONG_TERM_MEMORY_DIR, `${conversationId}.json`);
-        
-        // Guardar memoria a corto plazo
-        fs.writeFileSync(shortTermPath, JSON.stringify(memory.shortTerm, null, 2), 'utf8');
-        
-        // Guardar memoria a largo plazo
-        fs.writeFileSync(longTermPath, JSON.stringify(memory.longTerm, null, 2), 'utf8');
+        await writeMemory(conversationId, memory);
     } catch (error) {
         console.error(`MemoryStore: Error al guardar memoria para ${conversationId}:`, error);
     }
 }
 
+/**
+ * Escribe la memoria de una conversación (los errores se propagan)
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} memory - Memoria a guardar
+ * @private
+ */
+async function writeMemory(conversationId, memory) {
+    const fileName = `${conversationId}.json`;
+    
+    // Guardar memoria a corto plazo
+    await shortTermBucket.writeJSON(fileName, memory.shortTerm);
+    
+    // Guardar memoria a largo plazo
+    await longTermBucket.writeJSON(fileName, memory.longTerm);
+}
+
 /**
  * Crea un objeto de memoria vacío
  * @param {string} conversationId - ID de la conversación
@@ -247,6 +290,29 @@ function createEmptyMemory(conversationId = null, userId = null) {
     };
 }
 
+/**
+ * Limita la memoria a largo plazo a MAX_LONG_TERM_ITEMS
+ * 
+ * Los ítems fijados se conservan siempre; el resto del espacio se ocupa con
+ * los más relevantes.
+ * @param {Array<Object>} items - Ítems de memoria a largo plazo
+ * @returns {Array<Object>} Ítems conservados, ordenados por relevancia
+ * @private
+ */
+function limitLongTermItems(items) {
+    if (items.length <= MAX_LONG_TERM_ITEMS) {
+        return items;
+    }
+    
+    const pinned = items.filter(item => item.pinned);
+    const others = items
+        .filter(item => !item.pinned)
+        .sort((a, b) => b.relevance - a.relevance)
+        .slice(0, Math.max(0, MAX_LONG_TERM_ITEMS - pinned.length));
+    
+    return [...pinned, ...others].sort((a, b) => b.relevance - a.relevance);
+}
+
 /**
  * Calcula la relevancia de un ítem de memoria
  * @param {Object} memoryItem - Ítem de memoria
@@ -324,8 +390,9 @@ async function searchMemory(conversationId, query, options = {}) {
         // Obtener memoria completa
         const memory = await getMemory(conversationId);
         
-        // Combinar memoria a corto y largo plazo
-        const allMemoryItems = [...memory.shortTerm, ...memory.longTerm];
+        // Combinar memoria a corto y largo plazo (sin los ítems marcados como incorrectos)
+        const allMemoryItems = [...memory.shortTerm, ...memory.longTerm]
+            .filter(item => !item.incorrect);
         
         // Preparar la búsqueda
         const queryTerms = query.toLowerCase().split(/\W+/).filter(term => term.length > 3);
@@ -404,24 +471,14 @@ async function deleteMemory(conversationId) {
             return false;
         }
         
-        // Construir rutas de archivo
-        const shortTermPath = path.join(SHORT_TERM_MEMORY_DIR, `${conversationId}.json`);
-        const longTermPath = path.join(LONG_TERM_MEMORY_DIR, `${conversationId}.json`);
+        const fileName = `${conversationId}.json`;
         
         // Eliminar archivos si existen
-        let deleted = false;
-        
-        if (fs.existsSync(shortTermPath)) {
-            fs.unlinkSync(shortTermPath);
-            deleted = true;
-        }
-        
-        if (fs.existsSync(longTermPath)) {
-            fs.unlinkSync(longTermPath);
-            deleted = true;
-        }
+        const deletedShortTerm = await shortTermBucket.remove(fileName);
+        const deletedLongTerm = await longTermBucket.remove(fileName);
+        const deletedInactive = await inactiveBucket.remove(fileName);
         
-        return deleted;
+        return deletedShortTerm || deletedLongTerm || deletedInactive;
     } catch (error) {
         console.error(`MemoryStore: Error al eliminar memoria para ${conversationId}:`, error);
         return false;
@@ -434,15 +491,15 @@ async function deleteMemory(conversationId) {
  */
 function scheduleMemoryMaintenance() {
     // Programar limpieza diaria (cada 24 horas)
-    setInterval(() => {
+    setInterval(async () => {
         try {
             console.log('MemoryStore: Iniciando mantenimiento de memoria');
             
             // Limpiar memoria antigua
-            cleanOldMemory();
+            await cleanOldMemory();
             
             // Compactar memoria de largo plazo
-            compactLongTermMemory();
+            await compactLongTermMemory();
         } catch (error) {
             console.error('MemoryStore: Error en mantenimiento de memoria:', error);
         }
@@ -453,28 +510,30 @@ function scheduleMemoryMaintenance() {
  * Limpia memoria antigua
  * @private
  */
-function cleanOldMemory() {
+async function cleanOldMemory() {
     try {
         const now = new Date();
         let cleanedCount = 0;
         
         // Procesar archivos de memoria a corto plazo
-        if (fs.existsSync(SHORT_TERM_MEMORY_DIR)) {
-            const files = fs.readdirSync(SHORT_TERM_MEMORY_DIR);
+        const files = await shortTermBucket.list();
+        
+        for (const file of files) {
+            // Obtener edad del archivo en días
+            const fileAge = (now - new Date(file.updatedAt)) / (1000 * 60 * 60 * 24);
             
-            files.forEach(file => {
-                const filePath = path.join(SHORT_TERM_MEMORY_DIR, file);
-                const stats = fs.statSync(filePath);
-                
-                // Obtener edad del archivo en días
-                const fileAge = (now - stats.mtime) / (1000 * 60 * 60 * 24);
+            // Eliminar archivos de más de 30 días (conservando los ítems fijados)
+            if (fileAge > 30) {
+                const items = (await shortTermBucket.readJSON(file.name)) || [];
+                const pinned = Array.isArray(items) ? items.filter(item => item.pinned) : [];
                 
-                // Eliminar archivos de más de 30 días
-                if (fileAge > 30) {
-                    fs.unlinkSync(filePath);
-                    cleanedCount++;
+                if (pinned.length > 0) {
+                    await shortTermBucket.writeJSON(file.name, pinned);
+                } else {
+                    await shortTermBucket.remove(file.name);
                 }
-            });
+                cleanedCount++;
+            }
         }
         
         console.log(`MemoryStore: Limpiados ${cleanedCount} archivos de memoria antiguos`);
@@ -487,36 +546,30 @@ function cleanOldMemory() {
  * Compacta la memoria a largo plazo
  * @private
  */
-function compactLongTermMemory() {
+async function compactLongTermMemory() {
     try {
-        if (fs.existsSync(LONG_TERM_MEMORY_DIR)) {
-            const files = fs.readdirSync(LONG_TERM_MEMORY_DIR);
-            let compactedCount = 0;
-            
-            files.forEach(file => {
-                try {
-                    const filePath = path.join(LONG_TERM_MEMORY_DIR, file);
-                    
-                    // Leer datos
-                    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const files = await longTermBucket.list();
+        let compactedCount = 0;
+        
+        for (const file of files) {
+            try {
+                // Leer datos
+                const data = await longTermBucket.readJSON(file.name);
+                
+                if (Array.isArray(data) && data.length > MAX_LONG_TERM_ITEMS) {
+                    // Limitar tamaño conservando los fijados y los más relevantes
+                    const compactedData = limitLongTermItems(data);
                     
-                    if (Array.isArray(data) && data.length > MAX_LONG_TERM_ITEMS) {
-                        // Ordenar por relevancia y limitar tamaño
-                        const compactedData = data
-                            .sort((a, b) => b.relevance - a.relevance)
-                            .slice(0, MAX_LONG_TERM_ITEMS);
-                        
-                        // Guardar versión compactada
-                        fs.writeFileSync(filePath, JSON.stringify(compactedData, null, 2), 'utf8');
-                        compactedCount++;
-                    }
-                } catch (fileError) {
-                    console.error(`MemoryStore: Error al procesar archivo ${file}:`, fileError);
+                    // Guardar versión compactada
+                    await longTermBucket.writeJSON(file.name, compactedData);
+                    compactedCount++;
                 }
-            });
-            
-            console.log(`MemoryStore: Compactados ${compactedCount} archivos de memoria a largo plazo`);
+            } catch (fileError) {
+                console.error(`MemoryStore: Error al procesar archivo ${file.name}:`, fileError);
+            }
         }
+        
+        console.log(`MemoryStore: Compactados ${compactedCount} archivos de memoria a largo plazo`);
     } catch (error) {
         console.error('MemoryStore: Error al compactar memoria a largo plazo:', error);
     }
@@ -528,58 +581,29 @@ function compactLongTermMemory() {
  */
 async function resetMemory() {
     try {
-        // Crear respaldo antes de reiniciar
-        const backupDir = path.join(MEMORY_DIR, 'backups', new Date().toISOString().replace(/:/g, '-'));
-        fs.mkdirSync(backupDir, { recursive: true });
-        
-        // Respaldo de memoria a corto plazo
-        if (fs.existsSync(SHORT_TERM_MEMORY_DIR)) {
-            const shortTermBackupDir = path.join(backupDir, 'short_term');
-            fs.mkdirSync(shortTermBackupDir, { recursive: true });
-            
-            const files = fs.readdirSync(SHORT_TERM_MEMORY_DIR);
-            files.forEach(file => {
-                const sourcePath = path.join(SHORT_TERM_MEMORY_DIR, file);
-                const destPath = path.join(shortTermBackupDir, file);
-                fs.copyFileSync(sourcePath, destPath);
-            });
-        }
+        // Crear respaldo antes de reiniciar (en memory/backups/<fecha>/)
+        const backupPath = `backups/${new Date().toISOString().replace(/:/g, '-')}`;
         
-        // Respaldo de memoria a largo plazo
-        if (fs.existsSync(LONG_TERM_MEMORY_DIR)) {
-            const longTermBackupDir = path.join(backupDir, 'long_term');
-            fs.mkdirSync(longTermBackupDir, { recursive: true });
-            
-            const files = fs.readdirSync(LONG_TERM_MEMORY_DIR);
-            files.forEach(file => {
-                const sourcePath = path.join(LONG_TERM_MEMORY_DIR, file);
-                const destPath = path.join(longTermBackupDir, file);
-                fs.copyFileSync(sourcePath, destPath);
-            });
-        }
-        
-        // Eliminar archivos actuales
-        let deletedCount = 0;
+        const typeBuckets = [
+            ['short_term', shortTermBucket],
+            ['long_term', longTermBucket],
+            ['inactive_branches', inactiveBucket]
+        ];
         
-        if (fs.existsSync(SHORT_TERM_MEMORY_DIR)) {
-            const files = fs.readdirSync(SHORT_TERM_MEMORY_DIR);
-            files.forEach(file => {
-                fs.unlinkSync(path.join(SHORT_TERM_MEMORY_DIR, file));
-                deletedCount++;
-            });
+        for (const [type, typeBucket] of typeBuckets) {
+            for (const file of await typeBucket.list()) {
+                await memoryBucket.write(`${backupPath}/${type}/${file.name}`, await typeBucket.read(file.name));
+            }
         }
         
-        if (fs.existsSync(LONG_TERM_MEMORY_DIR)) {
-            const files = fs.readdirSync(LONG_TERM_MEMORY_DIR);
-            files.forEach(file => {
-                fs.unlinkSync(path.join(LONG_TERM_MEMORY_DIR, file));
-                deletedCount++;
-            });
-        }
+        // Eliminar archivos actuales
+        const deletedCount = await shortTermBucket.clear() +
+            await longTermBucket.clear() +
+            await inactiveBucket.clear();
         
         return {
             success: true,
-            backupPath: backupDir,
+            backupPath: `memory/${backupPath}`,
             deletedFiles: deletedCount,
             timestamp: new Date().toISOString()
         };
@@ -597,55 +621,309 @@ async function resetMemory() {
  * @param {string} conversationId - ID de la conversación
  * @param {Array<string>} itemIds - IDs de ítems a mover
  * @returns {Promise<boolean>} True si se realizó correctamente
+ * @throws {Error} Si falla la lectura o escritura de la memoria
  */
 async function promoteToLongTermMemory(conversationId, itemIds) {
+    if (!conversationId || !itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
+        return false;
+    }
+    
+    // Obtener memoria actual
+    const memory = await loadMemory(conversationId, null, { strict: true });
+    
+    // Identificar ítems a promover
+    const itemsToPromote = memory.shortTerm.filter(item => 
+        item.id && itemIds.includes(item.id)
+    );
+    
+    if (itemsToPromote.length === 0) {
+        return false;
+    }
+    
+    // Remover ítems de memoria a corto plazo
+    memory.shortTerm = memory.shortTerm.filter(item => 
+        !item.id || !itemIds.includes(item.id)
+    );
+    
+    // Añadir a memoria a largo plazo con relevancia incrementada
+    memory.longTerm = [
+        ...itemsToPromote.map(item => ({
+            ...item,
+            relevance: Math.min(1.0, (item.relevance || 0.5) + 0.2), // Incrementar relevancia
+            promotedAt: new Date().toISOString()
+        })),
+        ...memory.longTerm
+    ];
+    
+    // Limitar tamaño de memoria a largo plazo
+    memory.longTerm = limitLongTermItems(memory.longTerm);
+    
+    // Guardar memoria actualizada
+    await writeMemory(conversationId, memory);
+    
+    return true;
+}
+
+/**
+ * Registra la valoración de un usuario sobre un ítem de memoria
+ * 
+ * Una valoración útil aumenta su relevancia y una inútil la reduce; un ítem
+ * marcado como incorrecto se conserva pero deja de usarse en búsquedas y en
+ * el contexto de generación.
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} itemId - ID del ítem de memoria
+ * @param {Object} feedback - Valoración
+ * @param {boolean} feedback.isHelpful - Si el ítem es útil (opcional)
+ * @param {boolean} feedback.isCorrect - false para marcarlo como incorrecto, true para desmarcarlo (opcional)
+ * @returns {Promise<Object|null>} Ítem actualizado o null si no existe
+ */
+async function provideFeedback(conversationId, itemId, feedback = {}) {
     try {
-        if (!conversationId || !itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
-            return false;
+        if (!conversationId || !itemId) {
+            return null;
         }
         
-        // Obtener memoria actual
         const memory = await getMemory(conversationId);
+        const item = [...memory.shortTerm, ...memory.longTerm].find(i => i.id === itemId);
         
-        // Identificar ítems a promover
-        const itemsToPromote = memory.shortTerm.filter(item => 
-            item.id && itemIds.includes(item.id)
-        );
-        
-        if (itemsToPromote.length === 0) {
-            return false;
+        if (!item) {
+            return null;
         }
         
-        // Remover ítems de memoria a corto plazo
-        memory.shortTerm = memory.shortTerm.filter(item => 
-            !item.id || !itemIds.includes(item.id)
-        );
+        const now = new Date().toISOString();
+        item.feedback = item.feedback || { helpful: 0, unhelpful: 0 };
         
-        // Añadir a memoria a largo plazo con relevancia incrementada
-        memory.longTerm = [
-            ...itemsToPromote.map(item => ({
-                ...item,
-                relevance: Math.min(1.0, (item.relevance || 0.5) + 0.2), // Incrementar relevancia
-                promotedAt: new Date().toISOString()
-            })),
-            ...memory.longTerm
-        ];
+        if (feedback.isHelpful === true) {
+            item.relevance = Math.min(1, (item.relevance || 0.5) + FEEDBACK_RELEVANCE_BOOST);
+            item.feedback.helpful++;
+        } else if (feedback.isHelpful === false) {
+            item.relevance = (item.relevance || 0.5) * FEEDBACK_RELEVANCE_PENALTY;
+            item.feedback.unhelpful++;
+        }
         
-        // Limitar tamaño de memoria a largo plazo
-        if (memory.longTerm.length > MAX_LONG_TERM_ITEMS) {
-            memory.longTerm = memory.longTerm
-                .sort((a, b) => b.relevance - a.relevance)
-                .slice(0, MAX_LONG_TERM_ITEMS);
+        if (feedback.isCorrect === false) {
+            item.incorrect = true;
+            item.markedIncorrectAt = now;
+        } else if (feedback.isCorrect === true) {
+            delete item.incorrect;
+            delete item.markedIncorrectAt;
         }
         
-        // Guardar memoria actualizada
+        item.feedback.lastFeedbackAt = now;
+        
         await saveMemory(conversationId, memory.userId, memory);
         
-        return true;
+        return item;
     } catch (error) {
-        console.error(`MemoryStore: Error al promover memoria para ${conversationId}:`, error);
+        console.error(`MemoryStore: Error al registrar feedback para ${conversationId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Fija o libera un ítem de memoria
+ * 
+ * Un ítem fijado no pierde relevancia con el tiempo ni se descarta al limitar
+ * o limpiar la memoria.
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} itemId - ID del ítem de memoria
+ * @param {boolean} pinned - true para fijarlo, false para liberarlo
+ * @returns {Promise<Object|null>} Ítem actualizado o null si no existe
+ * @throws {Error} Si falla la lectura o escritura de la memoria
+ */
+async function pinMemoryItem(conversationId, itemId, pinned) {
+    if (!conversationId || !itemId) {
+        return null;
+    }
+    
+    const memory = await loadMemory(conversationId, null, { strict: true });
+    const item = [...memory.shortTerm, ...memory.longTerm].find(i => i.id === itemId);
+    
+    if (!item) {
+        return null;
+    }
+    
+    if (pinned) {
+        item.pinned = true;
+        item.pinnedAt = new Date().toISOString();
+    } else {
+        delete item.pinned;
+        delete item.pinnedAt;
+    }
+    
+    await writeMemory(conversationId, memory);
+    
+    return item;
+}
+
+/**
+ * Edita el contenido recordado de un ítem de memoria
+ * 
+ * Los textos editados pasan por las mismas políticas de datos personales que
+ * los recuerdos nuevos.
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} itemId - ID del ítem de memoria
+ * @param {Object} changes - Cambios
+ * @param {string} changes.userMessage - Mensaje del usuario recordado (opcional)
+ * @param {string} changes.botResponse - Respuesta recordada (opcional)
+ * @returns {Promise<Object|null>} Ítem actualizado o null si no existe
+ * @throws {Error} Si falla la lectura o escritura de la memoria
+ */
+async function editMemoryItem(conversationId, itemId, changes = {}) {
+    if (!conversationId || !itemId) {
+        return null;
+    }
+    
+    const memory = await loadMemory(conversationId, null, { strict: true });
+    const item = [...memory.shortTerm, ...memory.longTerm].find(i => i.id === itemId);
+    
+    if (!item) {
+        return null;
+    }
+    
+    const piiSettings = await piiDetector.getSettings();
+    
+    ['userMessage', 'botResponse'].forEach(field => {
+        if (typeof changes[field] === 'string') {
+            item[field] = piiDetector.redactText(changes[field], piiSettings).text;
+        }
+    });
+    
+    // Recalcular entidades y relevancia a partir del texto editado, como al guardar el recuerdo
+    const entities = await entityExtractor.extractEntities(`${item.userMessage || ''}\n${item.botResponse || ''}`);
+    item.entities = piiDetector.redactValue(entities, piiSettings).value;
+    item.relevance = calculateRelevance(item);
+    
+    item.editedAt = new Date().toISOString();
+    
+    await writeMemory(conversationId, memory);
+    
+    return item;
+}
+
+/**
+ * Aplica la valoración de una entidad a las entidades de los ítems de memoria
+ * de una conversación (sin tocar la memoria global)
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} name - Nombre de la entidad
+ * @param {string} type - Tipo de la entidad
+ * @param {Object} feedback - Valoración (ver entityExtractor.correctEntities)
+ * @returns {Promise<number>} Número de ítems en los que aparecía la entidad
+ * @throws {Error} Si falla la lectura o escritura de la memoria
+ */
+async function applyEntityFeedback(conversationId, name, type, feedback) {
+    if (!conversationId || !name || !type) {
+        return 0;
+    }
+    
+    const memory = await loadMemory(conversationId, null, { strict: true });
+    let matched = 0;
+    
+    [...memory.shortTerm, ...memory.longTerm].forEach(item => {
+        const result = entityExtractor.correctEntities(item.entities, name, type, feedback);
+        if (result.matched) {
+            item.entities = result.entities;
+            matched++;
+        }
+    });
+    
+    if (matched > 0) {
+        await writeMemory(conversationId, memory);
+    }
+    
+    return matched;
+}
+
+/**
+ * Olvida un ítem de memoria (también si está apartado en una rama inactiva)
+ * @param {string} conversationId - ID de la conversación
+ * @param {string} itemId - ID del ítem de memoria
+ * @returns {Promise<boolean>} True si se eliminó
+ * @throws {Error} Si falla la lectura o escritura de la memoria
+ */
+async function forgetMemoryItem(conversationId, itemId) {
+    if (!conversationId || !itemId) {
         return false;
     }
+    
+    const fileName = `${conversationId}.json`;
+    let removed = false;
+    
+    for (const typeBucket of [shortTermBucket, longTermBucket, inactiveBucket]) {
+        const items = (await typeBucket.readJSON(fileName)) || [];
+        const remaining = items.filter(item => item.id !== itemId);
+        
+        if (remaining.length !== items.length) {
+            await typeBucket.writeJSON(fileName, remaining);
+            removed = true;
+        }
+    }
+    
+    return removed;
+}
+
+/**
+ * Sincroniza la memoria con la rama activa de una conversación
+ * 
+ * Los ítems cuyo messageId no pertenece a la rama activa se apartan a
+ * memory/inactive_branches para que no participen en búsquedas ni en el
+ * contexto; los que vuelven a estar en la rama activa se restauran a su nivel.
+ * Los ítems sin messageId (anteriores a las ramas) siempre se consideran activos.
+ * @param {string} conversationId - ID de la conversación
+ * @param {Array<string>} activeMessageIds - IDs de los mensajes de la rama activa
+ * @returns {Promise<Object>} { detached, restored }
+ */
+async function setActiveBranch(conversationId, activeMessageIds) {
+    try {
+        if (!conversationId || !Array.isArray(activeMessageIds)) {
+            return { detached: 0, restored: 0 };
+        }
+        
+        const fileName = `${conversationId}.json`;
+        const activeIds = new Set(activeMessageIds);
+        const isInactive = item => Boolean(item.messageId) && !activeIds.has(item.messageId);
+        
+        const shortTerm = (await shortTermBucket.readJSON(fileName)) || [];
+        const longTerm = (await longTermBucket.readJSON(fileName)) || [];
+        const inactive = (await inactiveBucket.readJSON(fileName)) || [];
+        
+        // Ítems de ramas abandonadas (se recuerda el nivel del que salen)
+        const detached = [
+            ...shortTerm.filter(isInactive).map(item => ({ ...item, tier: 'shortTerm' })),
+            ...longTerm.filter(isInactive).map(item => ({ ...item, tier: 'longTerm' }))
+        ];
+        
+        // Ítems de ramas que vuelven a estar activas
+        const restored = inactive.filter(item => !isInactive(item));
+        
+        if (detached.length === 0 && restored.length === 0) {
+            return { detached: 0, restored: 0 };
+        }
+        
+        const restoredTo = tier => restored
+            .filter(item => item.tier === tier)
+            .map(({ tier: _tier, ...item }) => item);
+        
+        // La memoria a corto plazo se mantiene ordenada de más reciente a más antigua
+        const newShortTerm = [...shortTerm.filter(item => !isInactive(item)), ...restoredTo('shortTerm')]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const newLongTerm = [...longTerm.filter(item => !isInactive(item)), ...restoredTo('longTerm')];
+        const newInactive = [...inactive.filter(isInactive), ...detached];
+        
+        await shortTermBucket.writeJSON(fileName, newShortTerm);
+        await longTermBucket.writeJSON(fileName, newLongTerm);
+        
+        if (newInactive.length > 0) {
+            await inactiveBucket.writeJSON(fileName, newInactive);
+        } else {
+            await inactiveBucket.remove(fileName);
+        }
+        
+        return { detached: detached.length, restored: restored.length };
+    } catch (error) {
+        console.error(`MemoryStore: Error al sincronizar la rama activa de ${conversationId}:`, error);
+        return { detached: 0, restored: 0 };
+    }
 }
 
 // Inicializar el módulo
@@ -657,5 +935,11 @@ module.exports = {
     searchMemory,
     deleteMemory,
     resetMemory,
-    promoteToLongTermMemory
+    promoteToLongTermMemory,
+    provideFeedback,
+    pinMemoryItem,
+    editMemoryItem,
+    forgetMemoryItem,
+    applyEntityFeedback,
+    setActiveBranch
 };
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Registro de Modelos para CAG
+ *
+ * Este módulo mantiene la lista de modelos instalados en Ollama (vía /api/tags)
+ * y decide qué modelo usar en cada generación:
+ * 1. El modelo fijado en la conversación, si existe
+ * 2. Las reglas de enrutamiento (si están activadas): modelo pequeño para
+ *    intenciones simples y cortas, modelo grande para consultas con documentos
+ * 3. El modelo de la configuración del usuario o del sistema
+ *
+ * Si el modelo elegido no está instalado se usa el modelo por defecto.
+ */
+
+const fetch = require('node-fetch');
+
+// Configuración del registro
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
+const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'gemma3:27b';
+const TAGS_TIMEOUT = 5000;      // Timeout de la petición a /api/tags (ms)
+const CACHE_TTL = 60 * 1000;    // Validez de la lista de modelos en caché (ms)
+
+// Reglas de enrutamiento por defecto (se combinan con config.model_routing)
+const DEFAULT_ROUTING = {
+    enabled: false,
+    small_model: 'gemma3:4b',
+    large_model: DEFAULT_MODEL,
+    simple_intents: ['saludar', 'agradecer', 'despedirse', 'confirmar', 'negar', 'conversar'],
+    max_simple_length: 200
+};
+
+// Caché de modelos instalados
+let modelCache = {
+    models: [],
+    connected: false,
+    error: null,
+    timestamp: 0
+};
+
+/**
+ * Obtiene los modelos instalados en Ollama
+ * @param {Object} [options] - Opciones
+ * @param {boolean} [options.refresh=false] - Ignorar la caché y consultar Ollama
+ * @returns {Promise<Object>} { connected, models, defaultModel, error }
+ */
+async function listModels({ refresh = false } = {}) {
+    const now = Date.now();
+
+    if (refresh || now - modelCache.timestamp > CACHE_TTL) {
+        try {
+            const response = await fetch(`${OLLAMA_URL}/api/tags`, {
+                method: 'GET',
+                timeout: TAGS_TIMEOUT
+            });
+
+            if (!response.ok) {
+                throw new Error(`Estado: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+
+            modelCache = {
+                models: (data.models || []).map(normalizeModel),
+                connected: true,
+                error: null,
+                timestamp: now
+            };
+        } catch (error) {
+            console.error('ModelRegistry: Error al obtener modelos de Ollama:', error.message);
+
+            // Conservar la última lista conocida
+            modelCache = {
+                ...modelCache,
+                connected: false,
+                error: error.message,
+                timestamp: now
+            };
+        }
+    }
+
+    return {
+        connected: modelCache.connected,
+        models: modelCache.models,
+        defaultModel: DEFAULT_MODEL,
+        error: modelCache.error
+    };
+}
+
+/**
+ * Normaliza la descripción de un modelo devuelta por /api/tags
+ * @param {Object} model - Modelo según Ollama
+ * @returns {Object} Modelo normalizado
+ * @private
+ */
+function normalizeModel(model) {
+    const details = model.details || {};
+
+    return {
+        name: model.name,
+        size: model.size || null,
+        modifiedAt: model.modified_at || null,
+        family: details.family || null,
+        parameterSize: details.parameter_size || null,
+        quantization: details.quantization_level || null
+    };
+}
+
+/**
+ * Comprueba si un modelo está instalado
+ *
+ * Si Ollama no ha respondido nunca se asume que sí, para no bloquear
+ * generaciones por un fallo puntual del registro.
+ * @param {string} name - Nombre del modelo
+ * @returns {Promise<boolean>} True si el modelo está disponible
+ */
+async function hasModel(name) {
+    if (!name) {
+        return false;
+    }
+
+    const { models } = await listModels();
+    if (models.length === 0) {
+        return true;
+    }
+
+    return models.some(model => model.name === name || model.name === `${name}:latest`);
+}
+
+/**
+ * Aplica las reglas de enrutamiento a un contexto de generación
+ * @param {Object} contextMap - Mapa de contexto del mensaje actual
+ * @param {Object} routing - Reglas de enrutamiento
+ * @returns {Object|null} { model, reason } o null si ninguna regla aplica
+ * @private
+ */
+function applyRoutingRules(contextMap, routing) {
+    if (!contextMap) {
+        return null;
+    }
+
+    // Consultas apoyadas en documentos: modelo grande
+    const hasDocumentContext = (contextMap.documentChunks && contextMap.documentChunks.length > 0) ||
+        (contextMap.documents && contextMap.documents.length > 0);
+
+    if (hasDocumentContext && routing.large_model) {
+        return { model: routing.large_model, reason: 'documents' };
+    }
+
+    // Intenciones simples y mensajes cortos: modelo pequeño
+    const intentName = contextMap.intent && contextMap.intent.name;
+    const messageLength = (contextMap.currentMessage || '').length;
+
+    if (routing.small_model &&
+        intentName &&
+        routing.simple_intents.includes(intentName) &&
+        messageLength <= routing.max_simple_length) {
+        return { model: routing.small_model, reason: `intent:${intentName}` };
+    }
+
+    return null;
+}
+
+/**
+ * Decide qué modelo usar para una generación
+ * @param {Object} params - Parámetros
+ * @param {Object} [params.conversation] - Conversación (puede fijar un modelo)
+ * @param {Object} [params.contextMap] - Mapa de contexto del mensaje actual
+ * @param {Object} [params.userConfig] - Configuración enviada por el cliente
+ * @param {Object} [params.systemConfig] - Configuración del sistema
+ * @returns {Promise<Object>} { model, reason }
+ */
+async function selectModel({ conversation, contextMap, userConfig, systemConfig } = {}) {
+    let selection;
+
+    if (conversation && conversation.model) {
+        selection = { model: conversation.model, reason: 'conversation' };
+    } else {
+        const routing = getRoutingRules(systemConfig);
+
+        if (routing.enabled) {
+            selection = applyRoutingRules(contextMap, routing);
+        }
+
+        if (!selection) {
+            selection = {
+                model: userConfig?.model || systemConfig?.model || DEFAULT_MODEL,
+                reason: userConfig?.model ? 'user_config' : 'default'
+            };
+        }
+    }
+
+    if (selection.model !== DEFAULT_MODEL && !(await hasModel(selection.model))) {
+        console.warn(`ModelRegistry: Modelo ${selection.model} no instalado, usando ${DEFAULT_MODEL}`);
+        return { model: DEFAULT_MODEL, reason: 'fallback' };
+    }
+
+    return selection;
+}
+
+/**
+ * Obtiene las reglas de enrutamiento efectivas
+ * @param {Object} [systemConfig] - Configuración del sistema
+ * @returns {Object} Reglas de enrutamiento
+ */
+function getRoutingRules(systemConfig) {
+    return {
+        ...DEFAULT_ROUTING,
+        ...(systemConfig && systemConfig.model_routing ? systemConfig.model_routing : {})
+    };
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    listModels,
+    hasModel,
+    selectModel,
+    getRoutingRules
+};
@@ -0,0 +1,246 @@
+/**
+ * Servicio de OCR para CAG
+ *
+ * Reconoce texto en imágenes (PNG, JPG, TIFF) y en páginas de PDF escaneadas
+ * sin capa de texto. Funciona sin conexión: tesseract.js usa los datos de
+ * idioma empaquetados en @tesseract.js-data/<idioma> (o en OCR_LANG_PATH) y las
+ * páginas de PDF se rasterizan con pdfjs-dist sobre @napi-rs/canvas.
+ *
+ * Todas las dependencias son opcionales; si faltan, isAvailable() o
+ * canRenderPDF() devuelven false y el procesador de documentos sigue sin OCR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Idiomas de reconocimiento (códigos de Tesseract separados por '+')
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'spa+eng';
+// Directorio con los .traineddata; por defecto, el de los paquetes @tesseract.js-data
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null;
+// Escala de rasterizado de páginas PDF (2 ≈ 144 ppp, suficiente para Tesseract)
+const PDF_RENDER_SCALE = 2;
+// Máximo de páginas de un PDF que se pasan por OCR
+const MAX_OCR_PAGES = parseInt(process.env.MAX_OCR_PAGES || '50', 10);
+
+// Variables para módulos opcionales
+let tesseract, pdfjs, napiCanvas;
+
+// Worker de Tesseract reutilizado entre documentos (se crea al primer uso)
+let workerPromise = null;
+
+/**
+ * Verifica e inicializa las dependencias opcionales
+ */
+function init() {
+    try {
+        tesseract = require('tesseract.js');
+        console.log('OCRService: Reconocimiento de texto habilitado');
+    } catch (err) {
+        console.log('OCRService: tesseract.js no está disponible, OCR deshabilitado');
+    }
+
+    try {
+        pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+        napiCanvas = require('@napi-rs/canvas');
+        console.log('OCRService: Rasterizado de PDF habilitado');
+    } catch (err) {
+        console.log('OCRService: pdfjs-dist o @napi-rs/canvas no están disponibles, sin OCR para PDF escaneados');
+    }
+}
+
+/**
+ * Indica si se puede reconocer texto en imágenes
+ * @returns {boolean} True si tesseract.js está disponible
+ */
+function isAvailable() {
+    return !!tesseract;
+}
+
+/**
+ * Indica si se pueden pasar por OCR páginas de PDF
+ * @returns {boolean} True si están disponibles tesseract.js y el rasterizado de PDF
+ */
+function canRenderPDF() {
+    return !!tesseract && !!pdfjs && !!napiCanvas;
+}
+
+/**
+ * Resuelve el directorio de datos de idioma empaquetado
+ *
+ * Los paquetes @tesseract.js-data/<idioma> incluyen varias variantes; se usa
+ * la más reciente que contenga el .traineddata del idioma.
+ * @param {string} language - Código de idioma de Tesseract (spa, eng...)
+ * @returns {string|null} Directorio o null si no está instalado
+ * @private
+ */
+function resolveBundledLangPath(language) {
+    try {
+        const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`));
+        const variant = fs.readdirSync(packageDir)
+            .sort()
+            .reverse()
+            .find(entry => fs.existsSync(path.join(packageDir, entry, `${language}.traineddata.gz`)));
+        return variant ? path.join(packageDir, variant) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Prepara un único directorio con los datos de todos los idiomas configurados
+ *
+ * tesseract.js solo admite un langPath, pero cada idioma se instala en su
+ * propio paquete; si no coinciden, se copian a un directorio temporal común.
+ * @param {Array<string>} languages - Códigos de idioma
+ * @returns {string|null} Directorio o null si falta algún idioma
+ * @private
+ */
+function prepareLangPath(languages) {
+    if (OCR_LANG_PATH) {
+        return OCR_LANG_PATH;
+    }
+
+    const dirs = languages.map(resolveBundledLangPath);
+    if (dirs.some(dir => !dir)) {
+        return null;
+    }
+
+    if (new Set(dirs).size === 1) {
+        return dirs[0];
+    }
+
+    const sharedDir = path.join(os.tmpdir(), 'cag-tessdata');
+    fs.mkdirSync(sharedDir, { recursive: true });
+    languages.forEach((language, index) => {
+        const fileName = `${language}.traineddata.gz`;
+        const target = path.join(sharedDir, fileName);
+        if (!fs.existsSync(target)) {
+            fs.copyFileSync(path.join(dirs[index], fileName), target);
+        }
+    });
+
+    return sharedDir;
+}
+
+/**
+ * Obtiene (creándolo la primera vez) el worker de Tesseract
+ * @returns {Promise<Object>} Worker de tesseract.js
+ * @private
+ */
+function getWorker() {
+    if (!workerPromise) {
+        const langPath = prepareLangPath(OCR_LANGUAGES.split('+'));
+
+        if (!langPath) {
+            return Promise.reject(new Error(`No se encontraron datos de idioma para OCR (${OCR_LANGUAGES}); instale @tesseract.js-data/<idioma> o defina OCR_LANG_PATH`));
+        }
+
+        workerPromise = tesseract.createWorker(OCR_LANGUAGES, 1, {
+            langPath,
+            gzip: true,
+            cacheMethod: 'none' // Los datos ya están en disco; no escribir caché
+        }).catch(error => {
+            workerPromise = null;
+            throw error;
+        });
+    }
+
+    return workerPromise;
+}
+
+/**
+ * Reconoce el texto de una imagen
+ * @param {Buffer} buffer - Imagen (PNG, JPG, TIFF, BMP...)
+ * @returns {Promise<Object>} { text, confidence } (confianza 0-100)
+ */
+async function recognizeImage(buffer) {
+    if (!isAvailable()) {
+        throw new Error('OCR no disponible');
+    }
+
+    const worker = await getWorker();
+    const { data } = await worker.recognize(buffer);
+
+    return {
+        text: (data.text || '').trim(),
+        confidence: data.confidence || 0
+    };
+}
+
+/**
+ * Rasteriza y reconoce páginas concretas de un PDF
+ * @param {Buffer} buffer - PDF
+ * @param {Array<number>} pageNumbers - Páginas a reconocer (empezando en 1)
+ * @param {Object} options - Opciones
+ * @param {Function} options.onPage - async (done, total) llamada antes de cada página
+ * @returns {Promise<Map<number, Object>>} Página → { text, confidence }
+ */
+async function recognizePDFPages(buffer, pageNumbers, options = {}) {
+    if (!canRenderPDF()) {
+        throw new Error('OCR de PDF no disponible');
+    }
+
+    const results = new Map();
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        disableFontFace: true,
+        isEvalSupported: false
+    }).promise;
+
+    try {
+        const pagesToRecognize = pageNumbers
+            .filter(pageNumber => pageNumber >= 1 && pageNumber <= document.numPages)
+            .slice(0, MAX_OCR_PAGES);
+
+        for (const [index, pageNumber] of pagesToRecognize.entries()) {
+            if (options.onPage) {
+                await options.onPage(index, pagesToRecognize.length);
+            }
+
+            const page = await document.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+            const canvas = napiCanvas.createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+            const context = canvas.getContext('2d');
+
+            // Fondo blanco: las zonas transparentes empeoran el reconocimiento
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            await page.render({ canvasContext: context, viewport }).promise;
+            results.set(pageNumber, await recognizeImage(canvas.toBuffer('image/png')));
+            page.cleanup();
+        }
+    } finally {
+        await document.destroy();
+    }
+
+    return results;
+}
+
+/**
+ * Libera el worker de Tesseract
+ * @returns {Promise<void>}
+ */
+async function terminate() {
+    if (workerPromise) {
+        const worker = await workerPromise.catch(() => null);
+        workerPromise = null;
+        if (worker) {
+            await worker.terminate();
+        }
+    }
+}
+
+// Inicializar el módulo
+init();
+
+module.exports = {
+    OCR_LANGUAGES,
+    MAX_OCR_PAGES,
+    isAvailable,
+    canRenderPDF,
+    recognizeImage,
+    recognizePDFPages,
+    terminate
+};
@@ -0,0 +1,509 @@
+/**
+ * Detección y ocultación de datos personales (PII) para CAG
+ *
+ * Localiza correos, teléfonos, IBAN, tarjetas (Luhn), RUT chilenos, DNI/NIE
+ * españoles, direcciones postales y claves de API, y aplica a cada tipo la
+ * política configurada en pii_settings:
+ * - mask: se sustituye por un marcador ([EMAIL]) antes de guardar y enviar al modelo
+ * - hash: se sustituye por un seudónimo estable ([DNI:1a2b3c4d5e]), de modo que
+ *   el mismo valor sigue reconociéndose sin revelarse
+ * - block: se conserva en la conversación, pero no pasa a la memoria global y
+ *   se oculta en las exportaciones
+ * - warn: se conserva y solo se avisa al usuario (también se oculta al exportar)
+ * - off: no se trata
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+
+// Almacenamiento de la clave de seudónimos generada
+const secretFiles = storage.bucket('secrets');
+const HASH_SECRET_FILE = 'pii-hash-secret';
+
+// Tipos de datos personales detectados
+const PII_TYPES = ['email', 'phone', 'iban', 'credit_card', 'rut', 'dni', 'address', 'api_key'];
+// Políticas aplicables a cada tipo
+const PII_ACTIONS = ['mask', 'hash', 'block', 'warn', 'off'];
+// Políticas por defecto (se combinan con config.pii_settings.policies)
+const DEFAULT_POLICIES = {
+    email: 'block',
+    phone: 'block',
+    iban: 'mask',
+    credit_card: 'mask',
+    rut: 'hash',
+    dni: 'hash',
+    address: 'block',
+    api_key: 'mask'
+};
+// Marcadores que sustituyen cada tipo al ocultarlo
+const PLACEHOLDERS = {
+    email: 'EMAIL',
+    phone: 'TELEFONO',
+    iban: 'IBAN',
+    credit_card: 'TARJETA',
+    rut: 'RUT',
+    dni: 'DNI',
+    address: 'DIRECCION',
+    api_key: 'CLAVE_API'
+};
+// Clave de los seudónimos: PII_HASH_SECRET o una aleatoria generada y guardada la primera vez
+let hashSecret = process.env.PII_HASH_SECRET || null;
+let hashSecretLoading = null;
+// Caracteres hexadecimales del seudónimo
+const HASH_LENGTH = 10;
+// Letras de control del DNI/NIE según el resto de dividir entre 23
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+// Direcciones: tipo de vía, nombre (hasta seis palabras) y número
+const STREET_TYPES = '(?:[Cc]alle|C\\/|[Aa]venida|[Aa]vda\\.|[Aa]v\\.|[Pp]aseo|[Pp]laza|[Pp]za\\.|[Cc]amino|[Pp]asaje|[Pp]sje\\.|[Rr]onda|[Cc]arretera|[Tt]ravesía|[Gg]lorieta)';
+const STREET_WORD = '[A-ZÁÉÍÓÚÑ][\\wÁÉÍÓÚÑáéíóúñü.\'-]*';
+const STREET_NAME = `(?:(?:de|del|la|las|los|el) ){0,2}${STREET_WORD}(?: (?:de|del|la|las|los|el|y|${STREET_WORD})){0,5}`;
+
+/**
+ * Detectores en orden de prioridad: cuando dos coinciden en el mismo texto
+ * se conserva el primero (un RUT no se toma también por teléfono)
+ */
+const DETECTORS = [
+    {
+        type: 'api_key',
+        regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        type: 'api_key',
+        regex: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+    },
+    {
+        // Valores asignados a nombres de credencial (api_key=..., "token": "...")
+        type: 'api_key',
+        regex: /\b(?:api[_-]?key|secret|token|password|passwd|contraseña|clave)["']?\s*[:=]\s*["']?([A-Za-z0-9_\-./+=]{8,})/gi,
+        group: 1
+    },
+    {
+        type: 'email',
+        regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+    },
+    {
+        type: 'iban',
+        regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        validate: matchIban
+    },
+    {
+        type: 'credit_card',
+        regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: value => isValidLuhn(value.replace(/\D/g, '')) ? value : null
+    },
+    {
+        type: 'rut',
+        regex: /\b(?:\d{1,2}(?:\.\d{3}){2}|\d{7,8})-[\dkK]\b/g,
+        validate: value => isValidRut(value) ? value : null
+    },
+    {
+        type: 'dni',
+        regex: /\b(?:\d{8}|[XYZxyz][ -]?\d{7})[ -]?[A-Za-z]\b/g,
+        validate: value => isValidDni(value) ? value : null
+    },
+    {
+        // Internacional: prefijo + y entre 8 y 15 dígitos
+        type: 'phone',
+        regex: /(?<![\w+])\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5}(?!\w)/g,
+        validate: value => {
+            const digits = value.replace(/\D/g, '').length;
+            return digits >= 8 && digits <= 15 ? value : null;
+        }
+    },
+    {
+        // Nacional: España (612 345 678, 912 34 56 78), Chile (9 1234 5678) y EE. UU. ((555) 123-4567)
+        type: 'phone',
+        regex: /(?<![\w.,:/+-])(?:[6-9]\d{8}|\d{3}[ .-]\d{3}[ .-]\d{3}|\d{3}[ .-]\d{2}[ .-]\d{2}[ .-]\d{2}|[29][ .-]\d{4}[ .-]\d{4}|\(\d{3}\) ?\d{3}[ .-]\d{4})(?!\w|[.,:/-]\d)/g
+    },
+    {
+        type: 'address',
+        regex: new RegExp(`\\b${STREET_TYPES}\\s+${STREET_NAME},?\\s+(?:n[º°o]\\.?\\s*)?\\d{1,5}[A-Za-z]?\\b(?:,?\\s*\\d{1,2}[º°ª]\\s*[A-Za-z]?)?`, 'g')
+    },
+    {
+        type: 'address',
+        regex: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St\.|Avenue|Ave\.|Road|Rd\.|Boulevard|Blvd\.|Lane|Drive)(?!\w)/g
+    }
+];
+
+/**
+ * Comprueba el dígito de control de Luhn (tarjetas de crédito)
+ * @param {string} digits - Solo dígitos
+ * @returns {boolean} true si es válido
+ * @private
+ */
+function isValidLuhn(digits) {
+    if (digits.length < 13 || digits.length > 19 || /^0+$/.test(digits)) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+/**
+ * Comprueba un IBAN (módulo 97 según ISO 13616)
+ * @param {string} iban - IBAN sin espacios
+ * @returns {boolean} true si es válido
+ * @private
+ */
+function isValidIban(iban) {
+    if (iban.length < 15 || iban.length > 34) {
+        return false;
+    }
+
+    const rearranged = iban.substring(4) + iban.substring(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of value) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+
+    return remainder === 1;
+}
+
+/**
+ * Busca el IBAN válido más largo al inicio de una coincidencia, descartando
+ * grupos finales que pertenezcan al texto siguiente
+ * @param {string} value - Texto coincidente
+ * @returns {string|null} IBAN encontrado o null
+ * @private
+ */
+function matchIban(value) {
+    let candidate = value;
+
+    while (candidate.replace(/ /g, '').length >= 15) {
+        if (isValidIban(candidate.replace(/ /g, ''))) {
+            return candidate;
+        }
+        candidate = candidate.replace(/ ?[A-Z0-9]{1,4}$/, '');
+    }
+
+    return null;
+}
+
+/**
+ * Comprueba el dígito verificador de un RUT chileno (módulo 11)
+ * @param {string} rut - RUT con o sin puntos
+ * @returns {boolean} true si es válido
+ * @private
+ */
+function isValidRut(rut) {
+    const [body, check] = rut.replace(/\./g, '').toUpperCase().split('-');
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = body.length - 1; i >= 0; i--) {
+        sum += Number(body[i]) * factor;
+        factor = factor === 7 ? 2 : factor + 1;
+    }
+
+    const expected = 11 - (sum % 11);
+    const expectedChar = expected === 11 ? '0' : expected === 10 ? 'K' : String(expected);
+
+    return check === expectedChar;
+}
+
+/**
+ * Comprueba la letra de control de un DNI o NIE español
+ * @param {string} value - DNI (12345678Z) o NIE (X1234567L)
+ * @returns {boolean} true si es válido
+ * @private
+ */
+function isValidDni(value) {
+    const compact = value.replace(/[ -]/g, '').toUpperCase();
+    const number = compact.slice(0, -1).replace(/^[XYZ]/, prefix => String('XYZ'.indexOf(prefix)));
+
+    return DNI_LETTERS[Number(number) % 23] === compact.slice(-1);
+}
+
+/**
+ * Detecta datos personales en un texto
+ * @param {string} text - Texto a analizar
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.types] - Tipos a buscar (por defecto todos)
+ * @returns {Array<Object>} Coincidencias { type, value, start, end } ordenadas y sin solapes
+ */
+function detect(text, options = {}) {
+    if (typeof text !== 'string' || !text) {
+        return [];
+    }
+
+    const types = options.types || PII_TYPES;
+    const findings = [];
+
+    for (const detector of DETECTORS) {
+        if (!types.includes(detector.type)) continue;
+
+        detector.regex.lastIndex = 0;
+        let match;
+        while ((match = detector.regex.exec(text)) !== null) {
+            let value = detector.group ? match[detector.group] : match[0];
+            let start = detector.group ? match.index + match[0].lastIndexOf(value) : match.index;
+
+            if (detector.validate) {
+                value = detector.validate(value);
+                if (!value) continue;
+            }
+
+            const end = start + value.length;
+            if (!findings.some(found => start < found.end && end > found.start)) {
+                findings.push({ type: detector.type, value, start, end });
+            }
+        }
+    }
+
+    return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Carga (o genera y guarda) la clave de los seudónimos
+ *
+ * Sin PII_HASH_SECRET se usa una clave aleatoria propia de la instancia, de
+ * modo que los seudónimos no pueden recalcularse con una clave conocida.
+ * @returns {Promise<string>} Clave
+ * @private
+ */
+async function loadHashSecret() {
+    if (hashSecret) {
+        return hashSecret;
+    }
+
+    if (!hashSecretLoading) {
+        hashSecretLoading = (async () => {
+            const stored = await secretFiles.read(HASH_SECRET_FILE);
+            if (stored && stored.toString().trim()) {
+                return stored.toString().trim();
+            }
+
+            const generated = crypto.randomBytes(32).toString('hex');
+            await secretFiles.write(HASH_SECRET_FILE, generated, { mode: 0o600 });
+            console.log('PiiDetector: Generada una clave de seudónimos (define PII_HASH_SECRET para fijarla)');
+            return generated;
+        })();
+        hashSecretLoading.catch(() => {
+            hashSecretLoading = null;
+        });
+    }
+
+    hashSecret = await hashSecretLoading;
+    return hashSecret;
+}
+
+/**
+ * Obtiene la configuración efectiva de detección de datos personales
+ * @param {Object} [systemConfig] - Configuración del sistema (por defecto config.get())
+ * @returns {Promise<Object>} { enabled, warnUser, policies }
+ */
+async function getSettings(systemConfig) {
+    const source = systemConfig || await config.get();
+
+    try {
+        await loadHashSecret();
+    } catch (error) {
+        // Sin clave, los tipos con política hash se enmascaran (ver pseudonymize)
+        console.error('PiiDetector: Error al cargar la clave de seudónimos:', error);
+    }
+
+    const piiSettings = (source && source.pii_settings) || {};
+    const policies = { ...DEFAULT_POLICIES };
+
+    Object.entries(piiSettings.policies || {}).forEach(([type, action]) => {
+        if (PII_TYPES.includes(type) && PII_ACTIONS.includes(action)) {
+            policies[type] = action;
+        }
+    });
+
+    return {
+        enabled: piiSettings.enabled !== false,
+        warnUser: piiSettings.warn_user !== false,
+        policies
+    };
+}
+
+/**
+ * Política que se aplica a un tipo (al exportar, lo que se conserva se oculta)
+ * @param {Object} settings - Configuración según getSettings
+ * @param {string} type - Tipo de dato
+ * @param {Object} options - Opciones de redactText
+ * @returns {string} Política
+ * @private
+ */
+function resolveAction(settings, type, options) {
+    const action = settings.policies[type] || 'off';
+
+    if (options.forExport && (action === 'block' || action === 'warn')) {
+        return 'mask';
+    }
+
+    return action;
+}
+
+/**
+ * Calcula el seudónimo estable de un valor
+ *
+ * Si la clave aún no está cargada se devuelve el marcador sin seudónimo.
+ * @param {string} type - Tipo de dato
+ * @param {string} value - Valor original
+ * @returns {string} Marcador con el seudónimo
+ * @private
+ */
+function pseudonymize(type, value) {
+    if (!hashSecret) {
+        return `[${PLACEHOLDERS[type]}]`;
+    }
+
+    const normalized = type === 'email'
+        ? value.toLowerCase()
+        : value.replace(/[\s.()-]/g, '').toUpperCase();
+    const digest = crypto.createHmac('sha256', hashSecret)
+        .update(`${type}:${normalized}`)
+        .digest('hex')
+        .substring(0, HASH_LENGTH);
+
+    return `[${PLACEHOLDERS[type]}:${digest}]`;
+}
+
+/**
+ * Aplica las políticas configuradas a un texto
+ * @param {string} text - Texto original
+ * @param {Object} settings - Configuración según getSettings
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.forExport] - Ocultar también los tipos con política block o warn
+ * @returns {Object} { text, findings } con findings [{ type, action }] (sin los valores)
+ */
+function redactText(text, settings, options = {}) {
+    if (!settings || !settings.enabled || typeof text !== 'string' || !text) {
+        return { text, findings: [] };
+    }
+
+    const findings = detect(text)
+        .map(finding => ({ ...finding, action: resolveAction(settings, finding.type, options) }))
+        .filter(finding => finding.action !== 'off');
+
+    let result = '';
+    let cursor = 0;
+    findings.forEach(finding => {
+        result += text.substring(cursor, finding.start);
+        if (finding.action === 'mask') {
+            result += `[${PLACEHOLDERS[finding.type]}]`;
+        } else if (finding.action === 'hash') {
+            result += pseudonymize(finding.type, finding.value);
+        } else {
+            result += finding.value;
+        }
+        cursor = finding.end;
+    });
+    result += text.substring(cursor);
+
+    return {
+        text: result,
+        findings: findings.map(({ type, action }) => ({ type, action }))
+    };
+}
+
+/**
+ * Aplica las políticas a todas las cadenas de un valor (objetos y arrays anidados)
+ * @param {*} value - Valor original (no se modifica)
+ * @param {Object} settings - Configuración según getSettings
+ * @param {Object} options - Opciones de redactText
+ * @returns {Object} { value, findings }
+ */
+function redactValue(value, settings, options = {}) {
+    const findings = [];
+
+    const walk = current => {
+        if (typeof current === 'string') {
+            const redacted = redactText(current, settings, options);
+            findings.push(...redacted.findings);
+            return redacted.text;
+        }
+        if (Array.isArray(current)) {
+            return current.map(walk);
+        }
+        if (current && typeof current === 'object' && !(current instanceof Date)) {
+            const result = {};
+            Object.entries(current).forEach(([key, item]) => {
+                result[key] = walk(item);
+            });
+            return result;
+        }
+        return current;
+    };
+
+    return { value: walk(value), findings };
+}
+
+/**
+ * Agrupa las coincidencias por tipo para avisar al usuario o guardarlas en los metadatos
+ * @param {Array<Object>} findings - Coincidencias de redactText o redactValue
+ * @returns {Array<Object>} [{ type, action, count }]
+ */
+function summarizeFindings(findings) {
+    const byType = new Map();
+
+    (findings || []).forEach(({ type, action }) => {
+        const entry = byType.get(type) || { type, action, count: 0 };
+        entry.count++;
+        byType.set(type, entry);
+    });
+
+    return [...byType.values()];
+}
+
+/**
+ * Indica si un texto contiene datos personales que no deben pasar a la
+ * memoria global (cualquier tipo con política distinta de warn u off)
+ * @param {string} text - Texto a comprobar
+ * @param {Object} settings - Configuración según getSettings
+ * @returns {boolean} true si debe quedarse fuera de la memoria global
+ */
+function blocksGlobalMemory(text, settings) {
+    if (!settings || !settings.enabled) {
+        return false;
+    }
+
+    return detect(text).some(finding => {
+        const action = settings.policies[finding.type];
+        return action !== 'warn' && action !== 'off';
+    });
+}
+
+/**
+ * Indica si un texto contiene algún dato personal con política activa
+ * @param {string} text - Texto a comprobar
+ * @param {Object} settings - Configuración según getSettings
+ * @returns {boolean} true si contiene datos personales
+ */
+function containsPII(text, settings) {
+    if (!settings || !settings.enabled) {
+        return false;
+    }
+
+    return detect(text).some(finding => settings.policies[finding.type] !== 'off');
+}
+
+module.exports = {
+    PII_TYPES,
+    PII_ACTIONS,
+    DEFAULT_POLICIES,
+    detect,
+    getSettings,
+    redactText,
+    redactValue,
+    summarizeFindings,
+    blocksGlobalMemory,
+    containsPII
+};
@@ -5,12 +5,16 @@
  * contexto enriquecido, instrucciones específicas y formato adecuado.
  */
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const config = require('./config');
+const storage = require('./storage');
+const tableQuery = require('./table-query');
+const knowledgeGraph = require('./knowledge-graph');
 
 // Directorio para plantillas de prompts
-const TEMPLATES_DIR = path.join(__dirname, 'data', 'templates');
+const templateFiles = storage.bucket('templates');
+// Plantillas cargadas en memoria (los prompts se construyen de forma síncrona)
+const loadedTemplates = new Map();
 
 // Máximo de entidades a incluir en el contexto
 const MAX_CONTEXT_ENTITIES = 8;
@@ -18,19 +22,49 @@ const MAX_CONTEXT_ENTITIES = 8;
 const MAX_HISTORY_MESSAGES = 10;
 // Máximo de tokens estimados para el prompt (ajustar según modelo)
 const MAX_PROMPT_TOKENS = 4000;
+// Máximo de fragmentos de documentos a incluir en el contexto
+const MAX_DOCUMENT_CHUNKS = 5;
+// Máximo de resultados de consultas tabulares a incluir en el contexto
+const MAX_TABLE_RESULTS = 2;
+// Máximo de relaciones del grafo de conocimiento a incluir en el contexto
+const MAX_GRAPH_RELATIONS = 10;
+
+// Marcadores de cita que el modelo inserta en la respuesta ([doc:3], [mem:1], [doc:1, doc:2])
+const CITATION_GROUP_REGEX = /([ \t]*)\[((?:doc|mem):\d+(?:\s*[,;]\s*(?:doc|mem):\d+)*)\]/g;
+const CITATION_ID_REGEX = /(doc|mem):(\d+)/g;
+// Longitud máxima del extracto guardado con cada cita
+const MAX_CITATION_EXCERPT = 300;
+
+// Instrucciones para que el modelo cite los fragmentos etiquetados
+const CITATION_INSTRUCTIONS = `Los fragmentos de documentos y recuerdos anteriores llevan un identificador entre corchetes, como [doc:1] o [mem:2].
+Cuando una afirmación se base en uno de ellos, añade su identificador al final de la frase, exactamente como aparece (por ejemplo: "El plazo es de 30 días [doc:1].").
+Usa solo identificadores que aparezcan en el contexto y no cites nada cuando la información provenga de tu conocimiento general.`;
+
+// Instrucciones para los resultados calculados sobre datos tabulares
+const TABLE_RESULT_INSTRUCTIONS = `Los siguientes resultados se han calculado directamente sobre los datos tabulares de los documentos para la pregunta actual.
+Usa estas cifras tal cual, sin recalcularlas ni estimarlas a partir de los resúmenes, e indica de qué documento proceden.
+Si la consulta aplicada no corresponde exactamente a lo que pregunta el usuario, explícalo.`;
+
+// Introducción de las relaciones entre entidades tomadas del grafo de conocimiento
+const GRAPH_RELATIONS_INTRO = `Relaciones conocidas entre las entidades mencionadas (extraídas de conversaciones y documentos anteriores; úsalas como contexto, no como hechos verificados):`;
 
 /**
  * Inicializa el generador de prompts
  */
-function init() {
+async function init() {
     try {
-        // Crear directorio de plantillas si no existe
-        if (!fs.existsSync(TEMPLATES_DIR)) {
-            fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
-            console.log('PromptBuilder: Directorio de plantillas creado');
-            
+        const files = (await templateFiles.list()).filter(file => file.name.endsWith('.json'));
+        
+        if (files.length === 0) {
             // Crear plantillas por defecto
-            createDefaultTemplates();
+            await createDefaultTemplates();
+        } else {
+            // Cargar plantillas almacenadas
+            for (const template of await getAllTemplates()) {
+                if (!template.error) {
+                    loadedTemplates.set(template.name, template);
+                }
+            }
         }
         
         console.log('PromptBuilder: Inicializado correctamente');
@@ -43,7 +77,7 @@ function init() {
  * Crea plantillas por defecto para prompts
  * @private
  */
-function createDefaultTemplates() {
+async function createDefaultTemplates() {
     try {
         // Plantilla de sistema base
         const systemTemplate = {
@@ -90,7 +124,7 @@ No menciones explícitamente que te proporcionaron esta información contextual.
 {{documents}}
 
 Utiliza esta información cuando responda a preguntas relacionadas.
-No menciones explícitamente estos documentos a menos que sea estrictamente necesario.`
+Si los fragmentos no contienen la respuesta, dilo en lugar de inventarla.`
         };
         
         // Plantilla de contexto de memoria
@@ -111,10 +145,10 @@ Usa esta información para dar continuidad a la conversación y evitar repeticio
             memoryTemplate
         ];
         
-        templates.forEach(template => {
-            const templatePath = path.join(TEMPLATES_DIR, `${template.name}.json`);
-            fs.writeFileSync(templatePath, JSON.stringify(template, null, 2), 'utf8');
-        });
+        for (const template of templates) {
+            loadedTemplates.set(template.name, template);
+            await templateFiles.writeJSON(`${template.name}.json`, template);
+        }
         
         console.log('PromptBuilder: Plantillas por defecto creadas');
     } catch (error) {
@@ -212,6 +246,9 @@ function prepareEnhancedContext(contextMap) {
         memory: [],
         topics: [],
         documents: [],
+        documentChunks: [],
+        tableResults: [],
+        graphRelations: [],
         currentMessage: contextMap.currentMessage,
         messageStructure: contextMap.messageStructure,
         sentiment: contextMap.sentiment,
@@ -263,7 +300,7 @@ function prepareEnhancedContext(contextMap) {
         // Extraer ítems relevantes de memoria a corto plazo
         if (contextMap.memory.shortTerm && Array.isArray(contextMap.memory.shortTerm)) {
             const shortTermItems = contextMap.memory.shortTerm
-                .filter(item => item.relevance >= 0.7)
+                .filter(item => item.relevance >= 0.7 && !item.incorrect)
                 .slice(0, 3);
                 
             enhancedContext.memory.push(...shortTermItems);
@@ -272,23 +309,57 @@ function prepareEnhancedContext(contextMap) {
         // Extraer ítems relevantes de memoria a largo plazo
         if (contextMap.memory.longTerm && Array.isArray(contextMap.memory.longTerm)) {
             const longTermItems = contextMap.memory.longTerm
-                .filter(item => item.relevance >= 0.8)
+                .filter(item => item.relevance >= 0.8 && !item.incorrect)
                 .slice(0, 2);
                 
             enhancedContext.memory.push(...longTermItems);
         }
+        
+        // Etiquetar cada ítem para que el modelo pueda citarlo
+        enhancedContext.memory = enhancedContext.memory.map((item, index) => ({
+            ...item,
+            citationId: `mem:${index + 1}`
+        }));
     }
     
     // Procesar documentos
     if (contextMap.documents && Array.isArray(contextMap.documents)) {
         enhancedContext.documents = contextMap.documents.map(doc => ({
-            name: doc.originalName,
+            name: doc.name || doc.originalName,
+            version: doc.version || 1,
+            changes: doc.changes || null,
             summary: doc.summary,
             keyConcepts: doc.keyConcepts ? doc.keyConcepts.slice(0, 5) : [],
             entities: doc.entities ? doc.entities.slice(0, 5) : []
         }));
     }
     
+    // Procesar fragmentos de documentos recuperados para el mensaje actual
+    if (contextMap.documentChunks && Array.isArray(contextMap.documentChunks)) {
+        enhancedContext.documentChunks = contextMap.documentChunks
+            .slice(0, MAX_DOCUMENT_CHUNKS)
+            .map((chunk, index) => ({
+                citationId: `doc:${index + 1}`,
+                docId: chunk.docId,
+                docName: chunk.docName,
+                chunkIndex: chunk.chunkIndex,
+                page: chunk.page,
+                start: chunk.start,
+                end: chunk.end,
+                text: chunk.text
+            }));
+    }
+    
+    // Resultados calculados sobre documentos tabulares
+    if (contextMap.tableResults && Array.isArray(contextMap.tableResults)) {
+        enhancedContext.tableResults = contextMap.tableResults.slice(0, MAX_TABLE_RESULTS);
+    }
+    
+    // Relaciones del grafo de conocimiento para las entidades del mensaje
+    if (contextMap.graphRelations && Array.isArray(contextMap.graphRelations)) {
+        enhancedContext.graphRelations = contextMap.graphRelations.slice(0, MAX_GRAPH_RELATIONS);
+    }
+    
     return enhancedContext;
 }
 
@@ -335,6 +406,14 @@ function buildSystemMessage(context, config) {
             }
         }
         
+        // Añadir relaciones conocidas entre entidades
+        if (context.graphRelations && context.graphRelations.length > 0) {
+            const relationsText = context.graphRelations
+                .map(relation => `- ${knowledgeGraph.formatRelation(relation)}`)
+                .join('\n');
+            systemMessage += `\n\n${GRAPH_RELATIONS_INTRO}\n${relationsText}`;
+        }
+        
         // Añadir contexto de documentos si hay disponibles
         if (context.documents && context.documents.length > 0) {
             try {
@@ -342,8 +421,9 @@ function buildSystemMessage(context, config) {
                 let documentsContent = documentsTemplate.content;
                 
                 // Formatear información de documentos
-                const documentsText = context.documents.map(doc => {
-                    let text = `- ${doc.name}: ${doc.summary}`;
+                let documentsText = context.documents.map(doc => {
+                    const version = doc.version > 1 ? ` (versión ${doc.version})` : '';
+                    let text = `- ${doc.name}${version}: ${doc.summary}`;
                     
                     if (doc.keyConcepts && doc.keyConcepts.length > 0) {
                         const concepts = doc.keyConcepts
@@ -353,9 +433,32 @@ function buildSystemMessage(context, config) {
                         text += ` [Conceptos clave: ${concepts}]`;
                     }
                     
+                    // Cambios respecto a la versión anterior (líneas con + añadidas, con - eliminadas)
+                    if (doc.changes) {
+                        const previousName = doc.changes.fromName && doc.changes.fromName !== doc.name
+                            ? ` ("${doc.changes.fromName}")`
+                            : '';
+                        text += `\n  Cambios respecto a la versión ${doc.changes.fromVersion}${previousName}: ` +
+                            `${doc.changes.added} líneas añadidas y ${doc.changes.removed} eliminadas ` +
+                            `(las líneas con + se añadieron y las líneas con - se eliminaron):\n` +
+                            (doc.changes.excerpt || '(sin cambios en el texto)')
+                                .split('\n')
+                                .map(line => `    ${line}`)
+                                .join('\n');
+                    }
+                    
                     return text;
                 }).join('\n');
                 
+                // Añadir fragmentos relevantes con su referencia de origen
+                if (context.documentChunks && context.documentChunks.length > 0) {
+                    const chunksText = context.documentChunks
+                        .map(chunk => `[${chunk.citationId}] (Fuente: ${formatChunkSource(chunk)})\n${chunk.text}`)
+                        .join('\n\n');
+                    
+                    documentsText += `\n\nFragmentos relevantes para la pregunta actual:\n\n${chunksText}`;
+                }
+                
                 documentsContent = documentsContent.replace('{{documents}}', documentsText);
                 systemMessage += '\n\n' + documentsContent;
             } catch (error) {
@@ -363,6 +466,14 @@ function buildSystemMessage(context, config) {
             }
         }
         
+        // Añadir resultados de consultas sobre datos tabulares
+        if (context.tableResults && context.tableResults.length > 0) {
+            const resultsText = context.tableResults
+                .map(result => tableQuery.formatResult(result))
+                .join('\n\n');
+            systemMessage += `\n\n${TABLE_RESULT_INSTRUCTIONS}\n\n${resultsText}`;
+        }
+        
         // Añadir contexto de memoria si hay disponible
         if (context.memory && context.memory.length > 0) {
             try {
@@ -385,7 +496,7 @@ function buildSystemMessage(context, config) {
                             item.botResponse) : 
                         '';
                     
-                    let text = `- Usuario preguntó sobre: "${userMessagePreview}"`;
+                    let text = `- [${item.citationId}] Usuario preguntó sobre: "${userMessagePreview}"`;
                     
                     // Incluir entidades si existen
                     if (item.entities && item.entities.length > 0) {
@@ -406,6 +517,12 @@ function buildSystemMessage(context, config) {
             }
         }
         
+        // Pedir al modelo que cite los fragmentos etiquetados
+        if ((context.documentChunks && context.documentChunks.length > 0) ||
+            (context.memory && context.memory.length > 0)) {
+            systemMessage += '\n\n' + CITATION_INSTRUCTIONS;
+        }
+        
         // Añadir información sobre estructura del mensaje actual
         if (context.messageStructure) {
             const structure = context.messageStructure;
@@ -455,6 +572,113 @@ function buildSystemMessage(context, config) {
     }
 }
 
+/**
+ * Formatea la referencia de origen de un fragmento de documento
+ * @param {Object} chunk - Fragmento recuperado
+ * @returns {string} Referencia legible (documento, fragmento y página)
+ * @private
+ */
+function formatChunkSource(chunk) {
+    let source = `${chunk.docName}, fragmento ${chunk.chunkIndex + 1}`;
+    if (chunk.page) {
+        source += `, página ${chunk.page}`;
+    }
+    return source;
+}
+
+/**
+ * Obtiene las fuentes citables que se incluyen en el prompt para un contexto
+ * 
+ * Usa la misma selección que el mensaje del sistema, de modo que los
+ * identificadores ([doc:N], [mem:N]) coinciden con los vistos por el modelo.
+ * @param {Object} contextMap - Mapa de contexto usado para generar
+ * @returns {Map<string, Object>} Fuentes indexadas por identificador de cita
+ */
+function getCitationSources(contextMap) {
+    const sources = new Map();
+    
+    if (!contextMap) {
+        return sources;
+    }
+    
+    const enhancedContext = prepareEnhancedContext(contextMap);
+    
+    enhancedContext.documentChunks.forEach(chunk => {
+        sources.set(chunk.citationId, {
+            id: chunk.citationId,
+            type: 'document',
+            docId: chunk.docId,
+            docName: chunk.docName,
+            chunkIndex: chunk.chunkIndex,
+            page: chunk.page || null,
+            start: chunk.start,
+            end: chunk.end,
+            excerpt: truncateExcerpt(chunk.text)
+        });
+    });
+    
+    enhancedContext.memory.forEach(item => {
+        sources.set(item.citationId, {
+            id: item.citationId,
+            type: 'memory',
+            timestamp: item.timestamp || null,
+            excerpt: truncateExcerpt(item.userMessage || '')
+        });
+    });
+    
+    return sources;
+}
+
+/**
+ * Convierte los marcadores de cita de una respuesta en citas estructuradas
+ * 
+ * Los grupos como [doc:1, doc:2] se separan en marcadores individuales y los
+ * identificadores que no corresponden a ninguna fuente se eliminan del texto.
+ * @param {string} content - Respuesta del modelo
+ * @param {Object} contextMap - Mapa de contexto usado para generar
+ * @returns {Object} { content, citations } con el texto normalizado y las citas en orden de aparición
+ */
+function resolveCitations(content, contextMap) {
+    if (!content || typeof content !== 'string') {
+        return { content, citations: [] };
+    }
+    
+    const sources = getCitationSources(contextMap);
+    const citations = [];
+    
+    const normalizedContent = content.replace(CITATION_GROUP_REGEX, (match, spacing, group) => {
+        const ids = (group.match(CITATION_ID_REGEX) || []).filter(id => sources.has(id));
+        
+        // Eliminar el marcador (y el espacio previo) si no cita ninguna fuente real
+        if (ids.length === 0) {
+            return '';
+        }
+        
+        ids.forEach(id => {
+            if (!citations.some(citation => citation.id === id)) {
+                citations.push(sources.get(id));
+            }
+        });
+        
+        return spacing + ids.map(id => `[${id}]`).join('');
+    });
+    
+    return { content: normalizedContent, citations };
+}
+
+/**
+ * Recorta un texto para guardarlo como extracto de una cita
+ * @param {string} text - Texto original
+ * @returns {string} Extracto
+ * @private
+ */
+function truncateExcerpt(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    return normalized.length > MAX_CITATION_EXCERPT ?
+        normalized.substring(0, MAX_CITATION_EXCERPT) + '...' :
+        normalized;
+}
+
 /**
  * Prepara el historial de conversación para incluir en el prompt
  * @param {Array} messages - Mensajes recientes
@@ -484,14 +708,11 @@ function prepareConversationHistory(messages) {
  */
 function loadTemplate(templateName) {
     try {
-        const templatePath = path.join(TEMPLATES_DIR, `${templateName}.json`);
-        
-        if (!fs.existsSync(templatePath)) {
+        if (!loadedTemplates.has(templateName)) {
             throw new Error(`Plantilla ${templateName} no encontrada`);
         }
         
-        const templateContent = fs.readFileSync(templatePath, 'utf8');
-        return JSON.parse(templateContent);
+        return loadedTemplates.get(templateName);
     } catch (error) {
         console.error(`PromptBuilder: Error al cargar plantilla ${templateName}:`, error);
         throw error;
@@ -536,9 +757,9 @@ function areTextsVerySimilar(text1, text2) {
  * Guarda una nueva plantilla
  * @param {string} templateName - Nombre de la plantilla
  * @param {string} content - Contenido de la plantilla
- * @returns {boolean} True si se guardó correctamente
+ * @returns {Promise<boolean>} True si se guardó correctamente
  */
-function saveTemplate(templateName, content) {
+async function saveTemplate(templateName, content) {
     try {
         if (!templateName || !content) {
             return false;
@@ -547,13 +768,13 @@ function saveTemplate(templateName, content) {
         // Sanitizar nombre de plantilla
         const safeName = templateName.replace(/[^a-z0-9_]/gi, '_').toLowerCase();
         
-        const templatePath = path.join(TEMPLATES_DIR, `${safeName}.json`);
         const templateObj = {
             name: safeName,
             content: content
         };
         
-        fs.writeFileSync(templatePath, JSON.stringify(templateObj, null, 2), 'utf8');
+        await templateFiles.writeJSON(`${safeName}.json`, templateObj);
+        loadedTemplates.set(safeName, templateObj);
         
         return true;
     } catch (error) {
@@ -564,39 +785,52 @@ function saveTemplate(templateName, content) {
 
 /**
  * Obtiene todas las plantillas disponibles
- * @returns {Array} Lista de plantillas
+ * @returns {Promise<Array>} Lista de plantillas
  */
-function getAllTemplates() {
+async function getAllTemplates() {
     try {
-        if (!fs.existsSync(TEMPLATES_DIR)) {
-            return [];
-        }
+        const files = (await templateFiles.list())
+            .filter(file => file.name.endsWith('.json'));
         
-        const files = fs.readdirSync(TEMPLATES_DIR)
-            .filter(file => file.endsWith('.json'));
+        const templates = [];
         
-        return files.map(file => {
-            const templatePath = path.join(TEMPLATES_DIR, file);
+        for (const file of files) {
             try {
-                const content = fs.readFileSync(templatePath, 'utf8');
-                return JSON.parse(content);
+                templates.push(await templateFiles.readJSON(file.name));
             } catch (err) {
-                console.error(`PromptBuilder: Error al leer plantilla ${file}:`, err);
-                return { name: file.replace('.json', ''), error: true };
+                console.error(`PromptBuilder: Error al leer plantilla ${file.name}:`, err);
+                templates.push({ name: file.name.replace('.json', ''), error: true });
             }
-        });
+        }
+        
+        return templates;
     } catch (error) {
         console.error('PromptBuilder: Error al obtener plantillas:', error);
         return [];
     }
 }
 
+/**
+ * Describe las plantillas cargadas con una huella de su contenido, para saber
+ * con qué versión de cada plantilla se construyó un prompt
+ * @returns {Array<Object>} Plantillas { name, hash }
+ */
+function describeTemplates() {
+    return [...loadedTemplates.values()].map(template => ({
+        name: template.name,
+        hash: crypto.createHash('sha256').update(template.content || '').digest('hex').substring(0, 12)
+    }));
+}
+
 // Inicializar el módulo
 init();
 
 module.exports = {
     buildCAGPrompt,
     buildBasicPrompt,
+    getCitationSources,
+    resolveCitations,
     saveTemplate,
-    getAllTemplates
+    getAllTemplates,
+    describeTemplates
 };
\ No newline at end of file
@@ -0,0 +1,417 @@
+/**
+ * Servicio Semántico para CAG
+ *
+ * Este módulo centraliza la generación de embeddings y el cálculo de similitud
+ * semántica para el resto del sistema (extractor de entidades, analizador de
+ * contexto y memoria global), de modo que todos comparen vectores del mismo espacio.
+ *
+ * Los embeddings se obtienen de un proveedor intercambiable:
+ * - ollama: usa el endpoint /api/embeddings de Ollama con un modelo de embeddings
+ * - hash: vectorizador determinista offline basado en n-gramas de caracteres
+ *   y palabras (feature hashing), sin dependencias externas
+ *
+ * En modo "auto" se intenta Ollama y, si no está disponible, se recurre al
+ * proveedor offline durante el resto de la ejecución del proceso.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const LRUCache = require('lru-cache');
+
+// Configuración del servicio
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'auto'; // 'auto' | 'ollama' | 'hash'
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+const HASH_EMBEDDING_DIMENSION = 384;   // Dimensión del vectorizador offline
+const OLLAMA_TIMEOUT = 15000;           // Timeout por petición de embedding (ms)
+const MAX_CACHE_ENTRIES = 5000;         // Máximo de embeddings en caché
+const MAX_EMBEDDING_TEXT_LENGTH = 8000; // Máximo de caracteres a vectorizar
+
+// Caché de embeddings indexada por hash del texto y proveedor
+const embeddingCache = new LRUCache({
+    max: MAX_CACHE_ENTRIES,
+    updateAgeOnGet: true
+});
+
+// Registro de fábricas de proveedores disponibles
+const providerFactories = {
+    ollama: createOllamaProvider,
+    hash: createHashProvider
+};
+
+// Proveedor activo y estadísticas de uso
+let activeProvider = null;
+let cacheStats = { hits: 0, misses: 0 };
+
+/**
+ * Crea un proveedor de embeddings basado en Ollama
+ * @param {Object} options - Opciones del proveedor
+ * @param {string} [options.url] - URL base de Ollama
+ * @param {string} [options.model] - Modelo de embeddings a utilizar
+ * @returns {Object} Proveedor con interfaz { name, id, embed(texts) }
+ */
+function createOllamaProvider(options = {}) {
+    const url = options.url || OLLAMA_URL;
+    const model = options.model || EMBEDDING_MODEL;
+
+    return {
+        name: 'ollama',
+        id: `ollama:${model}`,
+
+        async embed(texts) {
+            const vectors = [];
+
+            // El endpoint /api/embeddings procesa un texto por petición
+            for (const text of texts) {
+                const response = await fetch(`${url}/api/embeddings`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ model, prompt: text }),
+                    timeout: OLLAMA_TIMEOUT
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Error en la API de embeddings de Ollama: ${response.status} ${response.statusText}`);
+                }
+
+                const data = await response.json();
+                if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+                    throw new Error(`El modelo ${model} no devolvió un embedding válido`);
+                }
+
+                vectors.push(normalizeVector(data.embedding));
+            }
+
+            return vectors;
+        }
+    };
+}
+
+/**
+ * Crea un proveedor de embeddings determinista y offline
+ *
+ * Cada texto se descompone en trigramas de caracteres y palabras completas que
+ * se proyectan con hashing con signo sobre un vector de dimensión fija. Textos
+ * con vocabulario similar producen vectores cercanos sin necesidad de modelo.
+ * @param {Object} options - Opciones del proveedor
+ * @param {number} [options.dimension] - Dimensión de los vectores generados
+ * @returns {Object} Proveedor con interfaz { name, id, embed(texts) }
+ */
+function createHashProvider(options = {}) {
+    const dimension = options.dimension || HASH_EMBEDDING_DIMENSION;
+
+    return {
+        name: 'hash',
+        id: `hash:${dimension}`,
+
+        async embed(texts) {
+            return texts.map(text => hashEmbedding(text, dimension));
+        }
+    };
+}
+
+/**
+ * Genera un embedding por feature hashing de n-gramas
+ * @param {string} text - Texto a vectorizar
+ * @param {number} dimension - Dimensión del vector
+ * @returns {number[]} Vector normalizado
+ * @private
+ */
+function hashEmbedding(text, dimension) {
+    const vector = new Array(dimension).fill(0);
+
+    const normalized = text.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Eliminar acentos
+        .replace(/[^\w\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (!normalized) {
+        return vector;
+    }
+
+    // Frecuencia de rasgos: palabras completas y trigramas de caracteres
+    const features = new Map();
+    const addFeature = (feature, weight) => {
+        features.set(feature, (features.get(feature) || 0) + weight);
+    };
+
+    for (const word of normalized.split(' ')) {
+        if (word.length > 2) {
+            addFeature(`w:${word}`, 1);
+        }
+
+        const padded = ` ${word} `;
+        for (let i = 0; i <= padded.length - 3; i++) {
+            addFeature(`c:${padded.substring(i, i + 3)}`, 0.5);
+        }
+    }
+
+    // Proyectar con hashing con signo y frecuencia sublineal
+    for (const [feature, count] of features) {
+        const hash = fnv1a(feature);
+        const index = hash % dimension;
+        const sign = (hash >>> 31) === 0 ? 1 : -1;
+        vector[index] += sign * (1 + Math.log(count + 1));
+    }
+
+    return normalizeVector(vector);
+}
+
+/**
+ * Hash FNV-1a de 32 bits (rápido y estable entre ejecuciones)
+ * @param {string} str - Cadena de entrada
+ * @returns {number} Hash sin signo
+ * @private
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Normaliza un vector a longitud unitaria
+ * @param {number[]} vector - Vector de entrada
+ * @returns {number[]} Vector normalizado
+ * @private
+ */
+function normalizeVector(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    if (magnitude === 0) {
+        return vector;
+    }
+    return vector.map(val => val / magnitude);
+}
+
+/**
+ * Obtiene el proveedor activo, resolviendo el modo "auto" en el primer uso
+ * @returns {Promise<Object>} Proveedor de embeddings
+ * @private
+ */
+async function getProvider() {
+    if (activeProvider) {
+        return activeProvider;
+    }
+
+    if (EMBEDDING_PROVIDER !== 'auto') {
+        return setProvider(EMBEDDING_PROVIDER);
+    }
+
+    // Modo automático: comprobar que Ollama responde con el modelo configurado
+    const ollamaProvider = createOllamaProvider();
+    try {
+        await ollamaProvider.embed(['ping']);
+        activeProvider = ollamaProvider;
+        console.log(`SemanticService: Usando embeddings de Ollama (${EMBEDDING_MODEL})`);
+    } catch (error) {
+        activeProvider = createHashProvider();
+        console.warn(`SemanticService: Ollama no disponible para embeddings (${error.message}), usando proveedor offline`);
+    }
+
+    return activeProvider;
+}
+
+/**
+ * Selecciona el proveedor de embeddings a utilizar
+ * @param {string|Object} provider - Nombre de un proveedor registrado o instancia con { name, id, embed }
+ * @param {Object} options - Opciones para la fábrica del proveedor
+ * @returns {Object} Proveedor activo
+ */
+function setProvider(provider, options = {}) {
+    if (typeof provider === 'object' && typeof provider.embed === 'function') {
+        activeProvider = provider;
+    } else {
+        const factory = providerFactories[provider];
+        if (!factory) {
+            throw new Error(`Proveedor de embeddings desconocido: ${provider}`);
+        }
+        activeProvider = factory(options);
+    }
+
+    console.log(`SemanticService: Proveedor de embeddings activo - ${activeProvider.id}`);
+    return activeProvider;
+}
+
+/**
+ * Registra una fábrica de proveedores de embeddings adicional
+ * @param {string} name - Nombre del proveedor
+ * @param {Function} factory - Función (options) => { name, id, embed(texts) }
+ */
+function registerProvider(name, factory) {
+    if (!name || typeof factory !== 'function') {
+        throw new Error('Se requiere un nombre y una fábrica de proveedor válidos');
+    }
+    providerFactories[name] = factory;
+}
+
+/**
+ * Calcula la clave de caché para un texto con el proveedor indicado
+ * @param {Object} provider - Proveedor de embeddings
+ * @param {string} text - Texto normalizado
+ * @returns {string} Clave de caché
+ * @private
+ */
+function getCacheKey(provider, text) {
+    return provider.id + ':' + crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Genera embeddings para una lista de textos, reutilizando la caché
+ * @param {Array<string>} texts - Textos a vectorizar
+ * @returns {Promise<Array<number[]>>} Embeddings en el mismo orden
+ */
+async function batchGenerateEmbeddings(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+        return [];
+    }
+
+    const provider = await getProvider();
+    const prepared = texts.map(text => String(text || '').substring(0, MAX_EMBEDDING_TEXT_LENGTH).trim());
+    const results = new Array(prepared.length);
+    const pending = [];
+
+    prepared.forEach((text, index) => {
+        const cached = embeddingCache.get(getCacheKey(provider, text));
+        if (cached) {
+            cacheStats.hits++;
+            results[index] = cached;
+        } else {
+            cacheStats.misses++;
+            pending.push(index);
+        }
+    });
+
+    if (pending.length > 0) {
+        let vectors;
+        try {
+            vectors = await provider.embed(pending.map(index => prepared[index]));
+        } catch (error) {
+            // Un fallo de Ollama a mitad de ejecución no debe romper el análisis
+            console.error(`SemanticService: Error del proveedor ${provider.id}:`, error.message);
+            if (provider.name === 'hash') {
+                throw error;
+            }
+            setProvider('hash');
+            return batchGenerateEmbeddings(texts);
+        }
+
+        pending.forEach((index, i) => {
+            results[index] = vectors[i];
+            embeddingCache.set(getCacheKey(provider, prepared[index]), vectors[i]);
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Genera el embedding de un texto
+ * @param {string} text - Texto a vectorizar
+ * @returns {Promise<number[]>} Embedding normalizado
+ */
+async function generateEmbedding(text) {
+    const [embedding] = await batchGenerateEmbeddings([text]);
+    return embedding;
+}
+
+/**
+ * Calcula la similitud coseno entre dos embeddings
+ * @param {number[]} vec1 - Primer embedding
+ * @param {number[]} vec2 - Segundo embedding
+ * @returns {Promise<number>} Similitud en rango 0-1 (0 si no son comparables)
+ */
+async function calculateSimilarity(vec1, vec2) {
+    return cosineSimilarity(vec1, vec2);
+}
+
+/**
+ * Similitud coseno síncrona entre dos vectores
+ * @param {number[]} vec1 - Primer vector
+ * @param {number[]} vec2 - Segundo vector
+ * @returns {number} Similitud en rango 0-1
+ */
+function cosineSimilarity(vec1, vec2) {
+    // Vectores de proveedores distintos no son comparables
+    if (!vec1 || !vec2 || !vec1.length || vec1.length !== vec2.length) {
+        return 0;
+    }
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vec1.length; i++) {
+        dotProduct += vec1[i] * vec2[i];
+        normA += vec1[i] * vec1[i];
+        normB += vec2[i] * vec2[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+
+    return Math.max(0, dotProduct / (Math.sqrt(normA) * Math.sqrt(normB)));
+}
+
+/**
+ * Calcula la relevancia de un tema respecto a un embedding de contexto
+ * @param {string} topicName - Nombre del tema
+ * @param {number[]} contextEmbedding - Embedding del contexto actual
+ * @returns {Promise<number>} Relevancia (0-1)
+ */
+async function calculateTopicRelevance(topicName, contextEmbedding) {
+    const topicEmbedding = await generateEmbedding(topicName);
+    return cosineSimilarity(topicEmbedding, contextEmbedding);
+}
+
+/**
+ * Obtiene la dimensión de los embeddings del proveedor activo
+ * @returns {Promise<number>} Dimensión de los vectores
+ */
+async function getDimension() {
+    const embedding = await generateEmbedding('dimension');
+    return embedding.length;
+}
+
+/**
+ * Obtiene información del proveedor activo y de la caché
+ * @returns {Object} Estado del servicio
+ */
+function getStats() {
+    return {
+        provider: activeProvider ? activeProvider.id : null,
+        cacheEntries: embeddingCache.size,
+        cacheHits: cacheStats.hits,
+        cacheMisses: cacheStats.misses
+    };
+}
+
+/**
+ * Vacía la caché de embeddings
+ */
+function clearCache() {
+    embeddingCache.clear();
+    cacheStats = { hits: 0, misses: 0 };
+}
+
+module.exports = {
+    generateEmbedding,
+    batchGenerateEmbeddings,
+    calculateSimilarity,
+    calculateTopicRelevance,
+    cosineSimilarity,
+    getDimension,
+    setProvider,
+    registerProvider,
+    createOllamaProvider,
+    createHashProvider,
+    getStats,
+    clearCache
+};
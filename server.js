@@ -23,6 +23,13 @@ const fetch = require('node-fetch');
 const app = express();
 const PORT = process.env.PORT || 3000;
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
+// Máximo de conversaciones de un usuario consideradas al consultar el grafo de conocimiento
+const MAX_GRAPH_CONVERSATIONS = 1000;
+// Valoraciones aceptadas sobre entidades detectadas e ítems de memoria
+const ENTITY_FEEDBACK_ACTIONS = ['up', 'down', 'wrong', 'correct'];
+const MEMORY_FEEDBACK_ACTIONS = ['up', 'down', 'wrong', 'restore'];
+// Secciones editables de la memoria global
+const GLOBAL_MEMORY_KINDS = ['entities', 'topics'];
 
 // Módulos CAG (importaciones)
 const db = require('./src/services/dbService');
@@ -34,6 +41,19 @@ const memoryStore = require('./src/services/memoryStore');
 const documentProcessor = require('./src/services/documentProcessor');
 const titleGenerator = require('./src/services/titleGenerator');
 const globalMemory = require('./src/services/globalMemory');
+const modelRegistry = require('./src/services/modelRegistry');
+const globalSearch = require('./src/services/globalSearch');
+const conversationExporter = require('./src/services/conversationExporter');
+const conversationImporter = require('./src/services/conversationImporter');
+const conversationTree = require('./src/services/conversationTree');
+const jobQueue = require('./src/services/jobQueue');
+const tableQuery = require('./src/services/tableQuery');
+const knowledgeGraph = require('./src/services/knowledgeGraph');
+const answerRatings = require('./src/services/answerRatings');
+const piiDetector = require('./src/services/piiDetector');
+const userStore = require('./src/services/userStore');
+const { issueToken, csrfProtection } = require('./src/middleware/csrfProtection');
+const { issueSession, clearSession, authenticate, requireRole } = require('./src/middleware/auth');
 const logger = require('./src/utils/logger');
 const config = require('./src/config');
 
@@ -56,6 +76,31 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/', apiLimiter);
 
+// Protección CSRF para toda petición de la API que modifique estado
+app.use('/api/', csrfProtection);
+
+// Sesión obligatoria en la API (salvo login, registro y token CSRF)
+app.use('/api/', authenticate);
+
+// Toda ruta con :id se refiere a una conversación: solo su propietario y sus
+// colaboradores pueden acceder. El rol queda en req.conversationRole para
+// requireConversationRole
+app.param('id', async (req, res, next, id) => {
+    try {
+        const conversation = await db.getConversation(id);
+        if (!canAccessConversation(req.user, conversation)) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        req.conversationRole = getConversationRole(req.user, conversation);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Middleware para logging de peticiones
 app.use((req, res, next) => {
     const start = Date.now();
@@ -76,36 +121,33 @@ app.use((req, res, next) => {
 async function checkOllamaConnection() {
     try {
         logger.info('Verificando conexión con Ollama...');
-        const response = await fetch(`${OLLAMA_URL}/api/tags`, {
-            method: 'GET',
-            timeout: 5000
-        });
+        const registry = await modelRegistry.listModels({ refresh: true });
         
-        if (response.ok) {
+        if (registry.connected) {
             logger.info('Conexión con Ollama establecida correctamente');
+            logger.info(`Modelos disponibles: ${registry.models.map(m => m.name).join(', ') || 'ninguno'}`);
             
-            // Verificar si el modelo Gemma está disponible
-            const data = await response.json();
-            const gemmaAvailable = data.models.some(model => 
-                model.name.includes('gemma3')
+            // Verificar si el modelo por defecto está disponible
+            const defaultModelAvailable = registry.models.some(model => 
+                model.name === registry.defaultModel
             );
             
-            if (gemmaAvailable) {
-                logger.info('Modelo Gemma3 encontrado y disponible');
+            if (defaultModelAvailable) {
+                logger.info(`Modelo por defecto ${registry.defaultModel} encontrado y disponible`);
             } else {
-                logger.warn('ADVERTENCIA: Modelo Gemma3 no encontrado. Asegúrate de descargarlo con: ollama pull gemma3:27b');
+                logger.warn(`ADVERTENCIA: Modelo ${registry.defaultModel} no encontrado. Asegúrate de descargarlo con: ollama pull ${registry.defaultModel}`);
             }
             
             return {
                 connected: true,
-                models: data.models.map(m => m.name),
-                defaultModelAvailable: gemmaAvailable
+                models: registry.models.map(m => m.name),
+                defaultModelAvailable
             };
         } else {
-            logger.error(`No se pudo conectar con Ollama: ${response.statusText}`);
+            logger.error(`No se pudo conectar con Ollama: ${registry.error}`);
             return {
                 connected: false,
-                error: `Estado: ${response.status} ${response.statusText}`
+                error: registry.error
             };
         }
     } catch (error) {
@@ -118,19 +160,9 @@ async function checkOllamaConnection() {
     }
 }
 
-// Asegurar que todos los directorios necesarios existan
+// Asegurar que los directorios locales existan (los datos los gestiona la capa de almacenamiento)
 function ensureDirectories() {
     const dirs = [
-        path.join(__dirname, 'data'),
-        path.join(__dirname, 'data', 'conversations'),
-        path.join(__dirname, 'data', 'documents'),
-        path.join(__dirname, 'data', 'memory'),
-        path.join(__dirname, 'data', 'memory', 'short_term'),
-        path.join(__dirname, 'data', 'memory', 'long_term'),
-        path.join(__dirname, 'data', 'entities'),
-        path.join(__dirname, 'data', 'domains'),
-        path.join(__dirname, 'data', 'users'),
-        path.join(__dirname, 'data', 'global_memory'),
         path.join(__dirname, 'logs')
     ];
 
@@ -142,12 +174,190 @@ function ensureDirectories() {
     });
 }
 
+// Jerarquía de roles en una conversación: cada rol incluye los permisos de los anteriores
+const CONVERSATION_ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Obtiene el rol de un usuario en una conversación
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {Object} conversation - Conversación
+ * @returns {string|null} 'owner', 'editor', 'viewer' o null si no tiene acceso
+ */
+function getConversationRole(user, conversation) {
+    if (!user || !conversation) {
+        return null;
+    }
+    if (conversation.ownerId === user.id) {
+        return 'owner';
+    }
+    const collaborator = (conversation.collaborators || []).find(c => c.userId === user.id);
+    return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Comprueba si un usuario puede acceder a una conversación
+ * @param {Object} user - Usuario autenticado (req.user)
+ * @param {Object} conversation - Conversación
+ * @param {string} [requiredRole='viewer'] - Rol mínimo necesario
+ * @returns {boolean} True si el rol del usuario alcanza el requerido
+ */
+function canAccessConversation(user, conversation, requiredRole = 'viewer') {
+    const role = getConversationRole(user, conversation);
+    return Boolean(role) && CONVERSATION_ROLE_RANK[role] >= CONVERSATION_ROLE_RANK[requiredRole];
+}
+
+/**
+ * Crea un middleware que exige un rol mínimo en la conversación de la ruta
+ *
+ * Depende de req.conversationRole, que fija app.param('id').
+ * @param {string} role - Rol mínimo ('viewer', 'editor' u 'owner')
+ * @returns {Function} Middleware de Express
+ */
+function requireConversationRole(role) {
+    return (req, res, next) => {
+        const current = req.conversationRole;
+        if (!current || CONVERSATION_ROLE_RANK[current] < CONVERSATION_ROLE_RANK[role]) {
+            return res.status(403).json({
+                error: 'Tu rol en esta conversación no permite esta operación',
+                code: 'CONVERSATION_FORBIDDEN'
+            });
+        }
+        next();
+    };
+}
+
 // Rutas para la API
 
-// Obtener configuración
-app.get('/api/config', (req, res) => {
+// Obtener token CSRF (también se guarda en una cookie HttpOnly)
+app.get('/api/csrf-token', (req, res) => {
+    try {
+        res.json({ token: issueToken(req, res) });
+    } catch (error) {
+        logger.error('Error al generar token CSRF:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'CSRF_TOKEN_ERROR'
+        });
+    }
+});
+
+// Estado de la sesión y si se admiten nuevos registros
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const userCount = await userStore.countUsers();
+        
+        res.json({
+            authenticated: Boolean(req.user),
+            user: req.user,
+            registrationOpen: userCount === 0 || process.env.ALLOW_REGISTRATION !== 'false'
+        });
+    } catch (error) {
+        logger.error('Error al obtener estado de sesión:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'AUTH_STATUS_ERROR'
+        });
+    }
+});
+
+// Registrar un usuario (el primero es administrador y recibe las conversaciones existentes)
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password, displayName } = req.body;
+        const isFirstUser = (await userStore.countUsers()) === 0;
+        
+        if (!isFirstUser && process.env.ALLOW_REGISTRATION === 'false') {
+            return res.status(403).json({
+                error: 'El registro de nuevos usuarios está desactivado',
+                code: 'REGISTRATION_CLOSED'
+            });
+        }
+        
+        const user = await userStore.createUser({ username, password, displayName });
+        
+        // createUser decide el rol en exclusiva: solo el primer usuario es admin
+        if (user.role === 'admin') {
+            await db.claimUnownedConversations(user.id);
+        }
+        
+        issueSession(res, await userStore.getUser(user.id));
+        logger.info(`Usuario registrado: ${user.username}`);
+        res.status(201).json({ user });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message,
+                code: error.code
+            });
+        }
+        
+        logger.error('Error al registrar usuario:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'REGISTER_ERROR'
+        });
+    }
+});
+
+// Iniciar sesión
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const user = await userStore.verifyCredentials(username, password);
+        
+        if (!user) {
+            return res.status(401).json({
+                error: 'Usuario o contraseña incorrectos',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+        
+        issueSession(res, user);
+        logger.info(`Sesión iniciada: ${user.username}`);
+        res.json({ user: userStore.toPublicUser(user) });
+    } catch (error) {
+        logger.error('Error al iniciar sesión:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'LOGIN_ERROR'
+        });
+    }
+});
+
+// Cerrar sesión
+app.post('/api/auth/logout', (req, res) => {
+    clearSession(res);
+    res.json({ success: true });
+});
+
+// Cambiar contraseña (cierra las demás sesiones del usuario)
+app.put('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await userStore.changePassword(req.user.id, currentPassword, newPassword);
+        
+        issueSession(res, user);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message,
+                code: error.code
+            });
+        }
+        
+        logger.error('Error al cambiar contraseña:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'PASSWORD_CHANGE_ERROR'
+        });
+    }
+});
+
+// Obtener configuración (global combinada con la del usuario)
+app.get('/api/config', async (req, res) => {
     try {
-        res.json(config.get());
+        res.json(await config.getUserConfig(req.user.id));
     } catch (error) {
         res.status(500).json({ 
             error: error.message,
@@ -156,10 +366,10 @@ app.get('/api/config', (req, res) => {
     }
 });
 
-// Actualizar configuración
-app.post('/api/config', (req, res) => {
+// Actualizar configuración global (solo administradores)
+app.post('/api/config', requireRole('admin'), async (req, res) => {
     try {
-        const updatedConfig = config.update(req.body);
+        const updatedConfig = await config.update(req.body);
         res.json({ 
             success: true, 
             config: updatedConfig 
@@ -172,10 +382,51 @@ app.post('/api/config', (req, res) => {
     }
 });
 
+// Actualizar la configuración personal del usuario
+app.put('/api/users/me/config', async (req, res) => {
+    try {
+        const userConfig = await config.updateUserConfig(req.user.id, req.body);
+        res.json({ 
+            success: true, 
+            config: userConfig 
+        });
+    } catch (error) {
+        logger.error(`Error al actualizar configuración del usuario ${req.user.id}:`, error);
+        res.status(400).json({ 
+            error: error.message,
+            code: 'USER_CONFIG_UPDATE_ERROR'
+        });
+    }
+});
+
+// Listar modelos disponibles en Ollama y reglas de enrutamiento
+app.get('/api/models', async (req, res) => {
+    try {
+        const registry = await modelRegistry.listModels({
+            refresh: req.query.refresh === 'true'
+        });
+        const systemConfig = await config.getUserConfig(req.user.id);
+        
+        res.json({
+            ...registry,
+            routing: modelRegistry.getRoutingRules(systemConfig)
+        });
+    } catch (error) {
+        logger.error('Error al obtener modelos:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MODELS_FETCH_ERROR'
+        });
+    }
+});
+
 // Obtener todas las conversaciones
-app.get('/api/conversations', (req, res) => {
+app.get('/api/conversations', async (req, res) => {
     try {
-        const conversations = db.getAllConversations();
+        const { data } = await db.getAllConversations({
+            filter: { memberId: req.user.id }
+        });
+        const conversations = data.map(c => ({ ...c, role: getConversationRole(req.user, c) }));
         
         // Incluir estadísticas básicas
         const stats = {
@@ -196,7 +447,7 @@ app.get('/api/conversations', (req, res) => {
 });
 
 // Crear nueva conversación
-app.post('/api/conversations', (req, res) => {
+app.post('/api/conversations', async (req, res) => {
     try {
         const id = uuidv4();
         const title = req.body.title || 'Nueva conversación';
@@ -204,14 +455,16 @@ app.post('/api/conversations', (req, res) => {
         
         const conversation = {
             id,
+            ownerId: req.user.id,
             title,
             created_at,
             lastActive: created_at,
             messages: [],
+            model: req.body.model || null, // Modelo fijado (null = automático)
             titleGeneratedAt: 0 // Para rastrear cuándo se generó el título
         };
         
-        db.saveConversation(conversation);
+        await db.saveConversation(conversation);
         logger.info(`Nueva conversación creada: ${id}`);
         res.json(conversation);
     } catch (error) {
@@ -224,16 +477,27 @@ app.post('/api/conversations', (req, res) => {
 });
 
 // Obtener una conversación específica
-app.get('/api/conversations/:id', (req, res) => {
+app.get('/api/conversations/:id', async (req, res) => {
     try {
-        const conversation = db.getConversation(req.params.id);
+        const conversation = await db.getConversation(req.params.id);
         if (!conversation) {
             return res.status(404).json({ 
                 error: 'Conversación no encontrada',
                 code: 'CONVERSATION_NOT_FOUND'
             });
         }
-        res.json(conversation);
+        
+        // Las conversaciones anteriores a las ramas reciben ids de mensaje una sola vez
+        if (conversationTree.ensureMessageIds(conversation)) {
+            await db.saveConversation(conversation);
+        }
+        
+        res.json({
+            ...conversation,
+            role: req.conversationRole,
+            branches: conversationTree.describeBranches(conversation),
+            ratings: await answerRatings.getUserRatings(conversation.id, req.user.id)
+        });
     } catch (error) {
         logger.error(`Error al obtener conversación ${req.params.id}:`, error);
         res.status(500).json({ 
@@ -243,31 +507,78 @@ app.get('/api/conversations/:id', (req, res) => {
     }
 });
 
-// Eliminar una conversación
-app.delete('/api/conversations/:id', (req, res) => {
+// Fijar el modelo de una conversación (null para volver a la selección automática)
+app.put('/api/conversations/:id/model', requireConversationRole('editor'), async (req, res) => {
     try {
         const { id } = req.params;
-        const success = db.deleteConversation(id);
+        const model = req.body.model || null;
         
-        if (!success) {
+        const conversation = await db.getConversation(id);
+        if (!conversation) {
             return res.status(404).json({ 
                 error: 'Conversación no encontrada',
                 code: 'CONVERSATION_NOT_FOUND'
             });
         }
         
-        // También eliminar documentos asociados
-        const docsDir = path.join(__dirname, 'data', 'documents', id);
-        if (fs.existsSync(docsDir)) {
-            fs.rmSync(docsDir, { recursive: true, force: true });
+        if (model && !(await modelRegistry.hasModel(model))) {
+            return res.status(400).json({
+                error: `El modelo ${model} no está instalado en Ollama`,
+                code: 'MODEL_NOT_AVAILABLE'
+            });
         }
         
-        // Eliminar memoria a corto plazo
-        const stmFile = path.join(__dirname, 'data', 'memory', 'short_term', `${id}.json`);
-        if (fs.existsSync(stmFile)) {
-            fs.unlinkSync(stmFile);
+        conversation.model = model;
+        await db.saveConversation(conversation);
+        logger.info(`Modelo de la conversación ${id}: ${model || 'automático'}`);
+        
+        res.json({ success: true, model });
+    } catch (error) {
+        logger.error(`Error al actualizar modelo de la conversación ${req.params.id}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'CONVERSATION_MODEL_ERROR'
+        });
+    }
+});
+
+/**
+ * Elimina los datos asociados a una conversación borrada (documentos, memoria,
+ * grafo de conocimiento y valoraciones)
+ * @param {string} id - ID de la conversación
+ */
+async function removeConversationData(id) {
+    // También eliminar documentos asociados
+    await documentProcessor.deleteConversationDocuments(id);
+    
+    // Eliminar memoria de la conversación
+    await memoryStore.deleteMemory(id);
+    
+    // Retirar sus entidades y relaciones del grafo de conocimiento
+    await knowledgeGraph.removeConversation(id);
+    
+    // Eliminar los prompts registrados y las valoraciones de sus respuestas
+    await answerRatings.removeConversation(id);
+}
+
+// La limpieza programada de conversaciones antiguas elimina lo mismo que un borrado manual
+db.setPruneCleanupHandler(removeConversationData);
+
+// Eliminar una conversación (solo el propietario)
+app.delete('/api/conversations/:id', requireConversationRole('owner'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const success = await db.deleteConversation(id);
+        
+        if (!success) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
         }
         
+        await removeConversationData(id);
+        
         logger.info(`Conversación eliminada: ${id}`);
         res.json({ success: true });
     } catch (error) {
@@ -280,7 +591,7 @@ app.delete('/api/conversations/:id', (req, res) => {
 });
 
 // Añadir mensaje a la conversación
-app.post('/api/conversations/:id/messages', async (req, res) => {
+app.post('/api/conversations/:id/messages', requireConversationRole('editor'), async (req, res) => {
     try {
         const { id } = req.params;
         const { role, content } = req.body;
@@ -294,7 +605,7 @@ app.post('/api/conversations/:id/messages', async (req, res) => {
         
         const timestamp = new Date().toISOString();
         
-        const conversation = db.getConversation(id);
+        const conversation = await db.getConversation(id);
         if (!conversation) {
             return res.status(404).json({ 
                 error: 'Conversación no encontrada',
@@ -302,8 +613,25 @@ app.post('/api/conversations/:id/messages', async (req, res) => {
             });
         }
         
-        const message = { role, content, timestamp };
-        conversation.messages.push(message);
+        // Ocultar los datos personales según las políticas antes de guardar el mensaje
+        const piiSettings = await piiDetector.getSettings();
+        const redaction = piiDetector.redactText(content, piiSettings);
+        const message = { role, content: redaction.text, timestamp };
+        const pii = piiDetector.summarizeFindings(redaction.findings);
+        
+        if (pii.length > 0) {
+            message.pii = pii;
+        }
+        
+        // En conversaciones compartidas cada mensaje del usuario indica quién lo escribió
+        if (role === 'user') {
+            message.author = {
+                id: req.user.id,
+                name: req.user.displayName || req.user.username
+            };
+        }
+        
+        conversationTree.appendMessage(conversation, message);
         conversation.lastActive = timestamp;
         
         // Actualizar el título si es necesario
@@ -319,13 +647,14 @@ app.post('/api/conversations/:id/messages', async (req, res) => {
             }
         }
         
-        db.saveConversation(conversation);
+        await db.saveConversation(conversation);
         logger.info(`Mensaje añadido a conversación ${id}`);
         
-        // Responder con título actualizado si cambió
+        // Responder con título actualizado si cambió (y aviso de datos personales)
         res.json({
             message,
-            title: conversation.title
+            title: conversation.title,
+            piiWarning: piiSettings.warnUser && pii.length > 0 ? pii : null
         });
     } catch (error) {
         logger.error(`Error al añadir mensaje a conversación ${req.params.id}:`, error);
@@ -336,19 +665,20 @@ app.post('/api/conversations/:id/messages', async (req, res) => {
     }
 });
 
-// Generar respuesta con Gemma 3 usando CAG
-app.post('/api/generate', async (req, res) => {
+// Editar un mensaje del usuario: crea una rama nueva a partir del mensaje anterior
+app.put('/api/conversations/:id/messages/:messageId', requireConversationRole('editor'), async (req, res) => {
     try {
-        const { conversation_id, config: userConfig } = req.body;
+        const { id, messageId } = req.params;
+        const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
         
-        if (!conversation_id) {
+        if (!content) {
             return res.status(400).json({
-                error: 'Se requiere el campo conversation_id',
-                code: 'INVALID_REQUEST'
+                error: 'Se requiere el campo content',
+                code: 'INVALID_MESSAGE_FORMAT'
             });
         }
         
-        const conversation = db.getConversation(conversation_id);
+        const conversation = await db.getConversation(id);
         if (!conversation) {
             return res.status(404).json({ 
                 error: 'Conversación no encontrada',
@@ -356,611 +686,2607 @@ app.post('/api/generate', async (req, res) => {
             });
         }
         
-        // Obtener el último mensaje del usuario
-        const lastMessage = conversation.messages[conversation.messages.length - 1];
+        conversationTree.ensureMessageIds(conversation);
+        const original = conversationTree.findMessage(conversation, messageId);
         
-        if (!lastMessage || lastMessage.role !== 'user') {
-            return res.status(400).json({ 
-                error: 'No hay un mensaje de usuario para responder',
-                code: 'NO_USER_MESSAGE'
+        if (!original) {
+            return res.status(404).json({
+                error: 'Mensaje no encontrado',
+                code: 'MESSAGE_NOT_FOUND'
             });
         }
         
-        logger.info(`Generando respuesta para conversación ${conversation_id}`);
-        logger.debug(`Mensaje del usuario: "${lastMessage.content.substring(0, 50)}${lastMessage.content.length > 50 ? '...' : ''}"`);
-        
-        // Analizar el contexto usando CAG
-        let contextMap;
-        try {
-            contextMap = await contextAnalyzer.analyzeMessage(
-                conversation_id,
-                null, // userId (podría implementarse un sistema de usuarios)
-                lastMessage.content
-            );
-            
-            // Añadir ID de conversación al contexto
-            contextMap.currentConversationId = conversation_id;
-            
-            logger.debug("Contexto analizado correctamente");
-        } catch (contextError) {
-            logger.error("Error al analizar contexto:", contextError);
-            contextMap = { 
-                currentMessage: lastMessage.content,
-                currentConversationId: conversation_id
-            }; // Contexto mínimo
-        }
-        
-        // Obtener documentos de la conversación
-        let documents = [];
-        try {
-            documents = await documentProcessor.getConversationDocuments(conversation_id);
-            logger.debug(`Encontrados ${documents.length} documentos para la conversación`);
-            
-            // Enriquecer el contextMap con información de documentos
-            if (documents && documents.length > 0) {
-                contextMap.documents = documents.map(doc => ({
-                    id: doc.id,
-                    name: doc.originalName,
-                    summary: doc.summary,
-                    keyConcepts: doc.keyConcepts,
-                    entities: doc.entities,
-                    format: doc.format || 'Desconocido',
-                    uploadDate: doc.uploadDate
-                }));
-            }
-        } catch (docError) {
-            logger.error("Error al procesar documentos:", docError);
-        }
-        
-        // Enriquecer el contexto con memoria global
-        try {
-            contextMap = globalMemory.enrichContextWithGlobalMemory(contextMap);
-            logger.debug("Contexto enriquecido con memoria global");
-        } catch (globalMemoryError) {
-            logger.error("Error al enriquecer con memoria global:", globalMemoryError);
+        if (original.role !== 'user') {
+            return res.status(400).json({
+                error: 'Solo se pueden editar mensajes del usuario',
+                code: 'MESSAGE_NOT_EDITABLE'
+            });
         }
         
-        // Construir prompt mejorado con CAG
-        const cagMessages = promptBuilder.buildCAGPrompt(contextMap, userConfig);
+        // La rama original se conserva; la nueva versión pasa a ser la rama activa
+        conversationTree.activateBranch(conversation, original.parentId || null, { descend: false });
         
-        logger.info('Usando CAG para generar respuesta con contexto mejorado');
+        const piiSettings = await piiDetector.getSettings();
+        const redaction = piiDetector.redactText(content, piiSettings);
+        const pii = piiDetector.summarizeFindings(redaction.findings);
         
-        // Llamar a la API de Ollama con el prompt mejorado
-        const ollama_response = await fetch(`${OLLAMA_URL}/api/chat`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: userConfig?.model || 'gemma3:27b',
-                messages: cagMessages,
-                stream: false,
-                options: {
-                    temperature: parseFloat(userConfig?.temperature || 0.7),
-                    num_predict: parseInt(userConfig?.max_tokens || 2048)
-                }
-            }),
-            timeout: 30000
+        const timestamp = new Date().toISOString();
+        const message = conversationTree.appendMessage(conversation, {
+            role: 'user',
+            content: redaction.text,
+            timestamp,
+            editedFrom: original.id,
+            author: {
+                id: req.user.id,
+                name: req.user.displayName || req.user.username
+            }
         });
+        conversation.lastActive = timestamp;
         
-        if (!ollama_response.ok) {
-            throw new Error(`Error en la API de Ollama: ${ollama_response.status} ${ollama_response.statusText}`);
+        if (pii.length > 0) {
+            message.pii = pii;
         }
         
-        const data = await ollama_response.json();
+        await db.saveConversation(conversation);
+        await syncActiveBranch(conversation);
+        logger.info(`Mensaje ${messageId} editado en conversación ${id} (nueva rama ${message.id})`);
         
-        // Procesar la respuesta para mejorar formato
-        const processedResponse = formatModelResponse(data.message.content);
+        res.json({
+            message,
+            messages: conversation.messages,
+            branches: conversationTree.describeBranches(conversation),
+            piiWarning: piiSettings.warnUser && pii.length > 0 ? pii : null
+        });
+    } catch (error) {
+        logger.error(`Error al editar mensaje de la conversación ${req.params.id}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MESSAGE_EDIT_ERROR'
+        });
+    }
+});
+
+// Valorar una respuesta del bot (pulgar arriba/abajo con categoría y comentario opcionales)
+app.put('/api/conversations/:id/messages/:messageId/rating', async (req, res) => {
+    try {
+        const { rating, category, comment } = req.body;
         
-        // Guardar la respuesta en la conversación
-        const timestamp = new Date().toISOString();
-        const botMessage = {
-            role: 'bot',
-            content: processedResponse,
-            timestamp
-        };
+        if (!answerRatings.RATINGS.includes(rating)) {
+            return res.status(400).json({
+                error: `Se requiere rating (${answerRatings.RATINGS.join(', ')})`,
+                code: 'INVALID_REQUEST'
+            });
+        }
         
-        conversation.messages.push(botMessage);
-        conversation.lastActive = timestamp;
-        db.saveConversation(conversation);
-        
-        // Variable para controlar si el título cambió
-        let titleChanged = false;
-        let newTitle = conversation.title;
-        
-        // Actualizar el título si es necesario basado en la conversación completa
-        if (titleGenerator.needsTitleUpdate(conversation)) {
-            newTitle = titleGenerator.improveTitle(conversation);
-            if (newTitle !== conversation.title) {
-                titleChanged = true;
-                conversation.title = newTitle;
-                conversation.titleGeneratedAt = conversation.messages.length;
-                db.saveConversation(conversation);
-            }
+        if (category && !answerRatings.RATING_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                error: `Categoría no válida. Usa una de: ${answerRatings.RATING_CATEGORIES.join(', ')}`,
+                code: 'INVALID_RATING_CATEGORY'
+            });
         }
         
-        // Actualizar el contexto y la memoria con la respuesta
-        try {
-            await contextAnalyzer.updateAfterResponse(
-                conversation_id, 
-                null, // userId
-                contextMap,
-                lastMessage.content,
-                botMessage.content
-            );
-            logger.debug('Memoria actualizada correctamente');
-        } catch (memoryError) {
-            logger.error('Error al actualizar la memoria:', memoryError);
-            // Continuar con la respuesta aunque falle la actualización de memoria
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            return res.status(400).json({
+                error: 'El comentario debe ser un texto',
+                code: 'INVALID_REQUEST'
+            });
         }
         
-        // Actualizar memoria global
-        try {
-            await globalMemory.updateGlobalMemory(
-                contextMap,
-                lastMessage.content,
-                botMessage.content,
-                conversation_id
-            );
-            logger.debug('Memoria global actualizada correctamente');
-        } catch (globalMemoryError) {
-            logger.error('Error al actualizar memoria global:', globalMemoryError);
+        const conversation = await db.getConversation(req.params.id);
+        const message = conversation && conversationTree.findMessage(conversation, req.params.messageId);
+        
+        if (!message || message.role !== 'bot') {
+            return res.status(404).json({
+                error: 'Respuesta no encontrada',
+                code: 'MESSAGE_NOT_FOUND'
+            });
         }
         
+        const saved = await answerRatings.rateAnswer(conversation.id, message, req.user.id, {
+            rating,
+            category,
+            comment
+        });
+        
         res.json({
-            ...botMessage,
-            title: conversation.title, // Incluir título actualizado
-            titleChanged
+            success: true,
+            rating: { rating: saved.rating, category: saved.category, comment: saved.comment }
         });
     } catch (error) {
-        logger.error('Error al generar respuesta:', error);
+        logger.error('Error al valorar respuesta:', error);
         res.status(500).json({ 
             error: error.message,
-            code: 'GENERATION_ERROR'
+            code: 'RATING_SAVE_ERROR'
         });
     }
 });
 
-/**
- * Mejora el formato de las respuestas del modelo para presentación
- * @param {string} response - Respuesta original del modelo
- * @returns {string} Respuesta con formato mejorado
- */
-function formatModelResponse(response) {
-    if (!response) return '';
-    
+// Retirar la valoración de una respuesta
+app.delete('/api/conversations/:id/messages/:messageId/rating', async (req, res) => {
+    try {
+        const removed = await answerRatings.removeRating(req.params.id, req.params.messageId, req.user.id);
+        
+        if (!removed) {
+            return res.status(404).json({
+                error: 'Valoración no encontrada',
+                code: 'RATING_NOT_FOUND'
+            });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error al eliminar valoración:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'RATING_DELETE_ERROR'
+        });
+    }
+});
+
+// Cambiar la rama activa de la conversación
+app.put('/api/conversations/:id/branch', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { messageId } = req.body;
+        
+        if (!messageId) {
+            return res.status(400).json({
+                error: 'Se requiere el campo messageId',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const conversation = await db.getConversation(id);
+        if (!conversation) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        
+        if (!conversationTree.activateBranch(conversation, messageId)) {
+            return res.status(404).json({
+                error: 'Mensaje no encontrado',
+                code: 'MESSAGE_NOT_FOUND'
+            });
+        }
+        
+        await db.saveConversation(conversation);
+        await syncActiveBranch(conversation);
+        logger.info(`Rama activa de la conversación ${id} cambiada al mensaje ${messageId}`);
+        
+        res.json({
+            success: true,
+            messages: conversation.messages,
+            branches: conversationTree.describeBranches(conversation)
+        });
+    } catch (error) {
+        logger.error(`Error al cambiar la rama de la conversación ${req.params.id}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'BRANCH_SWITCH_ERROR'
+        });
+    }
+});
+
+// Generar respuesta con Gemma 3 usando CAG
+app.post('/api/generate', async (req, res) => {
+    try {
+        const { conversation_id, config: userConfig, stream, regenerate } = req.body;
+        
+        if (!conversation_id) {
+            return res.status(400).json({
+                error: 'Se requiere el campo conversation_id',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const conversation = await db.getConversation(conversation_id);
+        if (!canAccessConversation(req.user, conversation)) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        
+        if (!canAccessConversation(req.user, conversation, 'editor')) {
+            return res.status(403).json({
+                error: 'Tu rol en esta conversación no permite esta operación',
+                code: 'CONVERSATION_FORBIDDEN'
+            });
+        }
+        
+        // Regenerar: la respuesta actual queda como rama alternativa y se responde de nuevo
+        // al mensaje del usuario que la originó
+        const lastActive = conversation.messages[conversation.messages.length - 1];
+        let regenerating = false;
+        if (regenerate && lastActive && lastActive.role === 'bot') {
+            if (conversationTree.ensureMessageIds(conversation)) {
+                await db.saveConversation(conversation);
+            }
+            const parent = conversationTree.findMessage(conversation, lastActive.parentId);
+            
+            if (!parent || parent.role !== 'user') {
+                return res.status(400).json({ 
+                    error: 'No hay un mensaje de usuario para regenerar la respuesta',
+                    code: 'NO_USER_MESSAGE'
+                });
+            }
+            
+            // La rama solo cambia en memoria: se guarda al finalizar la respuesta, de modo que
+            // si la generación falla o se cancela sigue visible la respuesta anterior
+            conversationTree.activateBranch(conversation, parent.id, { descend: false });
+            regenerating = true;
+            logger.info(`Regenerando respuesta ${lastActive.id} de la conversación ${conversation_id}`);
+        }
+        
+        // Obtener el último mensaje del usuario
+        const lastMessage = conversation.messages[conversation.messages.length - 1];
+        
+        if (!lastMessage || lastMessage.role !== 'user') {
+            return res.status(400).json({ 
+                error: 'No hay un mensaje de usuario para responder',
+                code: 'NO_USER_MESSAGE'
+            });
+        }
+        
+        logger.info(`Generando respuesta para conversación ${conversation_id}`);
+        logger.debug(`Mensaje del usuario: "${lastMessage.content.substring(0, 50)}${lastMessage.content.length > 50 ? '...' : ''}"`);
+        
+        // Analizar el contexto usando CAG
+        const contextMap = await buildGenerationContext(conversation_id, lastMessage, req.user.id, {
+            conversation: regenerating ? conversation : undefined
+        });
+        
+        // Construir prompt mejorado con CAG
+        const cagMessages = promptBuilder.buildCAGPrompt(contextMap, userConfig);
+        
+        // Elegir modelo: fijado en la conversación, reglas de enrutamiento o configuración
+        const { model, reason } = await modelRegistry.selectModel({
+            conversation,
+            contextMap,
+            userConfig,
+            systemConfig: await config.getUserConfig(req.user.id)
+        });
+        
+        logger.info(`Usando CAG para generar respuesta con contexto mejorado (modelo ${model}, ${reason})`);
+        
+        // Prompt, modelo y configuración usados, para registrarlos con la respuesta
+        const generation = {
+            prompt: cagMessages,
+            model,
+            modelReason: reason,
+            options: buildOllamaChatPayload(cagMessages, model, userConfig, false).options,
+            userConfig: userConfig || {}
+        };
+        
+        // Modo streaming: retransmitir los tokens de Ollama mediante Server-Sent Events
+        if (stream) {
+            return streamGeneration(req, res, {
+                conversation,
+                contextMap,
+                lastMessage,
+                cagMessages,
+                model,
+                userConfig,
+                generation,
+                userId: req.user.id
+            });
+        }
+        
+        // Llamar a la API de Ollama con el prompt mejorado
+        const ollama_response = await fetch(`${OLLAMA_URL}/api/chat`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildOllamaChatPayload(cagMessages, model, userConfig, false)),
+            timeout: 30000
+        });
+        
+        if (!ollama_response.ok) {
+            throw new Error(`Error en la API de Ollama: ${ollama_response.status} ${ollama_response.statusText}`);
+        }
+        
+        const data = await ollama_response.json();
+        
+        // Guardar la respuesta y actualizar memoria
+        const { botMessage, titleChanged, conversation: savedConversation } = await finalizeBotResponse(
+            conversation,
+            contextMap,
+            lastMessage,
+            data.message.content,
+            model,
+            req.user.id,
+            generation
+        );
+        
+        res.json({
+            ...botMessage,
+            title: savedConversation.title, // Incluir título actualizado
+            titleChanged,
+            branches: conversationTree.describeBranches(savedConversation)
+        });
+    } catch (error) {
+        logger.error('Error al generar respuesta:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GENERATION_ERROR'
+        });
+    }
+});
+
+/**
+ * Construye el mapa de contexto CAG para el último mensaje del usuario
+ * @param {string} conversationId - ID de la conversación
+ * @param {Object} lastMessage - Último mensaje del usuario
+ * @param {string} userId - ID del usuario autenticado
+ * @param {Object} options - Opciones
+ * @param {Object} [options.conversation] - Conversación con una rama activa aún sin guardar (al regenerar)
+ * @returns {Promise<Object>} Mapa de contexto enriquecido con documentos y memoria global
+ */
+async function buildGenerationContext(conversationId, lastMessage, userId, options = {}) {
+    let contextMap;
+    try {
+        contextMap = await contextAnalyzer.analyzeMessage(
+            conversationId,
+            userId,
+            lastMessage.content,
+            { conversation: options.conversation }
+        );
+        
+        // Añadir ID de conversación al contexto
+        contextMap.currentConversationId = conversationId;
+        
+        logger.debug("Contexto analizado correctamente");
+    } catch (contextError) {
+        logger.error("Error al analizar contexto:", contextError);
+        contextMap = { 
+            currentMessage: lastMessage.content,
+            currentConversationId: conversationId
+        }; // Contexto mínimo
+    }
+    
+    // Obtener documentos de la conversación
+    try {
+        const documents = await documentProcessor.getConversationDocuments(conversationId);
+        logger.debug(`Encontrados ${documents.length} documentos para la conversación`);
+        
+        // Enriquecer el contextMap con los documentos vigentes (no las versiones sustituidas)
+        const currentDocuments = (documents || []).filter(doc => !doc.supersededBy);
+        if (currentDocuments.length > 0) {
+            contextMap.documents = currentDocuments.map(doc => ({
+                id: doc.id,
+                name: doc.originalName,
+                summary: doc.summary,
+                keyConcepts: doc.keyConcepts,
+                entities: doc.entities,
+                format: doc.format || 'Desconocido',
+                uploadDate: doc.uploadDate,
+                version: doc.version || 1,
+                changes: doc.changes || null
+            }));
+        }
+    } catch (docError) {
+        logger.error("Error al procesar documentos:", docError);
+    }
+    
+    // Recuperar los fragmentos de documentos más relevantes para el mensaje (RAG)
+    if (contextMap.documents && contextMap.documents.length > 0) {
+        try {
+            contextMap.documentChunks = await documentProcessor.retrieveRelevantChunks(
+                conversationId,
+                lastMessage.content
+            );
+            logger.debug(`Recuperados ${contextMap.documentChunks.length} fragmentos de documentos relevantes`);
+        } catch (chunkError) {
+            logger.error("Error al recuperar fragmentos de documentos:", chunkError);
+        }
+    }
+    
+    // Responder con valores calculados cuando la pregunta es sobre datos tabulares (CSV, Excel...)
+    const tabularDocuments = (contextMap.documents || []).filter(tableQuery.isTabularDocument);
+    if (tabularDocuments.length > 0) {
+        try {
+            const tables = [];
+            for (const doc of tabularDocuments) {
+                const structuredData = await documentProcessor.getStructuredData(conversationId, doc.id);
+                tables.push(...tableQuery.buildTables(doc, structuredData));
+            }
+            
+            // El plan de la consulta lo propone el modelo pequeño del enrutamiento
+            const routing = modelRegistry.getRoutingRules(await config.getUserConfig(userId));
+            const tableResult = await tableQuery.answerQuestion(lastMessage.content, tables, {
+                model: routing.small_model
+            });
+            
+            if (tableResult) {
+                contextMap.tableResults = [tableResult];
+                logger.debug(`Consulta tabular sobre ${tableResult.docName} (${tableResult.planner}): ${tableResult.rows.length} filas`);
+            }
+        } catch (tableError) {
+            logger.error("Error al consultar datos tabulares:", tableError);
+        }
+    }
+    
+    // Relaciones conocidas de las entidades del mensaje (solo de conversaciones del usuario)
+    if (contextMap.entities && contextMap.entities.length > 0) {
+        try {
+            contextMap.graphRelations = await knowledgeGraph.getContextRelations(contextMap.entities, {
+                conversationIds: await getMemberConversationIds(userId)
+            });
+            logger.debug(`Recuperadas ${contextMap.graphRelations.length} relaciones del grafo de conocimiento`);
+        } catch (graphError) {
+            logger.error("Error al consultar el grafo de conocimiento:", graphError);
+        }
+    }
+    
+    // Enriquecer el contexto con memoria global
+    try {
+        contextMap = globalMemory.enrichContextWithGlobalMemory(contextMap);
+        logger.debug("Contexto enriquecido con memoria global");
+    } catch (globalMemoryError) {
+        logger.error("Error al enriquecer con memoria global:", globalMemoryError);
+    }
+    
+    return contextMap;
+}
+
+/**
+ * Construye el cuerpo de la petición a /api/chat de Ollama
+ * @param {Array} cagMessages - Mensajes generados por el constructor de prompts
+ * @param {string} model - Modelo elegido por el registro de modelos
+ * @param {Object} userConfig - Configuración enviada por el cliente
+ * @param {boolean} stream - Si se solicita la respuesta en streaming
+ * @returns {Object} Cuerpo de la petición
+ */
+function buildOllamaChatPayload(cagMessages, model, userConfig, stream) {
+    return {
+        model,
+        messages: cagMessages,
+        stream,
+        options: {
+            temperature: parseFloat(userConfig?.temperature || 0.7),
+            num_predict: parseInt(userConfig?.max_tokens || 2048)
+        }
+    };
+}
+
+/**
+ * Guarda la respuesta del bot y actualiza título, contexto y memoria global
+ * 
+ * La conversación se vuelve a leer antes de guardar, porque durante la
+ * generación pudo cambiar (título, colaboradores, otros mensajes). La respuesta
+ * cuelga del mensaje del usuario que la originó: si no es el último de la rama
+ * guardada (al regenerar), la rama activa cambia ahora.
+ * @param {Object} conversation - Conversación leída al iniciar la generación
+ * @param {Object} contextMap - Mapa de contexto usado para generar
+ * @param {Object} lastMessage - Último mensaje del usuario
+ * @param {string} content - Contenido bruto devuelto por el modelo
+ * @param {string} model - Modelo que generó la respuesta
+ * @param {string} userId - ID del usuario autenticado
+ * @param {Object} generation - Prompt, modelo y configuración usados (se registran para las valoraciones)
+ * @returns {Promise<Object>} { botMessage, titleChanged, conversation } con la conversación guardada
+ */
+async function finalizeBotResponse(conversation, contextMap, lastMessage, content, model, userId, generation) {
+    const conversationId = conversation.id;
+    
+    // Procesar la respuesta para mejorar formato
+    const processedResponse = formatModelResponse(content);
+    
+    // Convertir los marcadores [doc:N] / [mem:N] en citas estructuradas
+    const { content: citedResponse, citations } = promptBuilder.resolveCitations(
+        processedResponse,
+        contextMap
+    );
+    
+    // El modelo puede repetir datos personales de documentos o de la memoria
+    const piiSettings = await piiDetector.getSettings();
+    const redaction = piiDetector.redactText(citedResponse, piiSettings);
+    const pii = piiDetector.summarizeFindings(redaction.findings);
+    
+    // Guardar la respuesta en la conversación
+    const timestamp = new Date().toISOString();
+    const botMessage = {
+        role: 'bot',
+        content: redaction.text,
+        timestamp,
+        model
+    };
+    
+    if (citations.length > 0) {
+        botMessage.citations = citations;
+    }
+    
+    if (pii.length > 0) {
+        botMessage.pii = pii;
+    }
+    
+    const current = await db.getConversation(conversationId);
+    if (!current) {
+        throw new Error(`La conversación ${conversationId} ya no existe`);
+    }
+    
+    conversationTree.ensureMessageIds(current);
+    const lastActive = current.messages[current.messages.length - 1];
+    const branchChanged = (!lastActive || lastActive.id !== lastMessage.id) &&
+        conversationTree.activateBranch(current, lastMessage.id, { descend: false });
+    
+    conversationTree.appendMessage(current, botMessage);
+    current.lastActive = timestamp;
+    
+    // Variable para controlar si el título cambió
+    let titleChanged = false;
+    
+    // Actualizar el título si es necesario basado en la conversación completa
+    if (titleGenerator.needsTitleUpdate(current)) {
+        const newTitle = titleGenerator.improveTitle(current);
+        if (newTitle !== current.title) {
+            titleChanged = true;
+            current.title = newTitle;
+            current.titleGeneratedAt = current.messages.length;
+        }
+    }
+    
+    await db.saveConversation(current);
+    
+    if (branchChanged) {
+        await syncActiveBranch(current);
+    }
+    
+    // Registrar el prompt exacto y la configuración para valoraciones y exportaciones
+    try {
+        await answerRatings.recordGeneration({
+            ...generation,
+            conversationId,
+            messageId: botMessage.id,
+            parentId: botMessage.parentId,
+            templates: promptBuilder.describeTemplates(),
+            rawResponse: piiDetector.redactText(content, piiSettings).text
+        });
+    } catch (recordError) {
+        logger.error('Error al registrar la generación:', recordError);
+    }
+    
+    // Actualizar el contexto y la memoria con la respuesta
+    try {
+        await contextAnalyzer.updateAfterResponse(
+            conversationId, 
+            userId,
+            contextMap,
+            lastMessage.content,
+            botMessage.content,
+            { messageId: botMessage.id }
+        );
+        logger.debug('Memoria actualizada correctamente');
+    } catch (memoryError) {
+        logger.error('Error al actualizar la memoria:', memoryError);
+        // Continuar con la respuesta aunque falle la actualización de memoria
+    }
+    
+    // Actualizar memoria global
+    try {
+        await globalMemory.updateGlobalMemory(
+            contextMap,
+            lastMessage.content,
+            botMessage.content,
+            conversationId,
+            { messageId: botMessage.id }
+        );
+        logger.debug('Memoria global actualizada correctamente');
+    } catch (globalMemoryError) {
+        logger.error('Error al actualizar memoria global:', globalMemoryError);
+    }
+    
+    // Añadir entidades y relaciones del intercambio al grafo de conocimiento
+    try {
+        const graphResult = await knowledgeGraph.ingestConversationTurn(
+            conversationId,
+            botMessage.id,
+            contextMap.entities,
+            lastMessage.content,
+            botMessage.content
+        );
+        logger.debug(`Grafo de conocimiento actualizado: ${graphResult.nodes} entidades, ${graphResult.edges} relaciones`);
+    } catch (graphError) {
+        logger.error('Error al actualizar el grafo de conocimiento:', graphError);
+    }
+    
+    return { botMessage, titleChanged, conversation: current };
+}
+
+/**
+ * Ajusta la memoria de la conversación y la memoria global a la rama activa,
+ * para que las ramas abandonadas no influyan en respuestas futuras
+ * @param {Object} conversation - Conversación con la rama activa ya fijada
+ */
+async function syncActiveBranch(conversation) {
+    const activeMessageIds = conversationTree.getActiveMessageIds(conversation);
+    
+    try {
+        const memoryResult = await memoryStore.setActiveBranch(conversation.id, activeMessageIds);
+        const globalResult = await globalMemory.setActiveBranch(conversation.id, activeMessageIds);
+        const graphResult = await knowledgeGraph.setActiveBranch(conversation.id, activeMessageIds);
+        logger.debug(`Rama activa sincronizada en ${conversation.id}: memoria ${JSON.stringify(memoryResult)}, global ${JSON.stringify(globalResult)}, grafo ${JSON.stringify(graphResult)}`);
+    } catch (error) {
+        logger.error(`Error al sincronizar la memoria con la rama activa de ${conversation.id}:`, error);
+    }
+}
+
+/**
+ * Retransmite al cliente la respuesta de Ollama token a token (SSE)
+ * 
+ * Eventos emitidos:
+ * - token: fragmento de texto generado ({ content })
+ * - done: respuesta completa ya persistida ({ id, parentId, role, content, timestamp, model, citations, title, titleChanged, branches })
+ * - error: fallo durante la generación ({ error, code })
+ * 
+ * Si el cliente cierra la conexión se aborta la petición a Ollama y no se
+ * persiste la respuesta parcial.
+ * 
+ * Los eventos token llevan la salida del modelo sin filtrar: la ocultación de
+ * datos personales se aplica al persistir, y el cliente sustituye el texto
+ * retransmitido por el content del evento done.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} params - Conversación, contexto, mensaje y prompt preparados
+ */
+async function streamGeneration(req, res, { conversation, contextMap, lastMessage, cagMessages, model, userConfig, generation, userId }) {
+    const controller = new AbortController();
+    let clientClosed = false;
+    
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientClosed = true;
+            controller.abort();
+            logger.info(`Cliente desconectado, generación cancelada para conversación ${conversation.id}`);
+        }
+    });
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Evitar buffering en proxies inversos
+    });
+    res.flushHeaders();
+    
+    const sendEvent = (event, data) => {
+        if (!clientClosed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    
+    try {
+        const ollama_response = await fetch(`${OLLAMA_URL}/api/chat`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildOllamaChatPayload(cagMessages, model, userConfig, true)),
+            signal: controller.signal
+        });
+        
+        if (!ollama_response.ok) {
+            throw new Error(`Error en la API de Ollama: ${ollama_response.status} ${ollama_response.statusText}`);
+        }
+        
+        // Ollama responde en NDJSON: un objeto JSON por línea
+        let fullContent = '';
+        let buffer = '';
+        const decoder = new TextDecoder();
+        
+        const handleLine = (rawLine) => {
+            const line = rawLine.trim();
+            if (!line) return;
+            
+            let part;
+            try {
+                part = JSON.parse(line);
+            } catch (parseError) {
+                logger.warn(`Línea no válida en el stream de Ollama (conversación ${conversation.id}): ${line.substring(0, 200)}`);
+                return;
+            }
+            
+            if (part.error) {
+                throw new Error(`Error en la API de Ollama: ${part.error}`);
+            }
+            
+            const token = part.message?.content || '';
+            if (token) {
+                fullContent += token;
+                sendEvent('token', { content: token });
+            }
+        };
+        
+        for await (const chunk of ollama_response.body) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+            
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newlineIndex);
+                buffer = buffer.slice(newlineIndex + 1);
+                handleLine(line);
+            }
+        }
+        
+        // La última línea puede llegar sin salto de línea final
+        buffer += decoder.decode();
+        handleLine(buffer);
+        
+        if (clientClosed) {
+            return;
+        }
+        
+        // Persistir solo cuando el stream ha finalizado completo
+        const { botMessage, titleChanged, conversation: savedConversation } = await finalizeBotResponse(
+            conversation,
+            contextMap,
+            lastMessage,
+            fullContent,
+            model,
+            userId,
+            generation
+        );
+        
+        sendEvent('done', {
+            ...botMessage,
+            title: savedConversation.title,
+            titleChanged,
+            branches: conversationTree.describeBranches(savedConversation)
+        });
+        res.end();
+    } catch (error) {
+        if (clientClosed || error.name === 'AbortError') {
+            return;
+        }
+        
+        logger.error('Error al generar respuesta en streaming:', error);
+        sendEvent('error', {
+            error: error.message,
+            code: 'GENERATION_ERROR'
+        });
+        res.end();
+    }
+}
+
+/**
+ * Mejora el formato de las respuestas del modelo para presentación
+ * @param {string} response - Respuesta original del modelo
+ * @returns {string} Respuesta con formato mejorado
+ */
+function formatModelResponse(response) {
+    if (!response) return '';
+    
     let formattedResponse = response;
     
-    // Asegurar que las listas tengan formato adecuado
-    formattedResponse = formattedResponse
-        // Asegurar que los asteriscos para listas tengan espacio después
-        .replace(/^(\*+)([^\s*])/gm, '$1 $2')
-        // Asegurar que listas numeradas tengan espacio después del punto
-        .replace(/^(\d+\.)([^\s])/gm, '$1 $2');
+    // Asegurar que las listas tengan formato adecuado
+    formattedResponse = formattedResponse
+        // Asegurar que los asteriscos para listas tengan espacio después
+        .replace(/^(\*+)([^\s*])/gm, '$1 $2')
+        // Asegurar que listas numeradas tengan espacio después del punto
+        .replace(/^(\d+\.)([^\s])/gm, '$1 $2');
+
+    // Asegurar espaciado adecuado para encabezados markdown
+    formattedResponse = formattedResponse
+        .replace(/^(#{1,6})([^#\s])/gm, '$1 $2');
+    
+    // Normalizar múltiples líneas en blanco a máximo dos
+    formattedResponse = formattedResponse
+        .replace(/\n{3,}/g, '\n\n');
+    
+    return formattedResponse;
+}
+
+// Rutas para documentos
+
+// Subir un documento a una conversación (se procesa en segundo plano)
+app.post('/api/conversations/:id/documents', requireConversationRole('editor'), upload.single('document'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ 
+                error: 'No se ha proporcionado ningún archivo',
+                code: 'NO_FILE_UPLOADED'
+            });
+        }
+        
+        const { id: conversationId } = req.params;
+        const fileName = req.file.originalname;
+        
+        if (req.file.size > documentProcessor.MAX_FILE_SIZE) {
+            return res.status(413).json({
+                error: 'El archivo excede el tamaño máximo permitido',
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+        
+        // Verificar que la conversación existe
+        const conversation = await db.getConversation(conversationId);
+        if (!conversation) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        
+        // Encolar el procesamiento; el archivo se persiste con el trabajo
+        const job = await jobQueue.enqueue('document', { conversationId, fileName }, {
+            input: req.file.buffer,
+            ownerId: req.user.id,
+            conversationId
+        });
+        
+        logger.info(`Documento ${fileName} encolado para conversación ${conversationId} (trabajo ${job.id})`);
+        res.status(202).json({ 
+            success: true,
+            jobId: job.id,
+            job,
+            message: 'Documento en cola de procesamiento'
+        });
+    } catch (error) {
+        logger.error('Error al subir documento:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_UPLOAD_ERROR'
+        });
+    }
+});
+
+/**
+ * Procesa un documento subido (trabajos de tipo 'document')
+ * @param {Object} job - Trabajo con payload { conversationId, fileName }
+ * @param {Buffer} fileBuffer - Archivo subido
+ * @param {Object} control - Control de la cola (progress)
+ * @returns {Promise<Object>} { documentId, originalName }
+ */
+async function processDocumentJob(job, fileBuffer, control) {
+    const { conversationId, fileName } = job.payload;
+    
+    if (!(await db.getConversation(conversationId))) {
+        const error = new Error('Conversación no encontrada');
+        error.permanent = true; // No tiene sentido reintentar
+        throw error;
+    }
+    
+    const docInfo = await documentProcessor.processDocument(
+        fileBuffer,
+        fileName,
+        conversationId,
+        { onProgress: control.progress }
+    );
+    
+    // Añadir el documento al grafo de conocimiento (la versión sustituida deja de contar)
+    try {
+        const { text } = await documentProcessor.getDocumentContent(conversationId, docInfo.id);
+        await knowledgeGraph.ingestDocument(conversationId, docInfo, text);
+        await knowledgeGraph.syncDocuments(
+            conversationId,
+            await documentProcessor.getConversationDocuments(conversationId)
+        );
+    } catch (graphError) {
+        logger.error(`Error al añadir ${fileName} al grafo de conocimiento:`, graphError);
+    }
+    
+    // Una cancelación posterior al último punto de control descarta el documento ya guardado
+    if (await control.isCancelled()) {
+        await documentProcessor.deleteDocument(conversationId, docInfo.id);
+        await knowledgeGraph.syncDocuments(
+            conversationId,
+            await documentProcessor.getConversationDocuments(conversationId)
+        );
+        logger.info(`Documento ${fileName} descartado: el trabajo ${job.id} se canceló`);
+        throw jobQueue.createCancelledError();
+    }
+    
+    // Releer la conversación: puede haber cambiado mientras se procesaba el documento
+    const conversation = await db.getConversation(conversationId);
+    if (conversation) {
+        const timestamp = new Date().toISOString();
+        const concepts = docInfo.keyConcepts.map(c => c.word).join(', ');
+        conversationTree.appendMessage(conversation, {
+            role: 'system',
+            content: docInfo.changes
+                ? `Nueva versión (v${docInfo.version}) de "${docInfo.changes.fromName}": "${fileName}". ${docInfo.changes.added} líneas añadidas y ${docInfo.changes.removed} eliminadas respecto a la versión ${docInfo.changes.fromVersion}.`
+                : `Documento subido: "${fileName}". Este documento contiene información sobre: ${concepts}.`,
+            timestamp
+        });
+        conversation.lastActive = timestamp;
+        await db.saveConversation(conversation);
+    }
+    
+    logger.info(`Documento procesado para conversación ${conversationId}: ${fileName}`);
+    const piiSettings = await piiDetector.getSettings();
+    return {
+        documentId: docInfo.id,
+        originalName: docInfo.originalName,
+        version: docInfo.version,
+        piiWarning: piiSettings.warnUser ? docInfo.pii : null
+    };
+}
+
+jobQueue.registerHandler('document', processDocumentJob);
+
+// Listar los trabajos de una conversación (?active=true para solo los pendientes)
+app.get('/api/conversations/:id/jobs', async (req, res) => {
+    try {
+        const jobs = await jobQueue.listJobs(
+            { conversationId: req.params.id },
+            { activeOnly: req.query.active === 'true' }
+        );
+        res.json(jobs);
+    } catch (error) {
+        logger.error(`Error al listar trabajos de la conversación ${req.params.id}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'JOB_LIST_ERROR'
+        });
+    }
+});
+
+/**
+ * Carga un trabajo comprobando el acceso del usuario a su conversación
+ * @param {Object} req - Petición de Express (usa req.params.jobId y req.user)
+ * @param {Object} res - Respuesta de Express (responde 404 si no hay acceso)
+ * @param {string} role - Rol mínimo en la conversación del trabajo
+ * @returns {Promise<Object|null>} Trabajo o null si ya se respondió
+ */
+async function loadAuthorizedJob(req, res, role) {
+    const job = await jobQueue.getJob(req.params.jobId);
+    
+    let allowed = false;
+    if (job && job.conversationId) {
+        const conversation = await db.getConversation(job.conversationId);
+        allowed = canAccessConversation(req.user, conversation, role);
+    } else if (job) {
+        allowed = job.ownerId === req.user.id || req.user.role === 'admin';
+    }
+    
+    if (!allowed) {
+        res.status(404).json({
+            error: 'Trabajo no encontrado',
+            code: 'JOB_NOT_FOUND'
+        });
+        return null;
+    }
+    
+    return job;
+}
+
+// Consultar el estado y progreso de un trabajo
+app.get('/api/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await loadAuthorizedJob(req, res, 'viewer');
+        if (!job) return;
+        
+        res.json(job);
+    } catch (error) {
+        logger.error(`Error al obtener el trabajo ${req.params.jobId}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'JOB_FETCH_ERROR'
+        });
+    }
+});
+
+// Cancelar un trabajo pendiente o en ejecución
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        if (!(await loadAuthorizedJob(req, res, 'editor'))) return;
+        
+        const job = await jobQueue.cancelJob(req.params.jobId);
+        if (!job) {
+            return res.status(409).json({
+                error: 'El trabajo ya ha terminado',
+                code: 'JOB_NOT_CANCELLABLE'
+            });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        logger.error(`Error al cancelar el trabajo ${req.params.jobId}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'JOB_CANCEL_ERROR'
+        });
+    }
+});
+
+// Reintentar un trabajo fallido o cancelado
+app.post('/api/jobs/:jobId/retry', async (req, res) => {
+    try {
+        if (!(await loadAuthorizedJob(req, res, 'editor'))) return;
+        
+        const job = await jobQueue.retryJob(req.params.jobId);
+        if (!job) {
+            return res.status(409).json({
+                error: 'Solo se pueden reintentar trabajos fallidos o cancelados que conserven su archivo',
+                code: 'JOB_NOT_RETRYABLE'
+            });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        logger.error(`Error al reintentar el trabajo ${req.params.jobId}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'JOB_RETRY_ERROR'
+        });
+    }
+});
+
+// Obtener todos los documentos asociados a una conversación
+app.get('/api/conversations/:id/documents', async (req, res) => {
+    try {
+        const { id: conversationId } = req.params;
+        
+        // Verificar que la conversación existe
+        const conversation = await db.getConversation(conversationId);
+        if (!conversation) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        
+        // Obtener documentos
+        const documents = await documentProcessor.getConversationDocuments(conversationId);
+        
+        res.json(documents);
+    } catch (error) {
+        logger.error('Error al obtener documentos:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENTS_FETCH_ERROR'
+        });
+    }
+});
+
+// Obtener un documento específico
+app.get('/api/conversations/:id/documents/:docId', async (req, res) => {
+    try {
+        const { id: conversationId, docId } = req.params;
+        
+        // Obtener documento
+        const documentData = await documentProcessor.getDocumentContent(conversationId, docId);
+        
+        if (!documentData) {
+            return res.status(404).json({
+                error: 'Documento no encontrado',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+        
+        res.json(documentData);
+    } catch (error) {
+        logger.error('Error al obtener documento:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_FETCH_ERROR'
+        });
+    }
+});
+
+// Eliminar un documento
+app.delete('/api/conversations/:id/documents/:docId', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { id: conversationId, docId } = req.params;
+        
+        await documentProcessor.deleteDocument(conversationId, docId);
+        
+        // Quitar el documento del grafo (y reactivar la versión anterior si vuelve a ser la vigente)
+        await knowledgeGraph.syncDocuments(
+            conversationId,
+            await documentProcessor.getConversationDocuments(conversationId)
+        );
+        
+        // Registrar la eliminación en la conversación
+        const conversation = await db.getConversation(conversationId);
+        if (conversation) {
+            const timestamp = new Date().toISOString();
+            conversationTree.appendMessage(conversation, {
+                role: 'system',
+                content: `Documento eliminado (ID: ${docId}).`,
+                timestamp
+            });
+            conversation.lastActive = timestamp;
+            await db.saveConversation(conversation);
+        }
+        
+        logger.info(`Documento eliminado: ${docId} de conversación ${conversationId}`);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error al eliminar documento:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_DELETE_ERROR'
+        });
+    }
+});
+
+// Buscar en documentos
+app.get('/api/conversations/:id/documents/search/:term', async (req, res) => {
+    try {
+        const { id: conversationId, term } = req.params;
+        
+        if (!term || term.length < 3) {
+            return res.status(400).json({ 
+                error: 'El término de búsqueda debe tener al menos 3 caracteres',
+                code: 'INVALID_SEARCH_TERM'
+            });
+        }
+        
+        const results = await documentProcessor.searchDocuments(conversationId, term);
+        
+        res.json(results);
+    } catch (error) {
+        logger.error('Error al buscar en documentos:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_SEARCH_ERROR'
+        });
+    }
+});
+
+// Obtener las versiones de un documento
+app.get('/api/conversations/:id/documents/:docId/versions', async (req, res) => {
+    try {
+        const { id: conversationId, docId } = req.params;
+        
+        const versions = await documentProcessor.getDocumentVersions(conversationId, docId);
+        
+        if (!versions) {
+            return res.status(404).json({
+                error: 'Documento no encontrado',
+                code: 'DOCUMENT_NOT_FOUND'
+            });
+        }
+        
+        res.json(versions);
+    } catch (error) {
+        logger.error('Error al obtener versiones del documento:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_VERSIONS_ERROR'
+        });
+    }
+});
+
+// Comparar un documento con su versión anterior (?from=<docId> para otra versión)
+app.get('/api/conversations/:id/documents/:docId/diff', async (req, res) => {
+    try {
+        const { id: conversationId, docId } = req.params;
+        
+        const diff = await documentProcessor.getVersionDiff(conversationId, docId, req.query.from || null);
+        
+        if (!diff) {
+            return res.status(404).json({
+                error: 'No hay una versión anterior con la que comparar',
+                code: 'DOCUMENT_VERSION_NOT_FOUND'
+            });
+        }
+        
+        res.json(diff);
+    } catch (error) {
+        logger.error('Error al comparar versiones del documento:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DOCUMENT_DIFF_ERROR'
+        });
+    }
+});
+
+// Búsqueda global en conversaciones, documentos y memoria global
+app.get('/api/search/global/:term', async (req, res) => {
+    try {
+        const term = (req.params.term || '').trim();
+        
+        if (term.length < 3) {
+            return res.status(400).json({
+                error: 'El término de búsqueda debe tener al menos 3 caracteres',
+                code: 'INVALID_SEARCH_TERM'
+            });
+        }
+        
+        const results = await globalSearch.searchGlobal(term, {
+            limit: Math.min(parseInt(req.query.limit) || 20, 100),
+            memberId: req.user.id
+        });
+        
+        res.json(results);
+    } catch (error) {
+        logger.error('Error en la búsqueda global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_SEARCH_ERROR'
+        });
+    }
+});
+
+// Editar título de conversación
+app.post('/api/conversations/:id/title', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title } = req.body;
+        
+        if (!title || title.trim() === '') {
+            return res.status(400).json({ 
+                error: 'El título no puede estar vacío',
+                code: 'INVALID_TITLE'
+            });
+        }
+        
+        const conversation = await db.getConversation(id);
+        if (!conversation) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+        
+        const oldTitle = conversation.title;
+        conversation.title = title;
+        conversation.titleEdited = true; // Marcar como editado manualmente
+        conversation.lastActive = new Date().toISOString();
+        
+        await db.saveConversation(conversation);
+        logger.info(`Título de conversación ${id} actualizado: "${title}"`);
+        
+        res.json({ 
+            success: true, 
+            title,
+            oldTitle
+        });
+    } catch (error) {
+        logger.error('Error al actualizar título:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'TITLE_UPDATE_ERROR'
+        });
+    }
+});
+
+// Obtener información contextual para una conversación
+app.get('/api/conversations/:id/context', async (req, res) => {
+    try {
+        const contextMap = await contextManager.getContextMap(req.params.id, req.user.id);
+        
+        if (!contextMap) {
+            return res.status(404).json({ 
+                error: 'Información contextual no encontrada',
+                code: 'CONTEXT_NOT_FOUND'
+            });
+        }
+        
+        // Reflejar las correcciones hechas después del último análisis
+        res.json({
+            ...contextMap,
+            entities: await entityExtractor.applyFeedback(contextMap.entities)
+        });
+    } catch (error) {
+        logger.error('Error al obtener contexto:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'CONTEXT_FETCH_ERROR'
+        });
+    }
+});
+
+// Obtener información de memoria para una conversación
+app.get('/api/conversations/:id/memory', async (req, res) => {
+    try {
+        const memory = await memoryStore.getMemory(req.params.id, req.user.id);
+        
+        if (!memory) {
+            return res.status(404).json({ 
+                error: 'Información de memoria no encontrada',
+                code: 'MEMORY_NOT_FOUND'
+            });
+        }
+        
+        res.json(memory);
+    } catch (error) {
+        logger.error('Error al obtener memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * Valida la valoración de una entidad enviada en el cuerpo de la petición
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express (recibe el 400 si no es válida)
+ * @returns {Object|null} { name, type, action, feedback } o null si ya se respondió
+ */
+function parseEntityFeedback(req, res) {
+    const { name, type, action } = req.body;
+    const correctName = typeof req.body.correctName === 'string' ? req.body.correctName.trim() : '';
+    const correctType = typeof req.body.correctType === 'string' ? req.body.correctType.trim().toLowerCase() : '';
+    
+    if (!name || !type || !ENTITY_FEEDBACK_ACTIONS.includes(action)) {
+        res.status(400).json({
+            error: `Se requieren name, type y action (${ENTITY_FEEDBACK_ACTIONS.join(', ')})`,
+            code: 'INVALID_REQUEST'
+        });
+        return null;
+    }
+    
+    if (action === 'correct' && !correctName && !correctType) {
+        res.status(400).json({
+            error: 'Una corrección requiere correctName o correctType',
+            code: 'INVALID_REQUEST'
+        });
+        return null;
+    }
+    
+    const isCorrection = action === 'correct';
+    
+    return {
+        name,
+        type,
+        action,
+        feedback: {
+            isCorrect: action === 'up',
+            notAnEntity: action === 'wrong',
+            correctValue: isCorrection ? correctName : undefined,
+            correctType: isCorrection ? correctType : undefined
+        }
+    };
+}
+
+// Valorar o corregir una entidad detectada en la conversación
+// (solo cambia sus entidades; la memoria global se corrige en /api/memory/global/entities/feedback)
+app.post('/api/conversations/:id/entities/feedback', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const target = parseEntityFeedback(req, res);
+        if (!target) return;
+        
+        const { name, type, feedback } = target;
+        
+        // Entidades del mapa de contexto tal como se muestran (con las correcciones globales)
+        const contextMap = await contextManager.getContextMap(req.params.id, req.user.id);
+        const contextEntities = contextMap ? await entityExtractor.applyFeedback(contextMap.entities) : [];
+        const contextResult = entityExtractor.correctEntities(contextEntities, name, type, feedback);
+        
+        // Entidades de los recuerdos (solo cambian los ítems donde aparece la entidad)
+        const memoryMatches = await memoryStore.applyEntityFeedback(req.params.id, name, type, feedback);
+        
+        if (!contextResult.matched && memoryMatches === 0) {
+            return res.status(404).json({
+                error: 'La entidad no aparece en esta conversación',
+                code: 'ENTITY_NOT_FOUND'
+            });
+        }
+        
+        if (contextResult.matched) {
+            // El rol en la conversación ya se comprobó en la ruta
+            const saved = await contextManager.updateContextMap(req.params.id, req.user.id, {
+                ...contextMap,
+                entities: contextResult.entities
+            }, { checkPermissions: false });
+            
+            if (!saved) {
+                return res.status(500).json({
+                    error: 'No se pudo guardar el contexto de la conversación',
+                    code: 'ENTITY_FEEDBACK_ERROR'
+                });
+            }
+        }
+        
+        res.json({
+            success: true,
+            entity: feedback.notAnEntity ? null : {
+                name: feedback.correctValue || name,
+                type: feedback.correctType || type
+            }
+        });
+    } catch (error) {
+        logger.error('Error al registrar valoración de entidad:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'ENTITY_FEEDBACK_ERROR'
+        });
+    }
+});
+
+// Valorar un ítem de memoria o marcarlo como incorrecto
+app.post('/api/conversations/:id/memory/:itemId/feedback', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { action } = req.body;
+        
+        if (!MEMORY_FEEDBACK_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                error: `Se requiere action (${MEMORY_FEEDBACK_ACTIONS.join(', ')})`,
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const feedback = {
+            up: { isHelpful: true },
+            down: { isHelpful: false },
+            wrong: { isCorrect: false },
+            restore: { isCorrect: true }
+        }[action];
+        
+        const item = await memoryStore.provideFeedback(req.params.id, req.params.itemId, feedback);
+        
+        if (!item) {
+            return res.status(404).json({
+                error: 'Ítem de memoria no encontrado',
+                code: 'MEMORY_ITEM_NOT_FOUND'
+            });
+        }
+        
+        res.json({ success: true, item });
+    } catch (error) {
+        logger.error('Error al registrar valoración de memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_FEEDBACK_ERROR'
+        });
+    }
+});
+
+// Buscar en la memoria de una conversación
+app.get('/api/conversations/:id/memory/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        
+        if (!query) {
+            return res.status(400).json({
+                error: 'Se requiere el parámetro q',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const results = await memoryStore.searchMemory(req.params.id, query);
+        res.json({ query, results });
+    } catch (error) {
+        logger.error('Error al buscar en la memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_SEARCH_ERROR'
+        });
+    }
+});
+
+// Promover ítems de la memoria a corto plazo a la de largo plazo
+app.post('/api/conversations/:id/memory/promote', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { itemIds } = req.body;
+        
+        if (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(itemId => typeof itemId === 'string')) {
+            return res.status(400).json({
+                error: 'Se requiere itemIds (lista de IDs de ítems de memoria)',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const promoted = await memoryStore.promoteToLongTermMemory(req.params.id, itemIds);
+        
+        if (!promoted) {
+            return res.status(404).json({
+                error: 'No hay ítems de memoria a corto plazo con esos IDs',
+                code: 'MEMORY_ITEM_NOT_FOUND'
+            });
+        }
+        
+        logger.info(`Promovidos ${itemIds.length} ítems de memoria en conversación ${req.params.id}`);
+        res.json({ success: true, memory: await memoryStore.getMemory(req.params.id, req.user.id) });
+    } catch (error) {
+        logger.error('Error al promover ítems de memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_PROMOTE_ERROR'
+        });
+    }
+});
+
+// Fijar o liberar un ítem de memoria (los fijados no decaen)
+app.post('/api/conversations/:id/memory/:itemId/pin', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { pinned } = req.body;
+        
+        if (typeof pinned !== 'boolean') {
+            return res.status(400).json({
+                error: 'Se requiere pinned (true o false)',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const item = await memoryStore.pinMemoryItem(req.params.id, req.params.itemId, pinned);
+        
+        if (!item) {
+            return res.status(404).json({
+                error: 'Ítem de memoria no encontrado',
+                code: 'MEMORY_ITEM_NOT_FOUND'
+            });
+        }
+        
+        res.json({ success: true, item });
+    } catch (error) {
+        logger.error('Error al fijar ítem de memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_PIN_ERROR'
+        });
+    }
+});
+
+// Editar lo que recuerda un ítem de memoria
+app.put('/api/conversations/:id/memory/:itemId', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const { userMessage, botResponse } = req.body;
+        const isText = value => value === undefined || typeof value === 'string';
+        
+        if ((userMessage === undefined && botResponse === undefined) || !isText(userMessage) || !isText(botResponse)) {
+            return res.status(400).json({
+                error: 'Se requiere userMessage o botResponse',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const item = await memoryStore.editMemoryItem(req.params.id, req.params.itemId, { userMessage, botResponse });
+        
+        if (!item) {
+            return res.status(404).json({
+                error: 'Ítem de memoria no encontrado',
+                code: 'MEMORY_ITEM_NOT_FOUND'
+            });
+        }
+        
+        logger.info(`Ítem de memoria ${req.params.itemId} editado en conversación ${req.params.id}`);
+        res.json({ success: true, item });
+    } catch (error) {
+        logger.error('Error al editar ítem de memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_EDIT_ERROR'
+        });
+    }
+});
+
+// Olvidar un ítem de memoria
+app.delete('/api/conversations/:id/memory/:itemId', requireConversationRole('editor'), async (req, res) => {
+    try {
+        const removed = await memoryStore.forgetMemoryItem(req.params.id, req.params.itemId);
+        
+        if (!removed) {
+            return res.status(404).json({
+                error: 'Ítem de memoria no encontrado',
+                code: 'MEMORY_ITEM_NOT_FOUND'
+            });
+        }
+        
+        logger.info(`Ítem de memoria ${req.params.itemId} olvidado en conversación ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error al olvidar ítem de memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_FORGET_ERROR'
+        });
+    }
+});
+
+// Obtener memoria global
+app.get('/api/memory/global', async (req, res) => {
+    try {
+        const globalMemoryContext = await globalMemory.getGlobalMemoryContext();
+        res.json(globalMemoryContext);
+    } catch (error) {
+        logger.error('Error al obtener memoria global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_MEMORY_FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * Valida la sección y la identificación de un elemento de la memoria global
+ * @param {Object} req - Petición de Express (kind en la ruta; name y type en body o query)
+ * @param {Object} res - Respuesta de Express (responde 400 si no es válida)
+ * @returns {Object|null} { kind, name, type } o null si ya se respondió
+ */
+function parseGlobalMemoryTarget(req, res) {
+    const { kind } = req.params;
+    const source = req.method === 'DELETE' ? req.query : req.body;
+    const name = typeof source.name === 'string' ? source.name.trim() : '';
+    const type = typeof source.type === 'string' ? source.type.trim() : '';
+    
+    if (!GLOBAL_MEMORY_KINDS.includes(kind) || !name || (kind === 'entities' && !type)) {
+        res.status(400).json({
+            error: `Se requiere una sección (${GLOBAL_MEMORY_KINDS.join(', ')}), name y, para entidades, type`,
+            code: 'INVALID_REQUEST'
+        });
+        return null;
+    }
+    
+    return { kind, name, type };
+}
+
+/**
+ * Responde con el resultado de una operación sobre la memoria global
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} result - Resultado de globalMemory ({ success, item, notFound, piiBlocked, error })
+ * @param {string} errorCode - Código para errores inesperados
+ */
+function sendGlobalMemoryResult(res, result, errorCode) {
+    if (result.notFound) {
+        return res.status(404).json({ error: result.error, code: 'GLOBAL_MEMORY_ITEM_NOT_FOUND' });
+    }
+    if (result.piiBlocked) {
+        return res.status(422).json({ error: result.error, code: 'PII_BLOCKED' });
+    }
+    if (!result.success) {
+        return res.status(500).json({ error: result.error, code: errorCode });
+    }
+    
+    const { embedding, ...item } = result.item || {};
+    res.json({ success: true, item });
+}
+
+// Buscar entidades y temas en la memoria global (las entidades sensibles se omiten)
+app.get('/api/memory/global/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        
+        if (!query) {
+            return res.status(400).json({
+                error: 'Se requiere el parámetro q',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+        const [entities, topics] = await Promise.all([
+            globalMemory.searchEntities(query, { limit }),
+            globalMemory.searchTopics(query, { limit })
+        ]);
+        
+        res.json({ query, entities, topics });
+    } catch (error) {
+        logger.error('Error al buscar en la memoria global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_MEMORY_SEARCH_ERROR'
+        });
+    }
+});
+
+// Fijar o liberar una entidad o un tema de la memoria global
+app.post('/api/memory/global/:kind/pin', requireRole('admin'), async (req, res) => {
+    try {
+        const target = parseGlobalMemoryTarget(req, res);
+        if (!target) return;
+        
+        if (typeof req.body.pinned !== 'boolean') {
+            return res.status(400).json({
+                error: 'Se requiere pinned (true o false)',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const result = await globalMemory.pinGlobalItem(target.kind, target.name, target.type, req.body.pinned);
+        sendGlobalMemoryResult(res, result, 'GLOBAL_MEMORY_PIN_ERROR');
+    } catch (error) {
+        logger.error('Error al fijar elemento de memoria global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_MEMORY_PIN_ERROR'
+        });
+    }
+});
+
+// Editar una entidad (nombre, tipo o descripción) o un tema (nombre) de la memoria global
+app.put('/api/memory/global/:kind', requireRole('admin'), async (req, res) => {
+    try {
+        const target = parseGlobalMemoryTarget(req, res);
+        if (!target) return;
+        
+        const changes = {
+            name: typeof req.body.newName === 'string' ? req.body.newName.trim() : '',
+            type: typeof req.body.newType === 'string' ? req.body.newType.trim().toLowerCase() : '',
+            description: typeof req.body.description === 'string' ? req.body.description.trim() : undefined
+        };
+        
+        if (!changes.name && !changes.type && changes.description === undefined) {
+            return res.status(400).json({
+                error: 'Se requiere newName, newType o description',
+                code: 'INVALID_REQUEST'
+            });
+        }
+        
+        const result = await globalMemory.editGlobalItem(target.kind, target.name, target.type, changes);
+        
+        if (result.success) {
+            logger.info(`Memoria global: ${target.kind} "${target.name}" editado por ${req.user.username}`);
+        }
+        sendGlobalMemoryResult(res, result, 'GLOBAL_MEMORY_EDIT_ERROR');
+    } catch (error) {
+        logger.error('Error al editar elemento de memoria global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_MEMORY_EDIT_ERROR'
+        });
+    }
+});
+
+// Olvidar una entidad o un tema de la memoria global (?name=&type=)
+app.delete('/api/memory/global/:kind', requireRole('admin'), async (req, res) => {
+    try {
+        const target = parseGlobalMemoryTarget(req, res);
+        if (!target) return;
+        
+        const result = await globalMemory.forgetGlobalItem(target.kind, target.name, target.type);
+        
+        if (result.success) {
+            logger.info(`Memoria global: ${target.kind} "${target.name}" olvidado por ${req.user.username}`);
+        }
+        sendGlobalMemoryResult(res, result, 'GLOBAL_MEMORY_FORGET_ERROR');
+    } catch (error) {
+        logger.error('Error al olvidar elemento de memoria global:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GLOBAL_MEMORY_FORGET_ERROR'
+        });
+    }
+});
 
-    // Asegurar espaciado adecuado para encabezados markdown
-    formattedResponse = formattedResponse
-        .replace(/^(#{1,6})([^#\s])/gm, '$1 $2');
+// Valorar o corregir una entidad para todas las conversaciones (detecciones futuras y memoria global)
+app.post('/api/memory/global/entities/feedback', requireRole('admin'), async (req, res) => {
+    try {
+        const target = parseEntityFeedback(req, res);
+        if (!target) return;
+        
+        const { name, type, action, feedback } = target;
+        
+        // Detecciones futuras: confirmar, suprimir o corregir la entidad
+        const extractorUpdated = await entityExtractor.provideFeedback({ name, type, ...feedback });
+        
+        // Memoria global y peso del tipo de entidad
+        const globalResult = await globalMemory.provideFeedback(name, type, {
+            isCorrect: feedback.isCorrect,
+            notAnEntity: feedback.notAnEntity,
+            correctedName: feedback.correctValue,
+            correctedType: feedback.correctType,
+            conversationId: typeof req.body.conversationId === 'string' ? req.body.conversationId : null,
+            userId: req.user.id
+        });
+        
+        if (!extractorUpdated || (!globalResult.success && !globalResult.notFound)) {
+            return res.status(500).json({
+                error: globalResult.error || 'No se pudo registrar la valoración',
+                code: 'ENTITY_FEEDBACK_ERROR'
+            });
+        }
+        
+        logger.info(`Memoria global: valoración "${action}" de la entidad ${type}:${name} por ${req.user.username}`);
+        
+        const typeWeights = await globalMemory.getEntityTypeWeights();
+        
+        res.json({
+            success: true,
+            entity: feedback.notAnEntity ? null : {
+                name: feedback.correctValue || name,
+                type: feedback.correctType || type
+            },
+            typeWeight: typeWeights[type] || 1
+        });
+    } catch (error) {
+        logger.error('Error al registrar valoración global de entidad:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'ENTITY_FEEDBACK_ERROR'
+        });
+    }
+});
+
+/**
+ * Obtiene los IDs de las conversaciones de las que un usuario es propietario o colaborador
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Array<string>>} IDs de conversación
+ */
+async function getMemberConversationIds(userId) {
+    const { data } = await db.getAllConversations({
+        filter: { memberId: userId },
+        limit: MAX_GRAPH_CONVERSATIONS
+    });
+    return data.map(c => c.id);
+}
+
+/**
+ * Determina las conversaciones visibles en una consulta al grafo de conocimiento
+ * 
+ * Con ?conversationId= se limita a esa conversación si el usuario tiene acceso.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express (responde 404 si no hay acceso)
+ * @returns {Promise<Array<string>|null>} IDs de conversación o null si ya se respondió
+ */
+async function getGraphScope(req, res) {
+    const conversationIds = await getMemberConversationIds(req.user.id);
     
-    // Normalizar múltiples líneas en blanco a máximo dos
-    formattedResponse = formattedResponse
-        .replace(/\n{3,}/g, '\n\n');
+    if (req.query.conversationId) {
+        if (!conversationIds.includes(req.query.conversationId)) {
+            res.status(404).json({
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+            return null;
+        }
+        return [req.query.conversationId];
+    }
     
-    return formattedResponse;
+    return conversationIds;
 }
 
-// Rutas para documentos
+/**
+ * Convierte un parámetro de lista separada por comas en array
+ * @param {string} value - Valor del parámetro
+ * @returns {Array<string>|null} Elementos o null si está vacío
+ */
+function parseListParam(value) {
+    const items = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
 
-// Subir un documento a una conversación
-app.post('/api/conversations/:id/documents', upload.single('document'), async (req, res) => {
+// Vecinos de una entidad en el grafo de conocimiento (?type=&depth=&relations=)
+app.get('/api/graph/entities/:name/neighbors', async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ 
-                error: 'No se ha proporcionado ningún archivo',
-                code: 'NO_FILE_UPLOADED'
+        const conversationIds = await getGraphScope(req, res);
+        if (!conversationIds) return;
+        
+        const neighborhood = await knowledgeGraph.getNeighbors(req.params.name, {
+            type: req.query.type || null,
+            depth: req.query.depth,
+            limit: parseInt(req.query.limit) || undefined,
+            relationTypes: parseListParam(req.query.relations),
+            conversationIds
+        });
+        
+        if (!neighborhood) {
+            return res.status(404).json({
+                error: 'Entidad no encontrada en el grafo',
+                code: 'ENTITY_NOT_FOUND'
             });
         }
         
-        const { id: conversationId } = req.params;
-        const fileBuffer = req.file.buffer;
-        const fileName = req.file.originalname;
+        res.json(neighborhood);
+    } catch (error) {
+        logger.error(`Error al obtener vecinos de ${req.params.name}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GRAPH_NEIGHBORS_ERROR'
+        });
+    }
+});
+
+// Caminos más cortos entre dos entidades (?from=&to=&maxDepth=)
+app.get('/api/graph/paths', async (req, res) => {
+    try {
+        if (!req.query.from || !req.query.to) {
+            return res.status(400).json({
+                error: 'Se requieren los parámetros from y to',
+                code: 'INVALID_REQUEST'
+            });
+        }
         
-        // Verificar que la conversación existe
-        const conversation = db.getConversation(conversationId);
-        if (!conversation) {
-            return res.status(404).json({ 
-                error: 'Conversación no encontrada',
-                code: 'CONVERSATION_NOT_FOUND'
+        const conversationIds = await getGraphScope(req, res);
+        if (!conversationIds) return;
+        
+        const result = await knowledgeGraph.findPaths(req.query.from, req.query.to, {
+            fromType: req.query.fromType || null,
+            toType: req.query.toType || null,
+            maxDepth: req.query.maxDepth,
+            conversationIds
+        });
+        
+        if (!result) {
+            return res.status(404).json({
+                error: 'Entidad no encontrada en el grafo',
+                code: 'ENTITY_NOT_FOUND'
             });
         }
         
-        // Procesar el documento
-        const docInfo = await documentProcessor.processDocument(
-            fileBuffer,
-            fileName,
-            conversationId
-        );
+        res.json(result);
+    } catch (error) {
+        logger.error('Error al buscar caminos en el grafo:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GRAPH_PATHS_ERROR'
+        });
+    }
+});
+
+// Subgrafo de las entidades de ciertos tipos (?types=person,organization&limit=)
+app.get('/api/graph/subgraph', async (req, res) => {
+    try {
+        const conversationIds = await getGraphScope(req, res);
+        if (!conversationIds) return;
         
-        // Añadir mensaje al sistema sobre el documento subido
-        const timestamp = new Date().toISOString();
-        const systemMessage = {
-            role: 'system',
-            content: `Documento subido: "${fileName}". Este documento contiene información sobre: ${docInfo.keyConcepts.map(c => c.word).join(', ')}.`,
-            timestamp
-        };
+        const subgraph = await knowledgeGraph.getSubgraph({
+            types: parseListParam(req.query.types) || [],
+            limit: parseInt(req.query.limit) || undefined,
+            conversationIds
+        });
         
-        conversation.messages.push(systemMessage);
-        conversation.lastActive = timestamp;
-        db.saveConversation(conversation);
+        res.json(subgraph);
+    } catch (error) {
+        logger.error('Error al obtener subgrafo:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GRAPH_SUBGRAPH_ERROR'
+        });
+    }
+});
+
+// Estadísticas del grafo de conocimiento visible para el usuario
+app.get('/api/graph/stats', async (req, res) => {
+    try {
+        const conversationIds = await getGraphScope(req, res);
+        if (!conversationIds) return;
+        
+        res.json(await knowledgeGraph.getStats({ conversationIds }));
+    } catch (error) {
+        logger.error('Error al obtener estadísticas del grafo:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'GRAPH_STATS_ERROR'
+        });
+    }
+});
+
+// Ruta para reiniciar la memoria
+app.post('/api/memory/reset', requireRole('admin'), async (req, res) => {
+    try {
+        // Usar la nueva función de reseteo de memoria global
+        const globalReset = await globalMemory.resetGlobalMemory();
+        
+        // Reiniciar memoria del almacenamiento
+        const memoryReset = await memoryStore.resetMemory();
         
-        logger.info(`Documento subido para conversación ${conversationId}: ${fileName}`);
+        logger.info('Memoria global y almacenamiento de memoria reiniciados');
         res.json({ 
-            success: true,
-            documentId: docInfo.id,
-            message: 'Documento procesado con éxito',
-            documentInfo: docInfo
+            success: true, 
+            message: 'Memoria reiniciada correctamente',
+            globalReset,
+            memoryReset
         });
     } catch (error) {
-        logger.error('Error al subir documento:', error);
+        logger.error('Error al reiniciar la memoria:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'MEMORY_RESET_ERROR'
+        });
+    }
+});
+
+// Rutas de exportación de valoraciones (solo administradores)
+
+// Exportar valoraciones de respuestas en JSONL (solo administradores)
+// ?format=dpo (pares elegida/rechazada, por defecto) o ratings (valoraciones con prompt y configuración)
+// ?regenerations=true añade a dpo los pares implícitos de respuestas descartadas al regenerar
+app.get('/api/admin/ratings/export', requireRole('admin'), async (req, res) => {
+    try {
+        const format = req.query.format || 'dpo';
+        if (format !== 'dpo' && format !== 'ratings') {
+            return res.status(400).json({
+                error: 'Formato no soportado. Usa uno de: dpo, ratings',
+                code: 'INVALID_EXPORT_FORMAT'
+            });
+        }
         
-        // Respuesta de error más informativa
-        let errorMessage = error.message;
-        let statusCode = 500;
-        let errorCode = 'DOCUMENT_UPLOAD_ERROR';
+        // Los datos personales se ocultan en cualquier exportación
+        const piiSettings = await piiDetector.getSettings();
+        const redact = record => piiDetector.redactValue(record, piiSettings, { forExport: true }).value;
         
-        if (error.message.includes('tamaño máximo')) {
-            statusCode = 413; // Payload Too Large
-            errorMessage = 'El archivo excede el tamaño máximo permitido';
-            errorCode = 'FILE_TOO_LARGE';
-        } else if (error.message.includes('formato')) {
-            statusCode = 415; // Unsupported Media Type
-            errorMessage = 'Formato de archivo no soportado';
-            errorCode = 'UNSUPPORTED_FILE_FORMAT';
+        let body;
+        if (format === 'ratings') {
+            body = await answerRatings.exportRatings({ redact });
+        } else {
+            const includeRegenerations = req.query.regenerations === 'true';
+            const conversationIds = await answerRatings.listConversationIds({
+                includeGenerations: includeRegenerations
+            });
+            
+            const conversations = [];
+            for (const conversationId of conversationIds) {
+                const conversation = await db.getConversation(conversationId);
+                if (conversation) {
+                    conversations.push(conversation);
+                }
+            }
+            
+            const exported = await answerRatings.exportPreferencePairs(conversations, { includeRegenerations, redact });
+            body = exported.body;
+            logger.info(`Exportados ${exported.pairs} pares de preferencia de ${conversations.length} conversaciones`);
         }
         
-        res.status(statusCode).json({ 
-            error: errorMessage,
-            code: errorCode
+        const date = new Date().toISOString().substring(0, 10);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=${format}-${date}.jsonl`);
+        res.send(body);
+    } catch (error) {
+        logger.error('Error al exportar valoraciones:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'RATINGS_EXPORT_ERROR'
         });
     }
 });
 
-// Obtener todos los documentos asociados a una conversación
-app.get('/api/conversations/:id/documents', async (req, res) => {
+// Rutas de administración de backups (solo administradores)
+
+// Listar los backups disponibles
+app.get('/api/admin/backups', requireRole('admin'), async (req, res) => {
     try {
-        const { id: conversationId } = req.params;
+        const backups = await db.listBackups();
+        res.json({ backups, sections: db.BACKUP_SECTIONS });
+    } catch (error) {
+        logger.error('Error al listar backups:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'BACKUP_LIST_ERROR'
+        });
+    }
+});
+
+// Crear un backup (comprimido por defecto)
+app.post('/api/admin/backups', requireRole('admin'), async (req, res) => {
+    try {
+        const { compress = true, include = [] } = req.body || {};
         
-        // Verificar que la conversación existe
-        const conversation = db.getConversation(conversationId);
-        if (!conversation) {
-            return res.status(404).json({ 
-                error: 'Conversación no encontrada',
-                code: 'CONVERSATION_NOT_FOUND'
+        const invalidSections = (Array.isArray(include) ? include : [include])
+            .filter(section => !db.BACKUP_SECTIONS.includes(section));
+        if (!Array.isArray(include) || invalidSections.length > 0) {
+            return res.status(400).json({
+                error: `Secciones no válidas. Disponibles: ${db.BACKUP_SECTIONS.join(', ')}`,
+                code: 'INVALID_BACKUP_SECTION'
             });
         }
         
-        // Obtener documentos
-        const documents = await documentProcessor.getConversationDocuments(conversationId);
+        const name = await db.createBackup({ compress: compress !== false, include });
+        const backup = (await db.listBackups()).find(b => b.name === name);
         
-        res.json(documents);
+        logger.info(`Backup creado por ${req.user.username}: ${name}`);
+        res.status(201).json({ backup: { ...backup, include } });
     } catch (error) {
-        logger.error('Error al obtener documentos:', error);
+        logger.error('Error al crear backup:', error);
         res.status(500).json({ 
             error: error.message,
-            code: 'DOCUMENTS_FETCH_ERROR'
+            code: 'BACKUP_CREATE_ERROR'
         });
     }
 });
 
-// Obtener un documento específico
-app.get('/api/conversations/:id/documents/:docId', async (req, res) => {
+// Descargar un backup
+app.get('/api/admin/backups/:name/download', requireRole('admin'), async (req, res) => {
     try {
-        const { id: conversationId, docId } = req.params;
-        
-        // Obtener documento
-        const documentData = await documentProcessor.getDocumentContent(conversationId, docId);
+        const data = await db.readBackup(req.params.name);
+        if (!data) {
+            return res.status(404).json({
+                error: 'Backup no encontrado',
+                code: 'BACKUP_NOT_FOUND'
+            });
+        }
         
-        if (!documentData) {
+        res.setHeader('Content-Type', req.params.name.endsWith('.gz') ? 'application/gzip' : 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}"`);
+        res.send(data);
+    } catch (error) {
+        logger.error(`Error al descargar backup ${req.params.name}:`, error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'BACKUP_DOWNLOAD_ERROR'
+        });
+    }
+});
+
+// Restaurar un backup; con dryRun solo se informa de lo que se restauraría
+app.post('/api/admin/backups/:name/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!(await db.readBackup(name))) {
             return res.status(404).json({
-                error: 'Documento no encontrado',
-                code: 'DOCUMENT_NOT_FOUND'
+                error: 'Backup no encontrado',
+                code: 'BACKUP_NOT_FOUND'
             });
         }
         
-        res.json(documentData);
+        const preview = await db.previewBackup(name);
+        
+        if (req.body?.dryRun === true) {
+            return res.json({ dryRun: true, ...preview });
+        }
+        
+        const restored = await db.restoreFromBackup(name, { ownerId: req.user.id });
+        
+        logger.info(`Backup ${req.params.name} restaurado por ${req.user.username}: ${restored} conversaciones`);
+        res.json({ dryRun: false, ...preview, restored });
     } catch (error) {
-        logger.error('Error al obtener documento:', error);
+        logger.error(`Error al restaurar backup ${req.params.name}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'DOCUMENT_FETCH_ERROR'
+            code: 'BACKUP_RESTORE_ERROR'
+        });
+    }
+});
+
+// Obtener la programación de limpieza de conversaciones antiguas
+app.get('/api/admin/prune-schedule', requireRole('admin'), (req, res) => {
+    res.json(db.getPruneSchedule());
+});
+
+// Programar (o desactivar) la limpieza de conversaciones antiguas
+app.put('/api/admin/prune-schedule', requireRole('admin'), async (req, res) => {
+    try {
+        const { enabled, daysOld, intervalHours } = req.body || {};
+        const days = daysOld !== undefined ? parseInt(daysOld) : undefined;
+        const hours = intervalHours !== undefined ? parseInt(intervalHours) : undefined;
+        
+        if (typeof enabled !== 'boolean' ||
+            (days !== undefined && (!Number.isInteger(days) || days < 1)) ||
+            (hours !== undefined && (!Number.isInteger(hours) || hours < 1 || hours > db.MAX_PRUNE_INTERVAL_HOURS))) {
+            return res.status(400).json({
+                error: `enabled debe ser booleano, daysOld un entero positivo e intervalHours entre 1 y ${db.MAX_PRUNE_INTERVAL_HOURS}`,
+                code: 'INVALID_PRUNE_SCHEDULE'
+            });
+        }
+        
+        const schedule = await db.setPruneSchedule({ enabled, daysOld: days, intervalHours: hours });
+        logger.info(`Limpieza programada actualizada por ${req.user.username}`);
+        res.json(schedule);
+    } catch (error) {
+        logger.error('Error al programar la limpieza:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'PRUNE_SCHEDULE_ERROR'
+        });
+    }
+});
+
+// Ruta para comprobar dependencias del sistema
+app.get('/api/system/dependencies', (req, res) => {
+    try {
+        // Verificar dependencias para procesamiento de documentos
+        const docDependencies = documentProcessor.checkDependencies();
+        
+        // Verificar conexión con Ollama
+        const ollamaStatus = {
+            checked: true,
+            connected: false,
+            error: null
+        };
+        
+        fetch(`${OLLAMA_URL}/api/tags`, { 
+            method: 'GET', 
+            timeout: 2000 
+        })
+        .then(response => {
+            ollamaStatus.connected = response.ok;
+            if (!response.ok) {
+                ollamaStatus.error = `Estado: ${response.status} ${response.statusText}`;
+            }
+            sendResponse();
+        })
+        .catch(error => {
+            ollamaStatus.error = error.message;
+            sendResponse();
+        });
+        
+        function sendResponse() {
+            res.json({
+                documentProcessing: docDependencies,
+                ollama: ollamaStatus,
+                nodeVersion: process.version,
+                platform: process.platform,
+                memory: {
+                    total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
+                    used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
+                }
+            });
+        }
+    } catch (error) {
+        logger.error('Error al verificar dependencias:', error);
+        res.status(500).json({ 
+            error: error.message,
+            code: 'DEPENDENCIES_CHECK_ERROR'
         });
     }
 });
 
-// Eliminar un documento
-app.delete('/api/conversations/:id/documents/:docId', async (req, res) => {
+// Exportar conversación
+// ?format=json|markdown|html|print|jsonl  ?include=documents,citations,memory
+app.get('/api/conversations/:id/export', async (req, res) => {
     try {
-        const { id: conversationId, docId } = req.params;
-        
-        await documentProcessor.deleteDocument(conversationId, docId);
-        
-        // Registrar la eliminación en la conversación
-        const conversation = db.getConversation(conversationId);
-        if (conversation) {
-            const timestamp = new Date().toISOString();
-            conversation.messages.push({
-                role: 'system',
-                content: `Documento eliminado (ID: ${docId}).`,
-                timestamp
+        const format = conversationExporter.resolveFormat(req.query.format);
+        if (!format) {
+            return res.status(400).json({
+                error: `Formato no soportado. Usa uno de: ${Object.keys(conversationExporter.EXPORT_FORMATS).join(', ')}`,
+                code: 'INVALID_EXPORT_FORMAT'
             });
-            conversation.lastActive = timestamp;
-            db.saveConversation(conversation);
         }
-        
-        logger.info(`Documento eliminado: ${docId} de conversación ${conversationId}`);
-        res.json({ success: true });
+
+        const conversation = await db.getConversation(req.params.id);
+        if (!conversation) {
+            return res.status(404).json({ 
+                error: 'Conversación no encontrada',
+                code: 'CONVERSATION_NOT_FOUND'
+            });
+        }
+
+        const include = String(req.query.include || '').split(',').map(item => item.trim());
+        const systemConfig = await config.get();
+
+        // Ocultar los datos personales, también los que la política conserva en la conversación
+        const piiSettings = await piiDetector.getSettings(systemConfig);
+        const redact = value => piiDetector.redactValue(value, piiSettings, { forExport: true }).value;
+
+        const exported = conversationExporter.exportConversation(redact(conversation), format, {
+            includeCitations: include.includes('citations'),
+            documents: include.includes('documents')
+                ? redact(await documentProcessor.getConversationDocuments(req.params.id))
+                : null,
+            memory: include.includes('memory')
+                ? redact(await memoryStore.getMemory(req.params.id, req.user.id))
+                : null,
+            systemPrompt: systemConfig.system_prompt
+        });
+
+        if (exported.nonce) {
+            // La vista de impresión necesita su propio script para abrir el diálogo
+            res.setHeader('Content-Security-Policy',
+                `default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${exported.nonce}'`);
+        }
+
+        res.setHeader('Content-Type', exported.contentType);
+        res.setHeader('Content-Disposition',
+            `${exported.inline ? 'inline' : 'attachment'}; filename=${exported.filename}`);
+        res.send(exported.body);
     } catch (error) {
-        logger.error('Error al eliminar documento:', error);
+        logger.error('Error al exportar conversación:', error);
         res.status(500).json({ 
             error: error.message,
-            code: 'DOCUMENT_DELETE_ERROR'
+            code: 'CONVERSATION_EXPORT_ERROR'
         });
     }
 });
 
-// Buscar en documentos
-app.get('/api/conversations/:id/documents/search/:term', async (req, res) => {
+// Importar conversaciones (exportación propia, backups, ChatGPT, Claude o JSONL de mensajes)
+// Acepta un archivo en el campo "file" o el JSON en el cuerpo; ?conversationId= elige una del archivo
+app.post('/api/conversations/import', upload.single('file'), async (req, res) => {
     try {
-        const { id: conversationId, term } = req.params;
-        
-        if (!term || term.length < 3) {
-            return res.status(400).json({ 
-                error: 'El término de búsqueda debe tener al menos 3 caracteres',
-                code: 'INVALID_SEARCH_TERM'
+        let data;
+        if (req.file) {
+            data = conversationImporter.parseImportFile(req.file.buffer);
+        } else if (req.body && Object.keys(req.body).length > 0) {
+            data = req.body;
+        } else {
+            return res.status(400).json({
+                error: 'Se requiere un archivo o un cuerpo JSON con la conversación',
+                code: 'INVALID_REQUEST'
             });
         }
-        
-        const results = await documentProcessor.searchDocuments(conversationId, term);
-        
-        res.json(results);
+
+        const { format, conversations } = conversationImporter.normalizeImport(data, {
+            conversationId: req.query.conversationId || req.body?.conversationId
+        });
+
+        const imported = [];
+        for (const conversation of conversations) {
+            imported.push(await conversationImporter.importConversation(conversation, {
+                ownerId: req.user.id,
+                replay: req.query.replay !== 'false'
+            }));
+        }
+
+        logger.info(`Importadas ${imported.length} conversaciones (formato ${format})`);
+        res.status(201).json({ format, imported });
     } catch (error) {
-        logger.error('Error al buscar en documentos:', error);
-        res.status(500).json({ 
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        logger.error('Error al importar conversación:', error);
+        res.status(500).json({
             error: error.message,
-            code: 'DOCUMENT_SEARCH_ERROR'
+            code: 'CONVERSATION_IMPORT_ERROR'
         });
     }
 });
 
-// Editar título de conversación
-app.post('/api/conversations/:id/title', (req, res) => {
+// Crear (u obtener) el enlace público de una conversación
+app.post('/api/conversations/:id/share', requireConversationRole('owner'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title } = req.body;
+        const { expiryDays, regenerate } = req.body || {};
         
-        if (!title || title.trim() === '') {
-            return res.status(400).json({ 
-                error: 'El título no puede estar vacío',
-                code: 'INVALID_TITLE'
-            });
-        }
+        const share = await db.createShare(id, {
+            expiryDays: expiryDays !== undefined ? parseInt(expiryDays) : undefined,
+            regenerate: regenerate === true
+        });
         
-        const conversation = db.getConversation(id);
-        if (!conversation) {
+        if (!share) {
             return res.status(404).json({ 
                 error: 'Conversación no encontrada',
                 code: 'CONVERSATION_NOT_FOUND'
             });
         }
         
-        const oldTitle = conversation.title;
-        conversation.title = title;
-        conversation.titleEdited = true; // Marcar como editado manualmente
-        conversation.lastActive = new Date().toISOString();
-        
-        db.saveConversation(conversation);
-        logger.info(`Título de conversación ${id} actualizado: "${title}"`);
-        
-        res.json({ 
-            success: true, 
-            title,
-            oldTitle
-        });
+        logger.info(`Enlace público creado para conversación ${id}`);
+        res.json(formatShareResponse(share));
     } catch (error) {
-        logger.error('Error al actualizar título:', error);
+        logger.error(`Error al compartir conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'TITLE_UPDATE_ERROR'
+            code: 'CONVERSATION_SHARE_ERROR'
         });
     }
 });
 
-// Obtener información contextual para una conversación
-app.get('/api/conversations/:id/context', async (req, res) => {
+// Actualizar la expiración del enlace público
+app.put('/api/conversations/:id/share', requireConversationRole('owner'), async (req, res) => {
     try {
-        const contextMap = contextManager.getContextMap(req.params.id);
+        const { id } = req.params;
+        const expiryDays = parseInt(req.body?.expiryDays);
         
-        if (!contextMap) {
+        if (!Number.isInteger(expiryDays) || expiryDays < 0) {
+            return res.status(400).json({
+                error: 'expiryDays debe ser un entero mayor o igual que 0',
+                code: 'INVALID_SHARE_EXPIRY'
+            });
+        }
+        
+        const share = await db.updateShareExpiry(id, expiryDays);
+        if (!share) {
             return res.status(404).json({ 
-                error: 'Información contextual no encontrada',
-                code: 'CONTEXT_NOT_FOUND'
+                error: 'La conversación no tiene un enlace público activo',
+                code: 'SHARE_NOT_FOUND'
             });
         }
         
-        res.json(contextMap);
+        res.json(formatShareResponse(share));
     } catch (error) {
-        logger.error('Error al obtener contexto:', error);
+        logger.error(`Error al actualizar enlace de conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'CONTEXT_FETCH_ERROR'
+            code: 'CONVERSATION_SHARE_ERROR'
         });
     }
 });
 
-// Obtener información de memoria para una conversación
-app.get('/api/conversations/:id/memory', async (req, res) => {
+// Revocar el enlace público
+app.delete('/api/conversations/:id/share', requireConversationRole('owner'), async (req, res) => {
     try {
-        const memory = await memoryStore.getMemory(req.params.id, null);
+        const { id } = req.params;
+        const revoked = await db.revokeShare(id);
         
-        if (!memory) {
+        if (!revoked) {
             return res.status(404).json({ 
-                error: 'Información de memoria no encontrada',
-                code: 'MEMORY_NOT_FOUND'
+                error: 'La conversación no tiene un enlace público',
+                code: 'SHARE_NOT_FOUND'
             });
         }
         
-        res.json(memory);
+        logger.info(`Enlace público revocado para conversación ${id}`);
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error al obtener memoria:', error);
+        logger.error(`Error al revocar enlace de conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'MEMORY_FETCH_ERROR'
+            code: 'CONVERSATION_SHARE_ERROR'
         });
     }
 });
 
-// Obtener memoria global
-app.get('/api/memory/global', (req, res) => {
+/**
+ * Da formato a la respuesta de la API de enlaces compartidos
+ * @param {Object} share - Datos del enlace guardados en la conversación
+ * @returns {Object} { shareId, url, createdAt, expiresAt }
+ */
+function formatShareResponse(share) {
+    return {
+        shareId: share.token,
+        url: `/s/${share.token}`,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt
+    };
+}
+
+// Rutas de colaboradores
+
+/**
+ * Da formato a la lista de colaboradores de una conversación
+ * @param {Object} conversation - Conversación
+ * @param {Array} [collaborators] - Colaboradores (por defecto, los de la conversación)
+ * @returns {Promise<Object>} { owner, collaborators } con nombre de cada usuario
+ */
+async function formatCollaborators(conversation, collaborators = conversation.collaborators || []) {
+    const describe = async (userId) => {
+        const user = await userStore.getUser(userId);
+        return {
+            userId,
+            username: user ? user.username : null,
+            displayName: user ? user.displayName : 'Usuario eliminado'
+        };
+    };
+    
+    return {
+        owner: await describe(conversation.ownerId),
+        collaborators: await Promise.all(collaborators.map(async c => ({
+            ...(await describe(c.userId)),
+            role: c.role,
+            addedAt: c.addedAt
+        })))
+    };
+}
+
+/**
+ * Sincroniza los permisos del contexto CAG con los colaboradores actuales
+ *
+ * Los editores quedan como usuarios autorizados para escribir en el contexto.
+ * @param {Object} conversation - Conversación
+ * @param {Array} collaborators - Colaboradores actualizados
+ */
+async function syncContextAccess(conversation, collaborators) {
+    await contextManager.setContextAccess(conversation.id, {
+        ownerId: conversation.ownerId,
+        authorizedUsers: collaborators.filter(c => c.role === 'editor').map(c => c.userId)
+    });
+}
+
+// Listar el propietario y los colaboradores de una conversación
+app.get('/api/conversations/:id/collaborators', async (req, res) => {
     try {
-        const globalMemoryContext = globalMemory.getGlobalMemoryContext();
-        res.json(globalMemoryContext);
+        const conversation = await db.getConversation(req.params.id);
+        res.json({
+            role: req.conversationRole,
+            ...(await formatCollaborators(conversation))
+        });
     } catch (error) {
-        logger.error('Error al obtener memoria global:', error);
+        logger.error(`Error al obtener colaboradores de la conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'GLOBAL_MEMORY_FETCH_ERROR'
+            code: 'COLLABORATORS_FETCH_ERROR'
         });
     }
 });
 
-// Ruta para reiniciar la memoria
-app.post('/api/memory/reset', async (req, res) => {
+// Invitar a un usuario como colaborador (o cambiar su rol)
+app.post('/api/conversations/:id/collaborators', requireConversationRole('owner'), async (req, res) => {
     try {
-        // Usar la nueva función de reseteo de memoria global
-        const globalReset = await globalMemory.resetGlobalMemory();
+        const { id } = req.params;
+        const { username, role = 'viewer' } = req.body || {};
         
-        // Reiniciar memoria del almacenamiento
-        const memoryReset = await memoryStore.resetMemory();
+        if (!db.COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `Rol no válido. Roles disponibles: ${db.COLLABORATOR_ROLES.join(', ')}`,
+                code: 'INVALID_COLLABORATOR_ROLE'
+            });
+        }
         
-        logger.info('Memoria global y almacenamiento de memoria reiniciados');
-        res.json({ 
-            success: true, 
-            message: 'Memoria reiniciada correctamente',
-            globalReset,
-            memoryReset
+        const user = await userStore.findByUsername(username);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Usuario no encontrado',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+        
+        const conversation = await db.getConversation(id);
+        if (user.id === conversation.ownerId) {
+            return res.status(400).json({
+                error: 'El propietario ya tiene acceso completo a la conversación',
+                code: 'INVALID_COLLABORATOR'
+            });
+        }
+        
+        const collaborators = await db.setCollaborator(id, {
+            userId: user.id,
+            role,
+            addedBy: req.user.id
         });
+        await syncContextAccess(conversation, collaborators);
+        
+        logger.info(`Usuario ${user.username} añadido como ${role} a la conversación ${id}`);
+        res.status(201).json(await formatCollaborators(conversation, collaborators));
     } catch (error) {
-        logger.error('Error al reiniciar la memoria:', error);
+        logger.error(`Error al añadir colaborador a la conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'MEMORY_RESET_ERROR'
+            code: 'COLLABORATOR_ADD_ERROR'
         });
     }
 });
 
-// Ruta para comprobar dependencias del sistema
-app.get('/api/system/dependencies', (req, res) => {
+// Cambiar el rol de un colaborador
+app.put('/api/conversations/:id/collaborators/:userId', requireConversationRole('owner'), async (req, res) => {
     try {
-        // Verificar dependencias para procesamiento de documentos
-        const docDependencies = documentProcessor.checkDependencies();
-        
-        // Verificar conexión con Ollama
-        const ollamaStatus = {
-            checked: true,
-            connected: false,
-            error: null
-        };
+        const { id, userId } = req.params;
+        const { role } = req.body || {};
         
-        fetch(`${OLLAMA_URL}/api/tags`, { 
-            method: 'GET', 
-            timeout: 2000 
-        })
-        .then(response => {
-            ollamaStatus.connected = response.ok;
-            if (!response.ok) {
-                ollamaStatus.error = `Estado: ${response.status} ${response.statusText}`;
-            }
-            sendResponse();
-        })
-        .catch(error => {
-            ollamaStatus.error = error.message;
-            sendResponse();
-        });
+        if (!db.COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `Rol no válido. Roles disponibles: ${db.COLLABORATOR_ROLES.join(', ')}`,
+                code: 'INVALID_COLLABORATOR_ROLE'
+            });
+        }
         
-        function sendResponse() {
-            res.json({
-                documentProcessing: docDependencies,
-                ollama: ollamaStatus,
-                nodeVersion: process.version,
-                platform: process.platform,
-                memory: {
-                    total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
-                    used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
-                }
+        const conversation = await db.getConversation(id);
+        if (!(conversation.collaborators || []).some(c => c.userId === userId)) {
+            return res.status(404).json({
+                error: 'El usuario no es colaborador de esta conversación',
+                code: 'COLLABORATOR_NOT_FOUND'
             });
         }
+        
+        const collaborators = await db.setCollaborator(id, { userId, role, addedBy: req.user.id });
+        await syncContextAccess(conversation, collaborators);
+        
+        logger.info(`Rol del colaborador ${userId} en la conversación ${id}: ${role}`);
+        res.json(await formatCollaborators(conversation, collaborators));
     } catch (error) {
-        logger.error('Error al verificar dependencias:', error);
+        logger.error(`Error al actualizar colaborador de la conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'DEPENDENCIES_CHECK_ERROR'
+            code: 'COLLABORATOR_UPDATE_ERROR'
         });
     }
 });
 
-// Exportar conversación
-app.get('/api/conversations/:id/export', (req, res) => {
+// Quitar un colaborador (el propietario a cualquiera; un colaborador puede salir por sí mismo)
+app.delete('/api/conversations/:id/collaborators/:userId', async (req, res) => {
     try {
-        const conversation = db.getConversation(req.params.id);
-        if (!conversation) {
-            return res.status(404).json({ 
-                error: 'Conversación no encontrada',
-                code: 'CONVERSATION_NOT_FOUND'
+        const { id, userId } = req.params;
+        
+        if (req.conversationRole !== 'owner' && userId !== req.user.id) {
+            return res.status(403).json({
+                error: 'Tu rol en esta conversación no permite esta operación',
+                code: 'CONVERSATION_FORBIDDEN'
             });
         }
         
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename=conversation-${req.params.id}.json`);
-        res.json(conversation);
+        const removed = await db.removeCollaborator(id, userId);
+        if (!removed) {
+            return res.status(404).json({
+                error: 'El usuario no es colaborador de esta conversación',
+                code: 'COLLABORATOR_NOT_FOUND'
+            });
+        }
+        
+        const conversation = await db.getConversation(id);
+        await syncContextAccess(conversation, conversation.collaborators || []);
+        
+        logger.info(`Colaborador ${userId} eliminado de la conversación ${id}`);
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error al exportar conversación:', error);
+        logger.error(`Error al eliminar colaborador de la conversación ${req.params.id}:`, error);
         res.status(500).json({ 
             error: error.message,
-            code: 'CONVERSATION_EXPORT_ERROR'
+            code: 'COLLABORATOR_REMOVE_ERROR'
         });
     }
 });
 
 // Ruta para estado general del sistema
-app.get('/api/system/status', (req, res) => {
+app.get('/api/system/status', async (req, res) => {
     try {
         // Obtener estadísticas de la base de datos
-        const conversations = db.getAllConversations();
-        const conversationsCount = conversations.length;
-        const activeConversations = conversations.filter(c => 
-            new Date(c.lastActive || c.created_at) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-        ).length;
-        
-        // Contar total de mensajes
-        const totalMessages = conversations.reduce((count, conv) => 
-            count + (conv.messages ? conv.messages.length : 0), 0);
+        const conversationStats = await db.getConversationStats();
+        const conversationsCount = conversationStats.total;
+        const activeConversations = conversationStats.active;
+        const totalMessages = conversationStats.messages;
         
         // Contar documentos
-        let documentCount = 0;
-        if (fs.existsSync(path.join(__dirname, 'data', 'documents'))) {
-            const docDirs = fs.readdirSync(path.join(__dirname, 'data', 'documents'));
-            
-            for (const dir of docDirs) {
-                const dirPath = path.join(__dirname, 'data', 'documents', dir);
-                if (fs.statSync(dirPath).isDirectory()) {
-                    const files = fs.readdirSync(dirPath);
-                    documentCount += files.filter(f => !f.endsWith('.meta.json') && !f.endsWith('.txt')).length;
-                }
-            }
-        }
+        const documentCount = await documentProcessor.countAllDocuments();
         
         // Consultar memoria global
-        const globalMemoryContext = globalMemory.getGlobalMemoryContext();
+        const globalMemoryContext = await globalMemory.getGlobalMemoryContext();
         const entityCount = globalMemoryContext.entities ? globalMemoryContext.entities.length : 0;
         const topicCount = globalMemoryContext.topics ? globalMemoryContext.topics.length : 0;
         
@@ -1014,6 +3340,114 @@ app.use((err, req, res, next) => {
     res.status(statusCode).json(errorResponse);
 });
 
+// Vista pública de solo lectura de una conversación compartida
+app.get('/s/:token', async (req, res) => {
+    // Los enlaces no deben indexarse ni filtrarse por Referer, ni quedar en caché tras revocarse
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    
+    try {
+        const { status, conversation } = await db.getSharedConversation(req.params.token);
+        
+        if (status !== 'active') {
+            const statusCode = status === 'not_found' ? 404 : 410;
+            return res.status(statusCode).send(renderSharedPage(
+                'Enlace no disponible',
+                `<p class="shared-notice">${status === 'not_found'
+                    ? 'Este enlace no existe.'
+                    : 'Este enlace ha caducado o ha sido revocado por su propietario.'}</p>`
+            ));
+        }
+        
+        // La vista pública oculta los datos personales igual que una exportación
+        const piiSettings = await piiDetector.getSettings();
+        res.send(renderSharedConversation(
+            piiDetector.redactValue(conversation, piiSettings, { forExport: true }).value
+        ));
+    } catch (error) {
+        logger.error('Error al mostrar conversación compartida:', error);
+        res.status(500).send(renderSharedPage(
+            'Error',
+            '<p class="shared-notice">No se pudo cargar la conversación.</p>'
+        ));
+    }
+});
+
+/**
+ * Escapa texto para insertarlo en HTML
+ * @param {string} text - Texto original
+ * @returns {string} Texto escapado
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Genera la página HTML de una conversación compartida
+ * 
+ * Solo se incluyen el título y los mensajes del usuario y del asistente:
+ * nada de memoria, contexto, documentos, mensajes de sistema ni citas.
+ * @param {Object} conversation - Conversación compartida
+ * @returns {string} Página HTML
+ */
+function renderSharedConversation(conversation) {
+    const messagesHTML = (conversation.messages || [])
+        .filter(msg => msg.role === 'user' || msg.role === 'bot')
+        .map(msg => {
+            // Quitar marcadores de cita, que remiten a documentos privados
+            const content = msg.content.replace(/\s*\[(?:doc|mem):\d+\]/g, '');
+            const time = msg.timestamp ? new Date(msg.timestamp).toLocaleString('es-ES') : '';
+            
+            return `
+            <div class="message ${msg.role}">
+                <div class="message-bubble">
+                    <div class="message-content">${escapeHTML(content)}</div>
+                    <div class="message-meta"><span class="message-time">${escapeHTML(time)}</span></div>
+                </div>
+            </div>`;
+        })
+        .join('');
+    
+    return renderSharedPage(
+        conversation.title || 'Conversación compartida',
+        `<div class="shared-messages">${messagesHTML}</div>`
+    );
+}
+
+/**
+ * Envuelve el contenido de la vista compartida en una página HTML completa
+ * @param {string} title - Título de la página (sin escapar)
+ * @param {string} bodyHTML - Contenido HTML ya escapado
+ * @returns {string} Página HTML
+ */
+function renderSharedPage(title, bodyHTML) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHTML(title)} - CAG Chat</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body class="shared-view">
+    <main class="shared-container">
+        <header class="shared-header">
+            <h1>${escapeHTML(title)}</h1>
+            <p class="shared-subtitle">Conversación compartida de solo lectura</p>
+        </header>
+        ${bodyHTML}
+    </main>
+</body>
+</html>`;
+}
+
 // Manejar rutas de frontend (SPA)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -1024,8 +3458,11 @@ async function startServer() {
     try {
         // Verificar dependencias y conexiones
         ensureDirectories();
-        db.init();
-        config.init();
+        await db.init();
+        await config.init();
+        await jobQueue.init();
+        await knowledgeGraph.init();
+        await answerRatings.init();
         
         // Verificar conexión con Ollama
         await checkOllamaConnection();
@@ -1042,8 +3479,15 @@ async function startServer() {
             logger.info('- DOCX: ' + (docDeps.docxExtraction ? 'Disponible' : 'No disponible'));
             logger.info('- CSV: ' + (docDeps.csvParsing ? 'Disponible' : 'No disponible'));
             logger.info('- Excel: ' + (docDeps.excelExtraction ? 'Disponible' : 'No disponible'));
+            logger.info('- OCR de imágenes: ' + (docDeps.imageOcr ? 'Disponible' : 'No disponible'));
+            logger.info('- OCR de PDF escaneados: ' + (docDeps.pdfOcr ? 'Disponible' : 'No disponible'));
+            logger.info('- HTML: ' + (docDeps.htmlExtraction ? 'Disponible' : 'No disponible'));
+            logger.info('- EPUB: ' + (docDeps.epubExtraction ? 'Disponible' : 'No disponible'));
+            logger.info('- PPTX: ' + (docDeps.pptxExtraction ? 'Disponible' : 'No disponible'));
+            logger.info('- OpenDocument (ODT/ODS): ' + (docDeps.openDocumentExtraction ? 'Disponible' : 'No disponible'));
             
-            if (!docDeps.pdfExtraction || !docDeps.docxExtraction || !docDeps.csvParsing || !docDeps.excelExtraction) {
+            if (!docDeps.pdfExtraction || !docDeps.docxExtraction || !docDeps.csvParsing || !docDeps.excelExtraction ||
+                !docDeps.imageOcr || !docDeps.pdfOcr || !docDeps.epubExtraction || !docDeps.pptxExtraction) {
                 logger.warn('\nPara habilitar todas las funcionalidades de procesamiento de documentos, ejecute:');
                 logger.warn('npm run install-docs');
             }
@@ -1056,16 +3500,20 @@ async function startServer() {
     }
 }
 
-// Manejar señales de terminación
-process.on('SIGTERM', () => {
-    logger.info('Recibida señal SIGTERM. Cerrando servidor...');
+// Manejar señales de terminación (cerrar la base de datos guarda las escrituras pendientes)
+async function shutdown(signal) {
+    logger.info(`Recibida señal ${signal}. Cerrando servidor...`);
+    jobQueue.close();
+    try {
+        await db.close();
+    } catch (error) {
+        logger.error('Error al cerrar la base de datos:', error);
+    }
     process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-    logger.info('Recibida señal SIGINT. Cerrando servidor...');
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Manejar errores no capturados
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,1033 @@
+/**
+ * Almacenamiento para CAG
+ *
+ * Interfaz única de persistencia con backends intercambiables:
+ * - file: archivos JSON bajo data/ (instalaciones en una sola máquina, sin servicios externos)
+ * - memory: todo en memoria (pruebas y demos; nada se guarda al salir)
+ * - mongodb: MongoDB (servidores; requiere el paquete mongodb y MONGO_URI)
+ *
+ * Ofrece dos tipos de almacén:
+ * - Colecciones de documentos con un subconjunto de la API de MongoDB
+ *   (findOne, find().sort().skip().limit(), updateOne con $set/$push/$pull...)
+ * - Buckets de archivos (read/write/list) para datos que hoy viven como
+ *   archivos en data/<espacio>/; con el backend file la estructura de
+ *   directorios no cambia, así que los datos existentes siguen siendo válidos
+ *
+ * El backend se elige con STORAGE_BACKEND; si no se indica se usa mongodb
+ * cuando hay MONGO_URI y file en caso contrario.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const util = require('util');
+
+// Configuración
+const DATA_DIR = path.join(__dirname, 'data');
+const COLLECTIONS_DIR = path.join(DATA_DIR, 'db');
+const BACKENDS = ['file', 'memory', 'mongodb'];
+const DEFAULT_BACKEND = process.env.STORAGE_BACKEND || (process.env.MONGO_URI ? 'mongodb' : 'file');
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
+const DB_NAME = process.env.DB_NAME || 'cag';
+
+// Colección de MongoDB donde se guardan los buckets de archivos
+const FILES_COLLECTION = 'storage_files';
+
+// Escritura en curso por archivo (backend file), para serializar las escrituras a una misma ruta
+const pendingWrites = new Map();
+
+// Backend activo (se conecta una sola vez)
+let backend = null;
+let connecting = null;
+
+/**
+ * Conecta el backend de almacenamiento
+ *
+ * Es idempotente: las llamadas posteriores devuelven el backend ya conectado.
+ * Las colecciones y buckets llaman a connect por sí mismos, por lo que solo es
+ * necesario invocarlo para elegir un backend distinto del configurado (p. ej.
+ * 'memory' en pruebas) o para detectar errores de conexión al arrancar.
+ * @param {Object} [options] - Opciones
+ * @param {string} [options.backend] - 'file', 'memory' o 'mongodb'
+ * @returns {Promise<Object>} Backend conectado
+ */
+async function connect(options = {}) {
+    if (backend) {
+        return backend;
+    }
+
+    if (!connecting) {
+        const name = options.backend || DEFAULT_BACKEND;
+
+        if (!BACKENDS.includes(name)) {
+            throw new Error(`Backend de almacenamiento desconocido: ${name}. Disponibles: ${BACKENDS.join(', ')}`);
+        }
+
+        const factories = {
+            file: createFileBackend,
+            memory: createMemoryBackend,
+            mongodb: createMongoBackend
+        };
+
+        connecting = factories[name]()
+            .then(connected => {
+                backend = connected;
+                console.log(`Storage: Backend ${name} listo`);
+                return backend;
+            })
+            .finally(() => {
+                connecting = null;
+            });
+    }
+
+    return connecting;
+}
+
+/**
+ * Cierra el backend activo (y vacía las escrituras pendientes)
+ * @returns {Promise<void>}
+ */
+async function close() {
+    if (backend) {
+        const closing = backend;
+        backend = null;
+        await closing.close();
+        console.log(`Storage: Backend ${closing.name} cerrado`);
+    }
+}
+
+/**
+ * Devuelve el nombre del backend configurado o activo
+ * @returns {string} 'file', 'memory' o 'mongodb'
+ */
+function getBackendName() {
+    return backend ? backend.name : DEFAULT_BACKEND;
+}
+
+/**
+ * Indica qué funciones opcionales admite el backend
+ * @returns {Object} { textSearch, persistent }
+ */
+function getCapabilities() {
+    const name = getBackendName();
+    return {
+        textSearch: name === 'mongodb',
+        persistent: name !== 'memory'
+    };
+}
+
+/**
+ * Obtiene una colección de documentos
+ *
+ * La colección se resuelve en la primera operación, de modo que puede
+ * obtenerse al cargar el módulo sin esperar a la conexión.
+ * @param {string} name - Nombre de la colección
+ * @returns {Object} Colección con la API común (findOne, find, insertOne, updateOne...)
+ */
+function collection(name) {
+    const resolve = async () => (await connect()).collection(name);
+
+    return {
+        name,
+        find(filter = {}, options = {}) {
+            const spec = { sort: null, skip: 0, limit: 0 };
+            const cursor = {
+                sort(sort) { spec.sort = sort; return cursor; },
+                skip(skip) { spec.skip = skip; return cursor; },
+                limit(limit) { spec.limit = limit; return cursor; },
+                async toArray() {
+                    let query = (await resolve()).find(filter, options);
+                    if (spec.sort) query = query.sort(spec.sort);
+                    if (spec.skip) query = query.skip(spec.skip);
+                    if (spec.limit) query = query.limit(spec.limit);
+                    return query.toArray();
+                }
+            };
+            return cursor;
+        },
+        findOne: async (filter, options) => (await resolve()).findOne(filter, options),
+        insertOne: async (doc) => (await resolve()).insertOne(doc),
+        updateOne: async (filter, update, options) => (await resolve()).updateOne(filter, update, options),
+        updateMany: async (filter, update, options) => (await resolve()).updateMany(filter, update, options),
+        deleteOne: async (filter) => (await resolve()).deleteOne(filter),
+        deleteMany: async (filter) => (await resolve()).deleteMany(filter),
+        countDocuments: async (filter) => (await resolve()).countDocuments(filter),
+        bulkWrite: async (operations) => (await resolve()).bulkWrite(operations),
+        createIndex: async (keys, options) => (await resolve()).createIndex(keys, options)
+    };
+}
+
+/**
+ * Obtiene un bucket de archivos
+ *
+ * Los nombres pueden incluir subdirectorios con "/" (p. ej.
+ * "<conversationId>/<docId>.meta.json"). Con el backend file el bucket
+ * "memory/short_term" corresponde al directorio data/memory/short_term.
+ * @param {string} namespace - Espacio del bucket (ruta relativa a data/)
+ * @returns {Object} Bucket con read, write, readJSON, writeJSON, exists, remove, list y clear
+ */
+function bucket(namespace) {
+    const resolve = async () => (await connect()).bucket(normalizeName(namespace));
+
+    const handle = {
+        namespace,
+        read: async (name) => (await resolve()).read(normalizeName(name)),
+        write: async (name, data, options) => (await resolve()).write(normalizeName(name), toBuffer(data), options),
+        exists: async (name) => (await resolve()).exists(normalizeName(name)),
+        remove: async (name) => (await resolve()).remove(normalizeName(name)),
+        list: async (prefix = '') => (await resolve()).list(prefix),
+
+        /**
+         * Lee un archivo JSON
+         * @param {string} name - Nombre del archivo
+         * @returns {Promise<*>} Contenido o null si no existe
+         */
+        async readJSON(name) {
+            const data = await handle.read(name);
+            return data ? JSON.parse(data.toString('utf8')) : null;
+        },
+
+        /**
+         * Escribe un archivo JSON (con sangría de 2 espacios)
+         * @param {string} name - Nombre del archivo
+         * @param {*} value - Valor serializable
+         * @param {Object} [options] - { mode } para el backend file
+         * @returns {Promise<void>}
+         */
+        writeJSON: async (name, value, options) => handle.write(name, JSON.stringify(value, null, 2), options),
+
+        /**
+         * Elimina todos los archivos (o los que empiezan por un prefijo)
+         * @param {string} [prefix] - Prefijo de nombre
+         * @returns {Promise<number>} Archivos eliminados
+         */
+        async clear(prefix = '') {
+            const files = await handle.list(prefix);
+            for (const file of files) {
+                await handle.remove(file.name);
+            }
+            return files.length;
+        }
+    };
+
+    return handle;
+}
+
+// ===== BACKEND EN MEMORIA =====
+
+/**
+ * Crea el backend en memoria
+ * @returns {Promise<Object>} Backend
+ * @private
+ */
+async function createMemoryBackend() {
+    const collections = new Map();
+    const buckets = new Map();
+
+    return {
+        name: 'memory',
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createMemoryCollection([]));
+            }
+            return collections.get(name);
+        },
+        bucket(namespace) {
+            if (!buckets.has(namespace)) {
+                buckets.set(namespace, createMemoryBucket());
+            }
+            return buckets.get(namespace);
+        },
+        async close() {
+            collections.clear();
+            buckets.clear();
+        }
+    };
+}
+
+/**
+ * Crea un bucket de archivos en memoria
+ * @returns {Object} Bucket
+ * @private
+ */
+function createMemoryBucket() {
+    const files = new Map();
+
+    return {
+        async read(name) {
+            const file = files.get(name);
+            return file ? Buffer.from(file.data) : null;
+        },
+        async write(name, data) {
+            files.set(name, { data: Buffer.from(data), updatedAt: new Date() });
+        },
+        async exists(name) {
+            return files.has(name);
+        },
+        async remove(name) {
+            return files.delete(name);
+        },
+        async list(prefix = '') {
+            return [...files.entries()]
+                .filter(([name]) => name.startsWith(prefix))
+                .map(([name, file]) => ({ name, size: file.data.length, updatedAt: file.updatedAt }));
+        }
+    };
+}
+
+/**
+ * Crea una colección en memoria con un subconjunto de la API de MongoDB
+ * @param {Array} docs - Documentos iniciales
+ * @param {Function} [onChange] - Se llama tras cada modificación; puede devolver una promesa
+ * @returns {Object} Colección
+ * @private
+ */
+function createMemoryCollection(docs, onChange = async () => {}) {
+    const changed = async (result) => {
+        await onChange();
+        return result;
+    };
+
+    const update = async (filter, updateSpec, options = {}, many = false) => {
+        const matches = docs.filter(doc => matchesFilter(doc, filter));
+        const targets = many ? matches : matches.slice(0, 1);
+
+        if (targets.length === 0) {
+            if (!options.upsert) {
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+            }
+            const doc = applyUpdate(seedFromFilter(filter), updateSpec, true);
+            docs.push(doc);
+            return changed({ matchedCount: 0, modifiedCount: 0, upsertedCount: 1 });
+        }
+
+        let modifiedCount = 0;
+        for (const target of targets) {
+            const updated = applyUpdate(clone(target), updateSpec, false);
+            if (!util.isDeepStrictEqual(updated, target)) {
+                docs[docs.indexOf(target)] = updated;
+                modifiedCount++;
+            }
+        }
+
+        const result = { matchedCount: targets.length, modifiedCount, upsertedCount: 0 };
+        return modifiedCount > 0 ? changed(result) : result;
+    };
+
+    const remove = async (filter, many) => {
+        let deletedCount = 0;
+        for (let i = docs.length - 1; i >= 0; i--) {
+            if (matchesFilter(docs[i], filter)) {
+                docs.splice(i, 1);
+                deletedCount++;
+                if (!many) break;
+            }
+        }
+        return deletedCount > 0 ? changed({ deletedCount }) : { deletedCount };
+    };
+
+    return {
+        find(filter = {}, options = {}) {
+            const spec = { sort: null, skip: 0, limit: 0 };
+            const cursor = {
+                sort(sort) { spec.sort = sort; return cursor; },
+                skip(skip) { spec.skip = skip; return cursor; },
+                limit(limit) { spec.limit = limit; return cursor; },
+                async toArray() {
+                    let results = docs.filter(doc => matchesFilter(doc, filter));
+                    if (spec.sort) {
+                        results = sortDocuments(results, spec.sort);
+                    }
+                    results = results.slice(spec.skip || 0, spec.limit ? (spec.skip || 0) + spec.limit : undefined);
+                    return results.map(doc => project(doc, options.projection));
+                }
+            };
+            return cursor;
+        },
+        async findOne(filter = {}, options = {}) {
+            const doc = docs.find(d => matchesFilter(d, filter));
+            return doc ? project(doc, options.projection) : null;
+        },
+        async insertOne(doc) {
+            docs.push(clone(doc));
+            return changed({ acknowledged: true });
+        },
+        updateOne: (filter, updateSpec, options) => update(filter, updateSpec, options, false),
+        updateMany: (filter, updateSpec, options) => update(filter, updateSpec, options, true),
+        deleteOne: (filter) => remove(filter, false),
+        deleteMany: (filter = {}) => remove(filter, true),
+        async countDocuments(filter = {}) {
+            return docs.filter(doc => matchesFilter(doc, filter)).length;
+        },
+        async bulkWrite(operations) {
+            const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, insertedCount: 0, deletedCount: 0 };
+            for (const operation of operations) {
+                const [type, spec] = Object.entries(operation)[0];
+                let partial;
+                if (type === 'insertOne') {
+                    docs.push(clone(spec.document));
+                    partial = { insertedCount: 1 };
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    partial = await update(spec.filter, spec.update, { upsert: spec.upsert }, type === 'updateMany');
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    partial = await remove(spec.filter, type === 'deleteMany');
+                } else {
+                    throw new Error(`Operación bulkWrite no soportada: ${type}`);
+                }
+                Object.keys(partial).forEach(key => { result[key] += partial[key]; });
+            }
+            return changed(result);
+        },
+        // Los índices solo tienen sentido en MongoDB; aquí las consultas recorren todos los documentos
+        async createIndex() {
+            return null;
+        }
+    };
+}
+
+// ===== BACKEND DE ARCHIVOS =====
+
+/**
+ * Crea el backend de archivos bajo data/
+ *
+ * Cada colección se guarda en data/db/<colección>.json (escritura atómica
+ * con archivo temporal y rename) y se mantiene en memoria mientras el
+ * proceso está activo. Los buckets son directorios bajo data/.
+ * @returns {Promise<Object>} Backend
+ * @private
+ */
+async function createFileBackend() {
+    await fs.mkdir(COLLECTIONS_DIR, { recursive: true });
+
+    const collections = new Map();
+    const pendingWrites = new Set();
+
+    const loadCollection = (name) => {
+        const file = path.join(COLLECTIONS_DIR, `${normalizeName(name)}.json`);
+        let docs = null;
+        let memoryCollection = null;
+        let loading = null;
+        let queued = null;
+        let writing = Promise.resolve();
+
+        // Las modificaciones seguidas comparten una misma escritura
+        const persist = () => {
+            if (!queued) {
+                queued = writing.then(() => {
+                    queued = null;
+                    return writeFileAtomic(file, JSON.stringify(docs));
+                });
+                writing = queued.catch(error => {
+                    console.error(`Storage: Error al guardar la colección ${name}:`, error);
+                });
+                pendingWrites.add(writing);
+                writing.finally(() => pendingWrites.delete(writing));
+            }
+            return queued;
+        };
+
+        const ready = async () => {
+            if (!memoryCollection) {
+                loading = loading || fs.readFile(file, 'utf8')
+                    .then(data => JSON.parse(data))
+                    .catch(error => {
+                        if (error.code === 'ENOENT') return [];
+                        throw error;
+                    })
+                    .then(loaded => {
+                        // La colección en memoria modifica este mismo array, que es el que se guarda
+                        docs = loaded;
+                        memoryCollection = createMemoryCollection(docs, persist);
+                    })
+                    .finally(() => {
+                        loading = null;
+                    });
+                await loading;
+            }
+            return memoryCollection;
+        };
+
+        // Misma API que la colección en memoria, esperando a que se cargue el archivo
+        const lazy = {};
+        ['findOne', 'insertOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany',
+            'countDocuments', 'bulkWrite', 'createIndex'].forEach(method => {
+            lazy[method] = async (...args) => (await ready())[method](...args);
+        });
+        lazy.find = (filter, options) => {
+            const spec = [];
+            const cursor = {
+                sort(sort) { spec.push(['sort', sort]); return cursor; },
+                skip(skip) { spec.push(['skip', skip]); return cursor; },
+                limit(limit) { spec.push(['limit', limit]); return cursor; },
+                async toArray() {
+                    let query = (await ready()).find(filter, options);
+                    spec.forEach(([method, value]) => { query = query[method](value); });
+                    return query.toArray();
+                }
+            };
+            return cursor;
+        };
+
+        return lazy;
+    };
+
+    return {
+        name: 'file',
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, loadCollection(name));
+            }
+            return collections.get(name);
+        },
+        bucket(namespace) {
+            return createFileBucket(path.join(DATA_DIR, namespace));
+        },
+        async close() {
+            await Promise.all([...pendingWrites]);
+            collections.clear();
+        }
+    };
+}
+
+/**
+ * Crea un bucket respaldado por un directorio
+ * @param {string} baseDir - Directorio del bucket
+ * @returns {Object} Bucket
+ * @private
+ */
+function createFileBucket(baseDir) {
+    const resolvePath = (name) => path.join(baseDir, ...name.split('/'));
+
+    return {
+        async read(name) {
+            try {
+                return await fs.readFile(resolvePath(name));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async write(name, data, options = {}) {
+            const target = resolvePath(name);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await writeFileAtomic(target, data, options.mode);
+        },
+        async exists(name) {
+            try {
+                await fs.access(resolvePath(name));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        async remove(name) {
+            try {
+                await fs.unlink(resolvePath(name));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        async list(prefix = '') {
+            // Empezar en el subdirectorio del prefijo para no recorrer todo el bucket
+            const prefixDir = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+            const files = [];
+
+            const walk = async (relativeDir) => {
+                let entries;
+                try {
+                    entries = await fs.readdir(path.join(baseDir, ...relativeDir.split('/').filter(Boolean)), { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+                    throw error;
+                }
+
+                for (const entry of entries) {
+                    const name = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                    if (entry.isDirectory()) {
+                        await walk(name);
+                    } else if (entry.isFile() && name.startsWith(prefix) && !entry.name.endsWith('.tmp')) {
+                        const stats = await fs.stat(resolvePath(name));
+                        files.push({ name, size: stats.size, updatedAt: stats.mtime });
+                    }
+                }
+            };
+
+            await walk(prefixDir);
+            return files;
+        }
+    };
+}
+
+/**
+ * Escribe un archivo de forma atómica (archivo temporal + rename)
+ * @param {string} file - Ruta destino
+ * @param {string|Buffer} data - Contenido
+ * @param {number} [mode] - Permisos del archivo
+ * @returns {Promise<void>}
+ * @private
+ */
+function writeFileAtomic(file, data, mode) {
+    // Las escrituras a un mismo archivo se encadenan para que terminen en orden
+    const previous = pendingWrites.get(file) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+        const tempFile = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await fs.writeFile(tempFile, data, mode ? { mode } : undefined);
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    });
+
+    pendingWrites.set(file, write);
+    write.catch(() => {}).then(() => {
+        if (pendingWrites.get(file) === write) {
+            pendingWrites.delete(file);
+        }
+    });
+
+    return write;
+}
+
+// ===== BACKEND MONGODB =====
+
+/**
+ * Crea el backend MongoDB
+ *
+ * El paquete mongodb solo se carga con este backend, de modo que las
+ * instalaciones con el backend file no lo necesitan.
+ * @returns {Promise<Object>} Backend
+ * @private
+ */
+async function createMongoBackend() {
+    const { MongoClient } = require('mongodb');
+
+    const client = new MongoClient(MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+    });
+    await client.connect();
+    console.log('Storage: Conexión a MongoDB establecida');
+
+    const db = client.db(DB_NAME);
+    const files = db.collection(FILES_COLLECTION);
+    await files.createIndex({ namespace: 1, name: 1 }, { unique: true });
+
+    return {
+        name: 'mongodb',
+        collection: (name) => db.collection(name),
+        bucket: (namespace) => createMongoBucket(files, namespace),
+        close: () => client.close()
+    };
+}
+
+/**
+ * Crea un bucket guardado en una colección de MongoDB
+ * @param {Object} files - Colección de archivos
+ * @param {string} namespace - Espacio del bucket
+ * @returns {Object} Bucket
+ * @private
+ */
+function createMongoBucket(files, namespace) {
+    return {
+        async read(name) {
+            const file = await files.findOne({ namespace, name });
+            return file ? Buffer.from(file.data.buffer || file.data) : null;
+        },
+        async write(name, data) {
+            await files.updateOne(
+                { namespace, name },
+                { $set: { data, size: data.length, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        },
+        async exists(name) {
+            return (await files.countDocuments({ namespace, name })) > 0;
+        },
+        async remove(name) {
+            return (await files.deleteOne({ namespace, name })).deletedCount > 0;
+        },
+        async list(prefix = '') {
+            const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const results = await files
+                .find({ namespace, name: { $regex: `^${escaped}` } }, { projection: { name: 1, size: 1, updatedAt: 1 } })
+                .toArray();
+            return results.map(file => ({ name: file.name, size: file.size, updatedAt: file.updatedAt }));
+        }
+    };
+}
+
+// ===== CONSULTAS Y ACTUALIZACIONES (backends file y memory) =====
+
+/**
+ * Comprueba si un documento cumple un filtro de estilo MongoDB
+ *
+ * Admite igualdad (incluida la pertenencia a arrays), rutas con puntos,
+ * $and, $or, $nor y los operadores $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+ * $exists, $regex, $elemMatch, $size y $not. $text solo existe con MongoDB
+ * (ver getCapabilities).
+ * @param {Object} doc - Documento
+ * @param {Object} filter - Filtro
+ * @returns {boolean} True si el documento cumple el filtro
+ */
+function matchesFilter(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(sub => matchesFilter(doc, sub));
+            case '$or':
+                return condition.some(sub => matchesFilter(doc, sub));
+            case '$nor':
+                return !condition.some(sub => matchesFilter(doc, sub));
+            case '$text':
+                throw new Error('La búsqueda $text solo está disponible con el backend mongodb');
+            default:
+                return matchesCondition(resolvePath(doc, key.split('.')), condition);
+        }
+    });
+}
+
+/**
+ * Obtiene los valores de una ruta, recorriendo arrays como MongoDB
+ * @param {*} value - Documento o valor intermedio
+ * @param {Array<string>} parts - Segmentos de la ruta
+ * @returns {Array} Valores encontrados (undefined si falta la ruta)
+ * @private
+ */
+function resolvePath(value, parts) {
+    if (parts.length === 0) {
+        return [value];
+    }
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(parts[0])) {
+            return resolvePath(value[Number(parts[0])], parts.slice(1));
+        }
+        return value.length > 0 ? value.flatMap(item => resolvePath(item, parts)) : [undefined];
+    }
+    if (value === null || typeof value !== 'object') {
+        return [undefined];
+    }
+    return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+/**
+ * Comprueba una condición sobre los valores de un campo
+ * @param {Array} candidates - Valores del campo (ver resolvePath)
+ * @param {*} condition - Valor esperado u objeto de operadores
+ * @returns {boolean} True si se cumple
+ * @private
+ */
+function matchesCondition(candidates, condition) {
+    // Los arrays también se comparan elemento a elemento
+    const values = candidates.flatMap(value => Array.isArray(value) ? [value, ...value] : [value]);
+
+    if (condition instanceof RegExp) {
+        return values.some(value => typeof value === 'string' && condition.test(value));
+    }
+
+    if (!isOperatorObject(condition)) {
+        return values.some(value => isEqual(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return values.some(value => isEqual(value, operand));
+            case '$ne':
+                return !values.some(value => isEqual(value, operand));
+            case '$gt':
+                return values.some(value => compareValues(value, operand) > 0);
+            case '$gte':
+                return values.some(value => compareValues(value, operand) >= 0);
+            case '$lt':
+                return values.some(value => compareValues(value, operand) < 0);
+            case '$lte':
+                return values.some(value => compareValues(value, operand) <= 0);
+            case '$in':
+                return values.some(value => operand.some(option => option instanceof RegExp
+                    ? typeof value === 'string' && option.test(value)
+                    : isEqual(value, option)));
+            case '$nin':
+                return !values.some(value => operand.some(option => isEqual(value, option)));
+            case '$exists':
+                return candidates.some(value => value !== undefined) === Boolean(operand);
+            case '$regex': {
+                const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                return values.some(value => typeof value === 'string' && regex.test(value));
+            }
+            case '$options':
+                return true;
+            case '$elemMatch':
+                return candidates.some(value => Array.isArray(value) && value.some(item =>
+                    isOperatorObject(operand) || item === null || typeof item !== 'object'
+                        ? matchesCondition([item], operand)
+                        : matchesFilter(item, operand)));
+            case '$size':
+                return candidates.some(value => Array.isArray(value) && value.length === operand);
+            case '$not':
+                return !matchesCondition(candidates, operand);
+            default:
+                throw new Error(`Operador de consulta no soportado: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Aplica una actualización de estilo MongoDB a un documento
+ *
+ * Admite $set, $unset, $inc, $push (con $each), $addToSet (con $each), $pull
+ * y $setOnInsert.
+ * @param {Object} doc - Documento (se modifica)
+ * @param {Object} update - Operadores de actualización
+ * @param {boolean} isInsert - Si el documento se está creando por upsert
+ * @returns {Object} Documento actualizado
+ * @private
+ */
+function applyUpdate(doc, update, isInsert) {
+    Object.entries(update).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([field, value]) => {
+            const parts = field.split('.');
+            const current = resolvePath(doc, parts)[0];
+
+            switch (operator) {
+                case '$set':
+                    setPath(doc, parts, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (isInsert) setPath(doc, parts, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, parts);
+                    break;
+                case '$inc':
+                    setPath(doc, parts, (current || 0) + value);
+                    break;
+                case '$push':
+                case '$addToSet': {
+                    const items = value && value.$each ? value.$each : [value];
+                    const list = Array.isArray(current) ? current : [];
+                    items.forEach(item => {
+                        if (operator === '$push' || !list.some(existing => isEqual(existing, item))) {
+                            list.push(clone(item));
+                        }
+                    });
+                    setPath(doc, parts, list);
+                    break;
+                }
+                case '$pull':
+                    if (Array.isArray(current)) {
+                        setPath(doc, parts, current.filter(item => !(
+                            value !== null && typeof value === 'object' && !isOperatorObject(value) && item !== null && typeof item === 'object'
+                                ? matchesFilter(item, value)
+                                : matchesCondition([item], value)
+                        )));
+                    }
+                    break;
+                default:
+                    throw new Error(`Operador de actualización no soportado: ${operator}`);
+            }
+        });
+    });
+
+    return doc;
+}
+
+/**
+ * Crea el documento inicial de un upsert con las igualdades del filtro
+ * @param {Object} filter - Filtro de la actualización
+ * @returns {Object} Documento base
+ * @private
+ */
+function seedFromFilter(filter) {
+    const doc = {};
+    Object.entries(filter).forEach(([key, value]) => {
+        if (!key.startsWith('$') && !isOperatorObject(value) && !(value instanceof RegExp)) {
+            setPath(doc, key.split('.'), clone(value));
+        }
+    });
+    return doc;
+}
+
+/**
+ * Ordena documentos según una especificación { campo: 1 | -1 }
+ * @param {Array} docs - Documentos
+ * @param {Object} sort - Especificación de orden
+ * @returns {Array} Nueva lista ordenada
+ * @private
+ */
+function sortDocuments(docs, sort) {
+    const keys = Object.entries(sort).filter(([, direction]) => typeof direction === 'number');
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of keys) {
+            const result = compareValues(resolvePath(a, field.split('.'))[0], resolvePath(b, field.split('.'))[0]);
+            if (result) {
+                return result * direction;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Aplica una proyección de inclusión ({ campo: 1 }) o exclusión ({ campo: 0 })
+ * @param {Object} doc - Documento
+ * @param {Object} [projection] - Proyección
+ * @returns {Object} Copia del documento proyectada
+ * @private
+ */
+function project(doc, projection) {
+    const copy = clone(doc);
+    if (!projection || Object.keys(projection).length === 0) {
+        return copy;
+    }
+
+    const entries = Object.entries(projection).filter(([, include]) => typeof include === 'number' || typeof include === 'boolean');
+    if (entries.length > 0 && entries.every(([, include]) => !include)) {
+        entries.forEach(([field]) => unsetPath(copy, field.split('.')));
+        return copy;
+    }
+
+    const projected = {};
+    entries.filter(([, include]) => include).forEach(([field]) => {
+        const value = resolvePath(copy, field.split('.'))[0];
+        if (value !== undefined) {
+            setPath(projected, field.split('.'), value);
+        }
+    });
+    return projected;
+}
+
+/**
+ * Compara dos valores para ordenar (fechas y cadenas ISO se comparan como fechas)
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {number} Negativo, 0 o positivo; los valores ausentes van primero
+ * @private
+ */
+function compareValues(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        a = a instanceof Date ? a.getTime() : Date.parse(a);
+        b = b instanceof Date ? b.getTime() : Date.parse(b);
+    }
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a !== typeof b) {
+        return String(typeof a).localeCompare(typeof b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compara dos valores por igualdad profunda (las fechas por su instante)
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} True si son iguales
+ * @private
+ */
+function isEqual(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return compareValues(a, b) === 0;
+    }
+    if (b === null) {
+        return a === null || a === undefined;
+    }
+    return util.isDeepStrictEqual(a, b);
+}
+
+/**
+ * Indica si un valor es un objeto de operadores ({ $gt: ... })
+ * @param {*} value - Valor
+ * @returns {boolean} True si todas sus claves son operadores
+ * @private
+ */
+function isOperatorObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+        return false;
+    }
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Asigna un valor en una ruta creando los objetos intermedios
+ * @param {Object} doc - Documento
+ * @param {Array<string>} parts - Segmentos de la ruta
+ * @param {*} value - Valor
+ * @private
+ */
+function setPath(doc, parts, value) {
+    let target = doc;
+    parts.slice(0, -1).forEach(part => {
+        if (target[part] === null || typeof target[part] !== 'object') {
+            target[part] = {};
+        }
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Elimina el valor de una ruta
+ * @param {Object} doc - Documento
+ * @param {Array<string>} parts - Segmentos de la ruta
+ * @private
+ */
+function unsetPath(doc, parts) {
+    let target = doc;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] === null || typeof target[part] !== 'object') {
+            return;
+        }
+        target = target[part];
+    }
+    delete target[parts[parts.length - 1]];
+}
+
+/**
+ * Copia profunda de un valor (conserva fechas y buffers)
+ * @param {*} value - Valor
+ * @returns {*} Copia
+ * @private
+ */
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Convierte el contenido de un archivo a Buffer
+ * @param {string|Buffer} data - Contenido
+ * @returns {Buffer} Buffer
+ * @private
+ */
+function toBuffer(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+}
+
+/**
+ * Valida un nombre de bucket o archivo (rutas relativas sin "..")
+ * @param {string} name - Nombre
+ * @returns {string} Nombre normalizado con "/" como separador
+ * @private
+ */
+function normalizeName(name) {
+    const parts = String(name || '').split(/[\\/]+/).filter(Boolean);
+    if (parts.length === 0 || parts.some(part => part === '..' || part === '.')) {
+        throw new Error(`Nombre de almacenamiento no válido: ${name}`);
+    }
+    return parts.join('/');
+}
+
+module.exports = {
+    BACKENDS,
+    connect,
+    close,
+    getBackendName,
+    getCapabilities,
+    collection,
+    bucket,
+    matchesFilter
+};
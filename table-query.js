@@ -0,0 +1,761 @@
+/**
+ * Consultas estructuradas sobre documentos tabulares para CAG
+ *
+ * Permite responder preguntas sobre hojas de cálculo (CSV, Excel, ODS y JSON
+ * con listas de registros) con valores calculados en lugar de estimados a
+ * partir del resumen. Cada pregunta se traduce en un plan de consulta
+ * (filtros, agrupación, agregados, orden y límite) que se ejecuta sobre los
+ * datos ya extraídos.
+ *
+ * El plan lo propone el modelo (Ollama, salida JSON) o, si no está disponible
+ * o no devuelve un plan válido, una capa de reglas basada en palabras clave.
+ * En ambos casos el plan se valida contra el esquema de la tabla y se ejecuta
+ * con un intérprete propio: no se evalúa código ni expresiones del modelo.
+ */
+
+const fetch = require('node-fetch');
+
+// Configuración del servicio
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
+const TABLE_QUERY_PLANNER = process.env.TABLE_QUERY_PLANNER || 'auto'; // 'auto' | 'model' | 'rules'
+const TABLE_QUERY_MODEL = process.env.TABLE_QUERY_MODEL || null;      // Por defecto, el que indique el llamador
+const PLANNER_TIMEOUT = 15000;    // Timeout de la petición de planificación (ms)
+const MAX_SCAN_ROWS = 200000;     // Máximo de filas recorridas por consulta
+const MAX_RESULT_ROWS = 50;       // Máximo de filas del resultado
+const DEFAULT_LIST_LIMIT = 20;    // Filas devueltas por defecto en consultas sin agregados
+const MAX_SAMPLE_VALUES = 3;      // Valores de ejemplo por columna en el esquema del prompt
+const MAX_FILTER_VALUES = 500;    // Máximo de valores distintos para buscar filtros por valor
+
+// Formatos de documento con datos tabulares
+const TABULAR_FORMATS = ['csv', 'excel', 'ods', 'json'];
+
+// Operadores admitidos en los filtros y en los agregados
+const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'in'];
+const AGGREGATE_OPERATORS = ['count', 'sum', 'avg', 'min', 'max', 'distinct'];
+
+// Palabras clave de la capa de reglas (sin tildes, en minúsculas)
+const AGGREGATE_KEYWORDS = [
+    ['avg', /\b(promedio|media|medio|average|mean|avg)\b/],
+    ['sum', /\b(suma|sumar|total|totales|sum)\b/],
+    ['count', /\b(cuantos|cuantas|numero de|cantidad de|count|how many)\b/],
+    ['max', /\b(maximo|maxima|mayor|mas alto|mas alta|max|highest|largest)\b/],
+    ['min', /\b(minimo|minima|menor|mas bajo|mas baja|min|lowest|smallest)\b/],
+    ['distinct', /\b(distintos|distintas|diferentes|unicos|unicas|distinct|unique)\b/]
+];
+const GROUP_BY_REGEX = /\b(?:por|by|per|segun|para cada|agrupad[oa]s? por)\s+(?:el |la |los |las |cada |the |each )?([a-z0-9_][\w ]*)/g;
+
+// Instrucciones para que el modelo planifique la consulta
+const PLANNER_INSTRUCTIONS = `Eres un planificador de consultas sobre tablas. Recibes el esquema de una o varias tablas y una pregunta.
+Devuelve SOLO un objeto JSON con esta forma:
+{"table": <número de tabla o null>, "filters": [{"column": "...", "op": "=|!=|>|>=|<|<=|contains|in", "value": ...}],
+ "groupBy": ["..."], "aggregations": [{"op": "count|sum|avg|min|max|distinct", "column": "..."}],
+ "columns": ["..."], "orderBy": {"column": "...", "direction": "asc|desc"}, "limit": <número>}
+Usa únicamente nombres de columna del esquema, escritos exactamente igual. Para "in", value es una lista.
+Para ordenar por un agregado usa como columna "<op>(<columna>)", por ejemplo "avg(Ventas)"; para count sin columna usa "count".
+Si la pregunta no se puede responder calculando sobre las tablas, devuelve {"table": null}.`;
+
+/**
+ * Indica si un documento tiene datos tabulares consultables
+ * @param {Object} doc - Metadatos del documento
+ * @returns {boolean} True si es una tabla
+ */
+function isTabularDocument(doc) {
+    return !!doc && TABULAR_FORMATS.includes(doc.format) && doc.hasStructuredData !== false;
+}
+
+/**
+ * Normaliza un texto para comparaciones (minúsculas y sin tildes)
+ * @param {*} text - Texto
+ * @returns {string} Texto normalizado
+ * @private
+ */
+function normalize(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+/**
+ * Escapa un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto
+ * @returns {string} Texto escapado
+ * @private
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convierte un valor de celda en número
+ *
+ * Admite símbolos de moneda y porcentaje y los formatos 1.234,56 y 1,234.56.
+ * @param {*} value - Valor de la celda
+ * @returns {number|null} Número o null si el valor no es numérico
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    let text = value.trim().replace(/[\s€$£%]/g, '');
+    if (!/^[-+]?[\d.,]+$/.test(text) || !/\d/.test(text)) {
+        return null;
+    }
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma >= 0 && lastDot >= 0) {
+        // El último separador es el decimal
+        text = lastComma > lastDot
+            ? text.replace(/\./g, '').replace(',', '.')
+            : text.replace(/,/g, '');
+    } else if (lastComma >= 0) {
+        // 1,234,567 son miles; 12,5 es decimal
+        text = /^[-+]?\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    } else if (/^[-+]?\d{1,3}(\.\d{3})+$/.test(text)) {
+        // 1.234.567 y 1.000 se interpretan como separador de miles (formato español)
+        text = text.replace(/\./g, '');
+    }
+
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Infiere el tipo de una columna a partir de sus valores
+ * @param {Array} values - Valores no vacíos de la columna
+ * @returns {string} 'number', 'date' o 'text'
+ * @private
+ */
+function inferColumnType(values) {
+    if (values.length === 0) {
+        return 'text';
+    }
+
+    const numeric = values.filter(value => parseNumber(value) !== null).length;
+    if (numeric / values.length >= 0.8) {
+        return 'number';
+    }
+
+    const dates = values.filter(value =>
+        value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)))
+    ).length;
+    if (dates / values.length >= 0.8) {
+        return 'date';
+    }
+
+    return 'text';
+}
+
+/**
+ * Convierte los datos estructurados de un documento en tablas con esquema
+ * @param {Object} doc - Metadatos del documento
+ * @param {Array|Object} structuredData - Registros (CSV, JSON) u hojas por nombre (Excel, ODS)
+ * @returns {Array<Object>} Tablas { docId, docName, sheet, columns, rows }
+ */
+function buildTables(doc, structuredData) {
+    const sources = [];
+
+    if (Array.isArray(structuredData)) {
+        sources.push([null, structuredData]);
+    } else if (structuredData && typeof structuredData === 'object' && ['excel', 'ods'].includes(doc.format)) {
+        Object.entries(structuredData).forEach(([sheet, rows]) => sources.push([sheet, rows]));
+    }
+
+    return sources
+        .map(([sheet, rows]) => {
+            const records = (Array.isArray(rows) ? rows : [])
+                .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+                .slice(0, MAX_SCAN_ROWS);
+
+            // Columnas en orden de aparición
+            const names = [];
+            records.slice(0, 1000).forEach(row => {
+                Object.keys(row).forEach(key => {
+                    if (!names.includes(key)) names.push(key);
+                });
+            });
+
+            const columns = names.map(name => {
+                const values = records
+                    .map(row => row[name])
+                    .filter(value => value !== undefined && value !== null && value !== '');
+                return {
+                    name,
+                    type: inferColumnType(values.slice(0, 1000)),
+                    samples: [...new Set(values.slice(0, 50).map(String))].slice(0, MAX_SAMPLE_VALUES)
+                };
+            });
+
+            return {
+                docId: doc.id,
+                docName: doc.originalName || doc.name,
+                sheet,
+                columns,
+                rows: records
+            };
+        })
+        .filter(table => table.rows.length > 0 && table.columns.length > 0);
+}
+
+/**
+ * Describe las tablas para el planificador del modelo
+ * @param {Array<Object>} tables - Tablas
+ * @returns {string} Esquema legible
+ * @private
+ */
+function describeTables(tables) {
+    return tables.map((table, index) => {
+        const columns = table.columns
+            .map(column => `  - ${column.name} (${column.type}; ej.: ${column.samples.join(' | ') || 'vacía'})`)
+            .join('\n');
+        const sheet = table.sheet ? `, hoja "${table.sheet}"` : '';
+        return `Tabla ${index + 1}: ${table.docName}${sheet} (${table.rows.length} filas)\n${columns}`;
+    }).join('\n\n');
+}
+
+/**
+ * Pide al modelo un plan de consulta en JSON
+ * @param {string} question - Pregunta del usuario
+ * @param {Array<Object>} tables - Tablas disponibles
+ * @param {string} model - Modelo de Ollama
+ * @returns {Promise<Object|null>} Plan (sin validar) o null si el modelo indica que no aplica
+ * @private
+ */
+async function planWithModel(question, tables, model) {
+    const response = await fetch(`${OLLAMA_URL}/api/chat`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model,
+            stream: false,
+            format: 'json',
+            options: { temperature: 0 },
+            messages: [
+                { role: 'system', content: PLANNER_INSTRUCTIONS },
+                { role: 'user', content: `${describeTables(tables)}\n\nPregunta: ${question}` }
+            ]
+        }),
+        timeout: PLANNER_TIMEOUT
+    });
+
+    if (!response.ok) {
+        throw new Error(`Error en la API de Ollama: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const plan = JSON.parse(data.message && data.message.content ? data.message.content : '{}');
+
+    if (!plan || plan.table === null || plan.table === undefined) {
+        return null;
+    }
+
+    // El modelo numera las tablas desde 1
+    return { ...plan, table: Number(plan.table) - 1 };
+}
+
+/**
+ * Busca las columnas mencionadas en la pregunta
+ * @param {string} normalizedQuestion - Pregunta normalizada
+ * @param {Object} table - Tabla
+ * @returns {Array<Object>} Columnas mencionadas, por orden de aparición
+ * @private
+ */
+function findMentionedColumns(normalizedQuestion, table) {
+    return table.columns
+        .map(column => {
+            const name = normalize(column.name);
+            const match = name.length >= 2
+                ? normalizedQuestion.match(new RegExp(`(^|[^\\w])${escapeRegExp(name)}(?![\\w])`))
+                : null;
+            return match ? { column, index: match.index } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index)
+        .map(entry => entry.column);
+}
+
+/**
+ * Construye un plan a partir de palabras clave, columnas y valores mencionados
+ *
+ * Ejemplo: "ventas medias por región en Q2" → filtro Trimestre = Q2,
+ * agrupación por Región y media de Ventas.
+ * @param {string} question - Pregunta del usuario
+ * @param {Array<Object>} tables - Tablas disponibles
+ * @returns {Object|null} Plan o null si la pregunta no parece una consulta sobre las tablas
+ * @private
+ */
+function planWithRules(question, tables) {
+    const normalizedQuestion = normalize(question);
+    const aggregateOps = AGGREGATE_KEYWORDS
+        .filter(([, pattern]) => pattern.test(normalizedQuestion))
+        .map(([op]) => op);
+
+    let best = null;
+
+    tables.forEach((table, tableIndex) => {
+        const mentioned = findMentionedColumns(normalizedQuestion, table);
+
+        // Agrupación: columna nombrada tras "por", "by", "para cada"...
+        const groupBy = [];
+        for (const match of normalizedQuestion.matchAll(GROUP_BY_REGEX)) {
+            const column = table.columns.find(candidate => {
+                const name = normalize(candidate.name);
+                return name.length >= 2 && (match[1] === name || match[1].startsWith(`${name} `));
+            });
+            if (column && !groupBy.includes(column.name)) {
+                groupBy.push(column.name);
+            }
+        }
+
+        // Filtros: valores de columnas de texto que aparecen en la pregunta
+        const filters = [];
+        table.columns
+            .filter(column => column.type !== 'number' && !groupBy.includes(column.name))
+            .forEach(column => {
+                const values = new Set();
+                for (const row of table.rows) {
+                    const value = row[column.name];
+                    if (value !== undefined && value !== null && value !== '') {
+                        values.add(String(value));
+                        // Columnas casi únicas (IDs, importes...) no sirven como filtro
+                        if (values.size > MAX_FILTER_VALUES) return;
+                    }
+                }
+
+                const matches = [...values].filter(value => {
+                    const normalizedValue = normalize(value);
+                    return normalizedValue.length >= 2 &&
+                        new RegExp(`(^|[^\\w])${escapeRegExp(normalizedValue)}(?![\\w])`).test(normalizedQuestion);
+                });
+
+                if (matches.length === 1) {
+                    filters.push({ column: column.name, op: '=', value: matches[0] });
+                } else if (matches.length > 1) {
+                    filters.push({ column: column.name, op: 'in', value: matches });
+                }
+            });
+
+        // Agregados sobre las columnas numéricas mencionadas
+        const numericColumns = mentioned.filter(column => column.type === 'number' && !groupBy.includes(column.name));
+        const aggregations = [];
+        aggregateOps.forEach(op => {
+            if (op === 'count') {
+                aggregations.push({ op: 'count' });
+            } else if (op === 'distinct') {
+                const target = mentioned.find(column => !groupBy.includes(column.name));
+                if (target) aggregations.push({ op, column: target.name });
+            } else {
+                numericColumns.forEach(column => aggregations.push({ op, column: column.name }));
+            }
+        });
+
+        // Agrupar sin agregado explícito: contar filas por grupo
+        if (aggregations.length === 0 && groupBy.length > 0) {
+            numericColumns.length > 0
+                ? numericColumns.forEach(column => aggregations.push({ op: 'sum', column: column.name }))
+                : aggregations.push({ op: 'count' });
+        }
+
+        // Sin agregados ni filtros no es una consulta sobre esta tabla
+        if (aggregations.length === 0 && filters.length === 0) {
+            return;
+        }
+
+        const score = mentioned.length + filters.length * 2 + groupBy.length + aggregations.length;
+        if (!best || score > best.score) {
+            const plan = { table: tableIndex, filters, groupBy, aggregations };
+
+            if (aggregations.length === 0) {
+                // Listado de filas filtradas con las columnas mencionadas (o todas)
+                plan.columns = mentioned.length > 0 ? mentioned.map(column => column.name) : [];
+                plan.limit = DEFAULT_LIST_LIMIT;
+            } else if (groupBy.length > 0) {
+                // Los grupos más altos primero (o los más bajos si se pregunta por el mínimo)
+                const first = aggregations[0];
+                plan.orderBy = {
+                    column: aggregateLabel(first),
+                    direction: first.op === 'min' ? 'asc' : 'desc'
+                };
+            }
+
+            best = { score, plan };
+        }
+    });
+
+    return best ? best.plan : null;
+}
+
+/**
+ * Nombre de la columna de resultado de un agregado
+ * @param {Object} aggregation - { op, column }
+ * @returns {string} Etiqueta, por ejemplo "avg(Ventas)" o "count"
+ * @private
+ */
+function aggregateLabel(aggregation) {
+    return aggregation.column ? `${aggregation.op}(${aggregation.column})` : aggregation.op;
+}
+
+/**
+ * Valida un plan contra el esquema de las tablas y lo normaliza
+ * @param {Object} plan - Plan propuesto
+ * @param {Array<Object>} tables - Tablas disponibles
+ * @returns {Object} Plan normalizado
+ * @throws {Error} Si el plan usa tablas, columnas u operadores desconocidos
+ */
+function validatePlan(plan, tables) {
+    if (!plan || typeof plan !== 'object') {
+        throw new Error('Plan de consulta vacío');
+    }
+
+    const tableIndex = Number.isInteger(plan.table) ? plan.table : (tables.length === 1 ? 0 : -1);
+    const table = tables[tableIndex];
+    if (!table) {
+        throw new Error(`Tabla desconocida en el plan: ${plan.table}`);
+    }
+
+    const columnNames = new Set(table.columns.map(column => column.name));
+    const checkColumn = name => {
+        if (!columnNames.has(name)) {
+            throw new Error(`Columna desconocida en el plan: ${name}`);
+        }
+        return name;
+    };
+
+    const filters = (Array.isArray(plan.filters) ? plan.filters : []).map(filter => {
+        if (!FILTER_OPERATORS.includes(filter.op)) {
+            throw new Error(`Operador de filtro no admitido: ${filter.op}`);
+        }
+        if (filter.op === 'in' && !Array.isArray(filter.value)) {
+            throw new Error('El operador "in" requiere una lista de valores');
+        }
+        return { column: checkColumn(filter.column), op: filter.op, value: filter.value };
+    });
+
+    const groupBy = (Array.isArray(plan.groupBy) ? plan.groupBy : []).map(checkColumn);
+
+    const aggregations = (Array.isArray(plan.aggregations) ? plan.aggregations : []).map(aggregation => {
+        if (!AGGREGATE_OPERATORS.includes(aggregation.op)) {
+            throw new Error(`Agregado no admitido: ${aggregation.op}`);
+        }
+        if (aggregation.op !== 'count' && !aggregation.column) {
+            throw new Error(`El agregado ${aggregation.op} requiere una columna`);
+        }
+        return aggregation.column
+            ? { op: aggregation.op, column: checkColumn(aggregation.column) }
+            : { op: aggregation.op };
+    });
+
+    const columns = (Array.isArray(plan.columns) ? plan.columns : []).map(checkColumn);
+
+    // Columnas disponibles en el resultado para ordenar
+    const resultColumns = aggregations.length > 0 || groupBy.length > 0
+        ? [...groupBy, ...aggregations.map(aggregateLabel)]
+        : (columns.length > 0 ? columns : [...columnNames]);
+
+    let orderBy = null;
+    if (plan.orderBy && plan.orderBy.column) {
+        if (!resultColumns.includes(plan.orderBy.column)) {
+            throw new Error(`Columna de orden desconocida en el plan: ${plan.orderBy.column}`);
+        }
+        orderBy = {
+            column: plan.orderBy.column,
+            direction: plan.orderBy.direction === 'asc' ? 'asc' : 'desc'
+        };
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(plan.limit, 10) || MAX_RESULT_ROWS, MAX_RESULT_ROWS));
+
+    return { table: tableIndex, filters, groupBy, aggregations, columns, orderBy, limit };
+}
+
+/**
+ * Compara el valor de una celda con el de un filtro
+ * @param {*} cell - Valor de la celda
+ * @param {string} op - Operador
+ * @param {*} value - Valor del filtro
+ * @returns {boolean} True si la fila cumple el filtro
+ * @private
+ */
+function matchesFilter(cell, op, value) {
+    if (op === 'in') {
+        return value.some(item => matchesFilter(cell, '=', item));
+    }
+    if (op === 'contains') {
+        return normalize(cell).includes(normalize(value));
+    }
+
+    // Comparación numérica si ambos valores son números; si no, como texto
+    const cellNumber = parseNumber(cell);
+    const valueNumber = parseNumber(value);
+    const numeric = cellNumber !== null && valueNumber !== null;
+    const a = numeric ? cellNumber : normalize(cell);
+    const b = numeric ? valueNumber : normalize(value);
+
+    switch (op) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+/**
+ * Calcula un agregado sobre un grupo de filas
+ * @param {Array<Object>} rows - Filas del grupo
+ * @param {Object} aggregation - { op, column }
+ * @returns {number|null} Resultado
+ * @private
+ */
+function computeAggregate(rows, aggregation) {
+    if (aggregation.op === 'count') {
+        return aggregation.column
+            ? rows.filter(row => row[aggregation.column] !== undefined && row[aggregation.column] !== '').length
+            : rows.length;
+    }
+
+    if (aggregation.op === 'distinct') {
+        return new Set(rows.map(row => normalize(row[aggregation.column])).filter(Boolean)).size;
+    }
+
+    const numbers = rows
+        .map(row => parseNumber(row[aggregation.column]))
+        .filter(value => value !== null);
+
+    if (numbers.length === 0) {
+        return null;
+    }
+
+    switch (aggregation.op) {
+        case 'sum': return numbers.reduce((sum, value) => sum + value, 0);
+        case 'avg': return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+        case 'min': return Math.min(...numbers);
+        case 'max': return Math.max(...numbers);
+        default: return null;
+    }
+}
+
+/**
+ * Ejecuta un plan validado sobre una tabla
+ * @param {Object} table - Tabla
+ * @param {Object} plan - Plan devuelto por validatePlan
+ * @returns {Object} { columns, rows, matchedRows, totalRows, truncated }
+ */
+function executePlan(table, plan) {
+    const filtered = table.rows.filter(row =>
+        plan.filters.every(filter => matchesFilter(row[filter.column], filter.op, filter.value))
+    );
+
+    let columns;
+    let rows;
+
+    if (plan.aggregations.length > 0 || plan.groupBy.length > 0) {
+        const groups = new Map();
+        filtered.forEach(row => {
+            const values = plan.groupBy.map(column => row[column] === undefined ? '' : row[column]);
+            const key = JSON.stringify(values.map(normalize));
+            if (!groups.has(key)) {
+                groups.set(key, { values, rows: [] });
+            }
+            groups.get(key).rows.push(row);
+        });
+
+        // Un agregado sin agrupación devuelve siempre una fila (aunque no haya coincidencias)
+        if (plan.groupBy.length === 0 && groups.size === 0) {
+            groups.set('[]', { values: [], rows: [] });
+        }
+
+        columns = [...plan.groupBy, ...plan.aggregations.map(aggregateLabel)];
+        rows = [...groups.values()].map(group => {
+            const result = {};
+            plan.groupBy.forEach((column, index) => {
+                result[column] = group.values[index];
+            });
+            plan.aggregations.forEach(aggregation => {
+                result[aggregateLabel(aggregation)] = computeAggregate(group.rows, aggregation);
+            });
+            return result;
+        });
+    } else {
+        columns = plan.columns.length > 0 ? plan.columns : table.columns.map(column => column.name);
+        rows = filtered.map(row => {
+            const result = {};
+            columns.forEach(column => {
+                result[column] = row[column] === undefined ? '' : row[column];
+            });
+            return result;
+        });
+    }
+
+    if (plan.orderBy) {
+        const { column, direction } = plan.orderBy;
+        const factor = direction === 'asc' ? 1 : -1;
+        rows.sort((a, b) => {
+            const x = parseNumber(a[column]);
+            const y = parseNumber(b[column]);
+            if (x !== null && y !== null) return (x - y) * factor;
+            return normalize(a[column]).localeCompare(normalize(b[column])) * factor;
+        });
+    }
+
+    return {
+        columns,
+        rows: rows.slice(0, plan.limit),
+        totalGroups: rows.length,
+        matchedRows: filtered.length,
+        totalRows: table.rows.length,
+        truncated: rows.length > plan.limit
+    };
+}
+
+/**
+ * Responde una pregunta calculando sobre las tablas de los documentos
+ * @param {string} question - Pregunta del usuario
+ * @param {Array<Object>} tables - Tablas (buildTables)
+ * @param {Object} options - Opciones
+ * @param {string} [options.model] - Modelo de Ollama para planificar (si no hay TABLE_QUERY_MODEL)
+ * @returns {Promise<Object|null>} Resultado con la tabla de origen y el plan, o null si no aplica
+ */
+async function answerQuestion(question, tables, options = {}) {
+    if (!question || !Array.isArray(tables) || tables.length === 0) {
+        return null;
+    }
+
+    const model = TABLE_QUERY_MODEL || options.model;
+    let plan = null;
+    let planner = null;
+
+    if (TABLE_QUERY_PLANNER !== 'rules' && model) {
+        try {
+            plan = validatePlanOrNull(await planWithModel(question, tables, model), tables);
+            planner = 'model';
+        } catch (error) {
+            console.warn(`TableQuery: El modelo no generó un plan válido (${error.message})`);
+        }
+    }
+
+    // Capa de reglas: sin modelo, con error del modelo o cuando el modelo no encontró consulta
+    if (!plan && TABLE_QUERY_PLANNER !== 'model') {
+        try {
+            plan = validatePlanOrNull(planWithRules(question, tables), tables);
+            planner = 'rules';
+        } catch (error) {
+            console.warn(`TableQuery: Plan de reglas no válido (${error.message})`);
+        }
+    }
+
+    if (!plan) {
+        return null;
+    }
+
+    const table = tables[plan.table];
+    const result = executePlan(table, plan);
+
+    return {
+        docId: table.docId,
+        docName: table.docName,
+        sheet: table.sheet,
+        planner,
+        plan,
+        ...result
+    };
+}
+
+/**
+ * Valida un plan si existe
+ * @param {Object|null} plan - Plan propuesto
+ * @param {Array<Object>} tables - Tablas disponibles
+ * @returns {Object|null} Plan normalizado o null
+ * @private
+ */
+function validatePlanOrNull(plan, tables) {
+    return plan ? validatePlan(plan, tables) : null;
+}
+
+/**
+ * Formatea el valor de una celda del resultado
+ * @param {*} value - Valor
+ * @returns {string} Texto de la celda
+ * @private
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? String(value) : String(Math.round(value * 10000) / 10000);
+    }
+    return String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+/**
+ * Describe un plan en lenguaje natural para el prompt
+ * @param {Object} plan - Plan validado
+ * @returns {string} Descripción
+ * @private
+ */
+function describePlan(plan) {
+    const parts = [];
+
+    if (plan.filters.length > 0) {
+        parts.push('filtro ' + plan.filters
+            .map(filter => `${filter.column} ${filter.op} ${Array.isArray(filter.value) ? filter.value.join(', ') : filter.value}`)
+            .join(' y '));
+    }
+    if (plan.groupBy.length > 0) {
+        parts.push(`agrupado por ${plan.groupBy.join(', ')}`);
+    }
+    if (plan.aggregations.length > 0) {
+        parts.push(`agregados ${plan.aggregations.map(aggregateLabel).join(', ')}`);
+    }
+    if (plan.orderBy) {
+        parts.push(`orden ${plan.orderBy.column} ${plan.orderBy.direction}`);
+    }
+
+    return parts.join('; ') || 'sin filtros';
+}
+
+/**
+ * Formatea el resultado de una consulta como tabla Markdown para el prompt
+ * @param {Object} result - Resultado de answerQuestion
+ * @returns {string} Texto con origen, consulta y tabla
+ */
+function formatResult(result) {
+    const source = result.sheet ? `${result.docName}, hoja "${result.sheet}"` : result.docName;
+    const lines = [
+        `Fuente: ${source} (${result.matchedRows} de ${result.totalRows} filas cumplen los filtros)`,
+        `Consulta: ${describePlan(result.plan)}`,
+        '',
+        `| ${result.columns.map(formatCell).join(' | ')} |`,
+        `| ${result.columns.map(() => '---').join(' | ')} |`,
+        ...result.rows.map(row => `| ${result.columns.map(column => formatCell(row[column])).join(' | ')} |`)
+    ];
+
+    if (result.truncated) {
+        lines.push(`... (${result.totalGroups - result.rows.length} filas más)`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    TABULAR_FORMATS,
+    isTabularDocument,
+    parseNumber,
+    buildTables,
+    validatePlan,
+    executePlan,
+    answerQuestion,
+    formatResult
+};
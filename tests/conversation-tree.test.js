@@ -0,0 +1,108 @@
+/**
+ * Pruebas del árbol de mensajes de una conversación
+ */
+
+const conversationTree = require('../conversation-tree');
+
+const message = (id, parentId, minute) => ({
+    id,
+    parentId,
+    role: 'user',
+    content: id,
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString()
+});
+
+const activeIds = conversation => conversationTree.getActiveMessageIds(conversation);
+
+/**
+ * Conversación con dos respuestas a la primera pregunta:
+ * u1 → b1 → u2 (rama antigua) y u1 → b1b (regenerada, inactiva al crearla)
+ */
+function createBranchedConversation() {
+    return {
+        messages: [message('u1', null, 0), message('b1', 'u1', 1), message('u2', 'b1', 2)],
+        inactiveMessages: [message('b1b', 'u1', 3)]
+    };
+}
+
+describe('ensureMessageIds', () => {
+    test('asigna id y enlaza cada mensaje con el anterior', () => {
+        const conversation = { messages: [{ content: 'hola' }, { content: 'adiós' }] };
+
+        expect(conversationTree.ensureMessageIds(conversation)).toBe(true);
+        expect(conversation.messages[0].parentId).toBeNull();
+        expect(conversation.messages[1].parentId).toBe(conversation.messages[0].id);
+        expect(conversationTree.ensureMessageIds(conversation)).toBe(false);
+    });
+});
+
+describe('appendMessage', () => {
+    test('cuelga el mensaje del último de la rama activa', () => {
+        const conversation = createBranchedConversation();
+        const added = conversationTree.appendMessage(conversation, { role: 'bot', content: 'respuesta' });
+
+        expect(added.parentId).toBe('u2');
+        expect(activeIds(conversation)).toEqual(['u1', 'b1', 'u2', added.id]);
+    });
+});
+
+describe('activateBranch', () => {
+    test('baja por el hijo más reciente de cada nivel', () => {
+        const conversation = createBranchedConversation();
+
+        expect(conversationTree.activateBranch(conversation, 'u1')).toBe(true);
+        expect(activeIds(conversation)).toEqual(['u1', 'b1b']);
+        expect(conversation.inactiveMessages.map(m => m.id)).toEqual(['b1', 'u2']);
+    });
+
+    test('sin descend la rama termina en el mensaje indicado', () => {
+        const conversation = createBranchedConversation();
+
+        conversationTree.activateBranch(conversation, 'b1', { descend: false });
+
+        expect(activeIds(conversation)).toEqual(['u1', 'b1']);
+    });
+
+    test('devuelve false si el mensaje no existe y no cambia la rama', () => {
+        const conversation = createBranchedConversation();
+
+        expect(conversationTree.activateBranch(conversation, 'nope')).toBe(false);
+        expect(activeIds(conversation)).toEqual(['u1', 'b1', 'u2']);
+    });
+
+    test('termina ante un ciclo de parentId', () => {
+        const conversation = {
+            messages: [message('a', 'b', 0), message('b', 'a', 1)],
+            inactiveMessages: []
+        };
+
+        expect(conversationTree.activateBranch(conversation, 'a')).toBe(true);
+        expect(activeIds(conversation)).toEqual(['b', 'a']);
+    });
+
+    test('termina ante un mensaje que es su propio padre', () => {
+        const conversation = { messages: [message('a', null, 0), message('b', 'b', 1)] };
+
+        expect(conversationTree.activateBranch(conversation, 'b')).toBe(true);
+        expect(activeIds(conversation)).toEqual(['b']);
+    });
+});
+
+describe('describeBranches', () => {
+    test('indica la posición de cada mensaje entre sus hermanos', () => {
+        const conversation = createBranchedConversation();
+
+        expect(conversationTree.describeBranches(conversation)).toEqual({
+            b1: { index: 0, count: 2, siblings: ['b1', 'b1b'] }
+        });
+    });
+});
+
+describe('findMessage', () => {
+    test('busca también en las ramas inactivas', () => {
+        const conversation = createBranchedConversation();
+
+        expect(conversationTree.findMessage(conversation, 'b1b').content).toBe('b1b');
+        expect(conversationTree.findMessage(conversation, 'nope')).toBeNull();
+    });
+});
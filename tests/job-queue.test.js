@@ -0,0 +1,201 @@
+/**
+ * Pruebas de la cola de trabajos (reintentos con espera exponencial)
+ */
+
+const storage = require('../storage');
+const jobQueue = require('../job-queue');
+
+/**
+ * Espera a que un trabajo cumpla una condición
+ * @param {string} jobId - ID del trabajo
+ * @param {Function} predicate - Condición sobre el trabajo
+ * @returns {Promise<Object>} Trabajo
+ */
+async function waitForJob(jobId, predicate) {
+    for (let i = 0; i < 200; i++) {
+        const job = await jobQueue.getJob(jobId);
+        if (job && predicate(job)) {
+            return job;
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`El trabajo ${jobId} no llegó al estado esperado`);
+}
+
+const retryDelay = job => Date.parse(job.runAfter) - Date.parse(job.updatedAt);
+
+beforeAll(async () => {
+    await storage.connect({ backend: 'memory' });
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await jobQueue.init();
+});
+
+afterAll(() => {
+    jobQueue.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('reintentos', () => {
+    test('duplica la espera en cada intento y marca el trabajo como fallido al agotarlos', async () => {
+        const handler = jest.fn(async () => {
+            throw new Error('Servicio no disponible');
+        });
+        jobQueue.registerHandler('flaky', handler);
+
+        const { id } = await jobQueue.enqueue('flaky', {}, { maxAttempts: 3 });
+
+        let job = await waitForJob(id, current => current.stage === 'retrying');
+        expect(job).toMatchObject({ status: 'queued', attempts: 1, error: 'Servicio no disponible' });
+        expect(retryDelay(job)).toBe(5000);
+
+        // Antes de la espera no se vuelve a ejecutar
+        jest.advanceTimersByTime(4000);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(2000);
+        job = await waitForJob(id, current => current.attempts === 2 && current.stage === 'retrying');
+        expect(retryDelay(job)).toBe(10000);
+
+        jest.advanceTimersByTime(10000);
+        job = await waitForJob(id, current => current.status === 'failed');
+        expect(job).toMatchObject({ attempts: 3, stage: 'failed', error: 'Servicio no disponible' });
+        expect(handler).toHaveBeenCalledTimes(3);
+    });
+
+    test('completa el trabajo si un reintento tiene éxito', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('Tiempo de espera agotado'))
+            .mockResolvedValueOnce({ chunks: 4 });
+        jobQueue.registerHandler('recovers', handler);
+
+        const { id } = await jobQueue.enqueue('recovers', {});
+        await waitForJob(id, current => current.stage === 'retrying');
+
+        jest.advanceTimersByTime(6000);
+        const job = await waitForJob(id, current => current.status === 'completed');
+
+        expect(job).toMatchObject({ attempts: 2, progress: 100, result: { chunks: 4 }, error: null });
+    });
+
+    test('no reintenta los errores permanentes', async () => {
+        jobQueue.registerHandler('broken', async () => {
+            const error = new Error('Formato no soportado');
+            error.permanent = true;
+            throw error;
+        });
+
+        const { id } = await jobQueue.enqueue('broken', {});
+        const job = await waitForJob(id, current => current.status === 'failed');
+
+        expect(job.attempts).toBe(1);
+    });
+
+    test('retryJob vuelve a encolar un trabajo fallido desde el primer intento', async () => {
+        let calls = 0;
+        jobQueue.registerHandler('manual', async () => {
+            calls++;
+            if (calls === 1) {
+                const error = new Error('Falta el modelo');
+                error.permanent = true;
+                throw error;
+            }
+            return 'ok';
+        });
+
+        const { id } = await jobQueue.enqueue('manual', {});
+        await waitForJob(id, current => current.status === 'failed');
+
+        const retried = await jobQueue.retryJob(id);
+        expect(retried).toMatchObject({ status: 'queued', attempts: 0, error: null });
+
+        const job = await waitForJob(id, current => current.status === 'completed');
+        expect(job).toMatchObject({ attempts: 1, result: 'ok' });
+    });
+});
+
+describe('errores al guardar el estado', () => {
+    test('registra el fallo sin rechazar la ejecución', async () => {
+        const collection = (await storage.connect()).collection('jobs');
+        const updateOne = collection.updateOne;
+        const spy = jest.spyOn(collection, 'updateOne').mockImplementation(function (filter, update, options) {
+            if (update.$set && update.$set.status === 'failed') {
+                return Promise.reject(new Error('Disco lleno'));
+            }
+            return updateOne.call(this, filter, update, options);
+        });
+        jobQueue.registerHandler('unsaved', async () => {
+            const error = new Error('Entrada corrupta');
+            error.permanent = true;
+            throw error;
+        });
+
+        try {
+            const { id } = await jobQueue.enqueue('unsaved', {});
+            await waitForJob(id, () => console.error.mock.calls.some(([message]) =>
+                message === `JobQueue: Error al actualizar el estado del trabajo ${id}:`));
+
+            expect((await jobQueue.getJob(id)).status).toBe('running');
+        } finally {
+            spy.mockRestore();
+        }
+    });
+});
+
+describe('cancelación', () => {
+    test('detiene el trabajo en el siguiente punto de control', async () => {
+        let release;
+        const started = new Promise(resolve => {
+            jobQueue.registerHandler('slow', async (job, input, control) => {
+                await new Promise(done => {
+                    release = done;
+                    resolve();
+                });
+                await control.progress(50, 'processing');
+                return 'no debería completarse';
+            });
+        });
+
+        const { id } = await jobQueue.enqueue('slow', {});
+        await started;
+
+        const requested = await jobQueue.cancelJob(id);
+        expect(requested).toMatchObject({ status: 'running', cancelRequested: true });
+
+        release();
+        const job = await waitForJob(id, current => current.status === 'cancelled');
+        expect(job.result).toBeNull();
+    });
+
+    test('isCancelled detecta la cancelación después del último punto de control', async () => {
+        let release;
+        const rollback = jest.fn();
+        const started = new Promise(resolve => {
+            jobQueue.registerHandler('late', async (job, input, control) => {
+                await control.progress(95, 'saving');
+                await new Promise(done => {
+                    release = done;
+                    resolve();
+                });
+                if (await control.isCancelled()) {
+                    rollback();
+                    throw jobQueue.createCancelledError();
+                }
+                return 'guardado';
+            });
+        });
+
+        const { id } = await jobQueue.enqueue('late', {});
+        await started;
+        await jobQueue.cancelJob(id);
+
+        release();
+        const job = await waitForJob(id, current => current.status === 'cancelled');
+        expect(job).toMatchObject({ stage: 'cancelled', result: null });
+        expect(rollback).toHaveBeenCalledTimes(1);
+    });
+});
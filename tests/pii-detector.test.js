@@ -0,0 +1,98 @@
+/**
+ * Pruebas del detector de datos personales
+ */
+
+jest.mock('../config', () => ({ get: jest.fn(async () => ({})) }));
+
+const storage = require('../storage');
+const piiDetector = require('../pii-detector');
+
+const detectTypes = (text, types) => piiDetector.detect(text, { types }).map(f => f.value);
+
+beforeAll(() => storage.connect({ backend: 'memory' }));
+
+describe('tarjetas (Luhn)', () => {
+    test('acepta números con dígito de control válido', () => {
+        expect(detectTypes('Pago con 4111 1111 1111 1111 ayer', ['credit_card'])).toEqual(['4111 1111 1111 1111']);
+        expect(detectTypes('tarjeta 5500-0000-0000-0004', ['credit_card'])).toEqual(['5500-0000-0000-0004']);
+    });
+
+    test('rechaza números que no cumplen Luhn o son solo ceros', () => {
+        expect(detectTypes('4111 1111 1111 1112', ['credit_card'])).toEqual([]);
+        expect(detectTypes('0000 0000 0000 0000', ['credit_card'])).toEqual([]);
+    });
+});
+
+describe('IBAN (módulo 97)', () => {
+    test('acepta IBAN válidos con y sin espacios', () => {
+        expect(detectTypes('Cuenta ES91 2100 0418 4502 0005 1332.', ['iban'])).toEqual(['ES91 2100 0418 4502 0005 1332']);
+        expect(detectTypes('IBAN GB82WEST12345698765432', ['iban'])).toEqual(['GB82WEST12345698765432']);
+    });
+
+    test('rechaza IBAN con dígitos de control incorrectos', () => {
+        expect(detectTypes('ES91 2100 0418 4502 0005 1333', ['iban'])).toEqual([]);
+    });
+
+    test('no incluye en el IBAN un grupo del texto siguiente', () => {
+        expect(detectTypes('ES91 2100 0418 4502 0005 1332 ABCD', ['iban'])).toEqual(['ES91 2100 0418 4502 0005 1332']);
+    });
+});
+
+describe('RUT chileno (módulo 11)', () => {
+    test('acepta RUT con dígito verificador correcto', () => {
+        expect(detectTypes('RUT 12.345.678-5', ['rut'])).toEqual(['12.345.678-5']);
+        expect(detectTypes('RUT 12345678-5', ['rut'])).toEqual(['12345678-5']);
+    });
+
+    test('rechaza RUT con dígito verificador incorrecto', () => {
+        expect(detectTypes('RUT 12.345.678-4', ['rut'])).toEqual([]);
+    });
+});
+
+describe('DNI y NIE', () => {
+    test('acepta la letra de control correcta', () => {
+        expect(detectTypes('DNI 12345678Z', ['dni'])).toEqual(['12345678Z']);
+        expect(detectTypes('NIE X1234567L', ['dni'])).toEqual(['X1234567L']);
+    });
+
+    test('rechaza una letra de control incorrecta', () => {
+        expect(detectTypes('DNI 12345678A', ['dni'])).toEqual([]);
+        expect(detectTypes('NIE X1234567A', ['dni'])).toEqual([]);
+    });
+});
+
+describe('detect', () => {
+    test('no devuelve coincidencias solapadas', () => {
+        const findings = piiDetector.detect('Mi RUT es 12.345.678-5 y mi correo ana@example.com');
+
+        expect(findings.map(f => f.type)).toEqual(['rut', 'email']);
+    });
+});
+
+describe('redactText', () => {
+    test('aplica las políticas mask y hash', async () => {
+        const settings = await piiDetector.getSettings({
+            pii_settings: { policies: { email: 'mask', dni: 'hash' } }
+        });
+        const { text, findings } = piiDetector.redactText('Escribe a ana@example.com, DNI 12345678Z', settings);
+
+        expect(text).toMatch(/^Escribe a \[EMAIL\], DNI \[DNI:[0-9a-f]{10}\]$/);
+        expect(findings).toEqual([{ type: 'email', action: 'mask' }, { type: 'dni', action: 'hash' }]);
+    });
+
+    test('el seudónimo es estable para el mismo valor', async () => {
+        const settings = await piiDetector.getSettings({});
+        const first = piiDetector.redactText('DNI 12345678Z', settings).text;
+        const second = piiDetector.redactText('dni 12345678-z', settings).text;
+
+        expect(second.endsWith(first.slice(4))).toBe(true);
+    });
+
+    test('al exportar oculta también los tipos con política block', async () => {
+        const settings = await piiDetector.getSettings({});
+        const text = 'Correo ana@example.com';
+
+        expect(piiDetector.redactText(text, settings).text).toBe(text);
+        expect(piiDetector.redactText(text, settings, { forExport: true }).text).toBe('Correo [EMAIL]');
+    });
+});
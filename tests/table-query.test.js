@@ -0,0 +1,159 @@
+/**
+ * Pruebas de las consultas calculadas sobre tablas
+ */
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const tableQuery = require('../table-query');
+
+const doc = { id: 'doc-1', originalName: 'ventas.csv', format: 'csv' };
+const records = [
+    { Región: 'Norte', Trimestre: 'Q1', Ventas: '1.200' },
+    { Región: 'Norte', Trimestre: 'Q2', Ventas: '1.500' },
+    { Región: 'Sur', Trimestre: 'Q1', Ventas: '800' },
+    { Región: 'Sur', Trimestre: 'Q2', Ventas: '950,5' },
+    { Región: 'Este', Trimestre: 'Q2', Ventas: '700' }
+];
+
+const tables = () => tableQuery.buildTables(doc, records);
+
+/**
+ * Simula la respuesta del planificador del modelo
+ * @param {Object} plan - Plan devuelto por el modelo
+ */
+function mockModelPlan(plan) {
+    fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ message: { content: JSON.stringify(plan) } })
+    });
+}
+
+beforeEach(() => {
+    fetch.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+});
+
+describe('parseNumber', () => {
+    test.each([
+        ['1.234,56', 1234.56],
+        ['1,234.56', 1234.56],
+        ['1.000', 1000],
+        ['12,5', 12.5],
+        ['1,234,567', 1234567],
+        ['45 %', 45],
+        ['€ 3,50', 3.5],
+        ['-7', -7],
+        [42, 42]
+    ])('%p → %p', (value, expected) => {
+        expect(tableQuery.parseNumber(value)).toBe(expected);
+    });
+
+    test.each([['Q1'], [''], ['1-2'], [null], [Infinity]])('%p no es un número', value => {
+        expect(tableQuery.parseNumber(value)).toBeNull();
+    });
+});
+
+describe('buildTables', () => {
+    test('infiere el tipo de cada columna', () => {
+        const [table] = tables();
+
+        expect(table.columns.map(column => [column.name, column.type])).toEqual([
+            ['Región', 'text'],
+            ['Trimestre', 'text'],
+            ['Ventas', 'number']
+        ]);
+        expect(table.rows).toHaveLength(5);
+    });
+
+    test('crea una tabla por hoja en los libros de Excel', () => {
+        const book = tableQuery.buildTables({ ...doc, format: 'excel' }, { Enero: records, Vacía: [] });
+
+        expect(book.map(table => table.sheet)).toEqual(['Enero']);
+    });
+});
+
+describe('planificador de reglas', () => {
+    test('filtra por valor, agrupa y calcula la media', async () => {
+        const result = await tableQuery.answerQuestion('Ventas promedio por región en Q2', tables());
+
+        expect(result.planner).toBe('rules');
+        expect(result.plan).toMatchObject({
+            filters: [{ column: 'Trimestre', op: '=', value: 'Q2' }],
+            groupBy: ['Región'],
+            aggregations: [{ op: 'avg', column: 'Ventas' }],
+            orderBy: { column: 'avg(Ventas)', direction: 'desc' }
+        });
+        expect(result.rows).toEqual([
+            { Región: 'Norte', 'avg(Ventas)': 1500 },
+            { Región: 'Sur', 'avg(Ventas)': 950.5 },
+            { Región: 'Este', 'avg(Ventas)': 700 }
+        ]);
+        expect(result.matchedRows).toBe(3);
+    });
+
+    test('cuenta filas con varios valores del mismo filtro', async () => {
+        const result = await tableQuery.answerQuestion('¿Cuántas filas hay del Norte o del Sur?', tables());
+
+        expect(result.plan.filters).toEqual([{ column: 'Región', op: 'in', value: ['Norte', 'Sur'] }]);
+        expect(result.rows).toEqual([{ count: 4 }]);
+    });
+
+    test('sin agregados ni filtros no responde', async () => {
+        expect(await tableQuery.answerQuestion('Hola, ¿qué tal?', tables())).toBeNull();
+    });
+});
+
+describe('planificador del modelo', () => {
+    test('usa el plan del modelo numerando las tablas desde 1', async () => {
+        mockModelPlan({ table: 1, aggregations: [{ op: 'max', column: 'Ventas' }] });
+
+        const result = await tableQuery.answerQuestion('¿Cuál fue la mejor venta?', tables(), { model: 'gemma3' });
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(result.planner).toBe('model');
+        expect(result.rows).toEqual([{ 'max(Ventas)': 1500 }]);
+    });
+
+    test('recurre a las reglas si el plan del modelo no es válido', async () => {
+        mockModelPlan({ table: 1, aggregations: [{ op: 'sum', column: 'Beneficio' }] });
+
+        const result = await tableQuery.answerQuestion('Total de ventas del Sur', tables(), { model: 'gemma3' });
+
+        expect(result.planner).toBe('rules');
+        expect(result.rows).toEqual([{ 'sum(Ventas)': 1750.5 }]);
+    });
+
+    test('recurre a las reglas si la petición al modelo falla', async () => {
+        fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+        const result = await tableQuery.answerQuestion('Máximo de ventas del Este', tables(), { model: 'gemma3' });
+
+        expect(result.planner).toBe('rules');
+        expect(result.rows).toEqual([{ 'max(Ventas)': 700 }]);
+    });
+});
+
+describe('validatePlan', () => {
+    test.each([
+        [{ table: 3 }, /Tabla desconocida/],
+        [{ filters: [{ column: 'Ventas', op: 'like', value: 1 }] }, /Operador de filtro/],
+        [{ filters: [{ column: 'Ventas', op: 'in', value: 1 }] }, /requiere una lista/],
+        [{ groupBy: ['Ciudad'] }, /Columna desconocida/],
+        [{ aggregations: [{ op: 'median', column: 'Ventas' }] }, /Agregado no admitido/],
+        [{ aggregations: [{ op: 'sum' }] }, /requiere una columna/],
+        [{ aggregations: [{ op: 'count' }], orderBy: { column: 'Ventas' } }, /Columna de orden/]
+    ])('rechaza %j', (plan, message) => {
+        expect(() => tableQuery.validatePlan(plan, tables())).toThrow(message);
+    });
+
+    test('limita el número de filas del resultado', () => {
+        expect(tableQuery.validatePlan({ limit: 1000 }, tables()).limit).toBe(50);
+        expect(tableQuery.validatePlan({ limit: 0 }, tables()).limit).toBe(50);
+        expect(tableQuery.validatePlan({ limit: 3 }, tables()).limit).toBe(3);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Pruebas de la comparación de textos
+ */
+
+const textDiff = require('../text-diff');
+
+describe('diffLines', () => {
+    test('agrupa las líneas sin cambios, añadidas y eliminadas', () => {
+        const hunks = textDiff.diffLines('uno\ndos\ntres\ncuatro', 'uno\ndos bis\ntres\ncuatro\ncinco');
+
+        expect(hunks).toEqual([
+            { type: 'equal', lines: ['uno'] },
+            { type: 'removed', lines: ['dos'] },
+            { type: 'added', lines: ['dos bis'] },
+            { type: 'equal', lines: ['tres', 'cuatro'] },
+            { type: 'added', lines: ['cinco'] }
+        ]);
+    });
+
+    test('ignora espacios finales, líneas vacías y saltos de página', () => {
+        const hunks = textDiff.diffLines('uno  \n\ndos\r\n', 'uno\fdos');
+
+        expect(hunks).toEqual([{ type: 'equal', lines: ['uno', 'dos'] }]);
+    });
+
+    test('calcula la edición mínima dentro del bloque central', () => {
+        const hunks = textDiff.diffLines('a\nb\nc\nd\ne', 'a\nc\nd\nx\ne');
+
+        expect(hunks).toEqual([
+            { type: 'equal', lines: ['a'] },
+            { type: 'removed', lines: ['b'] },
+            { type: 'equal', lines: ['c', 'd'] },
+            { type: 'added', lines: ['x'] },
+            { type: 'equal', lines: ['e'] }
+        ]);
+    });
+
+    test('por encima del límite de ediciones sustituye el bloque central completo', () => {
+        const oldText = Array.from({ length: 1500 }, (_, i) => `antes ${i}`).join('\n');
+        const newText = Array.from({ length: 1500 }, (_, i) => `después ${i}`).join('\n');
+
+        const hunks = textDiff.diffLines(`inicio\n${oldText}\nfin`, `inicio\n${newText}\nfin`);
+
+        expect(hunks.map(hunk => [hunk.type, hunk.lines.length])).toEqual([
+            ['equal', 1],
+            ['removed', 1500],
+            ['added', 1500],
+            ['equal', 1]
+        ]);
+    });
+});
+
+describe('summarizeDiff', () => {
+    test('cuenta las líneas y calcula la similitud', () => {
+        const stats = textDiff.summarizeDiff(textDiff.diffLines('a\nb\nc', 'a\nb\nd'));
+
+        expect(stats).toEqual({ added: 1, removed: 1, unchanged: 2, similarity: 0.667 });
+    });
+
+    test('dos textos vacíos son idénticos', () => {
+        expect(textDiff.summarizeDiff([]).similarity).toBe(1);
+    });
+});
+
+describe('formatDiff', () => {
+    test('marca los cambios y resume el contexto lejano', () => {
+        const hunks = textDiff.diffLines('a\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+
+        expect(textDiff.formatDiff(hunks)).toBe('  ...\n  d\n- e\n+ E');
+    });
+
+    test('trunca el resultado a maxChars', () => {
+        const hunks = textDiff.diffLines('', 'línea uno\nlínea dos\nlínea tres');
+
+        expect(textDiff.formatDiff(hunks, { maxChars: 25 })).toBe('+ línea uno\n+ línea dos\n[Diferencias truncadas]');
+    });
+});
+
+describe('textSimilarity', () => {
+    test('no depende del orden de los párrafos', () => {
+        const first = 'el informe anual de ventas recoge la evolución de todas las delegaciones';
+        const second = 'las cifras del segundo trimestre superan las previsiones del presupuesto inicial';
+
+        expect(textDiff.textSimilarity(`${first}\n${second}`, `${second}\n${first}`)).toBeGreaterThan(0.8);
+    });
+
+    test('textos distintos tienen similitud cero', () => {
+        expect(textDiff.textSimilarity('uno dos tres cuatro', 'cinco seis siete ocho')).toBe(0);
+    });
+
+    test('compara palabras sueltas en textos muy cortos', () => {
+        expect(textDiff.textSimilarity('hola mundo', 'Hola, mundo')).toBe(1);
+        expect(textDiff.textSimilarity('', '')).toBe(1);
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Comparación de textos para CAG
+ *
+ * Calcula diferencias línea a línea entre dos versiones de un documento
+ * (algoritmo de Myers) y una medida de similitud de contenido que permite
+ * reconocer una nueva versión aunque el archivo se haya renombrado.
+ */
+
+// Máximo de líneas distintas (inserciones + borrados) que se calculan con Myers;
+// por encima se marca el bloque central como sustituido por completo
+const MAX_EDIT_DISTANCE = 2000;
+// Longitud de los fragmentos de palabras usados para la similitud
+const SHINGLE_SIZE = 3;
+// Máximo de caracteres comparados al calcular la similitud
+const MAX_SIMILARITY_TEXT = 200000;
+
+/**
+ * Divide un texto en líneas comparables (sin espacios finales ni líneas vacías)
+ * @param {string} text - Texto
+ * @returns {Array<string>} Líneas
+ * @private
+ */
+function splitLines(text) {
+    return (text || '')
+        .replace(/\f/g, '\n')
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+$/, ''))
+        .filter(line => line.trim() !== '');
+}
+
+/**
+ * Calcula la secuencia mínima de ediciones entre dos listas (Myers)
+ * @param {Array<string>} a - Líneas originales
+ * @param {Array<string>} b - Líneas nuevas
+ * @returns {Array<Array>|null} Ediciones [tipo, línea] o null si superan MAX_EDIT_DISTANCE
+ * @private
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Estado antes del paso d para las diagonales -d-1..d+1
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Reconstruye las ediciones recorriendo hacia atrás los estados de Myers
+ * @param {Array<Int32Array>} trace - Estados guardados en cada paso
+ * @param {Array<string>} a - Líneas originales
+ * @param {Array<string>} b - Líneas nuevas
+ * @returns {Array<Array>} Ediciones [tipo, línea] en orden
+ * @private
+ */
+function backtrack(trace, a, b) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const state = trace[d];
+        const get = k => state[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+        const prevX = get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push(['equal', a[x - 1]]);
+            x--;
+            y--;
+        }
+
+        if (x === prevX) {
+            edits.push(['added', b[y - 1]]);
+            y--;
+        } else {
+            edits.push(['removed', a[x - 1]]);
+            x--;
+        }
+    }
+
+    while (x > 0 && y > 0) {
+        edits.push(['equal', a[x - 1]]);
+        x--;
+        y--;
+    }
+
+    return edits.reverse();
+}
+
+/**
+ * Calcula las diferencias línea a línea entre dos textos
+ * @param {string} oldText - Texto de la versión anterior
+ * @param {string} newText - Texto de la versión nueva
+ * @returns {Array<Object>} Bloques { type: 'equal'|'added'|'removed', lines }
+ */
+function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+
+    // Prefijo y sufijo comunes fuera del cálculo
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const middleA = a.slice(prefix, a.length - suffix);
+    const middleB = b.slice(prefix, b.length - suffix);
+
+    const edits = [
+        ...a.slice(0, prefix).map(line => ['equal', line]),
+        ...(myersDiff(middleA, middleB) || [
+            ...middleA.map(line => ['removed', line]),
+            ...middleB.map(line => ['added', line])
+        ]),
+        ...a.slice(a.length - suffix).map(line => ['equal', line])
+    ];
+
+    // Agrupar ediciones consecutivas del mismo tipo
+    const hunks = [];
+    edits.forEach(([type, line]) => {
+        const last = hunks[hunks.length - 1];
+        if (last && last.type === type) {
+            last.lines.push(line);
+        } else {
+            hunks.push({ type, lines: [line] });
+        }
+    });
+
+    return hunks;
+}
+
+/**
+ * Resume un diff en número de líneas añadidas, eliminadas y sin cambios
+ * @param {Array<Object>} hunks - Bloques devueltos por diffLines
+ * @returns {Object} { added, removed, unchanged, similarity } (similarity entre 0 y 1)
+ */
+function summarizeDiff(hunks) {
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+
+    hunks.forEach(hunk => {
+        if (hunk.type === 'added') stats.added += hunk.lines.length;
+        else if (hunk.type === 'removed') stats.removed += hunk.lines.length;
+        else stats.unchanged += hunk.lines.length;
+    });
+
+    const total = stats.added + stats.removed + stats.unchanged * 2;
+    stats.similarity = total > 0 ? Math.round((stats.unchanged * 2 / total) * 1000) / 1000 : 1;
+
+    return stats;
+}
+
+/**
+ * Formatea un diff como texto (+ añadidas, - eliminadas, contexto sin marca)
+ * @param {Array<Object>} hunks - Bloques devueltos por diffLines
+ * @param {Object} options - Opciones
+ * @param {number} options.context - Líneas sin cambios mostradas alrededor de cada cambio (por defecto 1)
+ * @param {number} options.maxChars - Longitud máxima del resultado (por defecto sin límite)
+ * @returns {string} Diff legible
+ */
+function formatDiff(hunks, options = {}) {
+    const context = options.context !== undefined ? options.context : 1;
+    const maxChars = options.maxChars || Infinity;
+    const lines = [];
+
+    hunks.forEach((hunk, index) => {
+        if (hunk.type === 'added' || hunk.type === 'removed') {
+            const marker = hunk.type === 'added' ? '+' : '-';
+            hunk.lines.forEach(line => lines.push(`${marker} ${line}`));
+            return;
+        }
+
+        // Contexto: inicio del bloque si sigue a un cambio y final si precede a otro
+        const shown = hunk.lines.map((line, lineIndex) =>
+            (index > 0 && lineIndex < context) ||
+            (index < hunks.length - 1 && lineIndex >= hunk.lines.length - context)
+        );
+
+        let skipping = false;
+        hunk.lines.forEach((line, lineIndex) => {
+            if (shown[lineIndex]) {
+                lines.push(`  ${line}`);
+                skipping = false;
+            } else if (!skipping) {
+                lines.push('  ...');
+                skipping = true;
+            }
+        });
+    });
+
+    let result = '';
+    for (const line of lines) {
+        if (result.length + line.length + 1 > maxChars) {
+            return `${result}[Diferencias truncadas]`;
+        }
+        result += `${line}\n`;
+    }
+
+    return result.trimEnd();
+}
+
+/**
+ * Calcula la similitud de contenido entre dos textos
+ *
+ * Compara los conjuntos de grupos de tres palabras consecutivas (índice de
+ * Jaccard), de modo que no depende del orden de los párrafos ni del formato.
+ * @param {string} textA - Primer texto
+ * @param {string} textB - Segundo texto
+ * @returns {number} Similitud entre 0 y 1
+ */
+function textSimilarity(textA, textB) {
+    const shingles = text => {
+        const words = (text || '')
+            .substring(0, MAX_SIMILARITY_TEXT)
+            .toLowerCase()
+            .split(/[^\wáéíóúüñ]+/)
+            .filter(Boolean);
+        const set = new Set();
+        for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+            set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+        }
+        // Textos muy cortos: comparar palabras sueltas
+        if (set.size === 0) {
+            words.forEach(word => set.add(word));
+        }
+        return set;
+    };
+
+    const a = shingles(textA);
+    const b = shingles(textB);
+
+    if (a.size === 0 && b.size === 0) {
+        return 1;
+    }
+
+    let intersection = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) intersection++;
+    });
+
+    return intersection / (a.size + b.size - intersection);
+}
+
+module.exports = {
+    diffLines,
+    summarizeDiff,
+    formatDiff,
+    textSimilarity
+};
@@ -0,0 +1,300 @@
+/**
+ * Almacén de Usuarios para CAG
+ *
+ * Este módulo gestiona las cuentas locales de usuario: registro, verificación
+ * de contraseñas (scrypt con sal aleatoria) y consulta de perfiles. Los datos
+ * se guardan en el bucket "users" del almacenamiento (data/users/users.json con
+ * el backend file); la configuración personal de cada usuario sigue en
+ * config.getUserConfig.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Almacenamiento
+const usersBucket = storage.bucket('users');
+const USERS_FILE = 'users.json';
+
+// Parámetros de hash de contraseñas
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Formato de nombre de usuario: 3-32 caracteres alfanuméricos, punto, guion o guion bajo
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
+
+// Roles disponibles
+const ROLES = ['admin', 'user'];
+
+// Caché en memoria de los usuarios (el almacenamiento es la fuente de verdad)
+let usersCache = null;
+
+// Cola de modificaciones: cada lectura-modificación-escritura espera a la anterior
+let usersQueue = Promise.resolve();
+
+/**
+ * Carga los usuarios del almacenamiento
+ * @returns {Promise<Array>} Lista de usuarios (con hash de contraseña)
+ * @private
+ */
+async function loadUsers() {
+    if (usersCache) {
+        return usersCache;
+    }
+
+    try {
+        usersCache = (await usersBucket.readJSON(USERS_FILE)) || [];
+    } catch (error) {
+        console.error('UserStore: Error al leer usuarios:', error);
+        throw error;
+    }
+
+    return usersCache;
+}
+
+/**
+ * Guarda los usuarios en el almacenamiento
+ * @param {Array} users - Lista de usuarios
+ * @private
+ */
+async function saveUsers(users) {
+    await usersBucket.writeJSON(USERS_FILE, users, { mode: 0o640 });
+    usersCache = users;
+}
+
+/**
+ * Ejecuta una modificación de los usuarios en exclusiva
+ *
+ * Evita que dos registros simultáneos lean la misma lista, se pisen al guardar
+ * o reciban ambos el rol admin.
+ * @param {Function} task - Función async que recibe la lista de usuarios
+ * @returns {Promise<*>} Resultado de la función
+ * @private
+ */
+function withUsers(task) {
+    const run = usersQueue.then(async () => task(await loadUsers()));
+    usersQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Calcula el hash de una contraseña
+ * @param {string} password - Contraseña en claro
+ * @param {string} [salt] - Sal en hex (se genera si no se indica)
+ * @returns {Promise<string>} Hash con formato scrypt$<sal>$<hash>
+ * @private
+ */
+async function hashPassword(password, salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString('hex')) {
+    const derived = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Comprueba una contraseña contra su hash en tiempo constante
+ * @param {string} password - Contraseña en claro
+ * @param {string} storedHash - Hash guardado
+ * @returns {Promise<boolean>} True si coinciden
+ * @private
+ */
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const derived = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+/**
+ * Devuelve los datos públicos de un usuario (sin hash de contraseña)
+ * @param {Object} user - Usuario almacenado
+ * @returns {Object|null} { id, username, displayName, role, createdAt, lastLoginAt }
+ */
+function toPublicUser(user) {
+    if (!user) {
+        return null;
+    }
+
+    const { passwordHash, sessionVersion, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Cuenta los usuarios registrados
+ * @returns {Promise<number>} Número de usuarios
+ */
+async function countUsers() {
+    return (await loadUsers()).length;
+}
+
+/**
+ * Registra un usuario nuevo
+ *
+ * El primer usuario registrado recibe el rol admin.
+ * @param {Object} data - Datos del usuario
+ * @param {string} data.username - Nombre de usuario único
+ * @param {string} data.password - Contraseña en claro
+ * @param {string} [data.displayName] - Nombre visible
+ * @returns {Promise<Object>} Usuario creado (datos públicos)
+ * @throws {Error} Con code INVALID_USERNAME, WEAK_PASSWORD o USERNAME_TAKEN
+ */
+async function createUser({ username, password, displayName }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw userError('El nombre de usuario debe tener entre 3 y 32 caracteres (letras, números, ".", "-" o "_")', 'INVALID_USERNAME');
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw userError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`, 'WEAK_PASSWORD');
+    }
+
+    const normalizedUsername = username.toLowerCase();
+    const name = typeof displayName === 'string' && displayName.trim() ? displayName : username;
+    const passwordHash = await hashPassword(password);
+
+    return withUsers(async (users) => {
+        if (users.some(user => user.username === normalizedUsername)) {
+            throw userError('El nombre de usuario ya está en uso', 'USERNAME_TAKEN', 409);
+        }
+
+        const user = {
+            id: uuidv4(),
+            username: normalizedUsername,
+            displayName: name.trim().substring(0, 64),
+            role: users.length === 0 ? 'admin' : 'user',
+            passwordHash,
+            sessionVersion: 1,
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+
+        await saveUsers([...users, user]);
+        console.log(`UserStore: Usuario ${user.username} creado (${user.role})`);
+
+        return toPublicUser(user);
+    });
+}
+
+/**
+ * Verifica las credenciales de un usuario
+ * @param {string} username - Nombre de usuario
+ * @param {string} password - Contraseña en claro
+ * @returns {Promise<Object|null>} Usuario almacenado o null si no son válidas
+ */
+async function verifyCredentials(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return null;
+    }
+
+    const user = await findByUsername(username);
+
+    if (!user) {
+        // Calcular un hash igualmente para no revelar qué usuarios existen por el tiempo de respuesta
+        await hashPassword(password);
+        return null;
+    }
+
+    if (!(await verifyPassword(password, user.passwordHash))) {
+        return null;
+    }
+
+    return withUsers(async (users) => {
+        const current = users.find(u => u.id === user.id);
+        if (!current) {
+            return null;
+        }
+
+        current.lastLoginAt = new Date().toISOString();
+        await saveUsers(users);
+        return current;
+    });
+}
+
+/**
+ * Obtiene un usuario por su ID
+ * @param {string} id - ID del usuario
+ * @returns {Promise<Object|null>} Usuario almacenado o null
+ */
+async function getUser(id) {
+    if (!id) {
+        return null;
+    }
+    return (await loadUsers()).find(user => user.id === id) || null;
+}
+
+/**
+ * Obtiene un usuario por su nombre de usuario
+ * @param {string} username - Nombre de usuario (no distingue mayúsculas)
+ * @returns {Promise<Object|null>} Usuario almacenado o null
+ */
+async function findByUsername(username) {
+    if (!username) {
+        return null;
+    }
+    const normalizedUsername = String(username).trim().toLowerCase();
+    return (await loadUsers()).find(user => user.username === normalizedUsername) || null;
+}
+
+/**
+ * Cambia la contraseña de un usuario e invalida sus sesiones abiertas
+ * @param {string} id - ID del usuario
+ * @param {string} currentPassword - Contraseña actual
+ * @param {string} newPassword - Nueva contraseña
+ * @returns {Promise<Object>} Usuario actualizado (almacenado)
+ * @throws {Error} Con code USER_NOT_FOUND, INVALID_CREDENTIALS o WEAK_PASSWORD
+ */
+async function changePassword(id, currentPassword, newPassword) {
+    return withUsers(async (users) => {
+        const user = users.find(u => u.id === id);
+
+        if (!user) {
+            throw userError('Usuario no encontrado', 'USER_NOT_FOUND', 404);
+        }
+
+        if (typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+            throw userError('La contraseña actual no es correcta', 'INVALID_CREDENTIALS', 401);
+        }
+
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw userError(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`, 'WEAK_PASSWORD');
+        }
+
+        user.passwordHash = await hashPassword(newPassword);
+        user.sessionVersion = (user.sessionVersion || 1) + 1;
+        await saveUsers(users);
+
+        console.log(`UserStore: Contraseña de ${user.username} actualizada`);
+        return user;
+    });
+}
+
+/**
+ * Crea un error de validación con código para la respuesta de la API
+ * @param {string} message - Mensaje de error
+ * @param {string} code - Código de error
+ * @param {number} [status=400] - Código HTTP
+ * @returns {Error} Error con code y status
+ * @private
+ */
+function userError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+module.exports = {
+    ROLES,
+    toPublicUser,
+    countUsers,
+    createUser,
+    verifyCredentials,
+    getUser,
+    findByUsername,
+    changePassword
+};